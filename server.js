@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const app = require('./src/app');
 const { logInfo, logDatabase, logError, logSuccess } = require('./src/utils/logger');
 const { bootstrap } = require('./src/config/bootstrap');
+const SchedulerService = require('./src/services/schedulerService');
 
 // Server configuration
 const PORT = process.env.PORT || 5000;
@@ -118,6 +119,11 @@ if (useSimplifiedServer) {
       // Run bootstrap process
       await bootstrap();
       
+      // Start in-app CRON jobs unless an external scheduler runs src/cron tasks
+      if (process.env.ENABLE_SCHEDULER === 'true') {
+        SchedulerService.initializeScheduledTasks();
+      }
+      
       // Start the server after successful database connection
       const server = app.listen(PORT, '0.0.0.0', () => {
         logSuccess(`✅ DeynCare API Server running on port ${PORT}`, 'Server');
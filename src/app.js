@@ -19,6 +19,14 @@ const discountRoutes = require('./routes/discountRoutes');
 const userRoutes = require('./routes/userRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const shopRoutes = require('./routes/shopRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const debtRoutes = require('./routes/debtRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const productRoutes = require('./routes/productRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const saleRoutes = require('./routes/saleRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const dashboardRoutes = require('./routes/dashboardRoutes');
 // Import other routes as they are created
 
 dotenv.config();
@@ -236,6 +244,14 @@ app.use('/api/discounts', discountRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/shops', shopRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/debts', debtRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/sales', saleRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/dashboard', dashboardRoutes);
 console.log('Report routes registered successfully');
 console.log('Shop routes registered successfully');
 // Add other routes as they are created
@@ -259,7 +275,14 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       health: '/api/health',
       settings: '/api/settings',
-      shops: '/api/shops'
+      shops: '/api/shops',
+      customers: '/api/customers',
+      debts: '/api/debts',
+      notifications: '/api/notifications',
+      products: '/api/products',
+      categories: '/api/categories',
+      sales: '/api/sales',
+      shifts: '/api/shifts'
     }
   });
 });
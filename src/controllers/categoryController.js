@@ -0,0 +1,150 @@
+/**
+ * Category Controller
+ * Handles HTTP requests for product categories
+ */
+const CategoryService = require('../services/categoryService');
+const { ResponseHelper, LogHelper, logError } = require('../utils');
+
+/**
+ * Build the audit actor for the current request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor details for LogHelper
+ */
+const getActor = (req) => ({
+  actorId: req.user.userId,
+  actorRole: req.user.role,
+  shopId: req.shopId
+});
+
+/**
+ * CategoryController provides methods for handling category requests
+ */
+const CategoryController = {
+  /**
+   * Create a new category
+   * POST /api/categories
+   */
+  createCategory: async (req, res, next) => {
+    try {
+      const { shopId, ...categoryData } = req.validatedData || req.body;
+
+      const category = await CategoryService.createCategory(req.shopId, categoryData, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createProductLog('category_created', category.categoryId, getActor(req), {
+        name: category.name,
+        parentId: category.parentId
+      });
+
+      return ResponseHelper.success(res, 'Category created successfully', { category }, 201);
+    } catch (error) {
+      logError('Failed to create category', 'CategoryController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List categories for a shop, flat or as a tree
+   * GET /api/categories
+   */
+  getCategories: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const categories = await CategoryService.getCategories(req.shopId, query);
+
+      return ResponseHelper.success(res, 'Categories retrieved successfully', { categories });
+    } catch (error) {
+      logError('Failed to list categories', 'CategoryController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Set the display order of several categories
+   * PUT /api/categories/order
+   */
+  reorderCategories: async (req, res, next) => {
+    try {
+      const { items } = req.validatedData || req.body;
+      const updated = await CategoryService.reorderCategories(req.shopId, items);
+
+      return ResponseHelper.success(res, 'Categories reordered successfully', { updated });
+    } catch (error) {
+      logError('Failed to reorder categories', 'CategoryController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a category by ID
+   * GET /api/categories/:categoryId
+   */
+  getCategoryById: async (req, res, next) => {
+    try {
+      const category = await CategoryService.getCategoryById(req.shopId, req.params.categoryId);
+
+      return ResponseHelper.success(res, 'Category retrieved successfully', { category });
+    } catch (error) {
+      logError(`Failed to get category: ${req.params.categoryId}`, 'CategoryController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Update a category
+   * PUT /api/categories/:categoryId
+   */
+  updateCategory: async (req, res, next) => {
+    try {
+      const { shopId, ...updateData } = req.validatedData || req.body;
+
+      const { category, changedFields } = await CategoryService.updateCategory(
+        req.shopId,
+        req.params.categoryId,
+        updateData,
+        { actorId: req.user.userId }
+      );
+
+      await LogHelper.createProductLog('category_updated', category.categoryId, getActor(req), {
+        changedFields
+      });
+
+      return ResponseHelper.success(res, 'Category updated successfully', { category });
+    } catch (error) {
+      logError(`Failed to update category: ${req.params.categoryId}`, 'CategoryController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Soft delete a category and reassign its products
+   * DELETE /api/categories/:categoryId
+   */
+  deleteCategory: async (req, res, next) => {
+    try {
+      const { reassignTo, reason } = req.validatedData || req.body || {};
+
+      const result = await CategoryService.deleteCategory(req.shopId, req.params.categoryId, { reassignTo }, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createProductLog('category_deleted', result.category.categoryId, getActor(req), {
+        reassignTo: reassignTo || null,
+        productsReassigned: result.productsReassigned,
+        subcategoriesMoved: result.subcategoriesMoved,
+        reason: reason || 'No reason provided'
+      });
+
+      return ResponseHelper.success(res, 'Category deleted successfully', {
+        productsReassigned: result.productsReassigned,
+        subcategoriesMoved: result.subcategoriesMoved
+      });
+    } catch (error) {
+      logError(`Failed to delete category: ${req.params.categoryId}`, 'CategoryController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = CategoryController;
@@ -0,0 +1,207 @@
+/**
+ * Customer Controller
+ * Handles HTTP requests for shop customer management
+ */
+const CustomerService = require('../services/customerService');
+const RiskScoringService = require('../services/riskScoringService');
+const { ResponseHelper, LogHelper, logError } = require('../utils');
+
+/**
+ * Build the audit actor for the current request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor details for LogHelper
+ */
+const getActor = (req) => ({
+  actorId: req.user.userId,
+  actorRole: req.user.role,
+  shopId: req.shopId
+});
+
+/**
+ * CustomerController provides methods for handling customer requests
+ */
+const CustomerController = {
+  /**
+   * Create a new customer
+   * POST /api/customers
+   */
+  createCustomer: async (req, res, next) => {
+    try {
+      const { shopId, ...customerData } = req.validatedData || req.body;
+
+      const customer = await CustomerService.createCustomer(req.shopId, customerData, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createCustomerLog('customer_created', customer.customerId, getActor(req), {
+        fullName: customer.fullName,
+        category: customer.category
+      });
+
+      return ResponseHelper.success(res, 'Customer created successfully', { customer }, 201);
+    } catch (error) {
+      logError('Failed to create customer', 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List customers for a shop
+   * GET /api/customers
+   */
+  getCustomers: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await CustomerService.getCustomers(req.shopId, query);
+
+      return ResponseHelper.success(res, 'Customers retrieved successfully', {
+        customers: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list customers', 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List customers with an outstanding balance
+   * GET /api/customers/outstanding
+   */
+  getCustomersWithOutstandingBalance: async (req, res, next) => {
+    try {
+      const customers = await CustomerService.getCustomersWithOutstandingBalance(req.shopId);
+
+      return ResponseHelper.success(res, 'Customers with outstanding balances retrieved successfully', {
+        customers,
+        totalOutstanding: customers.reduce((sum, customer) => sum + customer.outstandingBalance, 0)
+      });
+    } catch (error) {
+      logError('Failed to list customers with outstanding balances', 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List high-risk customers
+   * GET /api/customers/high-risk
+   */
+  getHighRiskCustomers: async (req, res, next) => {
+    try {
+      const customers = await CustomerService.getHighRiskCustomers(req.shopId);
+
+      return ResponseHelper.success(res, 'High-risk customers retrieved successfully', { customers });
+    } catch (error) {
+      logError('Failed to list high-risk customers', 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a customer by ID
+   * GET /api/customers/:customerId
+   */
+  getCustomerById: async (req, res, next) => {
+    try {
+      const customer = await CustomerService.getCustomerById(req.shopId, req.params.customerId);
+
+      return ResponseHelper.success(res, 'Customer retrieved successfully', { customer });
+    } catch (error) {
+      logError(`Failed to get customer: ${req.params.customerId}`, 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a customer's last risk assessment
+   * GET /api/customers/:customerId/risk
+   */
+  getCustomerRisk: async (req, res, next) => {
+    try {
+      const customer = await CustomerService.getCustomerById(req.shopId, req.params.customerId);
+      const assessment = customer.riskAssessment || {};
+
+      return ResponseHelper.success(res, 'Customer risk retrieved successfully', {
+        customerId: customer.customerId,
+        score: customer.riskScore,
+        level: assessment.level,
+        factors: assessment.factors || [],
+        assessedAt: assessment.assessedAt || null
+      });
+    } catch (error) {
+      logError(`Failed to get risk for customer: ${req.params.customerId}`, 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Recompute a customer's risk score
+   * POST /api/customers/:customerId/risk/recalculate
+   */
+  recalculateCustomerRisk: async (req, res, next) => {
+    try {
+      const assessment = await RiskScoringService.assessCustomer(req.shopId, req.params.customerId);
+
+      await LogHelper.createCustomerLog('customer_risk_recalculated', assessment.customerId, getActor(req), {
+        score: assessment.score,
+        level: assessment.level
+      });
+
+      return ResponseHelper.success(res, 'Customer risk recalculated successfully', assessment);
+    } catch (error) {
+      logError(`Failed to recalculate risk for customer: ${req.params.customerId}`, 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Update a customer
+   * PUT /api/customers/:customerId
+   */
+  updateCustomer: async (req, res, next) => {
+    try {
+      const { shopId, ...updateData } = req.validatedData || req.body;
+
+      const { customer, changedFields } = await CustomerService.updateCustomer(
+        req.shopId,
+        req.params.customerId,
+        updateData,
+        { actorId: req.user.userId }
+      );
+
+      await LogHelper.createCustomerLog('customer_updated', customer.customerId, getActor(req), {
+        changedFields
+      });
+
+      return ResponseHelper.success(res, 'Customer updated successfully', { customer });
+    } catch (error) {
+      logError(`Failed to update customer: ${req.params.customerId}`, 'CustomerController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Soft delete a customer
+   * DELETE /api/customers/:customerId
+   */
+  deleteCustomer: async (req, res, next) => {
+    try {
+      const { reason } = req.validatedData || req.body || {};
+
+      const customer = await CustomerService.deleteCustomer(req.shopId, req.params.customerId, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createCustomerLog('customer_deleted', customer.customerId, getActor(req), {
+        reason: reason || 'No reason provided'
+      });
+
+      return ResponseHelper.success(res, 'Customer deleted successfully');
+    } catch (error) {
+      logError(`Failed to delete customer: ${req.params.customerId}`, 'CustomerController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = CustomerController;
@@ -0,0 +1,52 @@
+/**
+ * Dashboard Controller
+ * Handles HTTP requests for dashboard chart data
+ */
+const FinancialSnapshotService = require('../services/financialSnapshotService');
+const DebtAgingService = require('../services/debtAgingService');
+const { ResponseHelper, logError } = require('../utils');
+
+/**
+ * DashboardController provides methods for handling dashboard requests
+ */
+const DashboardController = {
+  /**
+   * Get daily or monthly financial snapshots for charts
+   * GET /api/dashboard/snapshots
+   */
+  getSnapshots: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await FinancialSnapshotService.getSnapshots(query, {
+        actorRole: req.user.role,
+        shopId: req.user.shopId
+      });
+
+      return ResponseHelper.success(res, 'Financial snapshots retrieved successfully', result);
+    } catch (error) {
+      logError('Failed to retrieve financial snapshots', 'DashboardController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get outstanding debt split into aging buckets
+   * GET /api/dashboard/aging
+   */
+  getDebtAging: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const analysis = await DebtAgingService.getAgingAnalysis(query, {
+        actorRole: req.user.role,
+        shopId: req.user.shopId
+      });
+
+      return ResponseHelper.success(res, 'Debt aging analysis retrieved successfully', analysis);
+    } catch (error) {
+      logError('Failed to retrieve debt aging analysis', 'DashboardController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = DashboardController;
@@ -0,0 +1,745 @@
+/**
+ * Debt Controller
+ * Handles HTTP requests for the customer debt ledger
+ */
+const DebtService = require('../services/debtService');
+const LateFeeService = require('../services/lateFeeService');
+const ReceiptService = require('../services/receiptService');
+const CreditDecisionService = require('../services/creditDecisionService');
+const CreditRequestService = require('../services/creditRequestService');
+const CollectionService = require('../services/collectionService');
+const InstallmentService = require('../services/installmentService');
+const { ResponseHelper, LogHelper, logError } = require('../utils');
+
+/**
+ * Build the audit actor for the current request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor details for LogHelper
+ */
+const getActor = (req) => ({
+  actorId: req.user.userId,
+  actorRole: req.user.role,
+  shopId: req.shopId
+});
+
+/**
+ * Log and send the result of a repayment allocation
+ * Pending repayments are acknowledged with 202 since the ledger is not touched yet
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} result - Result from DebtService.applyRepayment
+ * @returns {Object} Express response
+ */
+const sendRepaymentResult = async (req, res, result) => {
+  const pending = result.status === 'pending_approval';
+
+  await LogHelper.createDebtLog(
+    pending ? 'debt_repayment_pending_approval' : 'debt_repayment_recorded',
+    result.allocationGroupId,
+    getActor(req),
+    {
+      amount: result.amount,
+      creditAmount: result.creditAmount,
+      allocations: result.payments.map(payment => ({
+        paymentId: payment.paymentId,
+        debtId: payment.debtId || null,
+        amount: payment.amount
+      }))
+    }
+  );
+
+  return ResponseHelper.success(
+    res,
+    pending ? 'Repayment recorded and awaiting approval' : 'Repayment recorded successfully',
+    result,
+    pending ? 202 : 201
+  );
+};
+
+/**
+ * Log credit the credit gate stopped, and acknowledge held credit with 202
+ * Declines are passed on to the error handler as 403 with the decision attached
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next middleware function
+ * @param {AppError} error - Decision error from the credit gate
+ * @returns {Object} Express response
+ */
+const sendCreditDecision = async (req, res, next, error) => {
+  const { decision, creditRequest, customerId, amount } = error.data;
+  const queued = decision.outcome === 'queue';
+
+  await LogHelper.createDebtLog(
+    queued ? 'credit_request_queued' : 'credit_request_declined',
+    creditRequest ? creditRequest.requestId : customerId,
+    getActor(req),
+    {
+      customerId,
+      amount,
+      reasons: decision.reasons.map(reason => reason.code),
+      riskScore: decision.riskScore
+    }
+  );
+
+  if (!queued) {
+    return next(error);
+  }
+
+  return ResponseHelper.success(res, error.message, error.data, 202);
+};
+
+/**
+ * DebtController provides methods for handling debt requests
+ */
+const DebtController = {
+  /**
+   * Record a new debt
+   * POST /api/debts
+   */
+  createDebt: async (req, res, next) => {
+    try {
+      const { shopId, ...debtData } = req.validatedData || req.body;
+
+      const debt = await DebtService.createDebt(req.shopId, debtData, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createDebtLog('debt_created', debt.debtId, getActor(req), {
+        customerId: debt.customerId,
+        debtAmount: debt.debtAmount,
+        dueDate: debt.dueDate
+      });
+
+      return ResponseHelper.success(res, 'Debt recorded successfully', { debt }, 201);
+    } catch (error) {
+      if (CreditDecisionService.isDecisionError(error)) {
+        return sendCreditDecision(req, res, next, error);
+      }
+
+      logError('Failed to create debt', 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List debts for a shop
+   * GET /api/debts
+   */
+  getDebts: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await DebtService.getDebts(req.shopId, query);
+
+      return ResponseHelper.success(res, 'Debts retrieved successfully', {
+        debts: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list debts', 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a debt by ID
+   * GET /api/debts/:debtId
+   */
+  getDebtById: async (req, res, next) => {
+    try {
+      const debt = await DebtService.getDebtById(req.shopId, req.params.debtId);
+
+      return ResponseHelper.success(res, 'Debt retrieved successfully', { debt });
+    } catch (error) {
+      logError(`Failed to get debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Update debt details
+   * PUT /api/debts/:debtId
+   */
+  updateDebt: async (req, res, next) => {
+    try {
+      const { shopId, ...updateData } = req.validatedData || req.body;
+
+      const { debt, changedFields } = await DebtService.updateDebt(
+        req.shopId,
+        req.params.debtId,
+        updateData,
+        { actorId: req.user.userId }
+      );
+
+      await LogHelper.createDebtLog('debt_updated', debt.debtId, getActor(req), {
+        changedFields
+      });
+
+      return ResponseHelper.success(res, 'Debt updated successfully', { debt });
+    } catch (error) {
+      logError(`Failed to update debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Record a repayment against a debt
+   * POST /api/debts/:debtId/payments
+   */
+  recordRepayment: async (req, res, next) => {
+    try {
+      const { shopId, ...paymentData } = req.validatedData || req.body;
+
+      const result = await DebtService.recordRepayment(
+        req.shopId,
+        req.params.debtId,
+        paymentData,
+        { actorId: req.user.userId, ipAddress: req.ip }
+      );
+
+      return await sendRepaymentResult(req, res, result);
+    } catch (error) {
+      logError(`Failed to record repayment for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Record a customer repayment allocated across open debts
+   * POST /api/debts/repayments
+   */
+  applyRepayment: async (req, res, next) => {
+    try {
+      const { shopId, ...paymentData } = req.validatedData || req.body;
+
+      const result = await DebtService.applyRepayment(req.shopId, paymentData, {
+        actorId: req.user.userId,
+        ipAddress: req.ip
+      });
+
+      return await sendRepaymentResult(req, res, result);
+    } catch (error) {
+      logError('Failed to apply repayment', 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List repayments waiting for approval
+   * GET /api/debts/repayments/pending
+   */
+  getPendingRepayments: async (req, res, next) => {
+    try {
+      const payments = await DebtService.getPendingRepayments(req.shopId);
+
+      return ResponseHelper.success(res, 'Pending repayments retrieved successfully', { payments });
+    } catch (error) {
+      logError('Failed to list pending repayments', 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Approve a pending repayment
+   * POST /api/debts/repayments/:allocationGroupId/approve
+   */
+  approveRepayment: async (req, res, next) => {
+    try {
+      const { allocationGroupId } = req.params;
+
+      const { payments, debts } = await DebtService.approveRepayment(req.shopId, allocationGroupId, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createDebtLog('debt_repayment_approved', allocationGroupId, getActor(req), {
+        paymentIds: payments.map(payment => payment.paymentId),
+        debtIds: debts.map(debt => debt.debtId),
+        amount: payments.reduce((sum, payment) => sum + payment.amount, 0)
+      });
+
+      return ResponseHelper.success(res, 'Repayment approved successfully', { allocationGroupId, payments, debts });
+    } catch (error) {
+      logError(`Failed to approve repayment: ${req.params.allocationGroupId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Reject a pending repayment
+   * POST /api/debts/repayments/:allocationGroupId/reject
+   */
+  rejectRepayment: async (req, res, next) => {
+    try {
+      const { allocationGroupId } = req.params;
+      const { reason } = req.validatedData || req.body;
+
+      const payments = await DebtService.rejectRepayment(req.shopId, allocationGroupId, reason, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createDebtLog('debt_repayment_rejected', allocationGroupId, getActor(req), {
+        paymentIds: payments.map(payment => payment.paymentId),
+        reason
+      });
+
+      return ResponseHelper.success(res, 'Repayment rejected successfully', { allocationGroupId, payments });
+    } catch (error) {
+      logError(`Failed to reject repayment: ${req.params.allocationGroupId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List credit requests
+   * GET /api/debts/credit-requests
+   */
+  getCreditRequests: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await CreditRequestService.getCreditRequests(req.shopId, query);
+
+      return ResponseHelper.success(res, 'Credit requests retrieved successfully', {
+        creditRequests: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list credit requests', 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a credit request by ID
+   * GET /api/debts/credit-requests/:requestId
+   */
+  getCreditRequestById: async (req, res, next) => {
+    try {
+      const creditRequest = await CreditRequestService.getCreditRequestById(req.shopId, req.params.requestId);
+
+      return ResponseHelper.success(res, 'Credit request retrieved successfully', { creditRequest });
+    } catch (error) {
+      logError(`Failed to get credit request: ${req.params.requestId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Approve a credit request, or override an automatic decline
+   * POST /api/debts/credit-requests/:requestId/approve
+   */
+  approveCreditRequest: async (req, res, next) => {
+    try {
+      const { requestId } = req.params;
+      const { note } = req.validatedData || req.body;
+
+      const result = await CreditRequestService.approveCreditRequest(req.shopId, requestId, note, {
+        actorId: req.user.userId,
+        actorRole: req.user.role
+      });
+
+      await LogHelper.createDebtLog(
+        result.overridden ? 'credit_decline_overridden' : 'credit_request_approved',
+        requestId,
+        getActor(req),
+        {
+          customerId: result.creditRequest.customerId,
+          amount: result.creditRequest.amount,
+          reasons: result.creditRequest.decision.reasons.map(reason => reason.code),
+          debtId: result.debt.debtId,
+          saleId: result.sale ? result.sale.saleId : null,
+          note: note || null
+        }
+      );
+
+      return ResponseHelper.success(
+        res,
+        result.overridden ? 'Automatic decline overridden and credit booked' : 'Credit request approved successfully',
+        result,
+        201
+      );
+    } catch (error) {
+      logError(`Failed to approve credit request: ${req.params.requestId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Decline a pending credit request
+   * POST /api/debts/credit-requests/:requestId/decline
+   */
+  declineCreditRequest: async (req, res, next) => {
+    try {
+      const { requestId } = req.params;
+      const { reason } = req.validatedData || req.body;
+
+      const creditRequest = await CreditRequestService.declineCreditRequest(req.shopId, requestId, reason, {
+        actorId: req.user.userId,
+        actorRole: req.user.role
+      });
+
+      await LogHelper.createDebtLog('credit_request_declined', requestId, getActor(req), {
+        customerId: creditRequest.customerId,
+        amount: creditRequest.amount,
+        reason
+      });
+
+      return ResponseHelper.success(res, 'Credit request declined successfully', { creditRequest });
+    } catch (error) {
+      logError(`Failed to decline credit request: ${req.params.requestId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get the repayment history of a debt
+   * GET /api/debts/:debtId/payments
+   */
+  getDebtPayments: async (req, res, next) => {
+    try {
+      const payments = await DebtService.getDebtPayments(req.shopId, req.params.debtId);
+
+      return ResponseHelper.success(res, 'Debt payments retrieved successfully', { payments });
+    } catch (error) {
+      logError(`Failed to get payments for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Render the receipt of a debt repayment as thermal text, HTML or PDF
+   * GET /api/debts/payments/:paymentId/receipt
+   */
+  getPaymentReceipt: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const receipt = await ReceiptService.renderPaymentReceipt(req.shopId, req.params.paymentId, {
+        format: query.format,
+        width: query.width
+      });
+
+      return ResponseHelper.document(res, receipt);
+    } catch (error) {
+      logError(`Failed to render receipt for payment: ${req.params.paymentId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get the late fees of a debt
+   * GET /api/debts/:debtId/late-fees
+   */
+  getLateFees: async (req, res, next) => {
+    try {
+      const debt = await DebtService.getDebtById(req.shopId, req.params.debtId);
+      const lateFees = await LateFeeService.getLateFeesForDebt(req.shopId, debt.debtId);
+
+      return ResponseHelper.success(res, 'Late fees retrieved successfully', {
+        lateFees,
+        lateFeeAmount: debt.lateFeeAmount
+      });
+    } catch (error) {
+      logError(`Failed to get late fees for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Waive a late fee
+   * POST /api/debts/late-fees/:feeId/waive
+   */
+  waiveLateFee: async (req, res, next) => {
+    try {
+      const { reason } = req.validatedData || req.body;
+
+      const { fee, debt, creditAmount } = await LateFeeService.waiveLateFee(
+        req.shopId,
+        req.params.feeId,
+        reason,
+        { actorId: req.user.userId }
+      );
+
+      await LogHelper.createDebtLog('late_fee_waived', debt.debtId, getActor(req), {
+        feeId: fee.feeId,
+        amount: fee.amount,
+        creditAmount,
+        reason
+      });
+
+      return ResponseHelper.success(res, 'Late fee waived successfully', { lateFee: fee, debt });
+    } catch (error) {
+      logError(`Failed to waive late fee: ${req.params.feeId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get the installment plan of a debt
+   * GET /api/debts/:debtId/installments
+   */
+  getInstallmentPlan: async (req, res, next) => {
+    try {
+      const result = await InstallmentService.getInstallmentPlan(req.shopId, req.params.debtId);
+
+      return ResponseHelper.success(res, 'Installment plan retrieved successfully', result);
+    } catch (error) {
+      logError(`Failed to get installment plan for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Split a debt into installments
+   * POST /api/debts/:debtId/installments
+   */
+  createInstallmentPlan: async (req, res, next) => {
+    try {
+      const debt = await InstallmentService.createInstallmentPlan(
+        req.shopId,
+        req.params.debtId,
+        req.validatedData || req.body,
+        { actorId: req.user.userId }
+      );
+      const plan = debt.installmentPlan;
+
+      await LogHelper.createDebtLog('installment_plan_created', debt.debtId, getActor(req), {
+        customerId: debt.customerId,
+        frequency: plan.frequency,
+        installments: plan.installments.map(({ number, amount, dueDate }) => ({ number, amount, dueDate })),
+        originalDueDate: plan.originalDueDate
+      });
+
+      return ResponseHelper.success(res, 'Installment plan created successfully', { debt }, 201);
+    } catch (error) {
+      logError(`Failed to create installment plan for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Reschedule the open installments of a debt
+   * POST /api/debts/:debtId/installments/reschedule
+   */
+  rescheduleInstallmentPlan: async (req, res, next) => {
+    try {
+      const planData = req.validatedData || req.body;
+
+      const { debt, previousInstallments } = await InstallmentService.rescheduleInstallmentPlan(
+        req.shopId,
+        req.params.debtId,
+        planData,
+        { actorId: req.user.userId }
+      );
+      const toSummary = ({ number, amount, dueDate }) => ({ number, amount, dueDate });
+
+      await LogHelper.createDebtLog('installment_plan_rescheduled', debt.debtId, getActor(req), {
+        customerId: debt.customerId,
+        reason: planData.reason,
+        frequency: debt.installmentPlan.frequency,
+        previousInstallments: previousInstallments.map(toSummary),
+        installments: debt.installmentPlan.installments.map(toSummary)
+      });
+
+      return ResponseHelper.success(res, 'Installment plan rescheduled successfully', { debt });
+    } catch (error) {
+      logError(`Failed to reschedule installment plan for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List debts in collections
+   * GET /api/debts/collections
+   */
+  getCollections: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await CollectionService.getCollections(req.shopId, query, {
+        actorId: req.user.userId,
+        actorRole: req.user.role
+      });
+
+      return ResponseHelper.success(res, 'Collections retrieved successfully', {
+        debts: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list collections', 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Send a debt to collections, or reassign its case
+   * POST /api/debts/:debtId/collection
+   */
+  assignCollection: async (req, res, next) => {
+    try {
+      const caseData = req.validatedData || req.body;
+
+      const { debt, opened, previousAssignee } = await CollectionService.assignCase(
+        req.shopId,
+        req.params.debtId,
+        caseData,
+        { actorId: req.user.userId }
+      );
+
+      await LogHelper.createDebtLog(opened ? 'collection_opened' : 'collection_assigned', debt.debtId, getActor(req), {
+        customerId: debt.customerId,
+        remainingAmount: debt.remainingAmount,
+        assignedTo: debt.collectionCase.assignedTo || null,
+        previousAssignee,
+        nextFollowUpAt: debt.collectionCase.nextFollowUpAt,
+        note: caseData.note || null
+      });
+
+      return ResponseHelper.success(
+        res,
+        opened ? 'Debt sent to collections successfully' : 'Collection case updated successfully',
+        { debt },
+        opened ? 201 : 200
+      );
+    } catch (error) {
+      logError(`Failed to assign collection for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Log a contact attempt on a collection case
+   * POST /api/debts/:debtId/collection/contacts
+   */
+  logCollectionContact: async (req, res, next) => {
+    try {
+      const { debt, contact } = await CollectionService.logContact(
+        req.shopId,
+        req.params.debtId,
+        req.validatedData || req.body,
+        { actorId: req.user.userId, actorRole: req.user.role }
+      );
+
+      await LogHelper.createDebtLog('collection_contact_logged', debt.debtId, getActor(req), {
+        channel: contact.channel,
+        outcome: contact.outcome,
+        contactedAt: contact.contactedAt,
+        nextFollowUpAt: debt.collectionCase.nextFollowUpAt
+      });
+
+      return ResponseHelper.success(res, 'Contact logged successfully', { debt, contact }, 201);
+    } catch (error) {
+      logError(`Failed to log contact for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Record a promise to pay on a collection case
+   * POST /api/debts/:debtId/collection/promises
+   */
+  recordPaymentPromise: async (req, res, next) => {
+    try {
+      const { debt, promise, replaced } = await CollectionService.recordPromise(
+        req.shopId,
+        req.params.debtId,
+        req.validatedData || req.body,
+        { actorId: req.user.userId, actorRole: req.user.role }
+      );
+
+      await LogHelper.createDebtLog('collection_promise_recorded', debt.debtId, getActor(req), {
+        promiseId: promise._id.toString(),
+        amount: promise.amount,
+        promisedDate: promise.promisedDate,
+        replacedPromises: replaced
+      });
+
+      return ResponseHelper.success(res, 'Promise to pay recorded successfully', { debt, promise }, 201);
+    } catch (error) {
+      logError(`Failed to record promise for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Schedule the next follow-up on a collection case
+   * POST /api/debts/:debtId/collection/follow-up
+   */
+  scheduleCollectionFollowUp: async (req, res, next) => {
+    try {
+      const debt = await CollectionService.scheduleFollowUp(
+        req.shopId,
+        req.params.debtId,
+        req.validatedData || req.body,
+        { actorId: req.user.userId, actorRole: req.user.role }
+      );
+
+      await LogHelper.createDebtLog('collection_follow_up_scheduled', debt.debtId, getActor(req), {
+        followUpAt: debt.collectionCase.nextFollowUpAt,
+        note: debt.collectionCase.followUpNote || null
+      });
+
+      return ResponseHelper.success(res, 'Follow-up scheduled successfully', { debt });
+    } catch (error) {
+      logError(`Failed to schedule follow-up for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Close a collection case by settlement or write-off
+   * POST /api/debts/:debtId/collection/resolve
+   */
+  resolveCollection: async (req, res, next) => {
+    try {
+      const resolutionData = req.validatedData || req.body;
+
+      const { debt, writtenOffAmount, collectedAmount } = await CollectionService.resolveCase(
+        req.shopId,
+        req.params.debtId,
+        resolutionData,
+        { actorId: req.user.userId, actorRole: req.user.role }
+      );
+
+      await LogHelper.createDebtLog('collection_resolved', debt.debtId, getActor(req), {
+        customerId: debt.customerId,
+        resolution: resolutionData.resolution,
+        writtenOffAmount,
+        collectedAmount,
+        note: resolutionData.note
+      });
+
+      return ResponseHelper.success(
+        res,
+        resolutionData.resolution === 'write-off' ? 'Debt written off successfully' : 'Collection settled successfully',
+        { debt, writtenOffAmount, collectedAmount }
+      );
+    } catch (error) {
+      logError(`Failed to resolve collection for debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Soft delete a debt
+   * DELETE /api/debts/:debtId
+   */
+  deleteDebt: async (req, res, next) => {
+    try {
+      const { reason } = req.validatedData || req.body || {};
+
+      const debt = await DebtService.deleteDebt(req.shopId, req.params.debtId, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createDebtLog('debt_deleted', debt.debtId, getActor(req), {
+        customerId: debt.customerId,
+        debtAmount: debt.debtAmount,
+        reason: reason || 'No reason provided'
+      });
+
+      return ResponseHelper.success(res, 'Debt deleted successfully');
+    } catch (error) {
+      logError(`Failed to delete debt: ${req.params.debtId}`, 'DebtController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = DebtController;
@@ -0,0 +1,186 @@
+/**
+ * Notification Controller
+ * Handles HTTP requests for the in-app inbox and notification delivery management
+ */
+const NotificationService = require('../services/notificationService');
+const NotificationQueueService = require('../services/notificationQueueService');
+const { ResponseHelper, LogHelper, logError } = require('../utils');
+
+/**
+ * Build the audit actor for the current request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor details for LogHelper
+ */
+const getActor = (req) => ({
+  actorId: req.user.userId,
+  actorRole: req.user.role,
+  shopId: req.user.shopId || null
+});
+
+/**
+ * Resolve which shop's notifications the caller may manage
+ * Super admins see every shop unless they filter by shopId; admins only their own shop
+ * @param {Object} req - Express request
+ * @param {Object} data - Validated query or body
+ * @returns {string|null} Shop ID, or null for all shops
+ */
+const getScopeShopId = (req, data) => {
+  if (req.user.role === 'superAdmin') {
+    return data.shopId || null;
+  }
+
+  return req.user.shopId;
+};
+
+/**
+ * NotificationController provides methods for handling notification requests
+ */
+const NotificationController = {
+  /**
+   * Get the authenticated user's inbox
+   * GET /api/notifications
+   */
+  getInbox: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await NotificationService.getInbox(req.user, query);
+
+      return ResponseHelper.success(res, 'Notifications retrieved successfully', {
+        notifications: result.items,
+        unreadCount: result.unreadCount,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to get notification inbox', 'NotificationController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get the authenticated user's unread count (for badges)
+   * GET /api/notifications/unread-count
+   */
+  getUnreadCount: async (req, res, next) => {
+    try {
+      const unreadCount = await NotificationService.getUnreadCount(req.user);
+
+      return ResponseHelper.success(res, 'Unread count retrieved successfully', { unreadCount });
+    } catch (error) {
+      logError('Failed to get unread notification count', 'NotificationController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Mark every unread notification as read
+   * PUT /api/notifications/read-all
+   */
+  markAllAsRead: async (req, res, next) => {
+    try {
+      const data = req.validatedData || req.body;
+      const updated = await NotificationService.markAllAsRead(req.user, data);
+
+      return ResponseHelper.success(res, 'Notifications marked as read', { updated });
+    } catch (error) {
+      logError('Failed to mark all notifications as read', 'NotificationController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Mark a notification as read
+   * PUT /api/notifications/:notificationId/read
+   */
+  markAsRead: async (req, res, next) => {
+    try {
+      const notification = await NotificationService.markAsRead(req.user, req.params.notificationId);
+
+      return ResponseHelper.success(res, 'Notification marked as read', { notification });
+    } catch (error) {
+      logError(`Failed to mark notification ${req.params.notificationId} as read`, 'NotificationController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Remove a notification from the inbox
+   * DELETE /api/notifications/:notificationId
+   */
+  deleteNotification: async (req, res, next) => {
+    try {
+      await NotificationService.deleteNotification(req.user, req.params.notificationId);
+
+      return ResponseHelper.success(res, 'Notification deleted successfully');
+    } catch (error) {
+      logError(`Failed to delete notification ${req.params.notificationId}`, 'NotificationController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List notifications that exhausted their retries
+   * GET /api/notifications/failed
+   */
+  getFailedNotifications: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await NotificationQueueService.getFailedNotifications(getScopeShopId(req, query), query);
+
+      return ResponseHelper.success(res, 'Failed notifications retrieved successfully', {
+        notifications: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list failed notifications', 'NotificationController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Re-queue failed notifications in bulk
+   * POST /api/notifications/failed/requeue
+   */
+  requeueFailedNotifications: async (req, res, next) => {
+    try {
+      const data = req.validatedData || req.body;
+      const shopId = getScopeShopId(req, data);
+      const requeued = await NotificationQueueService.requeueFailed(shopId, {
+        notificationIds: data.notificationIds,
+        type: data.type
+      });
+
+      await LogHelper.createNotificationLog('notifications_requeued', shopId || 'all', getActor(req), {
+        requeued,
+        notificationIds: data.notificationIds || null,
+        type: data.type || null
+      });
+
+      return ResponseHelper.success(res, 'Failed notifications re-queued successfully', { requeued });
+    } catch (error) {
+      logError('Failed to re-queue notifications', 'NotificationController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Re-queue a single failed notification
+   * POST /api/notifications/:notificationId/requeue
+   */
+  requeueNotification: async (req, res, next) => {
+    try {
+      const { notificationId } = req.params;
+      const shopId = getScopeShopId(req, {});
+
+      await NotificationQueueService.requeueFailed(shopId, { notificationIds: [notificationId] });
+
+      await LogHelper.createNotificationLog('notification_requeued', notificationId, getActor(req));
+
+      return ResponseHelper.success(res, 'Notification re-queued successfully', { notificationId });
+    } catch (error) {
+      logError(`Failed to re-queue notification ${req.params.notificationId}`, 'NotificationController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = NotificationController;
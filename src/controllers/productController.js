@@ -0,0 +1,245 @@
+/**
+ * Product Controller
+ * Handles HTTP requests for the shop product catalog and stock ledger
+ */
+const ProductService = require('../services/productService');
+const StockService = require('../services/stockService');
+const { ResponseHelper, LogHelper, logError } = require('../utils');
+
+/**
+ * Build the audit actor for the current request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor details for LogHelper
+ */
+const getActor = (req) => ({
+  actorId: req.user.userId,
+  actorRole: req.user.role,
+  shopId: req.shopId
+});
+
+/**
+ * ProductController provides methods for handling product requests
+ */
+const ProductController = {
+  /**
+   * Create a new product
+   * POST /api/products
+   */
+  createProduct: async (req, res, next) => {
+    try {
+      const { shopId, ...productData } = req.validatedData || req.body;
+
+      const product = await ProductService.createProduct(req.shopId, productData, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createProductLog('product_created', product.productId, getActor(req), {
+        name: product.name,
+        sku: product.sku,
+        price: product.price
+      });
+
+      return ResponseHelper.success(res, 'Product created successfully', { product }, 201);
+    } catch (error) {
+      logError('Failed to create product', 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List products for a shop
+   * GET /api/products
+   */
+  getProducts: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await ProductService.getProducts(req.shopId, query);
+
+      return ResponseHelper.success(res, 'Products retrieved successfully', {
+        products: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list products', 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Update prices for many products at once
+   * PUT /api/products/prices
+   */
+  bulkUpdatePrices: async (req, res, next) => {
+    try {
+      const { shopId, ...data } = req.validatedData || req.body;
+
+      const result = await ProductService.bulkUpdatePrices(req.shopId, data, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createProductLog('product_prices_bulk_updated', req.shopId, getActor(req), {
+        updated: result.updated,
+        mode: data.updates ? 'explicit' : data.adjustment.type,
+        changes: result.changes
+      });
+
+      return ResponseHelper.success(res, 'Product prices updated successfully', result);
+    } catch (error) {
+      logError('Failed to bulk update product prices', 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List stock movements across the shop
+   * GET /api/products/stock-movements
+   */
+  getStockMovements: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await StockService.getMovements(req.shopId, query);
+
+      return ResponseHelper.success(res, 'Stock movements retrieved successfully', {
+        movements: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list stock movements', 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a product by ID
+   * GET /api/products/:productId
+   */
+  getProductById: async (req, res, next) => {
+    try {
+      const product = await ProductService.getProductById(req.shopId, req.params.productId);
+
+      return ResponseHelper.success(res, 'Product retrieved successfully', { product });
+    } catch (error) {
+      logError(`Failed to get product: ${req.params.productId}`, 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Update a product
+   * PUT /api/products/:productId
+   */
+  updateProduct: async (req, res, next) => {
+    try {
+      const { shopId, ...updateData } = req.validatedData || req.body;
+
+      const { product, changedFields } = await ProductService.updateProduct(
+        req.shopId,
+        req.params.productId,
+        updateData,
+        { actorId: req.user.userId }
+      );
+
+      await LogHelper.createProductLog('product_updated', product.productId, getActor(req), {
+        changedFields
+      });
+
+      return ResponseHelper.success(res, 'Product updated successfully', { product });
+    } catch (error) {
+      logError(`Failed to update product: ${req.params.productId}`, 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Record a manual stock movement (adjustment, receipt, damage or write-off)
+   * POST /api/products/:productId/stock-movements
+   */
+  recordStockMovement: async (req, res, next) => {
+    try {
+      const { shopId, ...data } = req.validatedData || req.body;
+
+      const { movement, product } = await StockService.recordManualMovement(
+        req.shopId,
+        req.params.productId,
+        data,
+        { actorId: req.user.userId }
+      );
+
+      await LogHelper.createProductLog('stock_movement_recorded', product.productId, getActor(req), {
+        movementId: movement.movementId,
+        type: movement.type,
+        quantity: movement.quantity,
+        damagedQuantity: movement.damagedQuantity,
+        balanceAfter: movement.balanceAfter,
+        note: movement.note
+      });
+
+      return ResponseHelper.success(res, 'Stock movement recorded successfully', { movement, product }, 201);
+    } catch (error) {
+      logError(`Failed to record stock movement for product: ${req.params.productId}`, 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List stock movements for a product
+   * GET /api/products/:productId/stock-movements
+   */
+  getProductStockMovements: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await StockService.getMovements(req.shopId, {
+        ...query,
+        productId: req.params.productId
+      });
+
+      return ResponseHelper.success(res, 'Stock movements retrieved successfully', {
+        movements: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError(`Failed to list stock movements for product: ${req.params.productId}`, 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Compare stored stock with the stock derived from the ledger
+   * GET /api/products/:productId/stock
+   */
+  getStockSummary: async (req, res, next) => {
+    try {
+      const summary = await StockService.getStockSummary(req.shopId, req.params.productId);
+
+      return ResponseHelper.success(res, 'Stock summary retrieved successfully', { stock: summary });
+    } catch (error) {
+      logError(`Failed to get stock summary for product: ${req.params.productId}`, 'ProductController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Soft delete a product
+   * DELETE /api/products/:productId
+   */
+  deleteProduct: async (req, res, next) => {
+    try {
+      const { reason } = req.validatedData || req.body || {};
+
+      const product = await ProductService.deleteProduct(req.shopId, req.params.productId, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createProductLog('product_deleted', product.productId, getActor(req), {
+        reason: reason || 'No reason provided'
+      });
+
+      return ResponseHelper.success(res, 'Product deleted successfully');
+    } catch (error) {
+      logError(`Failed to delete product: ${req.params.productId}`, 'ProductController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = ProductController;
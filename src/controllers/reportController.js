@@ -1,4 +1,5 @@
 const ReportService = require('../services/reportService');
+const ReportScheduleService = require('../services/reportScheduleService');
 const ShopService = require('../services/shopService');
 
 // Import utility modules
@@ -118,6 +119,43 @@ const ReportController = {
     }
   },
   
+  /**
+   * Download a report's generated file
+   * GET /api/reports/:reportId/download
+   * Requires authentication
+   */
+  downloadReport: async (req, res, next) => {
+    try {
+      const { reportId } = req.params;
+      const { userId, role, shopId } = req.user;
+      
+      // Set authorization options
+      const options = {
+        role,
+        shopId: role !== 'superAdmin' ? shopId : undefined
+      };
+      
+      // Get the report file
+      const reportFile = await ReportService.getReportFile(reportId, options);
+      
+      // Create audit log
+      await LogHelper.createAdminLog('report_downloaded', {
+        actorId: userId,
+        actorRole: role,
+        shopId: role !== 'superAdmin' ? shopId : null,
+        details: {
+          reportId,
+          filename: reportFile.filename
+        }
+      });
+      
+      return ResponseHelper.document(res, reportFile, 'attachment');
+    } catch (error) {
+      logError(`Error downloading report ${req.params.reportId}`, 'ReportController', error);
+      return next(error);
+    }
+  },
+  
   /**
    * Get reports by shop
    * GET /api/reports/shop/:shopId
@@ -376,41 +414,192 @@ const ReportController = {
    * POST /api/reports/schedule
    * Requires authentication and superAdmin role for system-wide reports
    */
-  scheduleReportDelivery: async (req, res, next) => {
+  createReportSchedule: async (req, res, next) => {
     try {
       const scheduleData = req.validatedData || req.body;
       const { userId, role, shopId } = req.user;
       
-      // Set authorization options
-      const options = {
-        role,
-        shopId: role !== 'superAdmin' ? shopId : undefined
-      };
-      
-      // Schedule the report delivery
-      const result = await ReportService.scheduleReportDelivery(scheduleData, options);
+      const schedule = await ReportScheduleService.createSchedule(scheduleData, {
+        actorId: userId,
+        actorRole: role,
+        shopId
+      });
       
       // Create audit log
       await LogHelper.createAdminLog('report_delivery_scheduled', {
         actorId: userId,
         actorRole: role,
-        shopId: role !== 'superAdmin' ? shopId : scheduleData.shopId,
+        shopId: schedule.isSystemWide ? null : schedule.shopId,
         details: {
-          scheduleId: result.schedule.id,
-          frequency: scheduleData.frequency,
-          reportType: scheduleData.reportType
+          scheduleId: schedule.scheduleId,
+          frequency: schedule.frequency,
+          reportType: schedule.reportType
         }
       });
       
       return ResponseHelper.success(
         res, 
         'Report delivery scheduled successfully',
-        { schedule: result.schedule }
+        { schedule },
+        201
       );
     } catch (error) {
       logError('Error scheduling report delivery', 'ReportController', error);
       return next(error);
     }
+  },
+  
+  /**
+   * List report delivery schedules
+   * GET /api/reports/schedule
+   * Admins see their own shop's schedules
+   */
+  getReportSchedules: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const { role, shopId } = req.user;
+      
+      const result = await ReportScheduleService.getSchedules(query, { actorRole: role, shopId });
+      
+      return ResponseHelper.success(
+        res, 
+        'Report schedules retrieved successfully',
+        { 
+          schedules: result.items,
+          pagination: result.pagination
+        }
+      );
+    } catch (error) {
+      logError('Error retrieving report schedules', 'ReportController', error);
+      return next(error);
+    }
+  },
+  
+  /**
+   * Get a report delivery schedule
+   * GET /api/reports/schedule/:scheduleId
+   */
+  getReportScheduleById: async (req, res, next) => {
+    try {
+      const { scheduleId } = req.params;
+      const { role, shopId } = req.user;
+      
+      const schedule = await ReportScheduleService.getScheduleById(scheduleId, { actorRole: role, shopId });
+      
+      return ResponseHelper.success(
+        res, 
+        'Report schedule retrieved successfully',
+        { schedule }
+      );
+    } catch (error) {
+      logError(`Error retrieving report schedule ${req.params.scheduleId}`, 'ReportController', error);
+      return next(error);
+    }
+  },
+  
+  /**
+   * Update a report delivery schedule
+   * PUT /api/reports/schedule/:scheduleId
+   */
+  updateReportSchedule: async (req, res, next) => {
+    try {
+      const { scheduleId } = req.params;
+      const updates = req.validatedData || req.body;
+      const { userId, role, shopId } = req.user;
+      
+      const schedule = await ReportScheduleService.updateSchedule(scheduleId, updates, {
+        actorId: userId,
+        actorRole: role,
+        shopId
+      });
+      
+      // Create audit log
+      await LogHelper.createAdminLog('report_schedule_updated', {
+        actorId: userId,
+        actorRole: role,
+        shopId: schedule.isSystemWide ? null : schedule.shopId,
+        details: {
+          scheduleId,
+          fields: Object.keys(updates)
+        }
+      });
+      
+      return ResponseHelper.success(
+        res, 
+        'Report schedule updated successfully',
+        { schedule }
+      );
+    } catch (error) {
+      logError(`Error updating report schedule ${req.params.scheduleId}`, 'ReportController', error);
+      return next(error);
+    }
+  },
+  
+  /**
+   * Delete a report delivery schedule
+   * DELETE /api/reports/schedule/:scheduleId
+   */
+  deleteReportSchedule: async (req, res, next) => {
+    try {
+      const { scheduleId } = req.params;
+      const { userId, role, shopId } = req.user;
+      
+      const schedule = await ReportScheduleService.deleteSchedule(scheduleId, {
+        actorId: userId,
+        actorRole: role,
+        shopId
+      });
+      
+      // Create audit log
+      await LogHelper.createAdminLog('report_schedule_deleted', {
+        actorId: userId,
+        actorRole: role,
+        shopId: schedule.isSystemWide ? null : schedule.shopId,
+        details: { scheduleId }
+      });
+      
+      return ResponseHelper.success(
+        res, 
+        'Report schedule deleted successfully'
+      );
+    } catch (error) {
+      logError(`Error deleting report schedule ${req.params.scheduleId}`, 'ReportController', error);
+      return next(error);
+    }
+  },
+  
+  /**
+   * Run a report delivery schedule now
+   * POST /api/reports/schedule/:scheduleId/run
+   */
+  runReportSchedule: async (req, res, next) => {
+    try {
+      const { scheduleId } = req.params;
+      const { userId, role, shopId } = req.user;
+      
+      const lastRun = await ReportScheduleService.runScheduleNow(scheduleId, { actorRole: role, shopId });
+      
+      // Create audit log
+      await LogHelper.createAdminLog('report_schedule_run', {
+        actorId: userId,
+        actorRole: role,
+        shopId: role !== 'superAdmin' ? shopId : null,
+        details: {
+          scheduleId,
+          status: lastRun.status,
+          reportId: lastRun.reportId
+        }
+      });
+      
+      return ResponseHelper.success(
+        res, 
+        lastRun.status === 'success' ? 'Scheduled report delivered' : 'Scheduled report run failed',
+        { lastRun }
+      );
+    } catch (error) {
+      logError(`Error running report schedule ${req.params.scheduleId}`, 'ReportController', error);
+      return next(error);
+    }
   }
 };
 
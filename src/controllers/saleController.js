@@ -0,0 +1,147 @@
+/**
+ * Sale Controller
+ * Handles HTTP requests for point-of-sale transactions
+ */
+const SaleService = require('../services/saleService');
+const ReceiptService = require('../services/receiptService');
+const CreditDecisionService = require('../services/creditDecisionService');
+const { ResponseHelper, LogHelper, logError } = require('../utils');
+
+/**
+ * Build the audit actor for the current request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor details for LogHelper
+ */
+const getActor = (req) => ({
+  actorId: req.user.userId,
+  actorRole: req.user.role,
+  shopId: req.shopId
+});
+
+/**
+ * SaleController provides methods for handling sale requests
+ */
+const SaleController = {
+  /**
+   * Ring up a sale
+   * POST /api/sales
+   */
+  createSale: async (req, res, next) => {
+    try {
+      const { shopId, ...saleData } = req.validatedData || req.body;
+
+      const { sale, payment, debt } = await SaleService.createSale(req.shopId, saleData, {
+        actorId: req.user.userId,
+        actorName: req.user.fullName,
+        ipAddress: req.ip
+      });
+
+      await LogHelper.createSaleLog('sale_created', sale.saleId, getActor(req), {
+        documentNumber: sale.receiptNumber || sale.invoiceNumber,
+        totalAmount: sale.totalAmount,
+        itemCount: sale.items.length,
+        paymentMethod: sale.paymentMethod,
+        paymentId: payment ? payment.paymentId : null,
+        debtId: debt ? debt.debtId : null,
+        discountCode: sale.discountInfo ? sale.discountInfo.code : null
+      });
+
+      return ResponseHelper.success(res, 'Sale recorded successfully', { sale, payment, debt }, 201);
+    } catch (error) {
+      // Credit sales the credit gate stopped are not rung up; held ones wait for the owner
+      if (CreditDecisionService.isDecisionError(error)) {
+        const { decision, creditRequest, customerId, amount } = error.data;
+        const queued = decision.outcome === 'queue';
+
+        await LogHelper.createSaleLog(
+          queued ? 'credit_sale_queued' : 'credit_sale_declined',
+          creditRequest ? creditRequest.requestId : customerId,
+          getActor(req),
+          { customerId, amount, reasons: decision.reasons.map(reason => reason.code) }
+        );
+
+        if (queued) {
+          return ResponseHelper.success(res, error.message, error.data, 202);
+        }
+      }
+
+      logError('Failed to record sale', 'SaleController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Return items from a sale and refund them
+   * POST /api/sales/:saleId/returns
+   */
+  returnSale: async (req, res, next) => {
+    try {
+      const { shopId, ...returnData } = req.validatedData || req.body;
+
+      const result = await SaleService.returnSale(req.shopId, req.params.saleId, returnData, {
+        actorId: req.user.userId
+      });
+
+      await LogHelper.createSaleLog('sale_returned', result.sale.saleId, getActor(req), {
+        creditNoteNumber: result.creditNoteNumber,
+        items: returnData.items,
+        refundAmount: result.refundAmount,
+        paymentId: result.payment ? result.payment.paymentId : null,
+        debtId: result.debt ? result.debt.debtId : null,
+        debtReduction: result.debtReduction,
+        creditIssued: result.creditIssued,
+        status: result.sale.status,
+        reason: returnData.reason || 'No reason provided'
+      });
+
+      return ResponseHelper.success(res, 'Return processed successfully', {
+        sale: result.sale,
+        creditNoteNumber: result.creditNoteNumber,
+        refundAmount: result.refundAmount,
+        payment: result.payment,
+        debt: result.debt,
+        debtReduction: result.debtReduction,
+        creditIssued: result.creditIssued
+      });
+    } catch (error) {
+      logError(`Failed to process return on sale: ${req.params.saleId}`, 'SaleController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Render the receipt of a sale as thermal text, HTML or PDF
+   * GET /api/sales/:saleId/receipt
+   */
+  getSaleReceipt: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const receipt = await ReceiptService.renderSaleReceipt(req.shopId, req.params.saleId, {
+        format: query.format,
+        width: query.width
+      });
+
+      return ResponseHelper.document(res, receipt);
+    } catch (error) {
+      logError(`Failed to render receipt for sale: ${req.params.saleId}`, 'SaleController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a sale by ID
+   * GET /api/sales/:saleId
+   */
+  getSaleById: async (req, res, next) => {
+    try {
+      const sale = await SaleService.getSaleById(req.shopId, req.params.saleId);
+
+      return ResponseHelper.success(res, 'Sale retrieved successfully', { sale });
+    } catch (error) {
+      logError(`Failed to get sale: ${req.params.saleId}`, 'SaleController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = SaleController;
@@ -0,0 +1,173 @@
+/**
+ * Shift Controller
+ * Handles HTTP requests for cash drawer shifts
+ */
+const ShiftService = require('../services/shiftService');
+const { ResponseHelper, LogHelper, logError } = require('../utils');
+
+/**
+ * Build the audit actor for the current request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor details for LogHelper
+ */
+const getActor = (req) => ({
+  actorId: req.user.userId,
+  actorRole: req.user.role,
+  shopId: req.shopId
+});
+
+/**
+ * ShiftController provides methods for handling shift requests
+ */
+const ShiftController = {
+  /**
+   * Open a shift for the current user
+   * POST /api/shifts
+   */
+  openShift: async (req, res, next) => {
+    try {
+      const { shopId, ...shiftData } = req.validatedData || req.body;
+
+      const shift = await ShiftService.openShift(req.shopId, shiftData, {
+        actorId: req.user.userId,
+        actorName: req.user.fullName
+      });
+
+      await LogHelper.createShiftLog('shift_opened', shift.shiftId, getActor(req), {
+        openingFloat: shift.openingFloat
+      });
+
+      return ResponseHelper.success(res, 'Shift opened successfully', { shift }, 201);
+    } catch (error) {
+      logError('Failed to open shift', 'ShiftController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * List shifts for a shop
+   * GET /api/shifts
+   */
+  getShifts: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const result = await ShiftService.getShifts(req.shopId, query, getActor(req));
+
+      return ResponseHelper.success(res, 'Shifts retrieved successfully', {
+        shifts: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logError('Failed to list shifts', 'ShiftController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get the current user's open shift with its running totals
+   * GET /api/shifts/current
+   */
+  getCurrentShift: async (req, res, next) => {
+    try {
+      const shift = await ShiftService.getOpenShift(req.shopId, req.user.userId);
+      const summary = shift ? await ShiftService.summarizeShift(shift) : null;
+
+      return ResponseHelper.success(res, shift ? 'Open shift retrieved successfully' : 'No open shift', {
+        shift,
+        summary
+      });
+    } catch (error) {
+      logError('Failed to get current shift', 'ShiftController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Cash variance of closed shifts per cashier
+   * GET /api/shifts/variance
+   */
+  getVarianceReport: async (req, res, next) => {
+    try {
+      const query = req.validatedQuery || req.query;
+      const report = await ShiftService.getVarianceReport(req.shopId, query);
+
+      return ResponseHelper.success(res, 'Shift variance report generated successfully', report);
+    } catch (error) {
+      logError('Failed to build shift variance report', 'ShiftController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Get a shift with its totals
+   * GET /api/shifts/:shiftId
+   */
+  getShiftById: async (req, res, next) => {
+    try {
+      const shift = await ShiftService.getShiftById(req.shopId, req.params.shiftId, getActor(req));
+      const summary = await ShiftService.summarizeShift(shift);
+
+      return ResponseHelper.success(res, 'Shift retrieved successfully', { shift, summary });
+    } catch (error) {
+      logError(`Failed to get shift: ${req.params.shiftId}`, 'ShiftController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Record a pay-in or pay-out
+   * POST /api/shifts/:shiftId/cash-movements
+   */
+  recordCashMovement: async (req, res, next) => {
+    try {
+      const { shopId, ...movementData } = req.validatedData || req.body;
+
+      const { shift, summary } = await ShiftService.recordCashMovement(
+        req.shopId,
+        req.params.shiftId,
+        movementData,
+        getActor(req)
+      );
+
+      await LogHelper.createShiftLog(`shift_${movementData.type.replace('-', '_')}`, shift.shiftId, getActor(req), {
+        amount: movementData.amount,
+        reason: movementData.reason
+      });
+
+      return ResponseHelper.success(res, 'Cash movement recorded successfully', { shift, summary }, 201);
+    } catch (error) {
+      logError(`Failed to record cash movement on shift: ${req.params.shiftId}`, 'ShiftController', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Close a shift with the counted cash
+   * POST /api/shifts/:shiftId/close
+   */
+  closeShift: async (req, res, next) => {
+    try {
+      const { shopId, ...closeData } = req.validatedData || req.body;
+
+      const { shift, summary } = await ShiftService.closeShift(
+        req.shopId,
+        req.params.shiftId,
+        closeData,
+        getActor(req)
+      );
+
+      await LogHelper.createShiftLog('shift_closed', shift.shiftId, getActor(req), {
+        expectedCash: shift.expectedCash,
+        countedCash: shift.countedCash,
+        variance: shift.variance
+      });
+
+      return ResponseHelper.success(res, 'Shift closed successfully', { shift, summary });
+    } catch (error) {
+      logError(`Failed to close shift: ${req.params.shiftId}`, 'ShiftController', error);
+      return next(error);
+    }
+  }
+};
+
+module.exports = ShiftController;
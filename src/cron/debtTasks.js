@@ -0,0 +1,174 @@
+/**
+ * Debt CRON Tasks
+ * Entry point for all debt-related scheduled tasks
+ * Can be executed directly by Node or called from external schedulers
+ *
+ * Usage: node src/cron/debtTasks.js [taskName]
+ * If taskName is provided, only that specific task will run
+ * Otherwise, all debt tasks will run in sequence
+ *
+ * Available tasks:
+ * - lateFees
+ * - reminders
+ * - riskScores
+ * - collections
+ * - all (default)
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const LateFeeService = require('../services/lateFeeService');
+const ReminderService = require('../services/reminderService');
+const RiskScoringService = require('../services/riskScoringService');
+const CollectionService = require('../services/collectionService');
+const { logInfo, logSuccess, logError } = require('../utils');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectToDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    logSuccess('Connected to MongoDB', 'DebtCron');
+  } catch (error) {
+    logError('Failed to connect to MongoDB', 'DebtCron', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Flag overdue debts and accrue late fees
+ */
+const processLateFees = async () => {
+  try {
+    logInfo('Running late fee task', 'DebtCron');
+
+    const summary = await LateFeeService.processLateFees();
+
+    logSuccess(`Late fee task completed: ${summary.feesAccrued} fees accrued`, 'DebtCron');
+  } catch (error) {
+    logError('Late fee task failed', 'DebtCron', error);
+  }
+};
+
+/**
+ * Queue customer debt reminders
+ */
+const processReminders = async () => {
+  try {
+    logInfo('Running debt reminder task', 'DebtCron');
+
+    const summary = await ReminderService.processReminders();
+
+    logSuccess(`Debt reminder task completed: ${summary.remindersQueued} reminders queued`, 'DebtCron');
+  } catch (error) {
+    logError('Debt reminder task failed', 'DebtCron', error);
+  }
+};
+
+/**
+ * Rescore customer risk
+ */
+const processRiskScores = async () => {
+  try {
+    logInfo('Running risk scoring task', 'DebtCron');
+
+    const summary = await RiskScoringService.processAllCustomers();
+
+    logSuccess(`Risk scoring task completed: ${summary.customers} customers rescored`, 'DebtCron');
+  } catch (error) {
+    logError('Risk scoring task failed', 'DebtCron', error);
+  }
+};
+
+/**
+ * Check promises to pay and follow-ups on open collection cases
+ */
+const processCollections = async () => {
+  try {
+    logInfo('Running collections task', 'DebtCron');
+
+    const summary = await CollectionService.processCollections();
+
+    logSuccess(
+      `Collections task completed: ${summary.casesChecked} cases, ${summary.promisesBroken} broken promises, ${summary.followUpsDue} follow-ups due`,
+      'DebtCron'
+    );
+  } catch (error) {
+    logError('Collections task failed', 'DebtCron', error);
+  }
+};
+
+/**
+ * Run all debt tasks in sequence
+ */
+const runAllTasks = async () => {
+  try {
+    await processLateFees();
+    await processReminders();
+    await processRiskScores();
+    await processCollections();
+
+    logSuccess('All debt tasks completed successfully', 'DebtCron');
+  } catch (error) {
+    logError('Failed to run all debt tasks', 'DebtCron', error);
+  }
+};
+
+/**
+ * Main execution function
+ */
+const main = async () => {
+  try {
+    await connectToDB();
+
+    // Check command line arguments
+    const taskName = process.argv[2] || 'all';
+
+    switch (taskName) {
+      case 'lateFees':
+        await processLateFees();
+        break;
+      case 'reminders':
+        await processReminders();
+        break;
+      case 'riskScores':
+        await processRiskScores();
+        break;
+      case 'collections':
+        await processCollections();
+        break;
+      case 'all':
+        await runAllTasks();
+        break;
+      default:
+        logError(`Unknown task: ${taskName}`, 'DebtCron');
+        console.log('Available tasks: lateFees, reminders, riskScores, collections, all');
+    }
+
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    logInfo('MongoDB connection closed', 'DebtCron');
+
+    process.exit(0);
+  } catch (error) {
+    logError('Fatal error in debt CRON tasks', 'DebtCron', error);
+    process.exit(1);
+  }
+};
+
+// Execute if this script is run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  processLateFees,
+  processReminders,
+  processRiskScores,
+  processCollections,
+  runAllTasks
+};
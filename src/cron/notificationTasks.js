@@ -0,0 +1,78 @@
+/**
+ * Notification CRON Tasks
+ * Delivers queued notifications and retries failed deliveries
+ * Can be executed directly by Node or called from external schedulers
+ *
+ * Usage: node src/cron/notificationTasks.js [limit]
+ * limit caps how many notifications are handled in one run (default 100)
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const NotificationQueueService = require('../services/notificationQueueService');
+const { logInfo, logSuccess, logError } = require('../utils');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectToDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    logSuccess('Connected to MongoDB', 'NotificationCron');
+  } catch (error) {
+    logError('Failed to connect to MongoDB', 'NotificationCron', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Deliver pending notifications that are due
+ * @param {number} [limit] - Maximum notifications to handle
+ */
+const processQueue = async (limit) => {
+  try {
+    logInfo('Running notification queue task', 'NotificationCron');
+
+    const summary = await NotificationQueueService.processQueue({ limit });
+
+    logSuccess(
+      `Notification queue task completed: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.failed} failed`,
+      'NotificationCron'
+    );
+  } catch (error) {
+    logError('Notification queue task failed', 'NotificationCron', error);
+  }
+};
+
+/**
+ * Main execution function
+ */
+const main = async () => {
+  try {
+    await connectToDB();
+
+    const limit = parseInt(process.argv[2], 10) || undefined;
+    await processQueue(limit);
+
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    logInfo('MongoDB connection closed', 'NotificationCron');
+
+    process.exit(0);
+  } catch (error) {
+    logError('Fatal error in notification CRON tasks', 'NotificationCron', error);
+    process.exit(1);
+  }
+};
+
+// Execute if this script is run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  processQueue
+};
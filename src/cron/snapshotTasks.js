@@ -0,0 +1,111 @@
+/**
+ * Financial Snapshot CRON Tasks
+ * Builds daily and monthly financial snapshots for dashboard charts
+ * Can be executed directly by Node or called from external schedulers
+ *
+ * Usage:
+ *   node src/cron/snapshotTasks.js [daily]
+ *     Snapshot every active shop's last complete day and the month it falls in
+ *   node src/cron/snapshotTasks.js backfill <startDate> <endDate> [shopId]
+ *     Rebuild snapshots for every day from startDate to endDate (YYYY-MM-DD),
+ *     for one shop or all active shops. Existing snapshots are replaced.
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const FinancialSnapshotService = require('../services/financialSnapshotService');
+const { logInfo, logSuccess, logError } = require('../utils');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectToDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+    logSuccess('Connected to MongoDB', 'SnapshotCron');
+  } catch (error) {
+    logError('Failed to connect to MongoDB', 'SnapshotCron', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Snapshot the last complete day and its month for every active shop
+ */
+const processDaily = async () => {
+  try {
+    logInfo('Running financial snapshot task', 'SnapshotCron');
+
+    const summary = await FinancialSnapshotService.processSnapshots(new Date());
+
+    logSuccess(`Financial snapshot task completed: ${summary.snapshots} snapshots`, 'SnapshotCron');
+  } catch (error) {
+    logError('Financial snapshot task failed', 'SnapshotCron', error);
+  }
+};
+
+/**
+ * Rebuild snapshots for a date range
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @param {string} [shopId] - Limit to one shop
+ */
+const backfill = async (startDate, endDate, shopId) => {
+  try {
+    logInfo(`Backfilling financial snapshots ${startDate} - ${endDate}${shopId ? ` for ${shopId}` : ''}`, 'SnapshotCron');
+
+    const summary = await FinancialSnapshotService.backfillSnapshots({ startDate, endDate, shopId });
+
+    logSuccess(
+      `Snapshot backfill completed: ${summary.snapshots} snapshots for ${summary.shops} shops, ${summary.failures} failures`,
+      'SnapshotCron'
+    );
+  } catch (error) {
+    logError(`Snapshot backfill failed: ${error.message}`, 'SnapshotCron', error);
+  }
+};
+
+/**
+ * Main execution function
+ */
+const main = async () => {
+  try {
+    const [taskName = 'daily', ...args] = process.argv.slice(2);
+
+    if (!['daily', 'backfill'].includes(taskName)) {
+      logError(`Unknown task: ${taskName}`, 'SnapshotCron');
+      console.log('Available tasks: daily, backfill <startDate> <endDate> [shopId]');
+      process.exit(1);
+    }
+
+    await connectToDB();
+
+    if (taskName === 'backfill') {
+      await backfill(...args);
+    } else {
+      await processDaily();
+    }
+
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    logInfo('MongoDB connection closed', 'SnapshotCron');
+
+    process.exit(0);
+  } catch (error) {
+    logError('Fatal error in snapshot CRON tasks', 'SnapshotCron', error);
+    process.exit(1);
+  }
+};
+
+// Execute if this script is run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  processDaily,
+  backfill
+};
@@ -19,6 +19,7 @@ const dotenv = require('dotenv');
 const SubscriptionService = require('../services/subscriptionService');
 const EmailService = require('../services/emailService');
 const ShopService = require('../services/shopService');
+const NotificationService = require('../services/notificationService');
 const { logInfo, logSuccess, logError } = require('../utils');
 
 // Load environment variables
@@ -135,6 +136,9 @@ const processExpiryReminders = async () => {
           autoRenew: subscription.autoRenew
         });
         
+        // Surface the reminder in the shop admins' in-app inbox as well
+        await NotificationService.notifySubscriptionExpiring(subscription, daysLeft);
+        
         // Mark reminder as sent to prevent duplicate emails
         subscription.reminderSent = true;
         await subscription.save();
@@ -123,25 +123,30 @@ exports.isVerified = (req, res, next) => {
 /**
  * Middleware to ensure shop access
  * Checks if user belongs to the requested shop
+ * Shop users default to their own shop when no shop ID is supplied.
+ * The resolved shop ID is attached to the request as req.shopId
  */
 exports.hasShopAccess = (req, res, next) => {
-  const shopId = req.params.shopId || req.body.shopId || req.query.shopId;
-  
+  const requestedShopId = req.params.shopId || (req.body && req.body.shopId) || req.query.shopId;
+  const shopId = requestedShopId || (req.user.role !== 'superAdmin' ? req.user.shopId : null);
+
   if (!shopId) {
     return next(new AppError('Shop ID is required', 400, 'missing_shop_id'));
   }
-  
+
   // Super admins can access all shops
   if (req.user.role === 'superAdmin') {
     logAuth(`SuperAdmin accessing shop: ${shopId}`, 'AuthMiddleware');
+    req.shopId = shopId;
     return next();
   }
-  
+
   // Check if user belongs to this shop
   if (req.user.shopId !== shopId) {
     logWarning(`User ${req.user.userId} attempted to access unauthorized shop: ${shopId}`, 'AuthMiddleware');
     return next(new AppError('You do not have access to this shop', 403, 'forbidden'));
   }
-  
+
+  req.shopId = shopId;
   next();
 };
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  categoryId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  shopId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Parent category for nesting; null for top-level categories
+  parentId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Display position among siblings (lowest first)
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Icon name or emoji shown by the dashboard and mobile app
+  icon: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Sibling categories must have distinct names
+categorySchema.index(
+  { shopId: 1, parentId: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false }, collation: { locale: 'en', strength: 2 } }
+);
+categorySchema.index({ shopId: 1, sortOrder: 1 });
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const decisionReasonSchema = new mongoose.Schema({
+  // Machine-readable reason, e.g. 'credit_limit_exceeded'
+  code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // What this reason alone would have led to
+  outcome: {
+    type: String,
+    enum: ['queue', 'decline'],
+    required: true
+  }
+}, { _id: false });
+
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['queued', 'declined', 'approved', 'override_approved'],
+    required: true
+  },
+  actorId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const creditRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  shopId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerName: {
+    type: String,
+    trim: true
+  },
+  requestType: {
+    type: String,
+    enum: ['debt', 'credit-sale'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // The original debt or checkout request, replayed when the owner approves it
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  decision: {
+    outcome: {
+      type: String,
+      enum: ['approve', 'queue', 'decline'],
+      required: true
+    },
+    reasons: [decisionReasonSchema],
+    riskScore: Number,
+    riskLevel: {
+      type: String,
+      enum: ['High Risk', 'Medium Risk', 'Low Risk']
+    },
+    outstandingBalance: Number,
+    projectedBalance: Number,
+    openDebts: Number,
+    evaluatedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined'],
+    required: true
+  },
+  resolution: {
+    // 'system' for automatic declines
+    decidedBy: {
+      type: String,
+      trim: true
+    },
+    decidedByRole: {
+      type: String,
+      trim: true
+    },
+    decidedAt: Date,
+    note: {
+      type: String,
+      trim: true
+    },
+    // Approved against an automatic decline
+    overridden: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Set once an approved request has been booked
+  debtId: {
+    type: String,
+    trim: true
+  },
+  saleId: {
+    type: String,
+    trim: true
+  },
+  requestedBy: {
+    type: String,
+    trim: true
+  },
+  requestedByName: {
+    type: String,
+    trim: true
+  },
+  history: [historyEntrySchema]
+}, {
+  timestamps: true
+});
+
+creditRequestSchema.index({ shopId: 1, status: 1, createdAt: -1 });
+creditRequestSchema.index({ shopId: 1, customerId: 1 });
+
+const CreditRequest = mongoose.model('CreditRequest', creditRequestSchema);
+
+module.exports = CreditRequest;
@@ -83,6 +83,11 @@ const customerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Prepaid credit from repayments that exceeded the open debts
+  creditBalance: {
+    type: Number,
+    default: 0
+  },
   // New field: Credit limit
   creditLimit: {
     type: Number,
@@ -120,6 +125,28 @@ const customerSchema = new mongoose.Schema({
     max: 100,
     default: 0
   },
+  // Latest explanation of riskScore, written by the risk scoring service
+  riskAssessment: {
+    level: {
+      type: String,
+      enum: ['High Risk', 'Medium Risk', 'Low Risk'],
+      default: 'Low Risk'
+    },
+    factors: [{
+      factor: String,
+      label: String,
+      enabled: Boolean,
+      weight: Number,
+      points: Number,
+      contribution: Number,
+      detail: String,
+      _id: false
+    }],
+    assessedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // New field: Contact preferences
   contactPreferences: {
     allowSMS: {
@@ -196,10 +223,10 @@ customerSchema.statics.findWithOutstandingBalance = function(shopId) {
 };
 
 // Static method to find high-risk customers
-customerSchema.statics.findHighRiskCustomers = function(shopId) {
+customerSchema.statics.findHighRiskCustomers = function(shopId, threshold = 70) {
   return this.find({ 
     shopId, 
-    riskScore: { $gte: 70 },
+    riskScore: { $gte: threshold },
     isDeleted: false
   }).sort({ riskScore: -1 });
 };
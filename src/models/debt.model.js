@@ -1,5 +1,207 @@
 const mongoose = require('mongoose');
 
+const collectionContactSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['call', 'sms', 'whatsapp', 'email', 'visit', 'other'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['reached', 'no-answer', 'promised-to-pay', 'refused', 'wrong-number', 'other'],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  contactedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contactedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const paymentPromiseSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true
+  },
+  promisedDate: {
+    type: Date,
+    required: true
+  },
+  // Kept once repayments made since the promise cover it; broken when the date passes first
+  status: {
+    type: String,
+    enum: ['open', 'kept', 'broken', 'cancelled'],
+    default: 'open'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const collectionCaseSchema = new mongoose.Schema({
+  // User ID of the employee working the case
+  assignedTo: {
+    type: String,
+    trim: true
+  },
+  assignedBy: {
+    type: String,
+    trim: true
+  },
+  assignedAt: {
+    type: Date
+  },
+  openedBy: {
+    type: String,
+    trim: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  nextFollowUpAt: {
+    type: Date,
+    default: null
+  },
+  followUpNote: {
+    type: String,
+    trim: true
+  },
+  // Last follow-up reminder, so each scheduled follow-up is announced once
+  followUpNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  contacts: [collectionContactSchema],
+  promises: [paymentPromiseSchema],
+  brokenPromises: {
+    type: Number,
+    default: 0
+  },
+  resolution: {
+    type: {
+      type: String,
+      enum: ['settlement', 'write-off']
+    },
+    // Balance forgiven when the case closed
+    writtenOffAmount: Number,
+    // Repayments received while the case was open
+    collectedAmount: Number,
+    note: {
+      type: String,
+      trim: true
+    },
+    resolvedBy: {
+      type: String,
+      trim: true
+    },
+    resolvedAt: Date
+  }
+}, { _id: false });
+
+const installmentSchema = new mongoose.Schema({
+  // Position in the plan; rescheduled installments continue the numbering
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  // Derived from the debt's paidAmount on save, earliest installment first
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partially-paid', 'paid', 'overdue'],
+    default: 'pending'
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const installmentRescheduleSchema = new mongoose.Schema({
+  rescheduledBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rescheduledAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Schedule as it stood before the change
+  previousFrequency: {
+    type: String,
+    trim: true
+  },
+  previousInstallments: [installmentSchema]
+}, { _id: false });
+
+const installmentPlanSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly', 'custom'],
+    required: true
+  },
+  installments: [installmentSchema],
+  // Paid on the debt before the plan started; not allocated to installments
+  openingPaidAmount: {
+    type: Number,
+    default: 0
+  },
+  // Single due date the debt had before it was split
+  originalDueDate: {
+    type: Date
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  reschedules: [installmentRescheduleSchema]
+}, { _id: false });
+
 const debtSchema = new mongoose.Schema({
   debtId: {
     type: String,
@@ -34,6 +236,25 @@ const debtSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Total of accrued (unwaived) late fees, owed on top of debtAmount
+  lateFeeAmount: {
+    type: Number,
+    default: 0
+  },
+  // Balance forgiven when a collection case closed; counts towards settlement like a payment
+  writtenOffAmount: {
+    type: Number,
+    default: 0
+  },
+  writtenOffAt: {
+    type: Date,
+    default: null
+  },
+  // Portion of paidAmount covered by the customer's prepaid credit
+  creditApplied: {
+    type: Number,
+    default: 0
+  },
   isSettled: {
     type: Boolean,
     default: false
@@ -56,6 +277,21 @@ const debtSchema = new mongoose.Schema({
       type: String,
       enum: ['success', 'failed', 'pending'],
       default: 'success'
+    },
+    // Escalation stage the reminder was sent for
+    stage: {
+      type: String,
+      enum: ['upcoming', 'friendly', 'stern', 'urgent', 'final', 'manual'],
+      default: 'manual'
+    },
+    notificationId: {
+      type: String,
+      trim: true
+    },
+    // Installment the reminder was about, for debts on an installment plan
+    installmentNumber: {
+      type: Number,
+      default: null
     }
   }],
   lastReminderDate: {
@@ -64,7 +300,7 @@ const debtSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'overdue', 'high-risk', 'paid', 'partially-paid', 'in-collection'],
+    enum: ['active', 'overdue', 'high-risk', 'paid', 'partially-paid', 'in-collection', 'written-off'],
     default: 'active'
   },
   riskScore: {
@@ -81,10 +317,24 @@ const debtSchema = new mongoose.Schema({
     enum: ['none', 'pending', 'in-process', 'resolved'],
     default: 'none'
   },
+  // Collection case, once the debt has been moved to collections
+  collectionCase: {
+    type: collectionCaseSchema,
+    default: null
+  },
+  // Installment schedule, for debts paid off in parts
+  installmentPlan: {
+    type: installmentPlanSchema,
+    default: null
+  },
   shortNote: {
     type: String,
     trim: true
   },
+  createdBy: {
+    type: String,
+    trim: true
+  },
   syncStatus: {
     type: String,
     enum: ['synced', 'pending'],
@@ -113,8 +363,12 @@ debtSchema.index({ isSettled: 1 });
 debtSchema.index({ shopId: 1, isSettled: 1 });
 debtSchema.index({ customerPhone: 1 });
 
+debtSchema.virtual('totalDue').get(function() {
+  return this.debtAmount + (this.lateFeeAmount || 0);
+});
+
 debtSchema.virtual('remainingAmount').get(function() {
-  return Math.max(0, this.debtAmount - this.paidAmount);
+  return Math.max(0, this.debtAmount + (this.lateFeeAmount || 0) - this.paidAmount - (this.writtenOffAmount || 0));
 });
 
 debtSchema.virtual('daysOverdue').get(function() {
@@ -129,13 +383,97 @@ debtSchema.virtual('daysOverdue').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+/**
+ * Installments not yet paid in full, earliest first
+ */
+debtSchema.virtual('openInstallments').get(function() {
+  if (!this.installmentPlan) return [];
+
+  return this.installmentPlan.installments.filter(installment => installment.status !== 'paid');
+});
+
+/**
+ * Unpaid amount of the installments due by now, or of the next installment when none are
+ */
+debtSchema.virtual('installmentAmountDue').get(function() {
+  const open = this.openInstallments;
+  if (!open.length) return 0;
+
+  const cutoff = Math.max(Date.now(), new Date(open[0].dueDate).getTime());
+  const due = open
+    .filter(installment => new Date(installment.dueDate).getTime() <= cutoff)
+    .reduce((sum, installment) => sum + installment.amount - installment.paidAmount, 0);
+
+  return Math.round(due * 100) / 100;
+});
+
+/**
+ * Spread what has been paid across the installments, earliest first
+ * Installments cover the debt amount only, so late fees are paid off last. Returns that
+ * reduce the debt come off the last installments. The debt's due date follows the
+ * earliest open installment, which is what overdue flags and reminders work from.
+ */
+debtSchema.methods.allocateInstallments = function() {
+  const plan = this.installmentPlan;
+  if (!plan || !plan.installments.length) return;
+
+  const round = (amount) => Math.round(amount * 100) / 100;
+  const installments = plan.installments;
+
+  let excess = round(installments.reduce((sum, installment) => sum + installment.amount, 0) + plan.openingPaidAmount - this.debtAmount);
+  if (excess > 0) {
+    for (let index = installments.length - 1; index >= 0 && excess > 0; index--) {
+      const reduction = Math.min(installments[index].amount, excess);
+      installments[index].amount = round(installments[index].amount - reduction);
+      excess = round(excess - reduction);
+    }
+    plan.installments = installments.filter(installment => installment.amount > 0);
+  }
+
+  const now = new Date();
+  let available = round(this.paidAmount + (this.writtenOffAmount || 0) - plan.openingPaidAmount);
+
+  plan.installments.forEach((installment) => {
+    installment.paidAmount = round(Math.max(0, Math.min(installment.amount, available)));
+    available = round(available - installment.paidAmount);
+
+    if (installment.paidAmount >= installment.amount) {
+      installment.status = 'paid';
+      installment.paidAt = installment.paidAt || now;
+    } else {
+      installment.paidAt = null;
+      if (installment.dueDate < now) {
+        installment.status = 'overdue';
+      } else {
+        installment.status = installment.paidAmount > 0 ? 'partially-paid' : 'pending';
+      }
+    }
+  });
+
+  const nextOpen = plan.installments.find(installment => installment.status !== 'paid');
+  const last = plan.installments[plan.installments.length - 1];
+  if (nextOpen || last) {
+    this.dueDate = (nextOpen || last).dueDate;
+  }
+};
+
 debtSchema.pre('save', function(next) {
-  this.isSettled = this.paidAmount >= this.debtAmount;
+  this.allocateInstallments();
+
+  this.isSettled = this.paidAmount + (this.writtenOffAmount || 0) >= this.debtAmount + (this.lateFeeAmount || 0);
   
   if (this.isSettled) {
-    this.status = 'paid';
-  } else if (this.paidAmount > 0 && !this.isSettled) {
-    this.status = 'partially-paid';
+    const resolution = this.collectionCase && this.collectionCase.resolution;
+    this.status = resolution && resolution.type === 'write-off' ? 'written-off' : 'paid';
+  } else if (!['in-collection', 'high-risk'].includes(this.status)) {
+    // Statuses set by the risk and collection workflows stick until settlement
+    if (this.dueDate && this.dueDate < new Date()) {
+      this.status = 'overdue';
+    } else if (this.paidAmount > 0) {
+      this.status = 'partially-paid';
+    } else {
+      this.status = 'active';
+    }
   }
   
   next();
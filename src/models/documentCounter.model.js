@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One counter per shop, document type and numbering period.
+// Counters are incremented inside the transaction that issues the document,
+// so an aborted sale or payment rolls its number back and the series stays gap-free.
+const documentCounterSchema = new mongoose.Schema({
+  shopId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  documentType: {
+    type: String,
+    enum: ['receipt', 'invoice', 'credit-note'],
+    required: true
+  },
+  // Calendar year for yearly series, 0 for a series that never resets
+  period: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  lastIssuedNumber: {
+    type: String,
+    trim: true
+  },
+  lastIssuedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+documentCounterSchema.index({ shopId: 1, documentType: 1, period: 1 }, { unique: true });
+
+const DocumentCounter = mongoose.model('DocumentCounter', documentCounterSchema);
+
+module.exports = DocumentCounter;
@@ -19,7 +19,7 @@ const fileSchema = new mongoose.Schema({
   },
   fileType: {
     type: String,
-    enum: ['logo', 'payment-proof', 'receipt', 'customer-document', 'other'],
+    enum: ['logo', 'payment-proof', 'receipt', 'customer-document', 'report', 'other'],
     required: true
   },
   url: {
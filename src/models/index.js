@@ -15,6 +15,13 @@ const ShopSetting = require('./shopSetting.model');
 const FinancialSnapshot = require('./financialSnapshot.model');
 const Report = require('./report.model');
 const DiscountCode = require('./discountCode.model');
+const LateFee = require('./lateFee.model');
+const StockMovement = require('./stockMovement.model');
+const Category = require('./category.model');
+const DocumentCounter = require('./documentCounter.model');
+const Shift = require('./shift.model');
+const ReportSchedule = require('./reportSchedule.model');
+const CreditRequest = require('./creditRequest.model');
 
 module.exports = {
   User,
@@ -33,5 +40,12 @@ module.exports = {
   ShopSetting,
   FinancialSnapshot,
   Report,
-  DiscountCode
+  DiscountCode,
+  LateFee,
+  StockMovement,
+  Category,
+  DocumentCounter,
+  Shift,
+  ReportSchedule,
+  CreditRequest
 };
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const lateFeeSchema = new mongoose.Schema({
+  feeId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  shopId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  debtId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Fee rule in force when the fee accrued
+  feeType: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    required: true
+  },
+  feeValue: {
+    type: Number,
+    required: true
+  },
+  // Outstanding balance the fee was calculated on
+  basisAmount: {
+    type: Number,
+    default: 0
+  },
+  // Installment the fee was charged on, for debts on an installment plan
+  installmentNumber: {
+    type: Number,
+    default: null
+  },
+  // Overdue period the fee covers (0 = first period after the grace period)
+  period: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  daysOverdue: {
+    type: Number,
+    default: 0
+  },
+  accruedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['accrued', 'waived'],
+    default: 'accrued'
+  },
+  waivedBy: {
+    type: String,
+    trim: true
+  },
+  waivedAt: {
+    type: Date
+  },
+  waiveReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One fee per debt (or installment) per overdue period keeps the accrual job idempotent
+lateFeeSchema.index({ debtId: 1, installmentNumber: 1, period: 1 }, { unique: true });
+lateFeeSchema.index({ shopId: 1, status: 1 });
+lateFeeSchema.index({ shopId: 1, customerId: 1 });
+
+const LateFee = mongoose.model('LateFee', lateFeeSchema);
+
+module.exports = LateFee;
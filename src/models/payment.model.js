@@ -12,9 +12,12 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Walk-in POS sales have no customer record
   customerId: {
     type: String,
-    required: true,
+    required: function () {
+      return this.paymentContext !== 'pos';
+    },
     trim: true
   },
   customerName: {
@@ -29,7 +32,7 @@ const paymentSchema = new mongoose.Schema({
   debtId: {
     type: String,
     required: function () {
-      return this.paymentContext === 'debt';
+      return this.paymentContext === 'debt' && !this.isPrepayment;
     },
     trim: true
   },
@@ -91,6 +94,13 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  receiptPrintCount: {
+    type: Number,
+    default: 0
+  },
+  lastReceiptPrintedAt: {
+    type: Date
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'failed', 'refunded', 'partially-refunded'],
@@ -121,10 +131,30 @@ const paymentSchema = new mongoose.Schema({
       trim: true
     }
   },
+  // Debt repayments split across several debts share a group ID
+  allocationGroupId: {
+    type: String,
+    trim: true
+  },
+  // Excess over the customer's open debts, held as customer credit
+  isPrepayment: {
+    type: Boolean,
+    default: false
+  },
+  // Repayments above the shop's approval threshold wait for an admin
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
   recordedBy: {
     type: String,
     required: true
   },
+  // Cash drawer shift the transaction was taken in
+  shiftId: {
+    type: String,
+    trim: true
+  },
   recordedFromIp: {
     type: String,
     trim: true
@@ -208,6 +238,8 @@ paymentSchema.index({ isConfirmed: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ 'refund.date': 1 });
 paymentSchema.index({ receiptNumber: 1 });
+paymentSchema.index({ shopId: 1, allocationGroupId: 1 });
+paymentSchema.index({ shopId: 1, shiftId: 1 });
 
 paymentSchema.virtual('settlesDebtFully').get(function() {
   if (!this.debtAmount || this.debtAmount === 0) return false;
@@ -242,18 +274,21 @@ paymentSchema.methods.recordRefund = function(refundData) {
     throw new Error('Refund amount must be greater than zero');
   }
 
-  if (refundData.amount > this.amount) {
+  // Partial refunds (e.g. successive sale returns) add up against the original amount
+  const totalRefunded = Math.round((((this.refund && this.refund.amount) || 0) + refundData.amount) * 100) / 100;
+
+  if (totalRefunded > this.amount) {
     throw new Error('Refund amount cannot exceed original payment amount');
   }
 
   this.refund = {
-    amount: refundData.amount,
+    amount: totalRefunded,
     date: new Date(),
     reason: refundData.reason || 'No reason provided',
     processedBy: refundData.processedBy
   };
 
-  this.status = refundData.amount === this.amount ? 'refunded' : 'partially-refunded';
+  this.status = totalRefunded === this.amount ? 'refunded' : 'partially-refunded';
 
   return this.save();
 };
@@ -39,6 +39,12 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Damaged or returned-unsellable units, kept out of sellable stock
+  damagedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   lowStockThreshold: {
     type: Number,
     default: 5,
@@ -89,6 +95,11 @@ productSchema.index({ status: 1 });
 productSchema.index({ shopId: 1, categoryId: 1 });
 productSchema.index({ tags: 1 });
 productSchema.index({ stockQuantity: 1 });
+// SKUs are unique within a shop; products without a SKU and deleted products don't count
+productSchema.index(
+  { shopId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' }, isDeleted: false } }
+);
 
 productSchema.virtual('profitMargin').get(function() {
   if (!this.price || !this.cost || this.cost === 0) return 0;
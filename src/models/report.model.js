@@ -19,7 +19,7 @@ const reportSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['debt', 'sales', 'ml-risk', 'pos-profit'],
+    enum: ['debt', 'sales', 'ml-risk', 'pos-profit', 'customer-statement', 'debt-aging'],
     required: true
   },
   format: {
@@ -32,6 +32,11 @@ const reportSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // File record holding the generated report
+  fileId: {
+    type: String,
+    trim: true
+  },
   description: {
     type: String,
     trim: true
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+const lastRunSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed']
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Report produced by the run, when generation got that far
+  reportId: {
+    type: String,
+    trim: true
+  },
+  error: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const reportScheduleSchema = new mongoose.Schema({
+  scheduleId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // 'system' for system-wide schedules
+  shopId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isSystemWide: {
+    type: Boolean,
+    default: false
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  reportType: {
+    type: String,
+    enum: ['debt', 'sales', 'ml-risk', 'pos-profit', 'customer-statement', 'debt-aging'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['pdf', 'csv', 'excel'],
+    required: true
+  },
+  parameters: {
+    // How much history each run covers, ending when the run's local day starts
+    period: {
+      type: String,
+      enum: ['day', 'week', 'month'],
+      default: 'day'
+    },
+    filters: mongoose.Schema.Types.Mixed
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'cron'],
+    required: true
+  },
+  // Five-field cron expression, only used with the 'cron' frequency
+  cronExpression: {
+    type: String,
+    trim: true
+  },
+  // 0 (Sunday) - 6 (Saturday), weekly schedules
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  // 1 - 31, monthly schedules; shorter months run on their last day
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 8
+  },
+  minute: {
+    type: Number,
+    min: 0,
+    max: 59,
+    default: 0
+  },
+  // IANA timezone the run time and report period are read in
+  timezone: {
+    type: String,
+    default: 'UTC',
+    trim: true
+  },
+  recipients: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  subject: {
+    type: String,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastRun: {
+    type: lastRunSchema,
+    default: null
+  },
+  // UTC minute of the last run that was claimed, so a slot is never delivered twice
+  lastRunSlot: {
+    type: String,
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  updatedBy: {
+    type: String,
+    trim: true
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportScheduleSchema.index({ shopId: 1, isDeleted: 1 });
+reportScheduleSchema.index({ isActive: 1, isDeleted: 1 });
+
+const ReportSchedule = mongoose.model('ReportSchedule', reportScheduleSchema);
+
+module.exports = ReportSchedule;
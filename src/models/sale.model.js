@@ -73,6 +73,11 @@ const saleSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Cash drawer shift the transaction was taken in
+  shiftId: {
+    type: String,
+    trim: true
+  },
   items: [saleItemSchema],
   totalAmount: {
     type: Number,
@@ -136,11 +141,20 @@ const saleSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    // Every item returned across all returns against this sale
     returnedItems: [{
       productId: String,
       name: String,
       quantity: Number,
-      refundAmount: Number
+      refundAmount: Number,
+      condition: {
+        type: String,
+        enum: ['restock', 'damaged'],
+        default: 'restock'
+      },
+      returnedAt: Date,
+      returnedBy: String,
+      creditNoteNumber: String
     }],
     totalRefundAmount: {
       type: Number,
@@ -151,6 +165,18 @@ const saleSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Credit sales are invoiced rather than receipted
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  receiptPrintCount: {
+    type: Number,
+    default: 0
+  },
+  lastReceiptPrintedAt: {
+    type: Date
+  },
   note: {
     type: String,
     trim: true
@@ -209,7 +235,9 @@ saleSchema.index({ paymentMethod: 1 });
 saleSchema.index({ customerId: 1 });
 saleSchema.index({ 'items.productId': 1 });
 saleSchema.index({ soldBy: 1 });
+saleSchema.index({ shopId: 1, shiftId: 1 });
 saleSchema.index({ receiptNumber: 1 });
+saleSchema.index({ invoiceNumber: 1 });
 saleSchema.index({ status: 1 });
 saleSchema.index({ isCredit: 1 });
 saleSchema.index({ tags: 1 });
@@ -223,44 +251,75 @@ saleSchema.methods.getProfitMarginPercentage = function() {
   return (this.totalProfit / this.totalAmount) * 100;
 };
 
+// Returns accumulate, so each one is checked against what earlier returns left.
+// Refunds are the share of the amount actually paid, after discounts and tax.
 saleSchema.methods.processReturn = function(returnData) {
-  const { returnedBy, returnReason, returnedItems } = returnData;
+  const { returnedBy, returnReason, returnedItems, creditNoteNumber } = returnData;
   
   if (!returnedItems || !Array.isArray(returnedItems) || returnedItems.length === 0) {
     throw new Error('Must provide items to return');
   }
   
+  const previousItems = this.returnInfo.returnedItems || [];
+  const previousRefund = this.returnInfo.totalRefundAmount || 0;
+  const quantityReturned = (productId, items) => items
+    .filter(item => item.productId === productId)
+    .reduce((sum, item) => sum + item.quantity, 0);
+  
+  const lineAmount = (item) => (item.price * item.quantity - (item.discount || 0)) * (1 + (item.taxRate || 0) / 100);
+  const grossAmount = this.items.reduce((sum, item) => sum + lineAmount(item), 0);
+  // Spreads order-level discount codes across the lines
+  const paidRatio = grossAmount > 0 ? this.totalAmount / grossAmount : 0;
+  
+  const returnedAt = new Date();
   let totalRefundAmount = 0;
   
-  returnedItems.forEach(item => {
+  const processedItems = returnedItems.map(item => {
     const originalItem = this.items.find(i => i.productId === item.productId);
     if (!originalItem) {
       throw new Error(`Item ${item.productId} not found in original sale`);
     }
     
-    if (item.quantity > originalItem.quantity) {
-      throw new Error(`Cannot return more than original quantity for ${originalItem.name}`);
+    const remaining = originalItem.quantity - quantityReturned(item.productId, previousItems);
+    if (item.quantity > remaining) {
+      throw new Error(`Cannot return more than the ${remaining} remaining of ${originalItem.name}`);
     }
     
-    item.name = originalItem.name;
-    item.refundAmount = item.quantity * originalItem.price;
-    totalRefundAmount += item.refundAmount;
+    const unitRefund = (lineAmount(originalItem) * paidRatio) / originalItem.quantity;
+    const refundAmount = Math.round(unitRefund * item.quantity * 100) / 100;
+    totalRefundAmount += refundAmount;
+    
+    return {
+      productId: originalItem.productId,
+      name: originalItem.name,
+      quantity: item.quantity,
+      refundAmount,
+      condition: item.condition || 'restock',
+      returnedAt,
+      returnedBy,
+      creditNoteNumber
+    };
   });
   
-  const areAllItemsReturned = returnedItems.every(item => {
-    const originalItem = this.items.find(i => i.productId === item.productId);
-    return item.quantity === originalItem.quantity;
-  });
+  const areAllItemsReturned = this.items.every(item =>
+    quantityReturned(item.productId, previousItems) + quantityReturned(item.productId, processedItems) >= item.quantity
+  );
+  
+  // The final return settles any rounding so refunds add up to the sale total
+  if (areAllItemsReturned) {
+    const roundingDifference = Math.round((this.totalAmount - previousRefund - totalRefundAmount) * 100) / 100;
+    const lastItem = processedItems[processedItems.length - 1];
+    lastItem.refundAmount = Math.round((lastItem.refundAmount + roundingDifference) * 100) / 100;
+    totalRefundAmount += roundingDifference;
+  }
   
   this.status = areAllItemsReturned ? 'returned' : 'partially-returned';
   
-  this.returnInfo = {
-    returnedAt: new Date(),
-    returnedBy,
-    returnReason: returnReason || 'No reason provided',
-    returnedItems,
-    totalRefundAmount
-  };
+  this.returnInfo.returnedAt = returnedAt;
+  this.returnInfo.returnedBy = returnedBy;
+  this.returnInfo.returnReason = returnReason || 'No reason provided';
+  this.returnInfo.returnedItems.push(...processedItems);
+  this.returnInfo.totalRefundAmount = Math.round((previousRefund + totalRefundAmount) * 100) / 100;
   
   return this.save();
 };
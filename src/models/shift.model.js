@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const cashMovementSchema = new mongoose.Schema({
+  // Refunds are added automatically when a cash sale is returned during the shift
+  type: {
+    type: String,
+    enum: ['pay-in', 'pay-out', 'refund'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  reference: {
+    type: {
+      type: String,
+      trim: true
+    },
+    id: {
+      type: String,
+      trim: true
+    }
+  },
+  recordedBy: {
+    type: String,
+    trim: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const methodTotalSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+  shiftId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  shopId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  openedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  openedByName: {
+    type: String,
+    trim: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  cashMovements: [cashMovementSchema],
+  // Totals are frozen at close; open shifts are summarized on demand
+  paymentTotals: [methodTotalSchema],
+  expectedCash: {
+    type: Number
+  },
+  countedCash: {
+    type: Number
+  },
+  // Counted minus expected: positive is over, negative is short
+  variance: {
+    type: Number
+  },
+  closedBy: {
+    type: String,
+    trim: true
+  },
+  closedAt: {
+    type: Date
+  },
+  openingNote: {
+    type: String,
+    trim: true
+  },
+  closingNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// A cashier can only have one till open per shop
+shiftSchema.index(
+  { shopId: 1, openedBy: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+shiftSchema.index({ shopId: 1, openedAt: -1 });
+shiftSchema.index({ shopId: 1, status: 1 });
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+module.exports = Shift;
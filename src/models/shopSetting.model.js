@@ -83,6 +83,12 @@ const shopSettingSchema = new mongoose.Schema({
         }
       }]
     },
+    // Sender ID shown on SMS messages (falls back to SMS_SENDER_ID)
+    smsSenderId: {
+      type: String,
+      trim: true,
+      maxlength: 11
+    },
     // New field: Business hour notifications only
     businessHoursOnly: {
       type: Boolean,
@@ -193,6 +199,12 @@ const shopSettingSchema = new mongoose.Schema({
       enum: [',', '.', ' '],
       default: ','
     },
+    // Timezone used for business hours, schedules and printed dates
+    timezone: {
+      type: String,
+      default: 'Africa/Mogadishu',
+      trim: true
+    },
     // New field: Decimal separator
     decimalSeparator: {
       type: String,
@@ -271,6 +283,21 @@ const shopSettingSchema = new mongoose.Schema({
       default: 'INV-',
       trim: true
     },
+    receiptPrefix: {
+      type: String,
+      default: 'RCT-',
+      trim: true
+    },
+    creditNotePrefix: {
+      type: String,
+      default: 'CN-',
+      trim: true
+    },
+    // Restart receipt, invoice and credit note numbers at 1 each calendar year
+    resetNumberingYearly: {
+      type: Boolean,
+      default: false
+    },
     // New field: Terms and conditions
     termsAndConditions: {
       type: String,
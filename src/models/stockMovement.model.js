@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const stockMovementSchema = new mongoose.Schema({
+  movementId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  shopId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  productId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  productName: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['opening', 'sale', 'return', 'adjustment', 'receipt', 'damage', 'write-off'],
+    required: true
+  },
+  // Signed change to sellable stock (Product.stockQuantity)
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  // Signed change to the damaged bucket (Product.damagedQuantity)
+  damagedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Balances right after this movement, so any point in the history can be explained
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  damagedBalanceAfter: {
+    type: Number,
+    default: 0
+  },
+  // Supplier receipts record what the goods cost
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  supplier: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  // Document that caused the movement (sale, return, purchase order, etc.)
+  reference: {
+    type: {
+      type: String,
+      trim: true
+    },
+    id: {
+      type: String,
+      trim: true
+    }
+  },
+  performedBy: {
+    type: String,
+    trim: true,
+    default: 'system'
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ shopId: 1, productId: 1, performedAt: -1 });
+stockMovementSchema.index({ shopId: 1, type: 1, performedAt: -1 });
+stockMovementSchema.index({ 'reference.type': 1, 'reference.id': 1 });
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
@@ -0,0 +1,101 @@
+/**
+ * Category Routes
+ * Defines API endpoints for product categories
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const CategoryController = require('../controllers/categoryController');
+
+// Middleware
+const { authenticate, authorize, hasShopAccess } = require('../middleware/authMiddleware');
+const { validate, validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { categorySchemas } = require('../validations');
+
+/**
+ * @route   GET /api/categories
+ * @desc    List categories with product counts, flat or as a tree (?tree=true)
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(categorySchemas.listCategoriesQuery),
+  CategoryController.getCategories
+);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category, optionally nested under a parent
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(categorySchemas.createCategory),
+  CategoryController.createCategory
+);
+
+/**
+ * @route   PUT /api/categories/order
+ * @desc    Set the display order of several categories
+ * @access  Private (superAdmin, admin)
+ */
+router.put(
+  '/order',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(categorySchemas.reorderCategories),
+  CategoryController.reorderCategories
+);
+
+/**
+ * @route   GET /api/categories/:categoryId
+ * @desc    Get category by ID
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:categoryId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  CategoryController.getCategoryById
+);
+
+/**
+ * @route   PUT /api/categories/:categoryId
+ * @desc    Update a category or move it under another parent
+ * @access  Private (superAdmin, admin)
+ */
+router.put(
+  '/:categoryId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(categorySchemas.updateCategory),
+  CategoryController.updateCategory
+);
+
+/**
+ * @route   DELETE /api/categories/:categoryId
+ * @desc    Soft delete a category, reassigning its products and moving its subcategories up
+ * @access  Private (superAdmin, admin)
+ */
+router.delete(
+  '/:categoryId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(categorySchemas.deleteCategory),
+  CategoryController.deleteCategory
+);
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * Customer Routes
+ * Defines API endpoints for shop customer management
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const CustomerController = require('../controllers/customerController');
+
+// Middleware
+const { authenticate, authorize, hasShopAccess } = require('../middleware/authMiddleware');
+const { validate, validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { customerSchemas } = require('../validations');
+
+/**
+ * @route   GET /api/customers
+ * @desc    List customers with filtering (category, risk, balance), search and pagination
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(customerSchemas.listCustomersQuery),
+  CustomerController.getCustomers
+);
+
+/**
+ * @route   POST /api/customers
+ * @desc    Create a new customer
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(customerSchemas.createCustomer),
+  CustomerController.createCustomer
+);
+
+/**
+ * @route   GET /api/customers/outstanding
+ * @desc    List customers with an outstanding balance
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/outstanding',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  CustomerController.getCustomersWithOutstandingBalance
+);
+
+/**
+ * @route   GET /api/customers/high-risk
+ * @desc    List high-risk customers
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/high-risk',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  CustomerController.getHighRiskCustomers
+);
+
+/**
+ * @route   GET /api/customers/:customerId
+ * @desc    Get customer by ID
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:customerId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  CustomerController.getCustomerById
+);
+
+/**
+ * @route   GET /api/customers/:customerId/risk
+ * @desc    Get a customer's risk score and the factors behind it
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/:customerId/risk',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  CustomerController.getCustomerRisk
+);
+
+/**
+ * @route   POST /api/customers/:customerId/risk/recalculate
+ * @desc    Recompute a customer's risk score now
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/:customerId/risk/recalculate',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  CustomerController.recalculateCustomerRisk
+);
+
+/**
+ * @route   PUT /api/customers/:customerId
+ * @desc    Update customer details
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.put(
+  '/:customerId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(customerSchemas.updateCustomer),
+  CustomerController.updateCustomer
+);
+
+/**
+ * @route   DELETE /api/customers/:customerId
+ * @desc    Soft delete a customer
+ * @access  Private (superAdmin, admin)
+ */
+router.delete(
+  '/:customerId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(customerSchemas.deleteCustomer),
+  CustomerController.deleteCustomer
+);
+
+module.exports = router;
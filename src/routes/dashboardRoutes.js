@@ -0,0 +1,45 @@
+/**
+ * Dashboard Routes
+ * Defines API endpoints for dashboard chart data
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const DashboardController = require('../controllers/dashboardController');
+
+// Middleware
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { dashboardSchemas } = require('../validations');
+
+/**
+ * @route   GET /api/dashboard/snapshots
+ * @desc    Daily or monthly financial snapshots, oldest first (superAdmins without a shop get platform totals)
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/snapshots',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  validateQuery(dashboardSchemas.snapshotsQuery),
+  DashboardController.getSnapshots
+);
+
+/**
+ * @route   GET /api/dashboard/aging
+ * @desc    Outstanding debt by days overdue (current, 0-30, 31-60, 61-90, 90+), risk level and customer category
+ *          (superAdmins without a shop get the whole platform, split by shop)
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/aging',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  validateQuery(dashboardSchemas.agingQuery),
+  DashboardController.getDebtAging
+);
+
+module.exports = router;
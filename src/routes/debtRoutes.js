@@ -0,0 +1,389 @@
+/**
+ * Debt Routes
+ * Defines API endpoints for the customer debt ledger
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const DebtController = require('../controllers/debtController');
+
+// Middleware
+const { authenticate, authorize, hasShopAccess } = require('../middleware/authMiddleware');
+const { validate, validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { debtSchemas, saleSchemas } = require('../validations');
+
+/**
+ * @route   GET /api/debts
+ * @desc    List debts with filtering (customer, status, overdue, due dates), search and pagination
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(debtSchemas.listDebtsQuery),
+  DebtController.getDebts
+);
+
+/**
+ * @route   POST /api/debts
+ * @desc    Record a new debt for a customer
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.createDebt),
+  DebtController.createDebt
+);
+
+/**
+ * @route   POST /api/debts/repayments
+ * @desc    Record a customer repayment, allocated oldest-first or to a specific debt
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/repayments',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.applyRepayment),
+  DebtController.applyRepayment
+);
+
+/**
+ * @route   GET /api/debts/repayments/pending
+ * @desc    List repayments waiting for approval
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/repayments/pending',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  DebtController.getPendingRepayments
+);
+
+/**
+ * @route   POST /api/debts/repayments/:allocationGroupId/approve
+ * @desc    Approve a pending repayment and apply it to the ledger
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/repayments/:allocationGroupId/approve',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  DebtController.approveRepayment
+);
+
+/**
+ * @route   POST /api/debts/repayments/:allocationGroupId/reject
+ * @desc    Reject a pending repayment
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/repayments/:allocationGroupId/reject',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.rejectRepayment),
+  DebtController.rejectRepayment
+);
+
+/**
+ * @route   GET /api/debts/credit-requests
+ * @desc    List credit held for approval or declined by the credit gate
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/credit-requests',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validateQuery(debtSchemas.listCreditRequestsQuery),
+  DebtController.getCreditRequests
+);
+
+/**
+ * @route   GET /api/debts/credit-requests/:requestId
+ * @desc    Get a credit request with its decision and history
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/credit-requests/:requestId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  DebtController.getCreditRequestById
+);
+
+/**
+ * @route   POST /api/debts/credit-requests/:requestId/approve
+ * @desc    Approve held credit, or override an automatic decline, and book the debt or sale
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/credit-requests/:requestId/approve',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.approveCreditRequest),
+  DebtController.approveCreditRequest
+);
+
+/**
+ * @route   POST /api/debts/credit-requests/:requestId/decline
+ * @desc    Decline credit held for approval
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/credit-requests/:requestId/decline',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.declineCreditRequest),
+  DebtController.declineCreditRequest
+);
+
+/**
+ * @route   GET /api/debts/collections
+ * @desc    List debts in collections (employees see the cases assigned to them)
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/collections',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(debtSchemas.listCollectionsQuery),
+  DebtController.getCollections
+);
+
+/**
+ * @route   POST /api/debts/late-fees/:feeId/waive
+ * @desc    Waive an accrued late fee
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/late-fees/:feeId/waive',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.waiveLateFee),
+  DebtController.waiveLateFee
+);
+
+/**
+ * @route   GET /api/debts/payments/:paymentId/receipt
+ * @desc    Render the receipt of a repayment (?format=text|html|pdf&width=58mm|80mm)
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/payments/:paymentId/receipt',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(saleSchemas.receiptQuery),
+  DebtController.getPaymentReceipt
+);
+
+/**
+ * @route   GET /api/debts/:debtId
+ * @desc    Get debt by ID
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:debtId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  DebtController.getDebtById
+);
+
+/**
+ * @route   PUT /api/debts/:debtId
+ * @desc    Update debt due date or note
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.put(
+  '/:debtId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.updateDebt),
+  DebtController.updateDebt
+);
+
+/**
+ * @route   DELETE /api/debts/:debtId
+ * @desc    Soft delete a debt without repayments
+ * @access  Private (superAdmin, admin)
+ */
+router.delete(
+  '/:debtId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.deleteDebt),
+  DebtController.deleteDebt
+);
+
+/**
+ * @route   GET /api/debts/:debtId/payments
+ * @desc    Get repayment history for a debt
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:debtId/payments',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  DebtController.getDebtPayments
+);
+
+/**
+ * @route   POST /api/debts/:debtId/payments
+ * @desc    Record a repayment against a debt
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/:debtId/payments',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.recordRepayment),
+  DebtController.recordRepayment
+);
+
+/**
+ * @route   GET /api/debts/:debtId/installments
+ * @desc    Get a debt's installment plan and the amount due now
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:debtId/installments',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  DebtController.getInstallmentPlan
+);
+
+/**
+ * @route   POST /api/debts/:debtId/installments
+ * @desc    Split a debt into weekly, biweekly, monthly or custom installments
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/:debtId/installments',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.createInstallmentPlan),
+  DebtController.createInstallmentPlan
+);
+
+/**
+ * @route   POST /api/debts/:debtId/installments/reschedule
+ * @desc    Replace the open installments with a new schedule, keeping the old one in the history
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/:debtId/installments/reschedule',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.rescheduleInstallmentPlan),
+  DebtController.rescheduleInstallmentPlan
+);
+
+/**
+ * @route   POST /api/debts/:debtId/collection
+ * @desc    Send a debt to collections, or reassign its case
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/:debtId/collection',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.assignCollection),
+  DebtController.assignCollection
+);
+
+/**
+ * @route   POST /api/debts/:debtId/collection/contacts
+ * @desc    Log an attempt to reach the customer
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/:debtId/collection/contacts',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.logCollectionContact),
+  DebtController.logCollectionContact
+);
+
+/**
+ * @route   POST /api/debts/:debtId/collection/promises
+ * @desc    Record a customer's promise to pay by a date
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/:debtId/collection/promises',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.recordPaymentPromise),
+  DebtController.recordPaymentPromise
+);
+
+/**
+ * @route   POST /api/debts/:debtId/collection/follow-up
+ * @desc    Schedule the next follow-up on a collection case
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/:debtId/collection/follow-up',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(debtSchemas.scheduleFollowUp),
+  DebtController.scheduleCollectionFollowUp
+);
+
+/**
+ * @route   POST /api/debts/:debtId/collection/resolve
+ * @desc    Close a collection case by settlement or write-off
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/:debtId/collection/resolve',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(debtSchemas.resolveCollection),
+  DebtController.resolveCollection
+);
+
+/**
+ * @route   GET /api/debts/:debtId/late-fees
+ * @desc    Get late fees accrued on a debt
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:debtId/late-fees',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  DebtController.getLateFees
+);
+
+module.exports = router;
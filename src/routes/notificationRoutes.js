@@ -0,0 +1,113 @@
+/**
+ * Notification Routes
+ * Defines API endpoints for the in-app inbox and notification delivery management
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const NotificationController = require('../controllers/notificationController');
+
+// Middleware
+const { authenticate, authorize } = require('../middleware/authMiddleware');
+const { validate, validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { notificationSchemas } = require('../validations');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the authenticated user's in-app notifications with unread count, category filter and pagination
+ * @access  Private (all authenticated users)
+ */
+router.get(
+  '/',
+  authenticate,
+  validateQuery(notificationSchemas.inboxQuery),
+  NotificationController.getInbox
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the authenticated user's unread notification count
+ * @access  Private (all authenticated users)
+ */
+router.get(
+  '/unread-count',
+  authenticate,
+  NotificationController.getUnreadCount
+);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all unread notifications as read, optionally within one category
+ * @access  Private (all authenticated users)
+ */
+router.put(
+  '/read-all',
+  authenticate,
+  validate(notificationSchemas.markAllRead),
+  NotificationController.markAllAsRead
+);
+
+/**
+ * @route   GET /api/notifications/failed
+ * @desc    List notifications that failed after exhausting their retries
+ * @access  Private (superAdmin, admin) - admins only see their own shop
+ */
+router.get(
+  '/failed',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  validateQuery(notificationSchemas.listFailedQuery),
+  NotificationController.getFailedNotifications
+);
+
+/**
+ * @route   POST /api/notifications/failed/requeue
+ * @desc    Re-queue failed notifications (all in scope, by ID, or by channel)
+ * @access  Private (superAdmin, admin) - admins only affect their own shop
+ */
+router.post(
+  '/failed/requeue',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  validate(notificationSchemas.requeueFailed),
+  NotificationController.requeueFailedNotifications
+);
+
+/**
+ * @route   POST /api/notifications/:notificationId/requeue
+ * @desc    Re-queue a single failed notification with a fresh retry budget
+ * @access  Private (superAdmin, admin) - admins only affect their own shop
+ */
+router.post(
+  '/:notificationId/requeue',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  NotificationController.requeueNotification
+);
+
+/**
+ * @route   PUT /api/notifications/:notificationId/read
+ * @desc    Mark one of the authenticated user's notifications as read
+ * @access  Private (all authenticated users)
+ */
+router.put(
+  '/:notificationId/read',
+  authenticate,
+  NotificationController.markAsRead
+);
+
+/**
+ * @route   DELETE /api/notifications/:notificationId
+ * @desc    Remove a notification from the authenticated user's inbox
+ * @access  Private (all authenticated users)
+ */
+router.delete(
+  '/:notificationId',
+  authenticate,
+  NotificationController.deleteNotification
+);
+
+module.exports = router;
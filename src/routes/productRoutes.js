@@ -0,0 +1,156 @@
+/**
+ * Product Routes
+ * Defines API endpoints for the shop product catalog and stock ledger
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const ProductController = require('../controllers/productController');
+
+// Middleware
+const { authenticate, authorize, hasShopAccess } = require('../middleware/authMiddleware');
+const { validate, validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { productSchemas } = require('../validations');
+
+/**
+ * @route   GET /api/products
+ * @desc    List products with filtering (status, category, tag, low stock, price), search and pagination
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(productSchemas.listProductsQuery),
+  ProductController.getProducts
+);
+
+/**
+ * @route   POST /api/products
+ * @desc    Create a new product (counts towards the plan's product limit)
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(productSchemas.createProduct),
+  ProductController.createProduct
+);
+
+/**
+ * @route   PUT /api/products/prices
+ * @desc    Update prices for many products, explicitly or by percentage/fixed adjustment
+ * @access  Private (superAdmin, admin)
+ */
+router.put(
+  '/prices',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(productSchemas.bulkUpdatePrices),
+  ProductController.bulkUpdatePrices
+);
+
+/**
+ * @route   GET /api/products/stock-movements
+ * @desc    List stock movements across the shop with filtering and pagination
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/stock-movements',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validateQuery(productSchemas.listStockMovementsQuery),
+  ProductController.getStockMovements
+);
+
+/**
+ * @route   GET /api/products/:productId
+ * @desc    Get product by ID
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:productId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  ProductController.getProductById
+);
+
+/**
+ * @route   PUT /api/products/:productId
+ * @desc    Update product details
+ * @access  Private (superAdmin, admin)
+ */
+router.put(
+  '/:productId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(productSchemas.updateProduct),
+  ProductController.updateProduct
+);
+
+/**
+ * @route   GET /api/products/:productId/stock
+ * @desc    Compare stored stock with the stock derived from the movement ledger
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:productId/stock',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  ProductController.getStockSummary
+);
+
+/**
+ * @route   GET /api/products/:productId/stock-movements
+ * @desc    List stock movements for a product
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:productId/stock-movements',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(productSchemas.listStockMovementsQuery),
+  ProductController.getProductStockMovements
+);
+
+/**
+ * @route   POST /api/products/:productId/stock-movements
+ * @desc    Record a stock adjustment, supplier receipt, damage or write-off
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/:productId/stock-movements',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(productSchemas.recordStockMovement),
+  ProductController.recordStockMovement
+);
+
+/**
+ * @route   DELETE /api/products/:productId
+ * @desc    Soft delete a product
+ * @access  Private (superAdmin, admin)
+ */
+router.delete(
+  '/:productId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(productSchemas.deleteProduct),
+  ProductController.deleteProduct
+);
+
+module.exports = router;
@@ -51,8 +51,50 @@ router.post(
   '/schedule',
   authenticate,
   authorize(['superAdmin', 'admin']),
-  validate(reportSchemas.scheduleReportDelivery),
-  reportController.scheduleReportDelivery
+  validate(reportSchemas.createReportSchedule),
+  reportController.createReportSchedule
+);
+
+// List report delivery schedules
+router.get(
+  '/schedule',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  validateQuery(reportSchemas.listReportSchedulesQuery),
+  reportController.getReportSchedules
+);
+
+// Get a report delivery schedule
+router.get(
+  '/schedule/:scheduleId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  reportController.getReportScheduleById
+);
+
+// Update a report delivery schedule
+router.put(
+  '/schedule/:scheduleId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  validate(reportSchemas.updateReportSchedule),
+  reportController.updateReportSchedule
+);
+
+// Delete a report delivery schedule
+router.delete(
+  '/schedule/:scheduleId',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  reportController.deleteReportSchedule
+);
+
+// Run a report delivery schedule now
+router.post(
+  '/schedule/:scheduleId/run',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  reportController.runReportSchedule
 );
 
 // Get reports by shop
@@ -72,6 +114,14 @@ router.get(
   reportController.getReportById
 );
 
+// Download a report's generated file
+router.get(
+  '/:reportId/download',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  reportController.downloadReport
+);
+
 // Email a report
 router.post(
   '/:reportId/email',
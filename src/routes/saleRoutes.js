@@ -0,0 +1,73 @@
+/**
+ * Sale Routes
+ * Defines API endpoints for point-of-sale transactions
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const SaleController = require('../controllers/saleController');
+
+// Middleware
+const { authenticate, authorize, hasShopAccess } = require('../middleware/authMiddleware');
+const { validate, validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { saleSchemas } = require('../validations');
+
+/**
+ * @route   POST /api/sales
+ * @desc    Ring up a sale, taking payment or recording it as a customer debt
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(saleSchemas.createSale),
+  SaleController.createSale
+);
+
+/**
+ * @route   GET /api/sales/:saleId
+ * @desc    Get sale by ID
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:saleId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  SaleController.getSaleById
+);
+
+/**
+ * @route   GET /api/sales/:saleId/receipt
+ * @desc    Render the sale receipt (?format=text|html|pdf&width=58mm|80mm)
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:saleId/receipt',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(saleSchemas.receiptQuery),
+  SaleController.getSaleReceipt
+);
+
+/**
+ * @route   POST /api/sales/:saleId/returns
+ * @desc    Return items from a sale, restocking them and refunding the payment or debt
+ * @access  Private (superAdmin, admin)
+ */
+router.post(
+  '/:saleId/returns',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validate(saleSchemas.returnSale),
+  SaleController.returnSale
+);
+
+module.exports = router;
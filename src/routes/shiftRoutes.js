@@ -0,0 +1,114 @@
+/**
+ * Shift Routes
+ * Defines API endpoints for cash drawer shifts
+ */
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const ShiftController = require('../controllers/shiftController');
+
+// Middleware
+const { authenticate, authorize, hasShopAccess } = require('../middleware/authMiddleware');
+const { validate, validateQuery } = require('../middleware/validationMiddleware');
+
+// Validation Schemas
+const { shiftSchemas } = require('../validations');
+
+/**
+ * @route   GET /api/shifts
+ * @desc    List shifts (employees see only their own)
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validateQuery(shiftSchemas.listShiftsQuery),
+  ShiftController.getShifts
+);
+
+/**
+ * @route   POST /api/shifts
+ * @desc    Open a shift with an opening cash float
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(shiftSchemas.openShift),
+  ShiftController.openShift
+);
+
+/**
+ * @route   GET /api/shifts/current
+ * @desc    Get the current user's open shift with running totals
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/current',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  ShiftController.getCurrentShift
+);
+
+/**
+ * @route   GET /api/shifts/variance
+ * @desc    Cash variance of closed shifts per cashier
+ * @access  Private (superAdmin, admin)
+ */
+router.get(
+  '/variance',
+  authenticate,
+  authorize(['superAdmin', 'admin']),
+  hasShopAccess,
+  validateQuery(shiftSchemas.varianceReportQuery),
+  ShiftController.getVarianceReport
+);
+
+/**
+ * @route   GET /api/shifts/:shiftId
+ * @desc    Get a shift with its payment totals and expected cash
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.get(
+  '/:shiftId',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  ShiftController.getShiftById
+);
+
+/**
+ * @route   POST /api/shifts/:shiftId/cash-movements
+ * @desc    Record a pay-in or pay-out on an open shift
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/:shiftId/cash-movements',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(shiftSchemas.recordCashMovement),
+  ShiftController.recordCashMovement
+);
+
+/**
+ * @route   POST /api/shifts/:shiftId/close
+ * @desc    Close a shift with the counted cash and record the variance
+ * @access  Private (superAdmin, admin, employee)
+ */
+router.post(
+  '/:shiftId/close',
+  authenticate,
+  authorize(['superAdmin', 'admin', 'employee']),
+  hasShopAccess,
+  validate(shiftSchemas.closeShift),
+  ShiftController.closeShift
+);
+
+module.exports = router;
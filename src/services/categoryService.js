@@ -0,0 +1,430 @@
+/**
+ * Category Service
+ * Handles business logic for per-shop product categories
+ */
+const { Category, Product } = require('../models');
+const {
+  AppError,
+  idGenerator,
+  ValidationHelper,
+  TransactionHelper,
+  logInfo,
+  logError,
+  logSuccess
+} = require('../utils');
+
+/**
+ * Deepest nesting allowed (a top-level category is depth 1)
+ */
+const MAX_CATEGORY_DEPTH = 5;
+
+/**
+ * Case-insensitive comparison used for sibling name uniqueness
+ */
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Fields that can be changed through the category API
+ */
+const UPDATABLE_FIELDS = ['name', 'description', 'parentId', 'sortOrder', 'icon'];
+
+/**
+ * Make sure no sibling category already uses this name
+ * @param {string} shopId - Shop ID
+ * @param {string|null} parentId - Parent of the siblings
+ * @param {string} name - Category name
+ * @param {string} [excludeCategoryId] - Category being updated
+ */
+const assertNameAvailable = async (shopId, parentId, name, excludeCategoryId) => {
+  const filter = { shopId, parentId: parentId || null, name, isDeleted: false };
+  if (excludeCategoryId) {
+    filter.categoryId = { $ne: excludeCategoryId };
+  }
+
+  const existing = await Category.findOne(filter, { categoryId: 1 }).collation(NAME_COLLATION);
+  if (existing) {
+    throw new AppError(`A category named ${name} already exists here`, 409, 'duplicate_category');
+  }
+};
+
+/**
+ * Sort categories for display: sortOrder first, then name
+ * @param {Object} a - Category
+ * @param {Object} b - Category
+ * @returns {number} Comparison result
+ */
+const bySortOrder = (a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name);
+
+/**
+ * CategoryService provides methods for managing a shop's product categories
+ */
+const CategoryService = {
+  /**
+   * Check that a category exists in the shop, for validating references from other records
+   * @param {string} shopId - Shop ID
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Category
+   */
+  assertCategoryExists: async (shopId, categoryId) => {
+    const category = await Category.findOne({ categoryId, shopId, isDeleted: false });
+
+    if (!category) {
+      throw new AppError(`Category not found: ${categoryId}`, 400, 'invalid_category');
+    }
+
+    return category;
+  },
+
+  /**
+   * Get the IDs of every category nested below a category
+   * @param {string} shopId - Shop ID
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} { ids, height } where height counts the levels below the category
+   */
+  getDescendants: async (shopId, categoryId) => {
+    const ids = [];
+    let level = [categoryId];
+    let height = 0;
+
+    while (level.length) {
+      const children = await Category.find(
+        { shopId, parentId: { $in: level }, isDeleted: false },
+        { categoryId: 1 }
+      );
+
+      level = children.map(child => child.categoryId);
+      if (level.length) {
+        ids.push(...level);
+        height += 1;
+      }
+    }
+
+    return { ids, height };
+  },
+
+  /**
+   * Validate a parent for a new or moved category
+   * Rejects missing parents, cycles and nesting deeper than MAX_CATEGORY_DEPTH
+   * @param {string} shopId - Shop ID
+   * @param {string|null} parentId - Proposed parent
+   * @param {string} [categoryId] - Category being moved
+   */
+  validateParent: async (shopId, parentId, categoryId) => {
+    if (!parentId) return;
+
+    if (parentId === categoryId) {
+      throw new AppError('A category cannot be its own parent', 400, 'invalid_category_parent');
+    }
+
+    // Walk up from the parent to find its depth and make sure we never pass through the moved category
+    let depth = 0;
+    let currentId = parentId;
+
+    while (currentId) {
+      const current = await Category.findOne({ categoryId: currentId, shopId, isDeleted: false }, { parentId: 1 });
+
+      if (!current) {
+        throw new AppError(`Parent category not found: ${currentId}`, 400, 'invalid_category_parent');
+      }
+
+      if (categoryId && currentId === categoryId) {
+        throw new AppError('A category cannot be moved under one of its own subcategories', 400, 'invalid_category_parent');
+      }
+
+      depth += 1;
+      currentId = current.parentId;
+    }
+
+    const subtreeHeight = categoryId ? (await CategoryService.getDescendants(shopId, categoryId)).height : 0;
+
+    if (depth + 1 + subtreeHeight > MAX_CATEGORY_DEPTH) {
+      throw new AppError(`Categories cannot be nested more than ${MAX_CATEGORY_DEPTH} levels deep`, 400, 'category_depth_exceeded');
+    }
+  },
+
+  /**
+   * Create a category for a shop
+   * @param {string} shopId - Shop ID
+   * @param {Object} categoryData - Category details
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user creating the category
+   * @returns {Promise<Object>} Created category
+   */
+  createCategory: async (shopId, categoryData, options = {}) => {
+    try {
+      const parentId = categoryData.parentId || null;
+
+      await CategoryService.validateParent(shopId, parentId);
+      await assertNameAvailable(shopId, parentId, categoryData.name);
+
+      const categoryId = await idGenerator.generateCategoryId(Category);
+
+      const category = new Category({
+        ...categoryData,
+        categoryId,
+        shopId,
+        parentId,
+        createdBy: options.actorId
+      });
+
+      await category.save();
+
+      logSuccess(`Category created: ${categoryId} for shop ${shopId} by ${options.actorId || 'system'}`, 'CategoryService');
+      return category;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw error.keyPattern && error.keyPattern.name
+          ? new AppError(`A category named ${categoryData.name} already exists here`, 409, 'duplicate_category')
+          : new AppError('Category ID already exists, please retry', 409, 'duplicate_category_id');
+      }
+
+      logError(`Failed to create category: ${error.message}`, 'CategoryService', error);
+      throw new AppError('Failed to create category', 500, 'category_creation_error');
+    }
+  },
+
+  /**
+   * Get a category by ID within a shop
+   * @param {string} shopId - Shop ID
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Category
+   */
+  getCategoryById: async (shopId, categoryId) => {
+    try {
+      const category = await Category.findOne({ categoryId, shopId, isDeleted: false });
+
+      if (!category) {
+        throw new AppError('Category not found', 404, 'category_not_found');
+      }
+
+      return category;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get category ${categoryId}: ${error.message}`, 'CategoryService', error);
+      throw new AppError('Failed to retrieve category', 500, 'category_retrieval_error');
+    }
+  },
+
+  /**
+   * List a shop's categories, flat or as a tree, with product counts
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Validated query parameters
+   * @param {boolean} [query.tree] - Return nested categories
+   * @param {string} [query.parentId] - Only direct children of this category (flat list)
+   * @param {string} [query.search] - Filter by name (flat list)
+   * @returns {Promise<Array>} Categories
+   */
+  getCategories: async (shopId, query = {}) => {
+    try {
+      const filter = { shopId, isDeleted: false };
+
+      if (!query.tree) {
+        if (query.parentId !== undefined) {
+          filter.parentId = query.parentId || null;
+        }
+
+        if (query.search) {
+          filter.name = { $regex: ValidationHelper.escapeRegex(query.search), $options: 'i' };
+        }
+      }
+
+      const [categories, counts] = await Promise.all([
+        Category.find(filter).lean(),
+        Product.aggregate([
+          { $match: { shopId, isDeleted: false, categoryId: { $ne: null } } },
+          { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const productCounts = new Map(counts.map(entry => [entry._id, entry.count]));
+      const nodes = categories
+        .map(category => ({ ...category, productCount: productCounts.get(category.categoryId) || 0 }))
+        .sort(bySortOrder);
+
+      if (!query.tree) {
+        return nodes;
+      }
+
+      const nodesById = new Map(nodes.map(node => [node.categoryId, { ...node, children: [] }]));
+      const roots = [];
+
+      nodesById.forEach(node => {
+        const parent = node.parentId && nodesById.get(node.parentId);
+        if (parent) {
+          parent.children.push(node);
+        } else {
+          roots.push(node);
+        }
+      });
+
+      // Insertion order follows the sorted list, so children are already in display order
+      return roots;
+    } catch (error) {
+      logError(`Failed to list categories for shop ${shopId}: ${error.message}`, 'CategoryService', error);
+      throw new AppError('Failed to retrieve categories', 500, 'category_retrieval_error');
+    }
+  },
+
+  /**
+   * Update a category, including moving it under another parent
+   * @param {string} shopId - Shop ID
+   * @param {string} categoryId - Category ID
+   * @param {Object} updateData - Fields to update
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Updated category and the changed fields
+   */
+  updateCategory: async (shopId, categoryId, updateData, options = {}) => {
+    try {
+      const category = await CategoryService.getCategoryById(shopId, categoryId);
+
+      const parentId = updateData.parentId !== undefined ? updateData.parentId || null : category.parentId;
+      const name = updateData.name || category.name;
+
+      if (parentId !== category.parentId) {
+        await CategoryService.validateParent(shopId, parentId, categoryId);
+      }
+
+      if (parentId !== category.parentId || name !== category.name) {
+        await assertNameAvailable(shopId, parentId, name, categoryId);
+      }
+
+      const changedFields = [];
+
+      UPDATABLE_FIELDS.forEach(field => {
+        if (updateData[field] === undefined) return;
+
+        category[field] = field === 'parentId' ? parentId : updateData[field];
+        changedFields.push(field);
+      });
+
+      await category.save();
+
+      logSuccess(`Category updated: ${categoryId} by ${options.actorId || 'system'}`, 'CategoryService');
+      return { category, changedFields };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError(`A category named ${updateData.name} already exists here`, 409, 'duplicate_category');
+      }
+
+      logError(`Failed to update category ${categoryId}: ${error.message}`, 'CategoryService', error);
+      throw new AppError('Failed to update category', 500, 'category_update_error');
+    }
+  },
+
+  /**
+   * Set the display order of several categories at once
+   * @param {string} shopId - Shop ID
+   * @param {Array<Object>} items - { categoryId, sortOrder } entries
+   * @returns {Promise<number>} Number of categories updated
+   */
+  reorderCategories: async (shopId, items) => {
+    try {
+      const categoryIds = items.map(item => item.categoryId);
+      const found = await Category.find({ shopId, categoryId: { $in: categoryIds }, isDeleted: false }, { categoryId: 1 });
+      const foundIds = new Set(found.map(category => category.categoryId));
+
+      const missing = categoryIds.filter(categoryId => !foundIds.has(categoryId));
+      if (missing.length) {
+        throw new AppError(`Categories not found: ${missing.join(', ')}`, 404, 'category_not_found');
+      }
+
+      await Category.bulkWrite(items.map(item => ({
+        updateOne: {
+          filter: { shopId, categoryId: item.categoryId },
+          update: { $set: { sortOrder: item.sortOrder } }
+        }
+      })));
+
+      return items.length;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to reorder categories for shop ${shopId}: ${error.message}`, 'CategoryService', error);
+      throw new AppError('Failed to reorder categories', 500, 'category_update_error');
+    }
+  },
+
+  /**
+   * Soft delete a category
+   * Its products move to reassignTo (or become uncategorized) and its subcategories move up to its parent
+   * @param {string} shopId - Shop ID
+   * @param {string} categoryId - Category ID
+   * @param {Object} data - Deletion options
+   * @param {string|null} [data.reassignTo] - Category that takes over the products
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} { category, productsReassigned, subcategoriesMoved }
+   */
+  deleteCategory: async (shopId, categoryId, data = {}, options = {}) => {
+    try {
+      const category = await CategoryService.getCategoryById(shopId, categoryId);
+      const reassignTo = data.reassignTo || null;
+
+      if (reassignTo) {
+        if (reassignTo === categoryId) {
+          throw new AppError('Products cannot be reassigned to the category being deleted', 400, 'invalid_category');
+        }
+
+        await CategoryService.assertCategoryExists(shopId, reassignTo);
+      }
+
+      return await TransactionHelper.runInTransaction(async (session) => {
+        const products = await Product.updateMany(
+          { shopId, categoryId, isDeleted: false },
+          { $set: { categoryId: reassignTo } },
+          { session }
+        );
+
+        const subcategories = await Category.updateMany(
+          { shopId, parentId: categoryId, isDeleted: false },
+          { $set: { parentId: category.parentId } },
+          { session }
+        );
+
+        category.isDeleted = true;
+        category.deletedAt = new Date();
+        await category.save({ session });
+
+        logInfo(
+          `Category soft-deleted: ${categoryId} (${products.modifiedCount} products to ${reassignTo || 'uncategorized'}) by ${options.actorId || 'system'}`,
+          'CategoryService'
+        );
+
+        return {
+          category,
+          productsReassigned: products.modifiedCount,
+          subcategoriesMoved: subcategories.modifiedCount
+        };
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError(
+          'A subcategory has the same name as a category under the parent; rename it before deleting',
+          409,
+          'duplicate_category'
+        );
+      }
+
+      logError(`Failed to delete category ${categoryId}: ${error.message}`, 'CategoryService', error);
+      throw new AppError('Failed to delete category', 500, 'category_deletion_error');
+    }
+  }
+};
+
+module.exports = CategoryService;
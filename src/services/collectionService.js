@@ -0,0 +1,564 @@
+/**
+ * Collection Service
+ * Works debts moved to collections: assignment, contact attempts, promises to pay,
+ * follow-ups and closing the case by settlement or write-off
+ */
+const { Debt, Customer, Payment, User } = require('../models');
+const NotificationService = require('./notificationService');
+const RiskScoringService = require('./riskScoringService');
+const {
+  AppError,
+  LogHelper,
+  PaginationHelper,
+  TransactionHelper,
+  logInfo,
+  logError,
+  logSuccess
+} = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Audit actor for steps the scheduler takes
+ * @param {string} shopId - Shop ID
+ * @returns {Object} Actor details for LogHelper
+ */
+const systemActor = (shopId) => ({
+  actorId: 'system',
+  actorRole: 'system',
+  shopId
+});
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Repayments received on a debt since a point in time
+ * @param {Object} debt - Debt document
+ * @param {Date} since - Start of the window
+ * @returns {Promise<number>} Amount received, net of refunds
+ */
+const getPaidSince = async (debt, since) => {
+  const [totals] = await Payment.aggregate([
+    {
+      $match: {
+        shopId: debt.shopId,
+        debtId: debt.debtId,
+        paymentContext: 'debt',
+        status: { $in: ['confirmed', 'partially-refunded'] },
+        isDeleted: false,
+        paymentDate: { $gte: since }
+      }
+    },
+    { $group: { _id: null, amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$refund.amount', 0] }] } } } }
+  ]);
+
+  return roundAmount(totals ? totals.amount : 0);
+};
+
+/**
+ * Load a debt whose collection case is still open
+ * Employees can only work the cases assigned to them
+ * @param {string} shopId - Shop ID
+ * @param {string} debtId - Debt ID
+ * @param {Object} options - { actorId, actorRole }
+ * @returns {Promise<Object>} Debt document
+ */
+const findOpenCase = async (shopId, debtId, options = {}) => {
+  const debt = await Debt.findOne({ debtId, shopId, isDeleted: false });
+
+  if (!debt) {
+    throw new AppError('Debt not found', 404, 'debt_not_found');
+  }
+
+  if (!debt.collectionCase || debt.collectionStatus === 'resolved') {
+    throw new AppError('Debt has no open collection case', 400, 'collection_not_open');
+  }
+
+  if (options.actorRole === 'employee' && debt.collectionCase.assignedTo !== options.actorId) {
+    throw new AppError('This collection case is assigned to someone else', 403, 'collection_not_assigned');
+  }
+
+  return debt;
+};
+
+/**
+ * Mark the case as being worked once someone has acted on it
+ * @param {Object} debt - Debt document
+ */
+const markInProcess = (debt) => {
+  if (debt.collectionStatus === 'pending') {
+    debt.collectionStatus = 'in-process';
+  }
+};
+
+/**
+ * Close a collection case, forgiving whatever is still owed
+ * @param {Object} debt - Debt document
+ * @param {string} type - 'settlement' or 'write-off'
+ * @param {Object} details - { note, resolvedBy }
+ * @returns {Promise<Object>} { debt, writtenOffAmount, collectedAmount }
+ */
+const closeCase = async (debt, type, details) => {
+  const collectedAmount = await getPaidSince(debt, debt.collectionCase.openedAt);
+  // Read before the transaction so a retried attempt writes off the same amount once
+  const writtenOffAmount = roundAmount(debt.remainingAmount);
+  const previouslyWrittenOff = debt.writtenOffAmount || 0;
+
+  return TransactionHelper.runInTransaction(async (session) => {
+    const now = new Date();
+
+    debt.collectionCase.promises.forEach((promise) => {
+      if (promise.status === 'open') {
+        promise.status = 'cancelled';
+        promise.resolvedAt = now;
+      }
+    });
+
+    debt.collectionCase.nextFollowUpAt = null;
+    debt.collectionCase.resolution = {
+      type,
+      writtenOffAmount,
+      collectedAmount,
+      note: details.note,
+      resolvedBy: details.resolvedBy,
+      resolvedAt: now
+    };
+    debt.collectionStatus = 'resolved';
+
+    if (writtenOffAmount > 0) {
+      debt.writtenOffAmount = roundAmount(previouslyWrittenOff + writtenOffAmount);
+      debt.writtenOffAt = now;
+    }
+
+    await debt.save({ session });
+
+    if (writtenOffAmount > 0) {
+      await Customer.updateOne(
+        { customerId: debt.customerId, shopId: debt.shopId },
+        { $inc: { outstandingBalance: -writtenOffAmount } },
+        { session }
+      );
+    }
+
+    return { debt, writtenOffAmount, collectedAmount };
+  });
+};
+
+/**
+ * CollectionService provides methods for working debts in collections
+ */
+const CollectionService = {
+  /**
+   * List debts in collections
+   * Employees only see the cases assigned to them
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Filters (collectionStatus, assignedTo, followUpDue, customerId) and pagination
+   * @param {Object} options - { actorId, actorRole }
+   * @returns {Promise<Object>} Paginated debts, next follow-up first
+   */
+  getCollections: async (shopId, query = {}, options = {}) => {
+    try {
+      const filter = { shopId, isDeleted: false, collectionCase: { $ne: null } };
+
+      if (query.collectionStatus) {
+        filter.collectionStatus = query.collectionStatus;
+      }
+
+      if (query.customerId) {
+        filter.customerId = query.customerId;
+      }
+
+      if (options.actorRole === 'employee') {
+        filter['collectionCase.assignedTo'] = options.actorId;
+      } else if (query.assignedTo) {
+        filter['collectionCase.assignedTo'] = query.assignedTo;
+      }
+
+      if (query.followUpDue === true) {
+        filter.collectionStatus = { $ne: 'resolved' };
+        filter['collectionCase.nextFollowUpAt'] = { $lte: new Date() };
+      }
+
+      const paginationOptions = PaginationHelper.getPaginationOptions(query);
+      paginationOptions.sort = paginationOptions.sort || { 'collectionCase.nextFollowUpAt': 1, dueDate: 1 };
+
+      return await PaginationHelper.paginate(Debt, filter, paginationOptions);
+    } catch (error) {
+      logError(`Failed to list collections for shop ${shopId}: ${error.message}`, 'CollectionService', error);
+      throw new AppError('Failed to retrieve collections', 500, 'collection_retrieval_error');
+    }
+  },
+
+  /**
+   * Move a debt to collections, or reassign its open case
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} caseData - { assignedTo?, nextFollowUpAt?, note? }
+   * @param {Object} options - { actorId }
+   * @returns {Promise<Object>} { debt, opened, previousAssignee }
+   */
+  assignCase: async (shopId, debtId, caseData, options = {}) => {
+    try {
+      const debt = await Debt.findOne({ debtId, shopId, isDeleted: false });
+
+      if (!debt) {
+        throw new AppError('Debt not found', 404, 'debt_not_found');
+      }
+
+      if (debt.isSettled) {
+        throw new AppError('Settled debts cannot be sent to collections', 400, 'debt_already_settled');
+      }
+
+      if (caseData.assignedTo) {
+        const assignee = await User.findOne({
+          userId: caseData.assignedTo,
+          shopId,
+          role: { $in: ['admin', 'employee'] },
+          status: 'active',
+          isDeleted: false
+        }, { userId: 1 });
+
+        if (!assignee) {
+          throw new AppError('Collections can only be assigned to an active user of this shop', 400, 'invalid_assignee');
+        }
+      }
+
+      const opened = !debt.collectionCase || debt.collectionStatus === 'resolved';
+      const previousAssignee = opened ? null : debt.collectionCase.assignedTo || null;
+      const now = new Date();
+
+      if (opened) {
+        debt.collectionCase = {
+          openedBy: options.actorId,
+          openedAt: now,
+          contacts: [],
+          promises: []
+        };
+        debt.collectionStatus = 'pending';
+        debt.status = 'in-collection';
+      }
+
+      if (caseData.assignedTo) {
+        debt.collectionCase.assignedTo = caseData.assignedTo;
+        debt.collectionCase.assignedBy = options.actorId;
+        debt.collectionCase.assignedAt = now;
+        markInProcess(debt);
+      }
+
+      if (caseData.nextFollowUpAt) {
+        debt.collectionCase.nextFollowUpAt = caseData.nextFollowUpAt;
+        debt.collectionCase.followUpNote = caseData.note;
+        debt.collectionCase.followUpNotifiedAt = null;
+      }
+
+      await debt.save();
+
+      if (caseData.assignedTo && caseData.assignedTo !== previousAssignee) {
+        await NotificationService.notifyCollectionAssigned(debt, caseData.note);
+      }
+
+      logSuccess(`Debt ${debtId} ${opened ? 'sent to collections' : 'reassigned'} by ${options.actorId || 'system'}`, 'CollectionService');
+      return { debt, opened, previousAssignee };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to assign collection for debt ${debtId}: ${error.message}`, 'CollectionService', error);
+      throw new AppError('Failed to assign collection', 500, 'collection_update_error');
+    }
+  },
+
+  /**
+   * Log an attempt to reach the customer
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} contactData - { channel, outcome, note?, contactedAt?, nextFollowUpAt? }
+   * @param {Object} options - { actorId, actorRole }
+   * @returns {Promise<Object>} { debt, contact }
+   */
+  logContact: async (shopId, debtId, contactData, options = {}) => {
+    try {
+      const debt = await findOpenCase(shopId, debtId, options);
+
+      debt.collectionCase.contacts.push({
+        channel: contactData.channel,
+        outcome: contactData.outcome,
+        note: contactData.note,
+        contactedBy: options.actorId,
+        contactedAt: contactData.contactedAt || new Date()
+      });
+
+      if (contactData.nextFollowUpAt) {
+        debt.collectionCase.nextFollowUpAt = contactData.nextFollowUpAt;
+        debt.collectionCase.followUpNote = contactData.note;
+        debt.collectionCase.followUpNotifiedAt = null;
+      }
+
+      markInProcess(debt);
+      await debt.save();
+
+      const contact = debt.collectionCase.contacts[debt.collectionCase.contacts.length - 1];
+
+      logInfo(`Contact (${contact.channel}, ${contact.outcome}) logged on debt ${debtId} by ${options.actorId}`, 'CollectionService');
+      return { debt, contact };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to log contact for debt ${debtId}: ${error.message}`, 'CollectionService', error);
+      throw new AppError('Failed to log contact', 500, 'collection_update_error');
+    }
+  },
+
+  /**
+   * Record a customer's promise to pay by a date
+   * A new promise replaces any open one; the follow-up moves to the day after the promised date
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} promiseData - { amount, promisedDate, note? }
+   * @param {Object} options - { actorId, actorRole }
+   * @returns {Promise<Object>} { debt, promise, replaced }
+   */
+  recordPromise: async (shopId, debtId, promiseData, options = {}) => {
+    try {
+      const debt = await findOpenCase(shopId, debtId, options);
+      const amount = roundAmount(promiseData.amount);
+
+      if (amount > roundAmount(debt.remainingAmount)) {
+        throw new AppError(
+          `Promised amount exceeds the ${roundAmount(debt.remainingAmount)} still owed`,
+          400,
+          'promise_exceeds_balance'
+        );
+      }
+
+      const now = new Date();
+      const replaced = [];
+
+      debt.collectionCase.promises.forEach((promise) => {
+        if (promise.status === 'open') {
+          promise.status = 'cancelled';
+          promise.resolvedAt = now;
+          replaced.push(promise._id.toString());
+        }
+      });
+
+      debt.collectionCase.promises.push({
+        amount,
+        promisedDate: promiseData.promisedDate,
+        note: promiseData.note,
+        recordedBy: options.actorId,
+        recordedAt: now
+      });
+
+      debt.collectionCase.nextFollowUpAt = new Date(new Date(promiseData.promisedDate).getTime() + DAY_MS);
+      debt.collectionCase.followUpNote = `Check payment of ${amount} promised for ${new Date(promiseData.promisedDate).toISOString().slice(0, 10)}`;
+      debt.collectionCase.followUpNotifiedAt = null;
+
+      markInProcess(debt);
+      await debt.save();
+
+      const promise = debt.collectionCase.promises[debt.collectionCase.promises.length - 1];
+
+      logInfo(`Promise to pay ${amount} by ${promise.promisedDate.toISOString()} recorded on debt ${debtId} by ${options.actorId}`, 'CollectionService');
+      return { debt, promise, replaced };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to record promise for debt ${debtId}: ${error.message}`, 'CollectionService', error);
+      throw new AppError('Failed to record promise to pay', 500, 'collection_update_error');
+    }
+  },
+
+  /**
+   * Schedule the next follow-up on a case
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} followUpData - { followUpAt, note? }
+   * @param {Object} options - { actorId, actorRole }
+   * @returns {Promise<Object>} Updated debt
+   */
+  scheduleFollowUp: async (shopId, debtId, followUpData, options = {}) => {
+    try {
+      const debt = await findOpenCase(shopId, debtId, options);
+
+      debt.collectionCase.nextFollowUpAt = followUpData.followUpAt;
+      debt.collectionCase.followUpNote = followUpData.note;
+      debt.collectionCase.followUpNotifiedAt = null;
+
+      markInProcess(debt);
+      await debt.save();
+
+      logInfo(`Follow-up on debt ${debtId} scheduled for ${debt.collectionCase.nextFollowUpAt.toISOString()} by ${options.actorId}`, 'CollectionService');
+      return debt;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to schedule follow-up for debt ${debtId}: ${error.message}`, 'CollectionService', error);
+      throw new AppError('Failed to schedule follow-up', 500, 'collection_update_error');
+    }
+  },
+
+  /**
+   * Close a collection case
+   * A settlement accepts what was collected and forgives the rest; a write-off gives up
+   * on the remaining balance as bad debt. Either way the debt ends up settled.
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} resolutionData - { resolution: 'settlement' | 'write-off', note }
+   * @param {Object} options - { actorId, actorRole }
+   * @returns {Promise<Object>} { debt, writtenOffAmount, collectedAmount }
+   */
+  resolveCase: async (shopId, debtId, resolutionData, options = {}) => {
+    try {
+      const debt = await findOpenCase(shopId, debtId, options);
+
+      if (resolutionData.resolution === 'write-off' && debt.isSettled) {
+        throw new AppError('Debt is already paid; close the case as a settlement', 400, 'nothing_to_write_off');
+      }
+
+      const result = await closeCase(debt, resolutionData.resolution, {
+        note: resolutionData.note,
+        resolvedBy: options.actorId
+      });
+
+      await RiskScoringService.refreshCustomerRisk(shopId, debt.customerId);
+
+      logSuccess(
+        `Collection on debt ${debtId} closed by ${resolutionData.resolution} (written off ${result.writtenOffAmount}) by ${options.actorId}`,
+        'CollectionService'
+      );
+      return result;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to resolve collection for debt ${debtId}: ${error.message}`, 'CollectionService', error);
+      throw new AppError('Failed to resolve collection', 500, 'collection_update_error');
+    }
+  },
+
+  /**
+   * Daily pass over open collection cases
+   * Marks promises kept or broken, closes cases the customer has paid off, and reminds
+   * assignees (or the shop admins, for unassigned cases) of follow-ups that are due
+   * @param {Date} now - Time of the run
+   * @returns {Promise<Object>} Summary of the run
+   */
+  processCollections: async (now = new Date()) => {
+    const summary = { casesChecked: 0, promisesKept: 0, promisesBroken: 0, casesSettled: 0, followUpsDue: 0, failures: 0 };
+
+    try {
+      const debts = await Debt.find({
+        isDeleted: false,
+        collectionCase: { $ne: null },
+        collectionStatus: { $ne: 'resolved' }
+      });
+
+      for (const debt of debts) {
+        try {
+          summary.casesChecked += 1;
+          const actor = systemActor(debt.shopId);
+          const kept = [];
+          const broken = [];
+
+          for (const promise of debt.collectionCase.promises.filter((entry) => entry.status === 'open')) {
+            const paidSince = await getPaidSince(debt, promise.recordedAt);
+            // The customer has the whole promised day to pay
+            const deadline = new Date(promise.promisedDate.getTime() + DAY_MS);
+
+            if (debt.isSettled || paidSince >= promise.amount) {
+              promise.status = 'kept';
+              promise.resolvedAt = now;
+              kept.push({ promise, paidSince });
+            } else if (now >= deadline) {
+              promise.status = 'broken';
+              promise.resolvedAt = now;
+              debt.collectionCase.brokenPromises += 1;
+              broken.push({ promise, paidSince });
+            }
+          }
+
+          let settlement = null;
+          let followUpDue = false;
+
+          if (debt.isSettled) {
+            settlement = await closeCase(debt, 'settlement', {
+              note: 'Paid in full while in collections',
+              resolvedBy: 'system'
+            });
+          } else {
+            const { nextFollowUpAt, followUpNotifiedAt } = debt.collectionCase;
+            followUpDue = Boolean(nextFollowUpAt && nextFollowUpAt <= now && !followUpNotifiedAt);
+
+            if (followUpDue) {
+              debt.collectionCase.followUpNotifiedAt = now;
+            }
+
+            await debt.save();
+          }
+
+          for (const { promise, paidSince } of kept) {
+            summary.promisesKept += 1;
+            await LogHelper.createDebtLog('collection_promise_kept', debt.debtId, actor, {
+              amount: promise.amount,
+              promisedDate: promise.promisedDate,
+              paidSince
+            });
+          }
+
+          for (const { promise, paidSince } of broken) {
+            summary.promisesBroken += 1;
+            await LogHelper.createDebtLog('collection_promise_broken', debt.debtId, actor, {
+              amount: promise.amount,
+              promisedDate: promise.promisedDate,
+              paidSince,
+              assignedTo: debt.collectionCase.assignedTo || null
+            });
+            await NotificationService.notifyBrokenPromise(debt, promise, paidSince);
+          }
+
+          if (settlement) {
+            summary.casesSettled += 1;
+            await LogHelper.createDebtLog('collection_resolved', debt.debtId, actor, {
+              resolution: 'settlement',
+              writtenOffAmount: settlement.writtenOffAmount,
+              collectedAmount: settlement.collectedAmount
+            });
+          }
+
+          if (followUpDue) {
+            summary.followUpsDue += 1;
+            await NotificationService.notifyCollectionFollowUp(debt);
+          }
+        } catch (error) {
+          summary.failures += 1;
+          logError(`Failed to process collection on debt ${debt.debtId}: ${error.message}`, 'CollectionService', error);
+        }
+      }
+
+      logSuccess(
+        `Collections run complete: ${summary.casesChecked} cases, ${summary.promisesBroken} broken promises, ${summary.promisesKept} kept, ${summary.casesSettled} settled, ${summary.followUpsDue} follow-ups due`,
+        'CollectionService'
+      );
+      return summary;
+    } catch (error) {
+      logError(`Collections run failed: ${error.message}`, 'CollectionService', error);
+      throw new AppError('Failed to process collections', 500, 'collection_processing_error');
+    }
+  }
+};
+
+module.exports = CollectionService;
@@ -0,0 +1,212 @@
+/**
+ * Credit Decision Service
+ * Decides whether new credit is granted outright, held for the owner or declined,
+ * from the shop's ShopSetting.risk and ShopSetting.limits rules
+ */
+const { Debt, ShopSetting, CreditRequest } = require('../models');
+const RiskScoringService = require('./riskScoringService');
+const { AppError, idGenerator, logInfo, logError } = require('../utils');
+
+/**
+ * Error types thrown for credit that was not approved outright
+ */
+const DECISION_ERROR_TYPES = {
+  queue: 'credit_approval_required',
+  decline: 'credit_declined'
+};
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * CreditDecisionService provides the credit gate used when debts are created
+ */
+const CreditDecisionService = {
+  /**
+   * Decide on new credit for a customer
+   * Hard limits decline; risk either declines or holds the credit for owner approval.
+   * Every rule that fires is returned, so the caller can see all the reasons at once.
+   * @param {string} shopId - Shop ID
+   * @param {Object} customer - Customer document
+   * @param {number} amount - Credit requested
+   * @param {Object} options - Additional options
+   * @param {mongoose.ClientSession} [options.session] - Existing transaction session
+   * @returns {Promise<Object>} { outcome, reasons, riskScore, riskLevel, outstandingBalance, projectedBalance, openDebts, evaluatedAt }
+   */
+  evaluate: async (shopId, customer, amount, options = {}) => {
+    const settings = await ShopSetting.getByShopId(shopId);
+    const { risk, limits } = settings;
+
+    const openDebts = await Debt.countDocuments({
+      shopId,
+      customerId: customer.customerId,
+      isSettled: false,
+      isDeleted: false
+    }).session(options.session || null);
+
+    // Prepaid credit is used up by the new debt before it adds to the balance
+    const creditUsed = Math.min(customer.creditBalance || 0, amount);
+    const outstandingBalance = roundAmount(customer.outstandingBalance || 0);
+    const projectedBalance = roundAmount(outstandingBalance + amount - creditUsed);
+
+    const riskScore = customer.riskScore || 0;
+    const riskLevel = RiskScoringService.getRiskLevel(riskScore, risk);
+
+    const reasons = [];
+    const addReason = (outcome, code, message) => reasons.push({ code, message, outcome });
+
+    if (limits.maxDebtAllowedPerCustomer > 0 && projectedBalance > limits.maxDebtAllowedPerCustomer) {
+      addReason(
+        'decline',
+        'max_debt_exceeded',
+        `Balance would reach ${projectedBalance}, above the shop maximum of ${limits.maxDebtAllowedPerCustomer} per customer`
+      );
+    }
+
+    if (limits.customerLimits.creditLimit && customer.creditLimit > 0) {
+      if (customer.hasExceededCreditLimit()) {
+        addReason('decline', 'credit_limit_reached', `Customer has already reached their credit limit of ${customer.creditLimit}`);
+      } else if (projectedBalance > customer.creditLimit) {
+        addReason(
+          'decline',
+          'credit_limit_exceeded',
+          `Balance would reach ${projectedBalance}, above the customer's credit limit of ${customer.creditLimit}`
+        );
+      }
+    }
+
+    if (limits.customerLimits.maxOpenDebts > 0 && openDebts >= limits.customerLimits.maxOpenDebts) {
+      addReason(
+        'decline',
+        'max_open_debts_reached',
+        `Customer already has ${openDebts} open debts (maximum ${limits.customerLimits.maxOpenDebts})`
+      );
+    }
+
+    // Shops that hold medium risk for approval hold high risk too, unless it is declined outright
+    if (riskLevel === 'High Risk' && risk.autoDeclineHighRisk) {
+      addReason('decline', 'high_risk_customer', `Customer is high risk (score ${riskScore})`);
+    } else if (riskLevel !== 'Low Risk' && risk.requireApprovalMediumRisk) {
+      addReason(
+        'queue',
+        riskLevel === 'High Risk' ? 'high_risk_customer' : 'medium_risk_customer',
+        `Customer is ${riskLevel.toLowerCase()} (score ${riskScore}) and needs owner approval`
+      );
+    }
+
+    let outcome = 'approve';
+    if (reasons.some(reason => reason.outcome === 'decline')) {
+      outcome = 'decline';
+    } else if (reasons.length) {
+      outcome = 'queue';
+    }
+
+    return {
+      outcome,
+      reasons,
+      riskScore,
+      riskLevel,
+      outstandingBalance,
+      projectedBalance,
+      openDebts,
+      evaluatedAt: new Date()
+    };
+  },
+
+  /**
+   * Build the error that stops a debt that was not approved outright
+   * Queued credit is answered with 202, since the request is kept for the owner
+   * @param {Object} decision - Decision from evaluate
+   * @param {Object} customer - Customer the credit was for
+   * @param {number} amount - Credit requested
+   * @returns {AppError} Error carrying the decision in its data
+   */
+  createDecisionError: (decision, customer, amount) => {
+    const summary = decision.reasons.map(reason => reason.message).join('; ');
+    const error = decision.outcome === 'decline'
+      ? new AppError(`Credit declined: ${summary}`, 403, DECISION_ERROR_TYPES.decline)
+      : new AppError(`Credit held for owner approval: ${summary}`, 202, DECISION_ERROR_TYPES.queue);
+
+    error.data = {
+      decision,
+      customerId: customer.customerId,
+      customerName: customer.fullName,
+      amount
+    };
+    return error;
+  },
+
+  /**
+   * Check whether an error came from the credit gate
+   * @param {Error} error - Caught error
+   * @returns {boolean} Whether the error carries a credit decision
+   */
+  isDecisionError: (error) => Object.values(DECISION_ERROR_TYPES).includes(error.type) &&
+    Boolean(error.data && error.data.decision),
+
+  /**
+   * Keep a credit request the gate stopped, so the owner can approve or override it
+   * The stored request is added to the error's data for the response
+   * @param {string} shopId - Shop ID
+   * @param {Object} request - Request details
+   * @param {string} request.requestType - 'debt' or 'credit-sale'
+   * @param {Object} request.payload - Original request, replayed on approval
+   * @param {AppError} error - Decision error from createDecisionError
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user who asked for the credit
+   * @param {string} [options.actorName] - Name of the user who asked for the credit
+   * @returns {Promise<Object|null>} Stored request, or null if it could not be saved
+   */
+  recordRequest: async (shopId, request, error, options = {}) => {
+    try {
+      const { decision, customerId, customerName, amount } = error.data;
+      const queued = decision.outcome === 'queue';
+      const requestId = await idGenerator.generateCreditRequestId(CreditRequest);
+
+      const creditRequest = await CreditRequest.create({
+        requestId,
+        shopId,
+        customerId,
+        customerName,
+        requestType: request.requestType,
+        amount,
+        payload: request.payload,
+        decision,
+        status: queued ? 'pending' : 'declined',
+        resolution: queued ? undefined : {
+          decidedBy: 'system',
+          decidedByRole: 'system',
+          decidedAt: decision.evaluatedAt,
+          note: decision.reasons.map(reason => reason.code).join(', ')
+        },
+        requestedBy: options.actorId,
+        requestedByName: options.actorName,
+        history: [{
+          action: queued ? 'queued' : 'declined',
+          actorId: 'system',
+          actorRole: 'system',
+          note: decision.reasons.map(reason => reason.code).join(', '),
+          at: decision.evaluatedAt
+        }]
+      });
+
+      error.data.creditRequest = creditRequest;
+
+      logInfo(
+        `Credit request ${requestId} (${request.requestType}, ${amount}) for customer ${customerId} ${queued ? 'queued for approval' : 'declined'}`,
+        'CreditDecisionService'
+      );
+      return creditRequest;
+    } catch (recordError) {
+      // The credit was still stopped; losing the record must not turn the decision into a 500
+      logError(`Failed to record credit request for customer ${error.data.customerId}: ${recordError.message}`, 'CreditDecisionService', recordError);
+      return null;
+    }
+  }
+};
+
+module.exports = CreditDecisionService;
@@ -0,0 +1,227 @@
+/**
+ * Credit Request Service
+ * Owner review of credit the credit gate held or declined
+ */
+const { CreditRequest } = require('../models');
+const DebtService = require('./debtService');
+const SaleService = require('./saleService');
+const { AppError, PaginationHelper, logError, logSuccess } = require('../utils');
+
+/**
+ * CreditRequestService provides methods for reviewing credit requests
+ */
+const CreditRequestService = {
+  /**
+   * List a shop's credit requests
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Filters (status, customerId, requestType) and pagination
+   * @returns {Promise<Object>} Paginated credit requests, newest first
+   */
+  getCreditRequests: async (shopId, query = {}) => {
+    try {
+      const filter = { shopId };
+
+      if (query.status) {
+        filter.status = query.status;
+      }
+
+      if (query.customerId) {
+        filter.customerId = query.customerId;
+      }
+
+      if (query.requestType) {
+        filter.requestType = query.requestType;
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { createdAt: -1 };
+
+      return await PaginationHelper.paginate(CreditRequest, filter, options);
+    } catch (error) {
+      logError(`Failed to list credit requests for shop ${shopId}: ${error.message}`, 'CreditRequestService', error);
+      throw new AppError('Failed to retrieve credit requests', 500, 'credit_request_retrieval_error');
+    }
+  },
+
+  /**
+   * Get a credit request by ID within a shop
+   * @param {string} shopId - Shop ID
+   * @param {string} requestId - Credit request ID
+   * @returns {Promise<Object>} Credit request
+   */
+  getCreditRequestById: async (shopId, requestId) => {
+    try {
+      const creditRequest = await CreditRequest.findOne({ shopId, requestId });
+
+      if (!creditRequest) {
+        throw new AppError('Credit request not found', 404, 'credit_request_not_found');
+      }
+
+      return creditRequest;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get credit request ${requestId}: ${error.message}`, 'CreditRequestService', error);
+      throw new AppError('Failed to retrieve credit request', 500, 'credit_request_retrieval_error');
+    }
+  },
+
+  /**
+   * Approve a held credit request, or override an automatic decline, and book the credit
+   * The original debt or checkout is replayed for the user who asked for it, past the credit
+   * gate. Requests declined by the owner are final.
+   * @param {string} shopId - Shop ID
+   * @param {string} requestId - Credit request ID
+   * @param {string} [note] - Approval note, required to override an automatic decline
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the approving owner
+   * @param {string} options.actorRole - Role of the approving owner
+   * @returns {Promise<Object>} { creditRequest, debt, sale, overridden }
+   */
+  approveCreditRequest: async (shopId, requestId, note, options = {}) => {
+    try {
+      const creditRequest = await CreditRequestService.getCreditRequestById(shopId, requestId);
+      const previousStatus = creditRequest.status;
+      const overridden = previousStatus === 'declined';
+
+      if (previousStatus === 'approved') {
+        throw new AppError('Credit request has already been approved', 409, 'credit_request_already_resolved');
+      }
+
+      if (overridden && creditRequest.resolution.decidedBy !== 'system') {
+        throw new AppError('Credit request was declined by the owner and cannot be approved', 409, 'credit_request_already_resolved');
+      }
+
+      if (overridden && !note) {
+        throw new AppError('A note is required to override an automatic decline', 400, 'override_note_required');
+      }
+
+      // Claim the request first so two approvals cannot book the credit twice
+      const claimed = await CreditRequest.findOneAndUpdate(
+        { _id: creditRequest._id, status: previousStatus },
+        { $set: { status: 'approved' } },
+        { new: true }
+      );
+
+      if (!claimed) {
+        throw new AppError('Credit request is being resolved by someone else', 409, 'credit_request_already_resolved');
+      }
+
+      const createOptions = {
+        actorId: creditRequest.requestedBy,
+        actorName: creditRequest.requestedByName,
+        creditApproved: true
+      };
+
+      let debt = null;
+      let sale = null;
+
+      try {
+        if (creditRequest.requestType === 'credit-sale') {
+          ({ sale, debt } = await SaleService.createSale(shopId, creditRequest.payload, createOptions));
+        } else {
+          debt = await DebtService.createDebt(shopId, creditRequest.payload, createOptions);
+        }
+      } catch (error) {
+        // Nothing was booked, so the request can be decided on again
+        await CreditRequest.updateOne({ _id: creditRequest._id }, { $set: { status: previousStatus } });
+        throw error;
+      }
+
+      const now = new Date();
+
+      claimed.resolution = {
+        decidedBy: options.actorId,
+        decidedByRole: options.actorRole,
+        decidedAt: now,
+        note,
+        overridden
+      };
+      claimed.debtId = debt.debtId;
+      claimed.saleId = sale ? sale.saleId : undefined;
+      claimed.history.push({
+        action: overridden ? 'override_approved' : 'approved',
+        actorId: options.actorId,
+        actorRole: options.actorRole,
+        note,
+        at: now
+      });
+      await claimed.save();
+
+      logSuccess(
+        `Credit request ${requestId} ${overridden ? 'approved over an automatic decline' : 'approved'} by ${options.actorId}, debt ${debt.debtId}`,
+        'CreditRequestService'
+      );
+      return { creditRequest: claimed, debt, sale, overridden };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to approve credit request ${requestId}: ${error.message}`, 'CreditRequestService', error);
+      throw new AppError('Failed to approve credit request', 500, 'credit_request_update_error');
+    }
+  },
+
+  /**
+   * Decline a credit request that is waiting for approval
+   * @param {string} shopId - Shop ID
+   * @param {string} requestId - Credit request ID
+   * @param {string} reason - Reason for declining
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the declining owner
+   * @param {string} options.actorRole - Role of the declining owner
+   * @returns {Promise<Object>} Declined credit request
+   */
+  declineCreditRequest: async (shopId, requestId, reason, options = {}) => {
+    try {
+      const now = new Date();
+
+      const creditRequest = await CreditRequest.findOneAndUpdate(
+        { shopId, requestId, status: 'pending' },
+        {
+          $set: {
+            status: 'declined',
+            resolution: {
+              decidedBy: options.actorId,
+              decidedByRole: options.actorRole,
+              decidedAt: now,
+              note: reason,
+              overridden: false
+            }
+          },
+          $push: {
+            history: {
+              action: 'declined',
+              actorId: options.actorId,
+              actorRole: options.actorRole,
+              note: reason,
+              at: now
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!creditRequest) {
+        // Tell a missing request apart from one that was already decided
+        await CreditRequestService.getCreditRequestById(shopId, requestId);
+        throw new AppError('Only pending credit requests can be declined', 409, 'credit_request_already_resolved');
+      }
+
+      logSuccess(`Credit request ${requestId} declined by ${options.actorId}`, 'CreditRequestService');
+      return creditRequest;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to decline credit request ${requestId}: ${error.message}`, 'CreditRequestService', error);
+      throw new AppError('Failed to decline credit request', 500, 'credit_request_update_error');
+    }
+  }
+};
+
+module.exports = CreditRequestService;
@@ -0,0 +1,309 @@
+/**
+ * Customer Service
+ * Handles business logic for shop customers
+ */
+const { Customer, ShopSetting } = require('../models');
+const {
+  AppError,
+  idGenerator,
+  PaginationHelper,
+  ValidationHelper,
+  logInfo,
+  logError,
+  logSuccess
+} = require('../utils');
+
+/**
+ * Fields that can be changed through the customer API
+ * Balances and risk scores are maintained by the debt and risk modules
+ */
+const UPDATABLE_FIELDS = [
+  'fullName',
+  'phone',
+  'email',
+  'alternativePhone',
+  'type',
+  'category',
+  'address',
+  'detailedAddress',
+  'creditLimit',
+  'paymentTerms',
+  'notes',
+  'contactPreferences'
+];
+
+/**
+ * CustomerService provides methods for managing customers within a shop
+ */
+const CustomerService = {
+  /**
+   * Create a new customer for a shop
+   * @param {string} shopId - Shop ID
+   * @param {Object} customerData - Customer details
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user creating the customer
+   * @returns {Promise<Object>} Created customer
+   */
+  createCustomer: async (shopId, customerData, options = {}) => {
+    try {
+      // Phone numbers identify customers at the counter, so keep them unique per shop
+      const existingCustomer = await Customer.findOne({
+        shopId,
+        phone: customerData.phone,
+        isDeleted: false
+      });
+
+      if (existingCustomer) {
+        throw new AppError('A customer with this phone number already exists', 409, 'duplicate_customer');
+      }
+
+      const customerId = await idGenerator.generateCustomerId(Customer);
+
+      const customer = new Customer({
+        ...customerData,
+        customerId,
+        shopId,
+        email: customerData.email || null,
+        alternativePhone: customerData.alternativePhone || null
+      });
+
+      await customer.save();
+
+      logSuccess(`Customer created: ${customerId} for shop ${shopId} by ${options.actorId || 'system'}`, 'CustomerService');
+      return customer;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError('Customer ID already exists, please retry', 409, 'duplicate_customer_id');
+      }
+
+      logError(`Failed to create customer: ${error.message}`, 'CustomerService', error);
+      throw new AppError('Failed to create customer', 500, 'customer_creation_error');
+    }
+  },
+
+  /**
+   * Get a customer by ID within a shop
+   * @param {string} shopId - Shop ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Customer
+   */
+  getCustomerById: async (shopId, customerId) => {
+    try {
+      const customer = await Customer.findOne({ customerId, shopId, isDeleted: false });
+
+      if (!customer) {
+        throw new AppError('Customer not found', 404, 'customer_not_found');
+      }
+
+      return customer;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get customer ${customerId}: ${error.message}`, 'CustomerService', error);
+      throw new AppError('Failed to retrieve customer', 500, 'customer_retrieval_error');
+    }
+  },
+
+  /**
+   * List customers for a shop with filtering, search and pagination
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Validated query parameters
+   * @returns {Promise<Object>} Paginated customers
+   */
+  getCustomers: async (shopId, query = {}) => {
+    try {
+      const filter = { shopId, isDeleted: false };
+
+      if (query.category) {
+        filter.category = query.category;
+      }
+
+      if (query.type) {
+        filter.type = query.type;
+      }
+
+      // Risk levels map onto the shop's configured score thresholds
+      if (query.riskLevel) {
+        const settings = await ShopSetting.getByShopId(shopId);
+        const { highRiskThreshold, mediumRiskThreshold } = settings.risk;
+
+        if (query.riskLevel === 'high') {
+          filter.riskScore = { $gte: highRiskThreshold };
+        } else if (query.riskLevel === 'medium') {
+          filter.riskScore = { $gte: mediumRiskThreshold, $lt: highRiskThreshold };
+        } else {
+          filter.riskScore = { $lt: mediumRiskThreshold };
+        }
+      }
+
+      // Outstanding balance filters
+      if (query.hasBalance !== undefined || query.minBalance !== undefined || query.maxBalance !== undefined) {
+        filter.outstandingBalance = {};
+
+        if (query.hasBalance === true) {
+          filter.outstandingBalance.$gt = 0;
+        } else if (query.hasBalance === false) {
+          filter.outstandingBalance.$lte = 0;
+        }
+
+        if (query.minBalance !== undefined) {
+          filter.outstandingBalance.$gte = query.minBalance;
+        }
+
+        if (query.maxBalance !== undefined) {
+          filter.outstandingBalance.$lte = query.maxBalance;
+        }
+      }
+
+      // Search by name or phone
+      if (query.search) {
+        const search = ValidationHelper.escapeRegex(query.search);
+        filter.$or = [
+          { fullName: { $regex: search, $options: 'i' } },
+          { phone: { $regex: search, $options: 'i' } },
+          { alternativePhone: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { createdAt: -1 };
+
+      return await PaginationHelper.paginate(Customer, filter, options);
+    } catch (error) {
+      logError(`Failed to list customers for shop ${shopId}: ${error.message}`, 'CustomerService', error);
+      throw new AppError('Failed to retrieve customers', 500, 'customer_retrieval_error');
+    }
+  },
+
+  /**
+   * Update a customer
+   * @param {string} shopId - Shop ID
+   * @param {string} customerId - Customer ID
+   * @param {Object} updateData - Fields to update
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Updated customer and the changed fields
+   */
+  updateCustomer: async (shopId, customerId, updateData, options = {}) => {
+    try {
+      const customer = await CustomerService.getCustomerById(shopId, customerId);
+
+      // Guard against moving a customer onto another customer's phone number
+      if (updateData.phone && updateData.phone !== customer.phone) {
+        const duplicate = await Customer.findOne({
+          shopId,
+          phone: updateData.phone,
+          isDeleted: false,
+          customerId: { $ne: customerId }
+        });
+
+        if (duplicate) {
+          throw new AppError('A customer with this phone number already exists', 409, 'duplicate_customer');
+        }
+      }
+
+      const changedFields = [];
+
+      UPDATABLE_FIELDS.forEach(field => {
+        if (updateData[field] === undefined) return;
+
+        if (['detailedAddress', 'contactPreferences'].includes(field)) {
+          // Merge nested objects so partial updates don't wipe sibling fields
+          Object.keys(updateData[field]).forEach(key => {
+            customer.set(`${field}.${key}`, updateData[field][key]);
+          });
+        } else {
+          customer[field] = updateData[field] === '' && ['email', 'alternativePhone'].includes(field)
+            ? null
+            : updateData[field];
+        }
+
+        changedFields.push(field);
+      });
+
+      await customer.save();
+
+      logSuccess(`Customer updated: ${customerId} by ${options.actorId || 'system'}`, 'CustomerService');
+      return { customer, changedFields };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to update customer ${customerId}: ${error.message}`, 'CustomerService', error);
+      throw new AppError('Failed to update customer', 500, 'customer_update_error');
+    }
+  },
+
+  /**
+   * Soft delete a customer
+   * Customers with an outstanding balance cannot be removed
+   * @param {string} shopId - Shop ID
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Deleted customer
+   */
+  deleteCustomer: async (shopId, customerId, options = {}) => {
+    try {
+      const customer = await CustomerService.getCustomerById(shopId, customerId);
+
+      if (customer.outstandingBalance > 0) {
+        throw new AppError(
+          'Customer still has an outstanding balance and cannot be deleted',
+          400,
+          'customer_has_outstanding_balance'
+        );
+      }
+
+      customer.isDeleted = true;
+      customer.deletedAt = new Date();
+      await customer.save();
+
+      logInfo(`Customer soft-deleted: ${customerId} by ${options.actorId || 'system'}`, 'CustomerService');
+      return customer;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to delete customer ${customerId}: ${error.message}`, 'CustomerService', error);
+      throw new AppError('Failed to delete customer', 500, 'customer_deletion_error');
+    }
+  },
+
+  /**
+   * Get customers with an outstanding balance, highest first
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<Array>} Customers
+   */
+  getCustomersWithOutstandingBalance: async (shopId) => {
+    try {
+      return await Customer.findWithOutstandingBalance(shopId);
+    } catch (error) {
+      logError(`Failed to get customers with balances for shop ${shopId}`, 'CustomerService', error);
+      throw new AppError('Failed to retrieve customers', 500, 'customer_retrieval_error');
+    }
+  },
+
+  /**
+   * Get high-risk customers, riskiest first
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<Array>} Customers
+   */
+  getHighRiskCustomers: async (shopId) => {
+    try {
+      const settings = await ShopSetting.getByShopId(shopId);
+      return await Customer.findHighRiskCustomers(shopId, settings.risk.highRiskThreshold);
+    } catch (error) {
+      logError(`Failed to get high-risk customers for shop ${shopId}`, 'CustomerService', error);
+      throw new AppError('Failed to retrieve customers', 500, 'customer_retrieval_error');
+    }
+  }
+};
+
+module.exports = CustomerService;
@@ -0,0 +1,197 @@
+/**
+ * Debt Aging Service
+ * Groups outstanding debt balances by how far past due they are
+ */
+const { Debt, Customer } = require('../models');
+const { AppError, logError } = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Aging buckets in display order
+ * Debts not yet past their due date are 'current'; the rest are bucketed by days overdue
+ */
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', maxDays: 0 },
+  { key: '0-30', label: '0-30 days', maxDays: 30 },
+  { key: '31-60', label: '31-60 days', maxDays: 60 },
+  { key: '61-90', label: '61-90 days', maxDays: 90 },
+  { key: '90+', label: '90+ days', maxDays: null }
+];
+
+const RISK_LEVELS = ['High Risk', 'Medium Risk', 'Low Risk'];
+
+/**
+ * Round to 2 decimal places for currency values
+ * @param {number} value - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * An empty row of bucket amounts
+ * @returns {Object} { amounts, total, debts }
+ */
+const emptyRow = () => ({
+  amounts: Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0])),
+  total: 0,
+  debts: 0
+});
+
+/**
+ * Add a group's balances to a roll-up row
+ * @param {Object} row - Row from emptyRow
+ * @param {Object} group - Aging group
+ */
+const addToRow = (row, group) => {
+  AGING_BUCKETS.forEach(({ key }) => {
+    row.amounts[key] = roundAmount(row.amounts[key] + group.amounts[key]);
+  });
+  row.total = roundAmount(row.total + group.total);
+  row.debts += group.debts;
+};
+
+/**
+ * Roll aging groups up by one of their fields
+ * @param {Array<Object>} groups - Aging groups
+ * @param {string} field - Field to group by
+ * @param {Array<string>} [order] - Values listed first, in this order, even when empty
+ * @returns {Array<Object>} Rows of { [field], amounts, total, debts }
+ */
+const rollUp = (groups, field, order = []) => {
+  const rows = new Map(order.map((value) => [value, { [field]: value, ...emptyRow() }]));
+
+  groups.forEach((group) => {
+    if (!rows.has(group[field])) {
+      rows.set(group[field], { [field]: group[field], ...emptyRow() });
+    }
+    addToRow(rows.get(group[field]), group);
+  });
+
+  return [...rows.values()];
+};
+
+/**
+ * DebtAgingService provides aging analysis of outstanding debt
+ */
+const DebtAgingService = {
+  AGING_BUCKETS,
+
+  /**
+   * Outstanding balances per shop, risk level, customer category and aging bucket
+   * @param {string|null} shopId - Shop ID, or null for every shop
+   * @param {Date} asOf - Date days overdue are counted to
+   * @returns {Promise<Array<Object>>} Groups of { shopId, riskLevel, category, amounts, total, debts }
+   */
+  getAgingGroups: async (shopId, asOf = new Date()) => {
+    const match = { isSettled: false, isDeleted: false };
+    if (shopId) {
+      match.shopId = shopId;
+    }
+
+    // Matches the daysOverdue virtual: any part of a day past the due date counts as a day
+    const daysOverdue = {
+      $ceil: { $divide: [{ $subtract: [asOf, '$dueDate'] }, DAY_MS] }
+    };
+
+    const bucketBranches = AGING_BUCKETS
+      .filter((bucket) => bucket.maxDays !== null)
+      .map((bucket) => ({ case: { $lte: ['$daysOverdue', bucket.maxDays] }, then: bucket.key }));
+
+    const balances = await Debt.aggregate([
+      { $match: match },
+      {
+        $project: {
+          shopId: 1,
+          customerId: 1,
+          riskLevel: { $ifNull: ['$riskLevel', 'Low Risk'] },
+          remaining: {
+            $subtract: [{ $add: ['$debtAmount', { $ifNull: ['$lateFeeAmount', 0] }] }, '$paidAmount']
+          },
+          daysOverdue
+        }
+      },
+      { $match: { remaining: { $gt: 0 } } },
+      {
+        $project: {
+          shopId: 1,
+          customerId: 1,
+          riskLevel: 1,
+          remaining: 1,
+          bucket: { $switch: { branches: bucketBranches, default: AGING_BUCKETS[AGING_BUCKETS.length - 1].key } }
+        }
+      },
+      {
+        $group: {
+          _id: { shopId: '$shopId', customerId: '$customerId', riskLevel: '$riskLevel', bucket: '$bucket' },
+          amount: { $sum: '$remaining' },
+          debts: { $sum: 1 }
+        }
+      }
+    ]);
+
+    // Categories live on the customer, so look them up once per customer
+    const customerIds = [...new Set(balances.map((entry) => entry._id.customerId))];
+    const customers = customerIds.length
+      ? await Customer.find({ customerId: { $in: customerIds }, ...(shopId ? { shopId } : {}) }, { shopId: 1, customerId: 1, category: 1 }).lean()
+      : [];
+    const categories = new Map(customers.map((customer) => [`${customer.shopId}:${customer.customerId}`, customer.category || 'regular']));
+
+    const groups = new Map();
+    balances.forEach(({ _id, amount, debts }) => {
+      const category = categories.get(`${_id.shopId}:${_id.customerId}`) || 'regular';
+      const key = `${_id.shopId}:${_id.riskLevel}:${category}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { shopId: _id.shopId, riskLevel: _id.riskLevel, category, ...emptyRow() });
+      }
+
+      addToRow(groups.get(key), { amounts: { ...emptyRow().amounts, [_id.bucket]: amount }, total: amount, debts });
+    });
+
+    return [...groups.values()].sort((a, b) => a.shopId.localeCompare(b.shopId) ||
+      RISK_LEVELS.indexOf(a.riskLevel) - RISK_LEVELS.indexOf(b.riskLevel) ||
+      a.category.localeCompare(b.category));
+  },
+
+  /**
+   * Aging analysis of a shop, or of the platform for superAdmins without a shop
+   * @param {Object} query - { shopId } (superAdmin only)
+   * @param {Object} actor - { actorRole, shopId }
+   * @returns {Promise<Object>} { asOf, shopId, buckets, totals, byRiskLevel, byCategory, byShop? }
+   */
+  getAgingAnalysis: async (query = {}, actor = {}) => {
+    try {
+      const shopId = actor.actorRole === 'superAdmin' ? query.shopId : actor.shopId;
+      const asOf = new Date();
+      const groups = await DebtAgingService.getAgingGroups(shopId || null, asOf);
+
+      const totals = emptyRow();
+      groups.forEach((group) => addToRow(totals, group));
+
+      const analysis = {
+        asOf,
+        shopId: shopId || null,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        totals,
+        byRiskLevel: rollUp(groups, 'riskLevel', RISK_LEVELS),
+        byCategory: rollUp(groups, 'category')
+      };
+
+      if (!shopId) {
+        analysis.byShop = rollUp(groups, 'shopId').sort((a, b) => b.total - a.total);
+      }
+
+      return analysis;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to build debt aging analysis: ${error.message}`, 'DebtAgingService', error);
+      throw new AppError('Failed to retrieve debt aging analysis', 500, 'debt_aging_error');
+    }
+  }
+};
+
+module.exports = DebtAgingService;
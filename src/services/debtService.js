@@ -0,0 +1,893 @@
+/**
+ * Debt Service
+ * Handles business logic for the customer debt ledger
+ */
+const { Debt, Customer, Payment, LateFee, ShopSetting } = require('../models');
+const {
+  AppError,
+  idGenerator,
+  PaginationHelper,
+  ValidationHelper,
+  TransactionHelper,
+  logInfo,
+  logError,
+  logSuccess
+} = require('../utils');
+const NotificationService = require('./notificationService');
+const DocumentNumberService = require('./documentNumberService');
+const ShiftService = require('./shiftService');
+const RiskScoringService = require('./riskScoringService');
+const CreditDecisionService = require('./creditDecisionService');
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split a repayment across open debts in the order given
+ * @param {Array} debts - Open debts, oldest first
+ * @param {number} amount - Amount paid
+ * @param {Object} rules - Shop business rules
+ * @returns {Object} Allocations per debt and the unallocated excess
+ */
+const planAllocation = (debts, amount, rules) => {
+  const allocations = [];
+  let unallocated = amount;
+
+  for (const debt of debts) {
+    if (unallocated <= 0) break;
+
+    const owed = roundAmount(debt.remainingAmount);
+    if (owed <= 0) continue;
+
+    const applied = Math.min(owed, unallocated);
+
+    if (applied < owed && !rules.allowPartialPayments) {
+      throw new AppError(
+        `Partial payments are not allowed; ${owed} is required to settle debt ${debt.debtId}`,
+        400,
+        'partial_payment_not_allowed'
+      );
+    }
+
+    allocations.push({ debt, amount: roundAmount(applied), owed });
+    unallocated = roundAmount(unallocated - applied);
+  }
+
+  return { allocations, excess: unallocated };
+};
+
+/**
+ * Apply confirmed repayments to their debts and the customer's balances
+ * @param {Array} payments - Payments in one allocation group
+ * @param {Map} debtsById - Debts keyed by debt ID
+ * @param {Object} customer - Customer document
+ * @param {mongoose.ClientSession} session - Transaction session
+ */
+const applyAllocations = async (payments, debtsById, customer, session) => {
+  let appliedToDebts = 0;
+
+  for (const payment of payments) {
+    if (payment.isPrepayment) {
+      customer.creditBalance = roundAmount((customer.creditBalance || 0) + payment.amount);
+      continue;
+    }
+
+    // The debt pre-save hook derives isSettled and the status
+    const debt = debtsById.get(payment.debtId);
+    debt.paidAmount = roundAmount(debt.paidAmount + payment.amount);
+    await debt.save({ session });
+
+    appliedToDebts = roundAmount(appliedToDebts + payment.amount);
+  }
+
+  customer.outstandingBalance = Math.max(0, roundAmount(customer.outstandingBalance - appliedToDebts));
+  await customer.save({ session });
+};
+
+/**
+ * DebtService provides methods for recording debts and their repayments
+ */
+const DebtService = {
+  /**
+   * Record a new debt against a customer
+   * The credit gate runs first: credit it holds or declines is kept as a credit request
+   * and the debt is not created. Joins the caller's transaction when a session is
+   * supplied (e.g. credit sales); the caller then keeps the credit request itself.
+   * @param {string} shopId - Shop ID
+   * @param {Object} debtData - Debt details
+   * @param {string} debtData.customerId - Customer ID
+   * @param {number} debtData.debtAmount - Amount owed
+   * @param {Date} [debtData.dueDate] - Due date (defaults to the customer's payment terms)
+   * @param {string} [debtData.shortNote] - Note shown on the ledger
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user recording the debt
+   * @param {boolean} [options.creditApproved] - Skip the credit gate for owner-approved credit requests
+   * @param {mongoose.ClientSession} [options.session] - Existing transaction session
+   * @returns {Promise<Object>} Created debt
+   */
+  createDebt: async (shopId, debtData, options = {}) => {
+    try {
+      let riskScore = 0;
+
+      const debt = await TransactionHelper.runInTransaction(async (session) => {
+        const customer = await Customer.findOne({
+          customerId: debtData.customerId,
+          shopId,
+          isDeleted: false
+        }).session(session);
+
+        if (!customer) {
+          throw new AppError('Customer not found', 404, 'customer_not_found');
+        }
+
+        // Fall back to the customer's agreed payment terms when no due date is given
+        let dueDate = debtData.dueDate;
+        if (!dueDate) {
+          if (!customer.paymentTerms) {
+            throw new AppError(
+              'Due date is required for customers without payment terms',
+              400,
+              'due_date_required'
+            );
+          }
+
+          dueDate = new Date();
+          dueDate.setDate(dueDate.getDate() + customer.paymentTerms);
+        }
+
+        const debtAmount = roundAmount(debtData.debtAmount);
+
+        if (!options.creditApproved) {
+          const decision = await CreditDecisionService.evaluate(shopId, customer, debtAmount, { session });
+
+          if (decision.outcome !== 'approve') {
+            throw CreditDecisionService.createDecisionError(decision, customer, debtAmount);
+          }
+        }
+
+        const debtId = await idGenerator.generateDebtId(Debt);
+
+        // Prepaid credit is consumed by the next debt; the cash was already recorded as a payment
+        const creditApplied = roundAmount(Math.min(customer.creditBalance || 0, debtAmount));
+
+        const debt = new Debt({
+          debtId,
+          shopId,
+          customerId: customer.customerId,
+          customerName: customer.fullName,
+          customerPhone: customer.phone,
+          debtAmount,
+          paidAmount: creditApplied,
+          creditApplied,
+          dueDate,
+          shortNote: debtData.shortNote,
+          createdBy: options.actorId
+        });
+
+        await debt.save({ session });
+
+        customer.creditBalance = roundAmount((customer.creditBalance || 0) - creditApplied);
+        customer.outstandingBalance = roundAmount(customer.outstandingBalance + debtAmount - creditApplied);
+        customer.totalDebtAmount = roundAmount(customer.totalDebtAmount + debtAmount);
+        await customer.save({ session });
+
+        riskScore = customer.riskScore || 0;
+
+        logSuccess(`Debt created: ${debtId} (${debtAmount}) for customer ${customer.customerId} by ${options.actorId || 'system'}`, 'DebtService');
+        return debt;
+      }, { session: options.session });
+
+      // Inside a caller's transaction nothing is committed yet; the caller rescores and alerts afterwards
+      if (!options.session) {
+        const assessment = await RiskScoringService.refreshCustomerRisk(shopId, debt.customerId);
+        if (assessment) riskScore = assessment.score;
+
+        // Alert admins when credit goes to a customer at or above the shop's high risk threshold
+        await NotificationService.notifyHighRiskDebt(debt, riskScore);
+      }
+
+      return debt;
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      if (CreditDecisionService.isDecisionError(error) && !options.session) {
+        await CreditDecisionService.recordRequest(shopId, { requestType: 'debt', payload: debtData }, error, options);
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError('Debt ID already exists, please retry', 409, 'duplicate_debt_id');
+      }
+
+      logError(`Failed to create debt: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to create debt', 500, 'debt_creation_error');
+    }
+  },
+
+  /**
+   * Get a debt by ID within a shop
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @returns {Promise<Object>} Debt
+   */
+  getDebtById: async (shopId, debtId) => {
+    try {
+      const debt = await Debt.findOne({ debtId, shopId, isDeleted: false });
+
+      if (!debt) {
+        throw new AppError('Debt not found', 404, 'debt_not_found');
+      }
+
+      return debt;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get debt ${debtId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to retrieve debt', 500, 'debt_retrieval_error');
+    }
+  },
+
+  /**
+   * List debts for a shop with filtering, search and pagination
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Validated query parameters
+   * @returns {Promise<Object>} Paginated debts
+   */
+  getDebts: async (shopId, query = {}) => {
+    try {
+      const filter = { shopId, isDeleted: false };
+
+      if (query.customerId) {
+        filter.customerId = query.customerId;
+      }
+
+      if (query.status) {
+        filter.status = query.status;
+      }
+
+      if (query.isSettled !== undefined) {
+        filter.isSettled = query.isSettled;
+      }
+
+      if (query.dueFrom || query.dueTo) {
+        filter.dueDate = {};
+
+        if (query.dueFrom) {
+          filter.dueDate.$gte = new Date(query.dueFrom);
+        }
+
+        if (query.dueTo) {
+          filter.dueDate.$lte = new Date(query.dueTo);
+        }
+      }
+
+      // Overdue is derived from the due date so it is accurate between scheduler runs
+      if (query.overdue === true) {
+        filter.isSettled = false;
+        filter.dueDate = { ...(filter.dueDate || {}), $lt: new Date() };
+      }
+
+      // Search by customer name or phone
+      if (query.search) {
+        const search = ValidationHelper.escapeRegex(query.search);
+        filter.$or = [
+          { customerName: { $regex: search, $options: 'i' } },
+          { customerPhone: { $regex: search, $options: 'i' } },
+          { debtId: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { createdAt: -1 };
+
+      return await PaginationHelper.paginate(Debt, filter, options);
+    } catch (error) {
+      logError(`Failed to list debts for shop ${shopId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to retrieve debts', 500, 'debt_retrieval_error');
+    }
+  },
+
+  /**
+   * Update debt details (due date and note)
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} updateData - Fields to update
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Updated debt and the changed fields
+   */
+  updateDebt: async (shopId, debtId, updateData, options = {}) => {
+    try {
+      const debt = await DebtService.getDebtById(shopId, debtId);
+
+      if (debt.isSettled) {
+        throw new AppError('Settled debts cannot be modified', 400, 'debt_already_settled');
+      }
+
+      const changedFields = [];
+
+      if (updateData.dueDate !== undefined && debt.installmentPlan) {
+        throw new AppError(
+          'Debt is paid in installments; reschedule the installment plan to change its due dates',
+          400,
+          'installment_plan_active'
+        );
+      }
+
+      if (updateData.dueDate !== undefined) {
+        // The pre-save hook lifts the overdue flag when the due date moves into the future
+        debt.dueDate = updateData.dueDate;
+        changedFields.push('dueDate');
+      }
+
+      if (updateData.shortNote !== undefined) {
+        debt.shortNote = updateData.shortNote;
+        changedFields.push('shortNote');
+      }
+
+      await debt.save();
+
+      // A new due date changes whether the debt counts as overdue
+      if (changedFields.includes('dueDate')) {
+        await RiskScoringService.refreshCustomerRisk(shopId, debt.customerId);
+      }
+
+      logSuccess(`Debt updated: ${debtId} by ${options.actorId || 'system'}`, 'DebtService');
+      return { debt, changedFields };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to update debt ${debtId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to update debt', 500, 'debt_update_error');
+    }
+  },
+
+  /**
+   * Apply a customer repayment according to the shop's business rules
+   * A lump sum is split across the customer's open debts oldest-first, or applied to
+   * a single debt when one is given. Any excess becomes customer credit if the shop
+   * allows prepayments. Amounts above the approval threshold are recorded as pending
+   * and only touch the ledger once an admin approves them.
+   * @param {string} shopId - Shop ID
+   * @param {Object} paymentData - Repayment details
+   * @param {string} [paymentData.customerId] - Customer ID (required without debtId)
+   * @param {string} [paymentData.debtId] - Apply the payment to this debt only
+   * @param {number} paymentData.amount - Amount paid
+   * @param {string} paymentData.method - Payment method
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user recording the payment
+   * @param {string} [options.ipAddress] - IP address of the request
+   * @param {mongoose.ClientSession} [options.session] - Existing transaction session
+   * @returns {Promise<Object>} Allocation result with payments, debts and status
+   */
+  applyRepayment: async (shopId, paymentData, options = {}) => {
+    try {
+      const settings = await ShopSetting.getByShopId(shopId);
+      const rules = settings.businessRules;
+
+      const result = await TransactionHelper.runInTransaction(async (session) => {
+        const amount = roundAmount(paymentData.amount);
+        let customerId = paymentData.customerId;
+        let debts;
+
+        if (paymentData.debtId) {
+          const debt = await Debt.findOne({
+            debtId: paymentData.debtId,
+            shopId,
+            isDeleted: false
+          }).session(session);
+
+          if (!debt) {
+            throw new AppError('Debt not found', 404, 'debt_not_found');
+          }
+
+          if (customerId && debt.customerId !== customerId) {
+            throw new AppError('Debt does not belong to this customer', 400, 'debt_customer_mismatch');
+          }
+
+          if (debt.isSettled) {
+            throw new AppError('Debt has already been settled', 400, 'debt_already_settled');
+          }
+
+          customerId = debt.customerId;
+          debts = [debt];
+        } else {
+          if (!rules.autoApplyPaymentsToOldest) {
+            throw new AppError(
+              'This shop requires repayments to be applied to a specific debt',
+              400,
+              'debt_id_required'
+            );
+          }
+
+          debts = await Debt.find({
+            shopId,
+            customerId,
+            isSettled: false,
+            isDeleted: false
+          }).sort({ dueDate: 1, createdAt: 1 }).session(session);
+        }
+
+        const customer = await Customer.findOne({ customerId, shopId }).session(session);
+
+        if (!customer) {
+          throw new AppError('Customer not found', 404, 'customer_not_found');
+        }
+
+        const { allocations, excess } = planAllocation(debts, amount, rules);
+
+        if (excess > 0 && !rules.allowPrepayment) {
+          throw new AppError(
+            allocations.length
+              ? `Payment exceeds the outstanding balance by ${excess} and prepayments are not allowed`
+              : 'Customer has no outstanding debts and prepayments are not allowed',
+            400,
+            'prepayment_not_allowed'
+          );
+        }
+
+        const requiresApproval = rules.requireApprovalAboveAmount > 0 &&
+          amount > rules.requireApprovalAboveAmount;
+
+        const entries = allocations.map(allocation => ({
+          debt: allocation.debt,
+          amount: allocation.amount,
+          owed: allocation.owed
+        }));
+
+        if (excess > 0) {
+          entries.push({ debt: null, amount: excess });
+        }
+
+        // The group is keyed by its first payment so split repayments can be approved together
+        const paymentIds = await idGenerator.generatePaymentIds(Payment, entries.length);
+        const allocationGroupId = paymentIds[0];
+        const now = new Date();
+
+        // One receipt covers the whole repayment; pending repayments are receipted on approval
+        const receiptNumber = requiresApproval
+          ? undefined
+          : await DocumentNumberService.nextNumber(shopId, 'receipt', { session });
+        const shift = await ShiftService.getOpenShift(shopId, options.actorId, { session });
+
+        const payments = [];
+        for (const [index, entry] of entries.entries()) {
+          const payment = new Payment({
+            paymentId: paymentIds[index],
+            shopId,
+            customerId,
+            customerName: customer.fullName,
+            paymentContext: 'debt',
+            debtId: entry.debt ? entry.debt.debtId : undefined,
+            debtAmount: entry.debt ? entry.owed : undefined,
+            isPrepayment: !entry.debt,
+            allocationGroupId,
+            amount: entry.amount,
+            paymentDate: paymentData.paymentDate || now,
+            method: paymentData.method,
+            referenceNumber: paymentData.referenceNumber,
+            receiptNumber,
+            notes: paymentData.notes,
+            requiresApproval,
+            status: requiresApproval ? 'pending' : 'confirmed',
+            isConfirmed: !requiresApproval,
+            confirmedAt: requiresApproval ? undefined : now,
+            confirmedBy: requiresApproval ? undefined : options.actorId,
+            recordedBy: options.actorId || 'system',
+            shiftId: shift ? shift.shiftId : undefined,
+            recordedFromIp: options.ipAddress
+          });
+
+          await payment.save({ session });
+          payments.push(payment);
+        }
+
+        const affectedDebts = allocations.map(allocation => allocation.debt);
+
+        if (!requiresApproval) {
+          const debtsById = new Map(affectedDebts.map(debt => [debt.debtId, debt]));
+          await applyAllocations(payments, debtsById, customer, session);
+        }
+
+        logSuccess(
+          `Repayment ${allocationGroupId} of ${amount} for customer ${customerId} ${requiresApproval ? 'awaiting approval' : 'applied'} (${allocations.length} debt(s), credit ${excess})`,
+          'DebtService'
+        );
+
+        return {
+          allocationGroupId,
+          status: requiresApproval ? 'pending_approval' : 'applied',
+          amount,
+          creditAmount: excess,
+          payments,
+          debts: affectedDebts
+        };
+      }, { session: options.session });
+
+      // Pending repayments are rescored once approved
+      if (!options.session && result.status === 'applied') {
+        await RiskScoringService.refreshCustomerRisk(shopId, result.payments[0].customerId);
+      }
+
+      return result;
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError('Payment ID already exists, please retry', 409, 'duplicate_payment_id');
+      }
+
+      logError(`Failed to apply repayment for shop ${shopId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to record repayment', 500, 'debt_repayment_error');
+    }
+  },
+
+  /**
+   * Record a repayment against a specific debt
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} paymentData - Repayment details
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Allocation result with payments, debts and status
+   */
+  recordRepayment: async (shopId, debtId, paymentData, options = {}) => {
+    return DebtService.applyRepayment(shopId, { ...paymentData, debtId }, options);
+  },
+
+  /**
+   * Get repayments waiting for admin approval
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<Array>} Pending payments, oldest first
+   */
+  getPendingRepayments: async (shopId) => {
+    try {
+      return await Payment.find({
+        shopId,
+        paymentContext: 'debt',
+        requiresApproval: true,
+        status: 'pending',
+        isDeleted: false
+      }).sort({ createdAt: 1 });
+    } catch (error) {
+      logError(`Failed to get pending repayments for shop ${shopId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to retrieve pending repayments', 500, 'debt_retrieval_error');
+    }
+  },
+
+  /**
+   * Approve a pending repayment and apply it to the ledger
+   * @param {string} shopId - Shop ID
+   * @param {string} allocationGroupId - Allocation group of the repayment
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the approving admin
+   * @returns {Promise<Object>} Approved payments and the updated debts
+   */
+  approveRepayment: async (shopId, allocationGroupId, options = {}) => {
+    try {
+      const result = await TransactionHelper.runInTransaction(async (session) => {
+        const payments = await Payment.find({
+          shopId,
+          allocationGroupId,
+          requiresApproval: true,
+          status: 'pending',
+          isDeleted: false
+        }).session(session);
+
+        if (!payments.length) {
+          throw new AppError('Pending repayment not found', 404, 'pending_repayment_not_found');
+        }
+
+        const debtIds = payments.filter(payment => !payment.isPrepayment).map(payment => payment.debtId);
+        const debts = await Debt.find({ shopId, debtId: { $in: debtIds }, isDeleted: false }).session(session);
+        const debtsById = new Map(debts.map(debt => [debt.debtId, debt]));
+
+        // Other payments may have landed while this one waited, so re-check each allocation
+        for (const payment of payments) {
+          if (payment.isPrepayment) continue;
+
+          const debt = debtsById.get(payment.debtId);
+          if (!debt || roundAmount(debt.remainingAmount) < payment.amount) {
+            throw new AppError(
+              `Debt ${payment.debtId} no longer has enough outstanding balance for this repayment; reject it and record it again`,
+              409,
+              'repayment_allocation_outdated'
+            );
+          }
+        }
+
+        const customer = await Customer.findOne({
+          customerId: payments[0].customerId,
+          shopId
+        }).session(session);
+
+        if (!customer) {
+          throw new AppError('Customer not found', 404, 'customer_not_found');
+        }
+
+        const now = new Date();
+        const receiptNumber = await DocumentNumberService.nextNumber(shopId, 'receipt', { session });
+
+        for (const payment of payments) {
+          payment.status = 'confirmed';
+          payment.receiptNumber = receiptNumber;
+          payment.isConfirmed = true;
+          payment.confirmedAt = now;
+          payment.confirmedBy = options.actorId;
+          payment.verificationAttempts.push({
+            attemptedAt: now,
+            attemptedBy: options.actorId,
+            status: 'successful',
+            notes: 'Repayment approved'
+          });
+          await payment.save({ session });
+        }
+
+        await applyAllocations(payments, debtsById, customer, session);
+
+        logSuccess(`Repayment ${allocationGroupId} approved by ${options.actorId || 'system'}`, 'DebtService');
+        return { allocationGroupId, payments, debts };
+      }, { session: options.session });
+
+      if (!options.session) {
+        await RiskScoringService.refreshCustomerRisk(shopId, result.payments[0].customerId);
+      }
+
+      return result;
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to approve repayment ${allocationGroupId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to approve repayment', 500, 'debt_repayment_error');
+    }
+  },
+
+  /**
+   * Reject a pending repayment without touching the ledger
+   * @param {string} shopId - Shop ID
+   * @param {string} allocationGroupId - Allocation group of the repayment
+   * @param {string} reason - Rejection reason
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the rejecting admin
+   * @returns {Promise<Array>} Rejected payments
+   */
+  rejectRepayment: async (shopId, allocationGroupId, reason, options = {}) => {
+    try {
+      const payments = await Payment.find({
+        shopId,
+        allocationGroupId,
+        requiresApproval: true,
+        status: 'pending',
+        isDeleted: false
+      });
+
+      if (!payments.length) {
+        throw new AppError('Pending repayment not found', 404, 'pending_repayment_not_found');
+      }
+
+      const now = new Date();
+      for (const payment of payments) {
+        payment.status = 'failed';
+        payment.verificationAttempts.push({
+          attemptedAt: now,
+          attemptedBy: options.actorId,
+          status: 'failed',
+          notes: reason || 'Repayment rejected'
+        });
+        await payment.save();
+      }
+
+      logInfo(`Repayment ${allocationGroupId} rejected by ${options.actorId || 'system'}`, 'DebtService');
+      return payments;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to reject repayment ${allocationGroupId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to reject repayment', 500, 'debt_repayment_error');
+    }
+  },
+
+  /**
+   * Get the repayment history of a debt
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @returns {Promise<Array>} Payments, newest first
+   */
+  getDebtPayments: async (shopId, debtId) => {
+    try {
+      await DebtService.getDebtById(shopId, debtId);
+
+      return await Payment.find({
+        shopId,
+        debtId,
+        paymentContext: 'debt',
+        isDeleted: false
+      }).sort({ paymentDate: -1 });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get payments for debt ${debtId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to retrieve debt payments', 500, 'debt_retrieval_error');
+    }
+  },
+
+  /**
+   * Credit a returned credit sale against its debt
+   * The debt shrinks by what is still owed on it; anything the customer already
+   * paid beyond that comes back to them as customer credit
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {number} amount - Value of the returned goods
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user processing the return
+   * @param {mongoose.ClientSession} [options.session] - Existing transaction session
+   * @returns {Promise<Object>} { debt, debtReduction, creditIssued }
+   */
+  reduceDebtForReturn: async (shopId, debtId, amount, options = {}) => {
+    try {
+      const result = await TransactionHelper.runInTransaction(async (session) => {
+        const debt = await Debt.findOne({ debtId, shopId, isDeleted: false }).session(session);
+
+        if (!debt) {
+          throw new AppError('Debt not found', 404, 'debt_not_found');
+        }
+
+        const outstanding = roundAmount(debt.remainingAmount);
+        const debtReduction = roundAmount(Math.max(0, Math.min(amount, outstanding, debt.debtAmount)));
+        const creditIssued = roundAmount(amount - debtReduction);
+
+        if (debtReduction > 0) {
+          debt.debtAmount = roundAmount(debt.debtAmount - debtReduction);
+          await debt.save({ session });
+        }
+
+        await Customer.updateOne(
+          { customerId: debt.customerId, shopId },
+          {
+            $inc: {
+              outstandingBalance: -debtReduction,
+              totalDebtAmount: -debtReduction,
+              creditBalance: creditIssued
+            }
+          },
+          { session }
+        );
+
+        logInfo(`Debt ${debtId} reduced by ${debtReduction} for a return (credit ${creditIssued}) by ${options.actorId || 'system'}`, 'DebtService');
+        return { debt, debtReduction, creditIssued };
+      }, { session: options.session });
+
+      if (!options.session) {
+        await RiskScoringService.refreshCustomerRisk(shopId, result.debt.customerId);
+      }
+
+      return result;
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to reduce debt ${debtId} for return: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to credit return against debt', 500, 'debt_update_error');
+    }
+  },
+
+  /**
+   * Soft delete a debt that was recorded in error
+   * Debts with repayments cannot be removed, since that would orphan the payments.
+   * Accrued late fees are waived along with the debt.
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Deleted debt
+   */
+  deleteDebt: async (shopId, debtId, options = {}) => {
+    try {
+      const deleted = await TransactionHelper.runInTransaction(async (session) => {
+        const debt = await Debt.findOne({ debtId, shopId, isDeleted: false }).session(session);
+
+        if (!debt) {
+          throw new AppError('Debt not found', 404, 'debt_not_found');
+        }
+
+        if (debt.paidAmount > (debt.creditApplied || 0)) {
+          throw new AppError(
+            'Debt has recorded repayments and cannot be deleted',
+            400,
+            'debt_has_payments'
+          );
+        }
+
+        const now = new Date();
+        // Only prepaid credit can have been applied, so this is the debt plus its fees, less that credit
+        const outstanding = roundAmount(debt.remainingAmount);
+
+        debt.isDeleted = true;
+        debt.deletedAt = now;
+        await debt.save({ session });
+
+        // Fees on a deleted debt are no longer owed, so they drop out of snapshots and reports
+        await LateFee.updateMany(
+          { shopId, debtId, status: 'accrued' },
+          {
+            $set: {
+              status: 'waived',
+              waivedBy: options.actorId || 'system',
+              waivedAt: now,
+              waiveReason: 'Debt deleted'
+            }
+          },
+          { session }
+        );
+
+        // Any prepaid credit the debt consumed goes back to the customer
+        const creditApplied = debt.creditApplied || 0;
+
+        await Customer.updateOne(
+          { customerId: debt.customerId, shopId },
+          {
+            $inc: {
+              outstandingBalance: -outstanding,
+              totalDebtAmount: -debt.debtAmount,
+              creditBalance: creditApplied
+            }
+          },
+          { session }
+        );
+
+        logInfo(`Debt soft-deleted: ${debtId} by ${options.actorId || 'system'}`, 'DebtService');
+        return debt;
+      }, { session: options.session });
+
+      if (!options.session) {
+        await RiskScoringService.refreshCustomerRisk(shopId, deleted.customerId);
+      }
+
+      return deleted;
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to delete debt ${debtId}: ${error.message}`, 'DebtService', error);
+      throw new AppError('Failed to delete debt', 500, 'debt_deletion_error');
+    }
+  }
+};
+
+module.exports = DebtService;
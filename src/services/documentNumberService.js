@@ -0,0 +1,107 @@
+/**
+ * Document Number Service
+ * Issues sequential per-shop numbers for receipts, invoices and credit notes
+ */
+const { DocumentCounter, ShopSetting } = require('../models');
+const {
+  AppError,
+  FormatHelper,
+  TransactionHelper,
+  logError
+} = require('../utils');
+
+/**
+ * Digits in the sequence part of a document number (RCT-000042)
+ */
+const SEQUENCE_LENGTH = 6;
+
+/**
+ * ShopSetting.invoice prefix field for each document type
+ */
+const PREFIX_FIELDS = {
+  receipt: 'receiptPrefix',
+  invoice: 'invoicePrefix',
+  'credit-note': 'creditNotePrefix'
+};
+
+/**
+ * Fallback prefixes for shops whose settings predate the field
+ */
+const DEFAULT_PREFIXES = {
+  receipt: 'RCT-',
+  invoice: 'INV-',
+  'credit-note': 'CN-'
+};
+
+/**
+ * DocumentNumberService provides methods for issuing document numbers
+ */
+const DocumentNumberService = {
+  /**
+   * Issue the next number in a shop's series
+   * Pass the session of the transaction that creates the document: the counter
+   * update commits or aborts with it, which keeps the series free of gaps.
+   * Two open transactions cannot hold the same counter: the later one aborts on a write
+   * conflict and TransactionHelper runs it again once the earlier one has finished.
+   * @param {string} shopId - Shop ID
+   * @param {string} documentType - receipt, invoice or credit-note
+   * @param {Object} options - Additional options
+   * @param {mongoose.ClientSession} [options.session] - Transaction creating the document
+   * @param {Date} [options.date] - Issue date (defaults to now)
+   * @returns {Promise<string>} Formatted document number (e.g. RCT-2025-000042)
+   */
+  nextNumber: async (shopId, documentType, options = {}) => {
+    try {
+      if (!PREFIX_FIELDS[documentType]) {
+        throw new AppError(`Unsupported document type: ${documentType}`, 400, 'invalid_document_type');
+      }
+
+      const settings = await ShopSetting.getByShopId(shopId);
+      const invoiceSettings = settings.invoice || {};
+      const configuredPrefix = invoiceSettings[PREFIX_FIELDS[documentType]];
+      const prefix = configuredPrefix !== undefined ? configuredPrefix : DEFAULT_PREFIXES[documentType];
+      const issuedAt = options.date || new Date();
+
+      // Yearly series follow the shop's calendar, not the server's
+      const period = invoiceSettings.resetNumberingYearly
+        ? FormatHelper.getLocalParts(issuedAt, settings.display && settings.display.timezone).year
+        : 0;
+
+      return await TransactionHelper.runInTransaction(async (session) => {
+        const counter = await DocumentCounter.findOneAndUpdate(
+          { shopId, documentType, period },
+          { $inc: { sequence: 1 } },
+          { new: true, upsert: true, setDefaultsOnInsert: true, session }
+        );
+
+        const sequence = String(counter.sequence).padStart(SEQUENCE_LENGTH, '0');
+        const number = period ? `${prefix}${period}-${sequence}` : `${prefix}${sequence}`;
+
+        counter.lastIssuedNumber = number;
+        counter.lastIssuedAt = issuedAt;
+        await counter.save({ session });
+
+        return number;
+      }, { session: options.session });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      // Leave write conflicts for the owner of the caller's transaction to retry
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      // Duplicate upserts of a new counter, or a counter held by another open transaction
+      if (error.code === 11000 || error.code === 112) {
+        throw new AppError('Document number is being issued concurrently, please retry', 409, 'document_number_conflict');
+      }
+
+      logError(`Failed to issue ${documentType} number for shop ${shopId}: ${error.message}`, 'DocumentNumberService', error);
+      throw new AppError('Failed to issue document number', 500, 'document_number_error');
+    }
+  }
+};
+
+module.exports = DocumentNumberService;
@@ -10,6 +10,7 @@ const authEmailService = require('./authEmailService');
 const shopEmailService = require('./shopEmailService');
 const subscriptionEmailService = require('./subscriptionEmailService');
 const reportEmailService = require('./reportEmailService');
+const notificationEmailService = require('./notificationEmailService');
 const BaseEmailService = require('./baseEmailService');
 
 /**
@@ -35,6 +36,9 @@ const EmailService = {
   // Report emails (scheduled reports, exports, etc.)
   report: reportEmailService,
   
+  // Queued notification emails (customer reminders, alerts, etc.)
+  notification: notificationEmailService,
+  
   /**
    * Verify connection to email server
    * @returns {Promise<boolean>} Connection status
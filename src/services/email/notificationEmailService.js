@@ -0,0 +1,41 @@
+const BaseEmailService = require('./baseEmailService');
+const { logError } = require('../../utils/logger');
+const AppError = require('../../utils/core/AppError');
+
+/**
+ * Email service for delivering queued notifications (reminders, alerts, etc.)
+ */
+class NotificationEmailService extends BaseEmailService {
+  /**
+   * Send a queued notification as an email
+   * @param {Object} data - Email data
+   * @param {string} data.email - Recipient email
+   * @param {string} data.recipientName - Recipient name
+   * @param {string} data.title - Subject and heading
+   * @param {string} data.message - Notification body
+   * @param {string} data.senderName - Sign-off (e.g. the shop name)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendNotificationEmail(data) {
+    try {
+      const templateData = {
+        title: data.title || 'Notification',
+        recipientName: data.recipientName || 'there',
+        message: data.message,
+        senderName: data.senderName || 'The DeynCare Team'
+      };
+
+      return await this.sendEmail({
+        to: data.email,
+        subject: templateData.title,
+        template: 'Notification/general-notification',
+        data: templateData
+      });
+    } catch (error) {
+      logError(`Failed to send notification email to ${data?.email}`, 'NotificationEmailService', error);
+      throw new AppError('Failed to send notification email', 500, 'email_error');
+    }
+  }
+}
+
+module.exports = new NotificationEmailService();
@@ -8,38 +8,54 @@ const AppError = require('../../utils/core/AppError');
 class ReportEmailService extends BaseEmailService {
   /**
    * Send report delivery email
-   * @param {Object} data - Email data containing user info, report type, and report period
-   * @param {Buffer|string} reportAttachment - The report file as buffer or path to file
+   * @param {Object} data - Email data
+   * @param {string|Array<string>} data.email - Recipient address(es)
+   * @param {string} data.subject - Subject line (optional)
+   * @param {string} data.reportTitle - Report title
+   * @param {string} data.reportType - Report type
+   * @param {string} data.reportFormat - Report format
+   * @param {string} data.generatedAt - When the report was generated, already formatted
+   * @param {string} data.shopName - Shop the report belongs to (optional)
+   * @param {string} data.message - Personal message from the sender (optional)
+   * @param {Object|Buffer} reportAttachment - { filename, content, contentType }, or a PDF buffer
    * @returns {Promise<boolean>} - Success status
    */
   async sendReportDeliveryEmail(data, reportAttachment) {
     try {
-      const { email, fullName, reportType, period } = data;
+      const { email, subject, reportTitle, reportType, reportFormat, generatedAt, shopName, message } = data;
       
       // Prepare template data
       const templateData = {
-        fullName: fullName || 'User',
-        reportType: reportType || 'Sales Report',
-        reportPeriod: period || 'Current Month',
-        dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard/reports`
+        reportTitle: reportTitle || 'Report',
+        reportType: reportType || 'report',
+        reportFormat: reportFormat || 'pdf',
+        generatedAt: generatedAt || new Date().toLocaleString(),
+        shopName: shopName || '',
+        message: message || '',
+        dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard/reports`,
+        currentYear: new Date().getFullYear()
       };
 
       // Prepare attachment
       const attachments = [];
-      if (reportAttachment) {
-        const filename = `${reportType.replace(/\s+/g, '-').toLowerCase()}-${period.replace(/\s+/g, '-').toLowerCase()}.pdf`;
-        
+      if (Buffer.isBuffer(reportAttachment)) {
         attachments.push({
-          filename,
+          filename: `${templateData.reportTitle.replace(/\s+/g, '-').toLowerCase()}.pdf`,
           content: reportAttachment,
           contentType: 'application/pdf'
         });
+      } else if (reportAttachment) {
+        attachments.push({
+          filename: reportAttachment.filename,
+          content: reportAttachment.content,
+          contentType: reportAttachment.contentType
+        });
       }
 
       // Send the email with attachment
       return await this.sendEmail({
         to: email,
-        subject: `Your ${reportType} for ${period} is Ready`,
+        subject: subject || `${templateData.reportTitle} - DeynCare Report`,
         template: 'Report/report-delivery',
         data: templateData,
         attachments
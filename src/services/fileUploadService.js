@@ -12,6 +12,18 @@ const mkdirAsync = util.promisify(fs.mkdir);
 const existsAsync = util.promisify(fs.exists);
 const writeFileAsync = util.promisify(fs.writeFile);
 const unlinkAsync = util.promisify(fs.unlink);
+const readFileAsync = util.promisify(fs.readFile);
+
+/**
+ * Resolve where a file record's contents live on disk
+ * Files record their location relative to the upload directory in metadata.storagePath
+ * @param {Object} file - File record
+ * @returns {string|null} Absolute path, or null when the record has no stored location
+ */
+const resolveStoredPath = (file) => {
+  const storagePath = file.metadata && file.metadata.storagePath;
+  return storagePath ? path.join(FileUploadService.baseUploadDir, storagePath) : null;
+};
 
 /**
  * FileUploadService provides methods for handling file uploads
@@ -34,7 +46,7 @@ const FileUploadService = {
       }
       
       // Create subdirectories for different upload types
-      const uploadDirs = ['payment-proofs', 'profile-pictures', 'shop-logos', 'receipts'];
+      const uploadDirs = ['payment-proofs', 'profile-pictures', 'shop-logos', 'receipts', 'reports'];
       
       for (const dir of uploadDirs) {
         const dirPath = path.join(FileUploadService.baseUploadDir, dir);
@@ -257,6 +269,109 @@ const FileUploadService = {
     }
   },
   
+  /**
+   * Save a generated report file and record it against the report
+   * @param {Buffer} buffer - File contents
+   * @param {Object} reportFile - Report file details
+   * @param {string} reportFile.shopId - Shop ID ('system' for system-wide reports)
+   * @param {string} reportFile.reportId - Report the file belongs to
+   * @param {string} reportFile.title - Report title, kept as the file description
+   * @param {string} reportFile.extension - File extension without the dot
+   * @param {string} reportFile.contentType - File MIME type
+   * @param {string} reportFile.uploadedBy - User who generated the report
+   * @returns {Promise<Object>} File record
+   */
+  saveReportFile: async (buffer, reportFile) => {
+    const { shopId, reportId, title, extension, contentType, uploadedBy } = reportFile;
+    let filePath;
+
+    try {
+      const { File } = require('../models');
+      const fileId = await idGenerator.generateFileId(File);
+
+      // Reports are grouped per shop so a shop's files can be cleaned up together
+      const fileName = `${reportId}.${extension}`;
+      const storagePath = path.join('reports', shopId, fileName);
+      const uploadDir = path.join(FileUploadService.baseUploadDir, 'reports', shopId);
+      if (!await existsAsync(uploadDir)) {
+        await mkdirAsync(uploadDir, { recursive: true });
+      }
+
+      filePath = path.join(FileUploadService.baseUploadDir, storagePath);
+      await writeFileAsync(filePath, buffer);
+
+      const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+      const file = new File({
+        fileId,
+        shopId,
+        uploadedBy,
+        fileType: 'report',
+        url: `${baseUrl}/api/reports/${reportId}/download`,
+        size: buffer.length,
+        extension,
+        linkedEntityType: 'report',
+        linkedEntityId: reportId,
+        description: title || '',
+        metadata: {
+          storagePath,
+          fileName,
+          mimeType: contentType
+        }
+      });
+
+      await file.save();
+
+      logSuccess(`Report file saved: ${fileId} (${fileName})`, 'FileUploadService');
+      return file;
+    } catch (error) {
+      logError(`Failed to save report file: ${error.message}`, 'FileUploadService', error);
+
+      // Don't leave a file on disk that no record points to
+      if (filePath && await existsAsync(filePath)) {
+        await unlinkAsync(filePath).catch(() => {});
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError('Failed to save report file', 500, 'file_upload_error');
+    }
+  },
+
+  /**
+   * Read a stored file's contents
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} { file, content }
+   */
+  readFile: async (fileId) => {
+    try {
+      const { File } = require('../models');
+      const file = await File.findOne({ fileId });
+
+      if (!file) {
+        throw new AppError('File not found', 404, 'file_not_found');
+      }
+
+      const filePath = resolveStoredPath(file);
+      if (!filePath || !await existsAsync(filePath)) {
+        throw new AppError('File not found on disk', 404, 'file_not_found');
+      }
+
+      const content = await readFileAsync(filePath);
+
+      return { file, content };
+    } catch (error) {
+      logError(`Failed to read file: ${error.message}`, 'FileUploadService', error);
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError('Failed to retrieve file', 500, 'file_retrieval_error');
+    }
+  },
+
   /**
    * Get file path for a file ID
    * @param {string} fileId - File ID
@@ -264,10 +379,8 @@ const FileUploadService = {
    */
   getFilePath: async (fileId) => {
     try {
-      // In a production system, you would look up the file path from a database
-      // For this implementation, we'll assume a simple approach
-      
       // Lookup file details from database
+      const { File } = require('../models');
       const file = await File.findOne({ fileId });
       
       if (!file) {
@@ -275,8 +388,8 @@ const FileUploadService = {
       }
       
       // Check if file exists
-      const filePath = path.join(FileUploadService.baseUploadDir, file.category, file.fileName);
-      if (!await existsAsync(filePath)) {
+      const filePath = resolveStoredPath(file);
+      if (!filePath || !await existsAsync(filePath)) {
         throw new AppError('File not found on disk', 404, 'file_not_found');
       }
       
@@ -306,6 +419,7 @@ const FileUploadService = {
       await unlinkAsync(filePath);
       
       // Delete file record from database
+      const { File } = require('../models');
       await File.findOneAndUpdate(
         { fileId },
         { isDeleted: true, deletedAt: new Date() }
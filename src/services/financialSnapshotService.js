@@ -0,0 +1,492 @@
+const {
+  FinancialSnapshot,
+  Shop,
+  ShopSetting,
+  Sale,
+  Debt,
+  Payment,
+  LateFee,
+  Notification
+} = require('../models');
+const { generateFinancialSnapshotId } = require('../utils/generators/idGenerator');
+
+const {
+  AppError,
+  FormatHelper,
+  logSuccess,
+  logError,
+  logInfo
+} = require('../utils');
+
+const TOP_PRODUCTS_LIMIT = 5;
+
+// Debt payments that still count towards recovery
+const COUNTED_PAYMENT_STATUSES = ['confirmed', 'partially-refunded'];
+
+/**
+ * Round to 2 decimal places for currency values
+ * @param {number} value - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Format a calendar date as a snapshot key
+ * Out-of-range days roll over like Date.UTC
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month (omit for a monthly key)
+ * @returns {string} 'YYYY-MM-DD', or 'YYYY-MM' without a day
+ */
+const toDateKey = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day === undefined ? 1 : day));
+  const key = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+  return day === undefined ? key : `${key}-${String(date.getUTCDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Find the instants a snapshot period starts and ends in a shop's timezone
+ * @param {string} type - 'daily' or 'monthly'
+ * @param {string} date - 'YYYY-MM-DD' or 'YYYY-MM'
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { start, end } with end exclusive
+ */
+const getPeriodBounds = (type, date, timezone) => {
+  const [year, month, day] = date.split('-').map((part) => parseInt(part, 10));
+
+  if (type === 'monthly') {
+    return {
+      start: FormatHelper.getZonedDayStart(year, month, 1, timezone),
+      end: FormatHelper.getZonedDayStart(year, month + 1, 1, timezone)
+    };
+  }
+
+  return {
+    start: FormatHelper.getZonedDayStart(year, month, day, timezone),
+    end: FormatHelper.getZonedDayStart(year, month, day + 1, timezone)
+  };
+};
+
+/**
+ * Net amount of each sale line before tax, after line discounts
+ * @param {Object} item - Sale item
+ * @returns {number} Line amount
+ */
+const lineNetAmount = (item) => item.price * item.quantity - (item.discount || 0);
+
+/**
+ * Sales, refunds and profit for a period
+ * Sales count on the day they are made and refunds on the day they are given,
+ * so a finished day's figures do not change when an older sale is returned
+ * @param {string} shopId - Shop ID
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end (exclusive)
+ * @returns {Promise<Object>} { totalSales, totalProfit, totalPOSOrders, topSellingProducts }
+ */
+const computeSalesFigures = async (shopId, start, end) => {
+  const period = { $gte: start, $lt: end };
+  const [sales, returnedSales] = await Promise.all([
+    Sale.find({ shopId, isDeleted: false, status: { $ne: 'cancelled' }, createdAt: period }).lean(),
+    Sale.find({ shopId, isDeleted: false, 'returnInfo.returnedItems.returnedAt': period }).lean()
+  ]);
+
+  let totalSales = 0;
+  let totalProfit = 0;
+  const products = new Map();
+
+  sales.forEach((sale) => {
+    totalSales += sale.totalAmount;
+    totalProfit += sale.totalProfit;
+
+    sale.items.forEach((item) => {
+      const key = item.productId || item.name;
+      const product = products.get(key) || { productId: item.productId, name: item.name, quantity: 0 };
+      product.quantity += item.quantity;
+      products.set(key, product);
+    });
+  });
+
+  returnedSales.forEach((sale) => {
+    const grossNet = sale.items.reduce((sum, item) => sum + lineNetAmount(item), 0);
+    const revenueRatio = grossNet > 0 ? (sale.totalAmount - (sale.totalTax || 0)) / grossNet : 0;
+
+    sale.returnInfo.returnedItems.forEach((returned) => {
+      const returnedAt = new Date(returned.returnedAt);
+      if (returnedAt < start || returnedAt >= end) return;
+
+      totalSales -= returned.refundAmount || 0;
+
+      const item = sale.items.find((line) => (line.productId || line.name) === (returned.productId || returned.name));
+      if (!item) return;
+
+      // Revenue is reversed; restocked goods also give their cost back, damaged ones stay a cost
+      const unitRevenue = (lineNetAmount(item) * revenueRatio) / item.quantity;
+      totalProfit -= unitRevenue * returned.quantity;
+      if (returned.condition !== 'damaged') {
+        totalProfit += item.cost * returned.quantity;
+      }
+    });
+  });
+
+  return {
+    totalSales: roundAmount(totalSales),
+    totalProfit: roundAmount(totalProfit),
+    totalPOSOrders: sales.length,
+    topSellingProducts: Array.from(products.values())
+      .sort((a, b) => b.quantity - a.quantity)
+      .slice(0, TOP_PRODUCTS_LIMIT)
+  };
+};
+
+/**
+ * Debts created and repayments received in a period
+ * @param {string} shopId - Shop ID
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end (exclusive)
+ * @returns {Promise<Object>} { totalDebtsCreated, totalDebtRecovered }
+ */
+const computeDebtFlows = async (shopId, start, end) => {
+  const period = { $gte: start, $lt: end };
+  const [created, recovered] = await Promise.all([
+    Debt.aggregate([
+      { $match: { shopId, isDeleted: false, createdAt: period } },
+      { $group: { _id: null, amount: { $sum: '$debtAmount' } } }
+    ]),
+    Payment.aggregate([
+      {
+        $match: {
+          shopId,
+          paymentContext: 'debt',
+          isPrepayment: { $ne: true },
+          status: { $in: COUNTED_PAYMENT_STATUSES },
+          isDeleted: false,
+          paymentDate: period
+        }
+      },
+      { $group: { _id: null, amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$refund.amount', 0] }] } } } }
+    ])
+  ]);
+
+  return {
+    totalDebtsCreated: roundAmount(created.length > 0 ? created[0].amount : 0),
+    totalDebtRecovered: roundAmount(recovered.length > 0 ? recovered[0].amount : 0)
+  };
+};
+
+/**
+ * Outstanding debt at the end of a period, and the share of it held by high-risk debts
+ * Balances are rebuilt from payments and late fees dated before the period end, so
+ * backfilled snapshots show what was owed then; risk levels are the debts' current ones
+ * @param {string} shopId - Shop ID
+ * @param {Date} end - Period end (exclusive)
+ * @returns {Promise<Object>} { totalOutstandingDebt, highRiskDebtPercentage }
+ */
+const computeOutstandingDebt = async (shopId, end) => {
+  const [debts, payments, fees] = await Promise.all([
+    Debt.find(
+      { shopId, isDeleted: false, createdAt: { $lt: end } },
+      { debtId: 1, debtAmount: 1, creditApplied: 1, writtenOffAmount: 1, writtenOffAt: 1, riskLevel: 1 }
+    ).lean(),
+    Payment.aggregate([
+      {
+        $match: {
+          shopId,
+          paymentContext: 'debt',
+          isPrepayment: { $ne: true },
+          status: { $in: COUNTED_PAYMENT_STATUSES },
+          isDeleted: false,
+          paymentDate: { $lt: end }
+        }
+      },
+      { $group: { _id: '$debtId', amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$refund.amount', 0] }] } } } }
+    ]),
+    LateFee.aggregate([
+      {
+        $match: {
+          shopId,
+          accruedAt: { $lt: end },
+          $or: [{ status: 'accrued' }, { waivedAt: { $gte: end } }]
+        }
+      },
+      { $group: { _id: '$debtId', amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const paidByDebt = new Map(payments.map((entry) => [entry._id, entry.amount]));
+  const feesByDebt = new Map(fees.map((entry) => [entry._id, entry.amount]));
+
+  let outstanding = 0;
+  let highRisk = 0;
+
+  debts.forEach((debt) => {
+    // Write-offs only reduce what was owed from the day they were made
+    const writtenOff = debt.writtenOffAt && debt.writtenOffAt < end ? (debt.writtenOffAmount || 0) : 0;
+    const owed = Math.max(0, debt.debtAmount
+      + (feesByDebt.get(debt.debtId) || 0)
+      - (debt.creditApplied || 0)
+      - (paidByDebt.get(debt.debtId) || 0)
+      - writtenOff);
+
+    outstanding += owed;
+    if (debt.riskLevel === 'High Risk') {
+      highRisk += owed;
+    }
+  });
+
+  return {
+    totalOutstandingDebt: roundAmount(outstanding),
+    highRiskDebtPercentage: outstanding > 0 ? roundAmount((highRisk / outstanding) * 100) : 0
+  };
+};
+
+/**
+ * Service for daily and monthly financial snapshots
+ */
+const FinancialSnapshotService = {
+  /**
+   * Compute and store one snapshot for a shop
+   * Running it again for the same shop, type and date replaces the figures
+   * @param {string} shopId - Shop ID
+   * @param {string} type - 'daily' or 'monthly'
+   * @param {string} date - 'YYYY-MM-DD' for daily, 'YYYY-MM' for monthly
+   * @param {Object} options - { timezone } to skip the settings lookup
+   * @returns {Promise<Object>} Snapshot
+   */
+  generateSnapshot: async (shopId, type, date, options = {}) => {
+    try {
+      let { timezone } = options;
+      if (!timezone) {
+        const settings = await ShopSetting.getByShopId(shopId);
+        timezone = (settings.display && settings.display.timezone) || 'UTC';
+      }
+
+      const { start, end } = getPeriodBounds(type, date, timezone);
+      const [salesFigures, debtFlows, outstanding, smsSent] = await Promise.all([
+        computeSalesFigures(shopId, start, end),
+        computeDebtFlows(shopId, start, end),
+        computeOutstandingDebt(shopId, end),
+        Notification.countDocuments({
+          shopId,
+          type: 'SMS',
+          status: { $in: ['sent', 'delivered', 'read'] },
+          createdAt: { $gte: start, $lt: end }
+        })
+      ]);
+
+      const snapshotId = await generateFinancialSnapshotId(FinancialSnapshot);
+
+      return await FinancialSnapshot.findOneAndUpdate(
+        { shopId, date, type },
+        {
+          $set: {
+            ...salesFigures,
+            ...debtFlows,
+            ...outstanding,
+            totalSMS: smsSent,
+            isDeleted: false,
+            deletedAt: null,
+            generatedAt: new Date()
+          },
+          $setOnInsert: { snapshotId }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to generate ${type} snapshot ${date} for shop ${shopId}`, 'FinancialSnapshotService', error);
+      throw new AppError('Failed to generate financial snapshot', 500, 'snapshot_generation_error');
+    }
+  },
+
+  /**
+   * Snapshot every active shop's last complete day, and the month that day falls in
+   * The month's snapshot is refreshed each day until the month is over
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { shops, snapshots, failures }
+   */
+  processSnapshots: async (now = new Date()) => {
+    const summary = { shops: 0, snapshots: 0, failures: 0 };
+
+    try {
+      const shops = await Shop.find({ isDeleted: false, status: 'active' }, { shopId: 1 }).lean();
+
+      for (const { shopId } of shops) {
+        try {
+          const settings = await ShopSetting.getByShopId(shopId);
+          const timezone = (settings.display && settings.display.timezone) || 'UTC';
+          const { year, month, day } = FormatHelper.getLocalParts(now, timezone);
+
+          const yesterday = toDateKey(year, month, day - 1);
+          await FinancialSnapshotService.generateSnapshot(shopId, 'daily', yesterday, { timezone });
+          await FinancialSnapshotService.generateSnapshot(shopId, 'monthly', yesterday.slice(0, 7), { timezone });
+
+          summary.shops += 1;
+          summary.snapshots += 2;
+        } catch (error) {
+          summary.failures += 1;
+          logError(`Failed to snapshot shop ${shopId}: ${error.message}`, 'FinancialSnapshotService', error);
+        }
+      }
+
+      logSuccess(
+        `Financial snapshots complete: ${summary.snapshots} snapshots for ${summary.shops} shops, ${summary.failures} failures`,
+        'FinancialSnapshotService'
+      );
+      return summary;
+    } catch (error) {
+      logError(`Financial snapshot run failed: ${error.message}`, 'FinancialSnapshotService', error);
+      throw new AppError('Failed to process financial snapshots', 500, 'snapshot_processing_error');
+    }
+  },
+
+  /**
+   * Rebuild snapshots for a range of days
+   * Every day in the range gets a daily snapshot and every month it touches a monthly one
+   * @param {Object} params - { startDate, endDate ('YYYY-MM-DD'), shopId (all active shops if omitted) }
+   * @returns {Promise<Object>} { shops, snapshots, failures }
+   */
+  backfillSnapshots: async ({ startDate, endDate, shopId } = {}) => {
+    const summary = { shops: 0, snapshots: 0, failures: 0 };
+
+    try {
+      const dateKey = /^\d{4}-\d{2}-\d{2}$/;
+      if (!dateKey.test(startDate || '') || !dateKey.test(endDate || '') || startDate > endDate) {
+        throw new AppError('Backfill needs a start and end date as YYYY-MM-DD, start first', 400, 'invalid_date_range');
+      }
+
+      const shopFilter = shopId ? { shopId, isDeleted: false } : { isDeleted: false, status: 'active' };
+      const shops = await Shop.find(shopFilter, { shopId: 1 }).lean();
+
+      if (shopId && shops.length === 0) {
+        throw new AppError('Shop not found', 404, 'shop_not_found');
+      }
+
+      // Walk the calendar in UTC; only the keys matter, each shop reads them in its own timezone
+      const days = [];
+      const [year, month, day] = startDate.split('-').map((part) => parseInt(part, 10));
+      for (let offset = 0; ; offset += 1) {
+        const key = toDateKey(year, month, day + offset);
+        if (key > endDate) break;
+        days.push(key);
+      }
+      const months = [...new Set(days.map((key) => key.slice(0, 7)))];
+
+      for (const shop of shops) {
+        const settings = await ShopSetting.getByShopId(shop.shopId);
+        const timezone = (settings.display && settings.display.timezone) || 'UTC';
+        const periods = [
+          ...days.map((date) => ['daily', date]),
+          ...months.map((date) => ['monthly', date])
+        ];
+
+        for (const [type, date] of periods) {
+          try {
+            await FinancialSnapshotService.generateSnapshot(shop.shopId, type, date, { timezone });
+            summary.snapshots += 1;
+          } catch (error) {
+            summary.failures += 1;
+            logError(`Failed to backfill ${type} snapshot ${date} for shop ${shop.shopId}: ${error.message}`, 'FinancialSnapshotService', error);
+          }
+        }
+
+        summary.shops += 1;
+        logInfo(`Backfilled ${periods.length} snapshots for shop ${shop.shopId}`, 'FinancialSnapshotService');
+      }
+
+      logSuccess(
+        `Snapshot backfill ${startDate} - ${endDate} complete: ${summary.snapshots} snapshots, ${summary.failures} failures`,
+        'FinancialSnapshotService'
+      );
+      return summary;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Snapshot backfill failed: ${error.message}`, 'FinancialSnapshotService', error);
+      throw new AppError('Failed to backfill financial snapshots', 500, 'snapshot_backfill_error');
+    }
+  },
+
+  /**
+   * Get snapshots for charting, oldest first
+   * SuperAdmins without a shop get platform totals per date
+   * @param {Object} query - { type, startDate, endDate, shopId }
+   * @param {Object} actor - { actorRole, shopId }
+   * @returns {Promise<Object>} { type, shopId, snapshots }
+   */
+  getSnapshots: async (query = {}, actor = {}) => {
+    try {
+      const type = query.type || 'daily';
+      const shopId = actor.actorRole === 'superAdmin' ? query.shopId : actor.shopId;
+      const match = { type, isDeleted: false };
+
+      // Keys sort as text, so a plain range works for both daily and monthly dates
+      if (query.startDate || query.endDate) {
+        match.date = {};
+
+        if (query.startDate) {
+          match.date.$gte = query.startDate;
+        }
+
+        if (query.endDate) {
+          match.date.$lte = query.endDate;
+        }
+      }
+
+      if (shopId) {
+        const snapshots = await FinancialSnapshot.find({ ...match, shopId })
+          .select('-_id -__v -isDeleted -deletedAt')
+          .sort({ date: 1 })
+          .lean();
+
+        return { type, shopId, snapshots };
+      }
+
+      const totals = await FinancialSnapshot.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$date',
+            shops: { $sum: 1 },
+            totalSales: { $sum: '$totalSales' },
+            totalDebtsCreated: { $sum: '$totalDebtsCreated' },
+            totalDebtRecovered: { $sum: '$totalDebtRecovered' },
+            totalProfit: { $sum: '$totalProfit' },
+            totalPOSOrders: { $sum: '$totalPOSOrders' },
+            totalSMS: { $sum: '$totalSMS' },
+            totalOutstandingDebt: { $sum: '$totalOutstandingDebt' },
+            highRiskDebt: { $sum: { $multiply: ['$totalOutstandingDebt', '$highRiskDebtPercentage'] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      const snapshots = totals.map(({ _id, highRiskDebt, ...figures }) => ({
+        date: _id,
+        type,
+        ...figures,
+        totalSales: roundAmount(figures.totalSales),
+        totalDebtsCreated: roundAmount(figures.totalDebtsCreated),
+        totalDebtRecovered: roundAmount(figures.totalDebtRecovered),
+        totalProfit: roundAmount(figures.totalProfit),
+        totalOutstandingDebt: roundAmount(figures.totalOutstandingDebt),
+        // Weighted by each shop's outstanding debt
+        highRiskDebtPercentage: figures.totalOutstandingDebt > 0
+          ? roundAmount(highRiskDebt / figures.totalOutstandingDebt)
+          : 0
+      }));
+
+      return { type, shopId: 'all', snapshots };
+    } catch (error) {
+      logError('Failed to retrieve financial snapshots', 'FinancialSnapshotService', error);
+      throw new AppError('Failed to retrieve financial snapshots', 500, 'snapshot_fetch_error');
+    }
+  }
+};
+
+module.exports = FinancialSnapshotService;
@@ -0,0 +1,289 @@
+/**
+ * Installment Service
+ * Splits a debt into scheduled installments and reschedules them
+ */
+const { Debt } = require('../models');
+const RiskScoringService = require('./riskScoringService');
+const { AppError, logError, logSuccess } = require('../utils');
+
+/**
+ * Days between installments for the fixed-interval frequencies
+ */
+const FREQUENCY_DAYS = {
+  weekly: 7,
+  biweekly: 14
+};
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Due date of the nth installment after the first
+ * Monthly installments keep the first due day, falling back to the month's last day
+ * @param {Date} firstDueDate - Due date of the first installment
+ * @param {string} frequency - 'weekly', 'biweekly' or 'monthly'
+ * @param {number} index - Installments after the first
+ * @returns {Date} Due date
+ */
+const nthDueDate = (firstDueDate, frequency, index) => {
+  const first = new Date(firstDueDate);
+
+  if (frequency !== 'monthly') {
+    return new Date(first.getTime() + index * FREQUENCY_DAYS[frequency] * 24 * 60 * 60 * 1000);
+  }
+
+  // Calendar maths in UTC so the schedule does not depend on the server timezone
+  const year = first.getUTCFullYear();
+  const month = first.getUTCMonth() + index;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(first.getUTCDate(), lastDay),
+    first.getUTCHours(),
+    first.getUTCMinutes(),
+    first.getUTCSeconds(),
+    first.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * Build installments covering an amount
+ * Either a regular schedule (count, frequency, first due date and optional amounts, split
+ * evenly otherwise) or a custom list of amounts and due dates
+ * @param {number} total - Amount the installments must add up to
+ * @param {Object} planData - Validated plan details
+ * @param {number} firstNumber - Number of the first installment
+ * @returns {Object} { frequency, installments }
+ */
+const buildSchedule = (total, planData, firstNumber) => {
+  let schedule;
+  let frequency;
+
+  if (planData.installments) {
+    frequency = 'custom';
+    schedule = planData.installments
+      .map(installment => ({ amount: roundAmount(installment.amount), dueDate: new Date(installment.dueDate) }))
+      .sort((a, b) => a.dueDate - b.dueDate);
+  } else {
+    frequency = planData.frequency;
+
+    // The last installment absorbs the rounding left over from an even split
+    const evenAmount = Math.floor(total / planData.count * 100) / 100;
+    const amounts = planData.amounts ||
+      Array.from({ length: planData.count }, (_, index) => (
+        index === planData.count - 1 ? roundAmount(total - evenAmount * (planData.count - 1)) : evenAmount
+      ));
+
+    schedule = amounts.map((amount, index) => ({
+      amount: roundAmount(amount),
+      dueDate: nthDueDate(planData.firstDueDate, frequency, index)
+    }));
+  }
+
+  const scheduled = roundAmount(schedule.reduce((sum, installment) => sum + installment.amount, 0));
+  if (scheduled !== roundAmount(total)) {
+    throw new AppError(
+      `Installments add up to ${scheduled} but ${roundAmount(total)} is left to schedule`,
+      400,
+      'installment_total_mismatch'
+    );
+  }
+
+  return {
+    frequency,
+    installments: schedule.map((installment, index) => ({
+      number: firstNumber + index,
+      amount: installment.amount,
+      dueDate: installment.dueDate
+    }))
+  };
+};
+
+/**
+ * Load an unsettled debt to schedule
+ * @param {string} shopId - Shop ID
+ * @param {string} debtId - Debt ID
+ * @returns {Promise<Object>} Debt document
+ */
+const findOpenDebt = async (shopId, debtId) => {
+  const debt = await Debt.findOne({ debtId, shopId, isDeleted: false });
+
+  if (!debt) {
+    throw new AppError('Debt not found', 404, 'debt_not_found');
+  }
+
+  if (debt.isSettled) {
+    throw new AppError('Settled debts cannot be scheduled', 400, 'debt_already_settled');
+  }
+
+  return debt;
+};
+
+/**
+ * InstallmentService provides methods for installment plans on debts
+ */
+const InstallmentService = {
+  /**
+   * Get a debt's installment plan
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @returns {Promise<Object>} { debtId, installmentPlan, amountDue, nextDueDate }
+   */
+  getInstallmentPlan: async (shopId, debtId) => {
+    try {
+      const debt = await Debt.findOne({ debtId, shopId, isDeleted: false });
+
+      if (!debt) {
+        throw new AppError('Debt not found', 404, 'debt_not_found');
+      }
+
+      if (!debt.installmentPlan) {
+        throw new AppError('Debt has no installment plan', 404, 'installment_plan_not_found');
+      }
+
+      return {
+        debtId: debt.debtId,
+        installmentPlan: debt.installmentPlan,
+        amountDue: debt.installmentAmountDue,
+        nextDueDate: debt.isSettled ? null : debt.dueDate
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get installment plan for debt ${debtId}: ${error.message}`, 'InstallmentService', error);
+      throw new AppError('Failed to retrieve installment plan', 500, 'installment_plan_retrieval_error');
+    }
+  },
+
+  /**
+   * Split what is left of a debt into installments
+   * Late fees are not scheduled; they stay owed on top and are paid after the installments
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} planData - { count, frequency, firstDueDate, amounts? } or { installments: [{ amount, dueDate }] }
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user setting up the plan
+   * @returns {Promise<Object>} Updated debt
+   */
+  createInstallmentPlan: async (shopId, debtId, planData, options = {}) => {
+    try {
+      const debt = await findOpenDebt(shopId, debtId);
+
+      if (debt.installmentPlan) {
+        throw new AppError('Debt already has an installment plan; reschedule it instead', 409, 'installment_plan_exists');
+      }
+
+      const openingPaidAmount = roundAmount(debt.paidAmount + (debt.writtenOffAmount || 0));
+      const principalLeft = roundAmount(debt.debtAmount - openingPaidAmount);
+
+      if (principalLeft <= 0) {
+        throw new AppError('Only late fees are left on this debt; there is nothing to schedule', 400, 'nothing_to_schedule');
+      }
+
+      const { frequency, installments } = buildSchedule(principalLeft, planData, 1);
+
+      // The pre-save hook moves the due date to the first installment
+      debt.installmentPlan = {
+        frequency,
+        installments,
+        openingPaidAmount,
+        originalDueDate: debt.dueDate,
+        createdBy: options.actorId,
+        createdAt: new Date(),
+        reschedules: []
+      };
+      await debt.save();
+
+      await RiskScoringService.refreshCustomerRisk(shopId, debt.customerId);
+
+      logSuccess(`Installment plan of ${installments.length} ${frequency} installments set up on debt ${debtId} by ${options.actorId || 'system'}`, 'InstallmentService');
+      return debt;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to create installment plan for debt ${debtId}: ${error.message}`, 'InstallmentService', error);
+      throw new AppError('Failed to create installment plan', 500, 'installment_plan_update_error');
+    }
+  },
+
+  /**
+   * Replace the open installments of a plan with a new schedule
+   * Paid installments are kept; one paid in part is closed at what was paid. The old
+   * schedule is kept in the plan's reschedule history.
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @param {Object} planData - New schedule (as for createInstallmentPlan) and a reason
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user rescheduling
+   * @returns {Promise<Object>} { debt, previousInstallments }
+   */
+  rescheduleInstallmentPlan: async (shopId, debtId, planData, options = {}) => {
+    try {
+      const debt = await findOpenDebt(shopId, debtId);
+      const plan = debt.installmentPlan;
+
+      if (!plan) {
+        throw new AppError('Debt has no installment plan', 404, 'installment_plan_not_found');
+      }
+
+      const previousInstallments = plan.installments.map(installment => installment.toObject());
+
+      const kept = plan.installments
+        .filter(installment => installment.paidAmount > 0)
+        .map(installment => ({
+          number: installment.number,
+          amount: installment.paidAmount,
+          dueDate: installment.dueDate,
+          paidAmount: installment.paidAmount,
+          status: 'paid',
+          paidAt: installment.paidAt || new Date()
+        }));
+
+      const scheduled = kept.reduce((sum, installment) => sum + installment.amount, 0);
+      const principalLeft = roundAmount(debt.debtAmount - plan.openingPaidAmount - scheduled);
+
+      if (principalLeft <= 0) {
+        throw new AppError('Only late fees are left on this debt; there is nothing to reschedule', 400, 'nothing_to_schedule');
+      }
+
+      const lastNumber = Math.max(0, ...plan.installments.map(installment => installment.number));
+      const { frequency, installments } = buildSchedule(principalLeft, planData, lastNumber + 1);
+
+      plan.reschedules.push({
+        rescheduledBy: options.actorId,
+        rescheduledAt: new Date(),
+        reason: planData.reason,
+        previousFrequency: plan.frequency,
+        previousInstallments
+      });
+      plan.frequency = frequency;
+      plan.installments = [...kept, ...installments];
+
+      await debt.save();
+
+      await RiskScoringService.refreshCustomerRisk(shopId, debt.customerId);
+
+      logSuccess(`Installment plan on debt ${debtId} rescheduled into ${installments.length} ${frequency} installments by ${options.actorId || 'system'}`, 'InstallmentService');
+      return { debt, previousInstallments };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to reschedule installment plan for debt ${debtId}: ${error.message}`, 'InstallmentService', error);
+      throw new AppError('Failed to reschedule installment plan', 500, 'installment_plan_update_error');
+    }
+  }
+};
+
+module.exports = InstallmentService;
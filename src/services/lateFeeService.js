@@ -0,0 +1,367 @@
+/**
+ * Late Fee Service
+ * Accrues and waives late fees on overdue debts according to ShopSetting.limits.lateFees
+ */
+const { Debt, Customer, LateFee, ShopSetting } = require('../models');
+const {
+  AppError,
+  idGenerator,
+  LogHelper,
+  TransactionHelper,
+  logInfo,
+  logError,
+  logSuccess
+} = require('../utils');
+const RiskScoringService = require('./riskScoringService');
+
+/**
+ * Length of one late-fee period; a new fee accrues for each period a debt stays overdue
+ */
+const LATE_FEE_PERIOD_DAYS = 30;
+
+/**
+ * Audit actor used for scheduled accruals
+ * @param {string} shopId - Shop ID
+ * @returns {Object} Actor details for LogHelper
+ */
+const systemActor = (shopId) => ({
+  actorId: 'system',
+  actorRole: 'system',
+  shopId
+});
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What a debt can be charged late fees on
+ * Debts on an installment plan are charged per overdue installment, on what is unpaid of it;
+ * other debts are charged as a whole
+ * @param {Object} debt - Debt document
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} { installmentNumber, daysOverdue, basis }
+ */
+const getOverdueTargets = (debt, now = new Date()) => {
+  if (!debt.installmentPlan) {
+    return [{
+      installmentNumber: null,
+      daysOverdue: debt.daysOverdue,
+      basis: roundAmount(Math.max(0, debt.debtAmount - debt.paidAmount))
+    }];
+  }
+
+  return debt.openInstallments
+    .filter(installment => installment.dueDate < now)
+    .map(installment => ({
+      installmentNumber: installment.number,
+      daysOverdue: Math.ceil((now - installment.dueDate) / DAY_MS),
+      basis: roundAmount(installment.amount - installment.paidAmount)
+    }));
+};
+
+/**
+ * LateFeeService provides methods for late-fee accrual and waivers
+ */
+const LateFeeService = {
+  /**
+   * Calculate the fee for one period under a shop's late-fee rules
+   * @param {number} basis - Overdue amount the fee is charged on
+   * @param {Object} rules - ShopSetting.limits.lateFees
+   * @param {number} accruedSoFar - Fees already accrued on the debt
+   * @returns {number} Fee amount (0 when the cap has been reached)
+   */
+  calculateFee: (basis, rules, accruedSoFar) => {
+    let amount = rules.type === 'fixed'
+      ? rules.value
+      : roundAmount(basis * rules.value / 100);
+
+    if (rules.maxFee && rules.maxFee > 0) {
+      amount = Math.min(amount, roundAmount(rules.maxFee - accruedSoFar));
+    }
+
+    return Math.max(0, roundAmount(amount));
+  },
+
+  /**
+   * Flag every unsettled debt past its due date as overdue, and every installment past its own
+   * A debt on an installment plan is due when its earliest open installment is
+   * @returns {Promise<number>} Number of debts flagged
+   */
+  flagOverdueDebts: async () => {
+    try {
+      const now = new Date();
+
+      const result = await Debt.updateMany(
+        {
+          isDeleted: false,
+          isSettled: false,
+          dueDate: { $lt: now },
+          status: { $in: ['active', 'partially-paid'] }
+        },
+        { $set: { status: 'overdue' } }
+      );
+
+      await Debt.updateMany(
+        {
+          isDeleted: false,
+          isSettled: false,
+          'installmentPlan.installments': {
+            $elemMatch: { status: { $in: ['pending', 'partially-paid'] }, dueDate: { $lt: now } }
+          }
+        },
+        { $set: { 'installmentPlan.installments.$[installment].status': 'overdue' } },
+        {
+          arrayFilters: [{
+            'installment.status': { $in: ['pending', 'partially-paid'] },
+            'installment.dueDate': { $lt: now }
+          }]
+        }
+      );
+
+      const flagged = result.modifiedCount || 0;
+      if (flagged > 0) {
+        logInfo(`Flagged ${flagged} debts as overdue`, 'LateFeeService');
+      }
+
+      return flagged;
+    } catch (error) {
+      logError(`Failed to flag overdue debts: ${error.message}`, 'LateFeeService', error);
+      throw new AppError('Failed to flag overdue debts', 500, 'late_fee_processing_error');
+    }
+  },
+
+  /**
+   * Accrue any late fees a debt is due for
+   * Catches up on missed periods, so a skipped job run does not lose fees. Each overdue
+   * installment of a plan runs its own periods; the shop's fee cap applies to the debt.
+   * @param {Object} debt - Debt document
+   * @param {Object} rules - ShopSetting.limits.lateFees
+   * @returns {Promise<Array>} Fees accrued by this call
+   */
+  accrueFeesForDebt: async (debt, rules) => {
+    const graceDays = rules.gracePeriodDays || 0;
+    const targets = getOverdueTargets(debt).filter(target => target.daysOverdue > graceDays);
+
+    if (!targets.length) {
+      return [];
+    }
+
+    const existingFees = await LateFee.find({ debtId: debt.debtId });
+    let accruedSoFar = existingFees
+      .filter(fee => fee.status === 'accrued')
+      .reduce((sum, fee) => sum + fee.amount, 0);
+
+    const accrued = [];
+
+    for (const { installmentNumber, daysOverdue, basis } of targets) {
+      const currentPeriod = Math.floor((daysOverdue - graceDays - 1) / LATE_FEE_PERIOD_DAYS);
+      const chargedPeriods = new Set(existingFees
+        .filter(fee => (fee.installmentNumber || null) === installmentNumber)
+        .map(fee => fee.period));
+
+      for (let period = 0; period <= currentPeriod; period++) {
+        if (chargedPeriods.has(period)) continue;
+
+        const amount = LateFeeService.calculateFee(basis, rules, accruedSoFar);
+        if (amount <= 0) break;
+
+        const fee = await TransactionHelper.runInTransaction(async (session) => {
+          // Re-read the debt so a repayment committed since the run loaded it is not overwritten
+          const current = await Debt.findOne({ debtId: debt.debtId, shopId: debt.shopId, isDeleted: false }).session(session);
+
+          if (!current || current.isSettled) {
+            return null;
+          }
+
+          const feeId = await idGenerator.generateLateFeeId(LateFee);
+
+          const [lateFee] = await LateFee.create([{
+            feeId,
+            shopId: debt.shopId,
+            debtId: debt.debtId,
+            customerId: debt.customerId,
+            amount,
+            feeType: rules.type,
+            feeValue: rules.value,
+            basisAmount: basis,
+            installmentNumber,
+            period,
+            daysOverdue
+          }], { session });
+
+          current.lateFeeAmount = roundAmount((current.lateFeeAmount || 0) + amount);
+          await current.save({ session });
+
+          await Customer.updateOne(
+            { customerId: debt.customerId, shopId: debt.shopId },
+            { $inc: { outstandingBalance: amount } },
+            { session }
+          );
+
+          return lateFee;
+        });
+
+        // Settled in the meantime, so no further fees are due
+        if (!fee) {
+          return accrued;
+        }
+
+        await LogHelper.createDebtLog('late_fee_accrued', debt.debtId, systemActor(debt.shopId), {
+          feeId: fee.feeId,
+          amount,
+          installmentNumber,
+          period,
+          daysOverdue,
+          feeType: rules.type,
+          feeValue: rules.value
+        });
+
+        accruedSoFar = roundAmount(accruedSoFar + amount);
+        accrued.push(fee);
+      }
+    }
+
+    return accrued;
+  },
+
+  /**
+   * Flag overdue debts and accrue late fees for every shop that has them enabled
+   * @returns {Promise<Object>} Summary of the run
+   */
+  processLateFees: async () => {
+    const summary = { flaggedOverdue: 0, debtsProcessed: 0, feesAccrued: 0, totalAmount: 0, failures: 0 };
+
+    try {
+      summary.flaggedOverdue = await LateFeeService.flagOverdueDebts();
+
+      const enabledSettings = await ShopSetting.find({ 'limits.lateFees.enabled': true });
+
+      for (const settings of enabledSettings) {
+        const rules = settings.limits.lateFees;
+        const graceCutoff = new Date();
+        graceCutoff.setDate(graceCutoff.getDate() - (rules.gracePeriodDays || 0));
+
+        const debts = await Debt.find({
+          shopId: settings.shopId,
+          isDeleted: false,
+          isSettled: false,
+          dueDate: { $lt: graceCutoff }
+        });
+
+        for (const debt of debts) {
+          try {
+            const fees = await LateFeeService.accrueFeesForDebt(debt, rules);
+
+            summary.debtsProcessed += 1;
+            summary.feesAccrued += fees.length;
+            summary.totalAmount = roundAmount(summary.totalAmount + fees.reduce((sum, fee) => sum + fee.amount, 0));
+          } catch (error) {
+            summary.failures += 1;
+            logError(`Failed to accrue late fees for debt ${debt.debtId}: ${error.message}`, 'LateFeeService', error);
+          }
+        }
+      }
+
+      logSuccess(
+        `Late fee run complete: ${summary.feesAccrued} fees (${summary.totalAmount}) across ${summary.debtsProcessed} debts, ${summary.flaggedOverdue} newly overdue`,
+        'LateFeeService'
+      );
+      return summary;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Late fee run failed: ${error.message}`, 'LateFeeService', error);
+      throw new AppError('Failed to process late fees', 500, 'late_fee_processing_error');
+    }
+  },
+
+  /**
+   * List the late fees of a debt
+   * @param {string} shopId - Shop ID
+   * @param {string} debtId - Debt ID
+   * @returns {Promise<Array>} Late fees, oldest first
+   */
+  getLateFeesForDebt: async (shopId, debtId) => {
+    try {
+      return await LateFee.find({ shopId, debtId }).sort({ period: 1 });
+    } catch (error) {
+      logError(`Failed to get late fees for debt ${debtId}: ${error.message}`, 'LateFeeService', error);
+      throw new AppError('Failed to retrieve late fees', 500, 'late_fee_retrieval_error');
+    }
+  },
+
+  /**
+   * Waive an accrued late fee
+   * Any part of the fee the customer already paid is returned as customer credit
+   * @param {string} shopId - Shop ID
+   * @param {string} feeId - Late fee ID
+   * @param {string} reason - Reason for the waiver
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user waiving the fee
+   * @returns {Promise<Object>} Waived fee and the updated debt
+   */
+  waiveLateFee: async (shopId, feeId, reason, options = {}) => {
+    try {
+      const result = await TransactionHelper.runInTransaction(async (session) => {
+        const fee = await LateFee.findOne({ feeId, shopId }).session(session);
+
+        if (!fee) {
+          throw new AppError('Late fee not found', 404, 'late_fee_not_found');
+        }
+
+        if (fee.status === 'waived') {
+          throw new AppError('Late fee has already been waived', 400, 'late_fee_already_waived');
+        }
+
+        const debt = await Debt.findOne({ debtId: fee.debtId, shopId }).session(session);
+
+        if (!debt) {
+          throw new AppError('Debt not found', 404, 'debt_not_found');
+        }
+
+        const remainingBefore = roundAmount(debt.remainingAmount);
+        const reduction = Math.min(fee.amount, remainingBefore);
+        const refundToCredit = roundAmount(fee.amount - reduction);
+
+        fee.status = 'waived';
+        fee.waivedBy = options.actorId;
+        fee.waivedAt = new Date();
+        fee.waiveReason = reason;
+        await fee.save({ session });
+
+        debt.lateFeeAmount = Math.max(0, roundAmount(debt.lateFeeAmount - fee.amount));
+        await debt.save({ session });
+
+        await Customer.updateOne(
+          { customerId: debt.customerId, shopId },
+          { $inc: { outstandingBalance: -roundAmount(reduction), creditBalance: refundToCredit } },
+          { session }
+        );
+
+        logSuccess(`Late fee ${feeId} waived by ${options.actorId || 'system'}`, 'LateFeeService');
+        return { fee, debt, creditAmount: refundToCredit };
+      });
+
+      await RiskScoringService.refreshCustomerRisk(shopId, result.debt.customerId);
+
+      return result;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to waive late fee ${feeId}: ${error.message}`, 'LateFeeService', error);
+      throw new AppError('Failed to waive late fee', 500, 'late_fee_waiver_error');
+    }
+  }
+};
+
+module.exports = LateFeeService;
@@ -0,0 +1,304 @@
+/**
+ * Notification Queue Service
+ * Drains pending notifications across channels with retries and backoff
+ */
+const { Notification, Debt } = require('../models');
+const EmailService = require('./emailService');
+const SmsService = require('./smsService');
+const {
+  AppError,
+  PaginationHelper,
+  logInfo,
+  logError,
+  logSuccess,
+  logWarning
+} = require('../utils');
+
+/**
+ * How long a worker holds a claimed notification before another run may pick it up
+ */
+const CLAIM_LEASE_MINUTES = 5;
+
+/**
+ * Default number of notifications handled per run
+ */
+const DEFAULT_BATCH_SIZE = 100;
+
+let isProcessing = false;
+
+/**
+ * Error for deliveries that can never succeed, so retrying is pointless
+ */
+class PermanentDeliveryError extends Error {}
+
+/**
+ * NotificationQueueService provides the delivery worker and failed-queue management
+ */
+const NotificationQueueService = {
+  /**
+   * Deliver one notification through its channel
+   * @param {Object} notification - Notification document
+   * @returns {Promise<void>}
+   */
+  deliver: async (notification) => {
+    switch (notification.type) {
+      case 'SMS':
+        // Records provider name, message ID and cost on the notification
+        await SmsService.sendNotification(notification);
+        return;
+
+      case 'Email':
+        await EmailService.notification.sendNotificationEmail({
+          email: notification.recipient,
+          recipientName: notification.recipientName,
+          title: notification.title,
+          message: notification.message,
+          senderName: notification.templateData && notification.templateData.shopName
+        });
+
+        notification.provider = { name: 'smtp' };
+        notification.status = 'sent';
+        await notification.save();
+        return;
+
+      case 'InApp':
+        // In-app notifications are delivered by being stored; the inbox reads them
+        await notification.markDelivered();
+        return;
+
+      default:
+        throw new PermanentDeliveryError(`No delivery channel configured for ${notification.type} notifications`);
+    }
+  },
+
+  /**
+   * Mirror a reminder's delivery status onto the debt that triggered it
+   * @param {Object} notification - Notification document
+   * @param {string} status - 'success' or 'failed'
+   */
+  syncDebtReminder: async (notification, status) => {
+    if (!notification.relatedEntity || notification.relatedEntity.type !== 'debt') {
+      return;
+    }
+
+    await Debt.updateOne(
+      { debtId: notification.relatedEntity.id, 'remindersSent.notificationId': notification.notificationId },
+      { $set: { 'remindersSent.$.status': status } }
+    );
+  },
+
+  /**
+   * Claim a notification for this run so overlapping workers do not send it twice
+   * @param {Object} notification - Notification document
+   * @returns {Promise<Object|null>} Claimed notification or null if taken
+   */
+  claim: async (notification) => {
+    const now = new Date();
+
+    return Notification.findOneAndUpdate(
+      {
+        _id: notification._id,
+        status: 'pending',
+        $or: [
+          { nextRetryAt: { $exists: false } },
+          { nextRetryAt: null },
+          { nextRetryAt: { $lte: now } }
+        ]
+      },
+      { $set: { nextRetryAt: new Date(now.getTime() + CLAIM_LEASE_MINUTES * 60 * 1000) } },
+      { new: true }
+    );
+  },
+
+  /**
+   * Attempt delivery of a single claimed notification and record the outcome
+   * @param {Object} notification - Claimed notification document
+   * @returns {Promise<string>} Outcome: 'sent', 'retry' or 'failed'
+   */
+  processNotification: async (notification) => {
+    if (notification.isExpired) {
+      notification.status = 'failed';
+      notification.failureReason = 'Notification expired before it could be delivered';
+      await notification.save();
+      await NotificationQueueService.syncDebtReminder(notification, 'failed');
+      return 'failed';
+    }
+
+    const previousAttempts = notification.deliveryAttempts;
+
+    try {
+      notification.deliveryAttempts = previousAttempts + 1;
+      notification.nextRetryAt = undefined;
+      await NotificationQueueService.deliver(notification);
+      await NotificationQueueService.syncDebtReminder(notification, 'success');
+      return 'sent';
+    } catch (error) {
+      notification.deliveryAttempts = previousAttempts;
+      notification.failureReason = error.message;
+
+      if (error instanceof PermanentDeliveryError) {
+        notification.deliveryAttempts = previousAttempts + 1;
+        notification.status = 'failed';
+        await notification.save();
+      } else {
+        // Backs off exponentially and flips to failed once maxRetries is reached
+        await notification.incrementAttempts();
+      }
+
+      if (notification.status === 'failed') {
+        logWarning(`Notification ${notification.notificationId} failed permanently: ${error.message}`, 'NotificationQueueService');
+        await NotificationQueueService.syncDebtReminder(notification, 'failed');
+        return 'failed';
+      }
+
+      logInfo(`Notification ${notification.notificationId} will retry at ${notification.nextRetryAt.toISOString()}`, 'NotificationQueueService');
+      return 'retry';
+    }
+  },
+
+  /**
+   * Drain pending notifications that are due
+   * @param {Object} options - Options
+   * @param {number} [options.limit] - Maximum notifications to handle in this run
+   * @returns {Promise<Object>} Summary of the run
+   */
+  processQueue: async (options = {}) => {
+    const summary = { processed: 0, sent: 0, retrying: 0, failed: 0, skipped: false };
+
+    if (isProcessing) {
+      logInfo('Notification queue run already in progress, skipping', 'NotificationQueueService');
+      summary.skipped = true;
+      return summary;
+    }
+
+    isProcessing = true;
+
+    try {
+      const pending = await Notification.findPendingForProcessing()
+        .limit(options.limit || DEFAULT_BATCH_SIZE);
+
+      for (const candidate of pending) {
+        const notification = await NotificationQueueService.claim(candidate);
+        if (!notification) continue;
+
+        try {
+          const outcome = await NotificationQueueService.processNotification(notification);
+
+          summary.processed += 1;
+          if (outcome === 'sent') summary.sent += 1;
+          if (outcome === 'retry') summary.retrying += 1;
+          if (outcome === 'failed') summary.failed += 1;
+        } catch (error) {
+          logError(`Failed to process notification ${notification.notificationId}: ${error.message}`, 'NotificationQueueService', error);
+        }
+      }
+
+      if (summary.processed > 0) {
+        logSuccess(
+          `Notification queue run: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.failed} failed`,
+          'NotificationQueueService'
+        );
+      }
+
+      return summary;
+    } catch (error) {
+      logError(`Notification queue run failed: ${error.message}`, 'NotificationQueueService', error);
+      throw new AppError('Failed to process notification queue', 500, 'notification_queue_error');
+    } finally {
+      isProcessing = false;
+    }
+  },
+
+  /**
+   * List failed notifications
+   * @param {string|null} shopId - Shop ID, or null for all shops
+   * @param {Object} query - Validated query parameters
+   * @returns {Promise<Object>} Paginated notifications
+   */
+  getFailedNotifications: async (shopId, query = {}) => {
+    try {
+      const filter = { status: 'failed', isDeleted: false };
+
+      if (shopId) {
+        filter.shopId = shopId;
+      }
+
+      if (query.type) {
+        filter.type = query.type;
+      }
+
+      if (query.category) {
+        filter.category = query.category;
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { updatedAt: -1 };
+
+      return await PaginationHelper.paginate(Notification, filter, options);
+    } catch (error) {
+      logError(`Failed to list failed notifications: ${error.message}`, 'NotificationQueueService', error);
+      throw new AppError('Failed to retrieve notifications', 500, 'notification_retrieval_error');
+    }
+  },
+
+  /**
+   * Put failed notifications back on the queue with a fresh retry budget
+   * @param {string|null} shopId - Restrict to this shop, or null for all shops
+   * @param {Object} criteria - Which notifications to re-queue
+   * @param {Array<string>} [criteria.notificationIds] - Specific notification IDs
+   * @param {string} [criteria.type] - Only this channel
+   * @returns {Promise<number>} Number of notifications re-queued
+   */
+  requeueFailed: async (shopId, criteria = {}) => {
+    try {
+      const filter = { status: 'failed', isDeleted: false };
+
+      if (shopId) {
+        filter.shopId = shopId;
+      }
+
+      if (criteria.notificationIds && criteria.notificationIds.length) {
+        filter.notificationId = { $in: criteria.notificationIds };
+      }
+
+      if (criteria.type) {
+        filter.type = criteria.type;
+      }
+
+      const failed = await Notification.find(filter, { notificationId: 1, relatedEntity: 1 });
+
+      if (!failed.length) {
+        throw new AppError('No failed notifications matched', 404, 'notification_not_found');
+      }
+
+      const result = await Notification.updateMany(
+        { _id: { $in: failed.map(notification => notification._id) } },
+        {
+          $set: { status: 'pending', deliveryAttempts: 0 },
+          $unset: { nextRetryAt: '', failureReason: '' }
+        }
+      );
+
+      for (const notification of failed) {
+        if (notification.relatedEntity && notification.relatedEntity.type === 'debt') {
+          await Debt.updateOne(
+            { debtId: notification.relatedEntity.id, 'remindersSent.notificationId': notification.notificationId },
+            { $set: { 'remindersSent.$.status': 'pending' } }
+          );
+        }
+      }
+
+      logInfo(`Re-queued ${result.modifiedCount} failed notifications`, 'NotificationQueueService');
+      return result.modifiedCount;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to re-queue notifications: ${error.message}`, 'NotificationQueueService', error);
+      throw new AppError('Failed to re-queue notifications', 500, 'notification_queue_error');
+    }
+  }
+};
+
+module.exports = NotificationQueueService;
@@ -1,5 +1,29 @@
 const EmailService = require('./emailService');
-const { logInfo, logError } = require('../utils');
+const { Notification, User, Shop, ShopSetting } = require('../models');
+const { AppError, idGenerator, PaginationHelper, logInfo, logError } = require('../utils');
+
+/**
+ * Statuses an in-app notification can have once it is visible in the inbox
+ */
+const INBOX_STATUSES = ['delivered', 'read'];
+
+/**
+ * Build the base filter for a user's in-app inbox
+ * Expired notifications drop out of the inbox automatically
+ * @param {Object} user - Authenticated user
+ * @returns {Object} MongoDB filter
+ */
+const inboxFilter = (user) => ({
+  recipient: user.userId,
+  recipientType: 'user',
+  type: 'InApp',
+  status: { $in: INBOX_STATUSES },
+  isDeleted: false,
+  $or: [
+    { expiresAt: null },
+    { expiresAt: { $gt: new Date() } }
+  ]
+});
 
 /**
  * Service for handling notification-related operations
@@ -62,6 +86,387 @@ const NotificationService = {
       logError(`Failed to send status change email to ${user.email}: ${error.message}`, 'NotificationService', error);
       return false; // Non-blocking failure
     }
+  },
+
+  /**
+   * Create in-app notifications for a shop's staff
+   * @param {string} shopId - Shop ID
+   * @param {Object} payload - Notification content
+   * @param {string} payload.title - Title
+   * @param {string} payload.message - Message
+   * @param {string} [payload.category] - Notification category
+   * @param {string} [payload.priority] - Notification priority
+   * @param {Object} [payload.relatedEntity] - { type, id } of the record that triggered it
+   * @param {string} [payload.actionUrl] - Where the dashboard/app should navigate on tap
+   * @param {Date} [payload.expiresAt] - When the entry drops out of the inbox
+   * @param {Object} options - Options
+   * @param {Array<string>} [options.roles] - User roles to notify
+   * @param {Array<string>} [options.userIds] - Notify these users instead of everyone with the roles
+   * @param {boolean} [options.skipIfUnread] - Skip users who still have an unread entry for the same record
+   * @returns {Promise<Array>} Created notifications
+   */
+  createInAppNotifications: async (shopId, payload, options = {}) => {
+    const roles = options.roles || ['admin'];
+    const audience = options.userIds ? { userId: { $in: options.userIds } } : { role: { $in: roles } };
+
+    const users = await User.find(
+      { shopId, ...audience, status: 'active', isDeleted: false },
+      { userId: 1, fullName: 1 }
+    );
+
+    const notifications = [];
+    const now = new Date();
+
+    for (const user of users) {
+      if (options.skipIfUnread && payload.relatedEntity) {
+        const existing = await Notification.exists({
+          recipient: user.userId,
+          type: 'InApp',
+          status: 'delivered',
+          isDeleted: false,
+          'relatedEntity.type': payload.relatedEntity.type,
+          'relatedEntity.id': payload.relatedEntity.id
+        });
+
+        if (existing) continue;
+      }
+
+      const notificationId = await idGenerator.generateNotificationId(Notification);
+
+      // In-app entries are delivered by being stored, so they skip the delivery queue
+      const notification = await Notification.create({
+        notificationId,
+        shopId,
+        recipient: user.userId,
+        recipientType: 'user',
+        recipientName: user.fullName,
+        type: 'InApp',
+        priority: payload.priority || 'medium',
+        category: payload.category || 'alert',
+        title: payload.title,
+        message: payload.message,
+        status: 'delivered',
+        deliveredAt: now,
+        deliveryAttempts: 1,
+        relatedEntity: payload.relatedEntity,
+        actionUrl: payload.actionUrl,
+        expiresAt: payload.expiresAt
+      });
+
+      notifications.push(notification);
+    }
+
+    return notifications;
+  },
+
+  /**
+   * Alert shop staff that a product has reached its low stock threshold
+   * Non-blocking: failures are logged and never interrupt the stock update
+   * @param {Object} product - Product document
+   * @returns {Promise<Array>} Created notifications
+   */
+  notifyLowStock: async (product) => {
+    try {
+      const shop = await Shop.findOne({ shopId: product.shopId }, { notifications: 1 });
+      if (shop && shop.notifications && shop.notifications.lowStockAlerts === false) {
+        return [];
+      }
+
+      const notifications = await NotificationService.createInAppNotifications(product.shopId, {
+        title: 'Low stock',
+        message: `${product.name} is running low: ${product.stockQuantity} left (threshold ${product.lowStockThreshold}).`,
+        category: 'alert',
+        priority: product.stockQuantity <= 0 ? 'high' : 'medium',
+        relatedEntity: { type: 'product', id: product.productId },
+        actionUrl: `/products/${product.productId}`
+      }, { roles: ['admin', 'employee'], skipIfUnread: true });
+
+      if (notifications.length) {
+        logInfo(`Low stock alert for product ${product.productId} sent to ${notifications.length} users`, 'NotificationService');
+      }
+
+      return notifications;
+    } catch (error) {
+      logError(`Failed to send low stock alert for product ${product.productId}: ${error.message}`, 'NotificationService', error);
+      return [];
+    }
+  },
+
+  /**
+   * Alert shop admins that credit was extended to a high-risk customer
+   * Only fires when the score meets the shop's high risk threshold and alerts are enabled
+   * Non-blocking: failures are logged and never interrupt the debt workflow
+   * @param {Object} debt - Debt document
+   * @param {number} riskScore - Customer risk score (0-100)
+   * @returns {Promise<Array>} Created notifications
+   */
+  notifyHighRiskDebt: async (debt, riskScore) => {
+    try {
+      const settings = await ShopSetting.findOne({ shopId: debt.shopId }, { 'risk.highRiskThreshold': 1 });
+      const threshold = settings && settings.risk ? settings.risk.highRiskThreshold : 70;
+
+      if (riskScore < threshold) {
+        return [];
+      }
+
+      const shop = await Shop.findOne({ shopId: debt.shopId }, { notifications: 1 });
+      if (shop && shop.notifications && shop.notifications.highRiskAlerts === false) {
+        return [];
+      }
+
+      const notifications = await NotificationService.createInAppNotifications(debt.shopId, {
+        title: 'High-risk debt',
+        message: `${debt.customerName} (risk score ${riskScore}) has a debt of ${debt.debtAmount} due ${debt.dueDate.toISOString().slice(0, 10)}.`,
+        category: 'alert',
+        priority: 'high',
+        relatedEntity: { type: 'debt', id: debt.debtId },
+        actionUrl: `/debts/${debt.debtId}`
+      }, { roles: ['admin'], skipIfUnread: true });
+
+      if (notifications.length) {
+        logInfo(`High-risk debt alert for ${debt.debtId} sent to ${notifications.length} users`, 'NotificationService');
+      }
+
+      return notifications;
+    } catch (error) {
+      logError(`Failed to send high-risk alert for debt ${debt.debtId}: ${error.message}`, 'NotificationService', error);
+      return [];
+    }
+  },
+
+  /**
+   * Alert shop admins that their subscription is about to expire
+   * Non-blocking: failures are logged and never interrupt the reminder job
+   * @param {Object} subscription - Subscription document
+   * @param {number} daysLeft - Days until the subscription ends
+   * @returns {Promise<Array>} Created notifications
+   */
+  notifySubscriptionExpiring: async (subscription, daysLeft) => {
+    try {
+      const notifications = await NotificationService.createInAppNotifications(subscription.shopId, {
+        title: 'Subscription expiring soon',
+        message: `Your subscription ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Renew to keep using DeynCare without interruption.`,
+        category: 'system',
+        priority: daysLeft <= 1 ? 'urgent' : 'high',
+        relatedEntity: { type: 'subscription', id: subscription.subscriptionId },
+        actionUrl: '/subscription',
+        expiresAt: subscription.dates && subscription.dates.endDate
+      }, { roles: ['admin'], skipIfUnread: true });
+
+      return notifications;
+    } catch (error) {
+      logError(`Failed to send expiry alert for subscription ${subscription.subscriptionId}: ${error.message}`, 'NotificationService', error);
+      return [];
+    }
+  },
+
+  /**
+   * Tell a user they have been assigned a debt to collect
+   * Non-blocking: failures are logged and never interrupt the assignment
+   * @param {Object} debt - Debt document in collections
+   * @param {string} [note] - Note from whoever assigned the case
+   * @returns {Promise<Array>} Created notifications
+   */
+  notifyCollectionAssigned: async (debt, note) => {
+    try {
+      return await NotificationService.createInAppNotifications(debt.shopId, {
+        title: 'Collection assigned',
+        message: `${debt.customerName} owes ${debt.remainingAmount} on debt ${debt.debtId}.${note ? ` ${note}` : ''}`,
+        category: 'alert',
+        relatedEntity: { type: 'debt', id: debt.debtId },
+        actionUrl: `/debts/${debt.debtId}`
+      }, { userIds: [debt.collectionCase.assignedTo] });
+    } catch (error) {
+      logError(`Failed to send collection assignment for debt ${debt.debtId}: ${error.message}`, 'NotificationService', error);
+      return [];
+    }
+  },
+
+  /**
+   * Alert the collector, or the shop admins for unassigned cases, that a promise to pay was broken
+   * Non-blocking: failures are logged and never interrupt the collections run
+   * @param {Object} debt - Debt document in collections
+   * @param {Object} promise - Broken promise
+   * @param {number} paidSince - Amount paid since the promise was made
+   * @returns {Promise<Array>} Created notifications
+   */
+  notifyBrokenPromise: async (debt, promise, paidSince) => {
+    try {
+      const assignedTo = debt.collectionCase.assignedTo;
+
+      return await NotificationService.createInAppNotifications(debt.shopId, {
+        title: 'Promise to pay broken',
+        message: `${debt.customerName} promised ${promise.amount} on debt ${debt.debtId} by ${promise.promisedDate.toISOString().slice(0, 10)} and has paid ${paidSince}.`,
+        category: 'alert',
+        priority: 'high',
+        relatedEntity: { type: 'debt', id: debt.debtId },
+        actionUrl: `/debts/${debt.debtId}`
+      }, assignedTo ? { userIds: [assignedTo] } : { roles: ['admin'] });
+    } catch (error) {
+      logError(`Failed to send broken promise alert for debt ${debt.debtId}: ${error.message}`, 'NotificationService', error);
+      return [];
+    }
+  },
+
+  /**
+   * Remind the collector, or the shop admins for unassigned cases, of a follow-up that is due
+   * Non-blocking: failures are logged and never interrupt the collections run
+   * @param {Object} debt - Debt document in collections
+   * @returns {Promise<Array>} Created notifications
+   */
+  notifyCollectionFollowUp: async (debt) => {
+    try {
+      const { assignedTo, followUpNote } = debt.collectionCase;
+
+      return await NotificationService.createInAppNotifications(debt.shopId, {
+        title: 'Collection follow-up due',
+        message: `Follow up with ${debt.customerName} on debt ${debt.debtId}.${followUpNote ? ` ${followUpNote}` : ''}`,
+        category: 'reminder',
+        relatedEntity: { type: 'debt', id: debt.debtId },
+        actionUrl: `/debts/${debt.debtId}`
+      }, assignedTo ? { userIds: [assignedTo] } : { roles: ['admin'] });
+    } catch (error) {
+      logError(`Failed to send follow-up reminder for debt ${debt.debtId}: ${error.message}`, 'NotificationService', error);
+      return [];
+    }
+  },
+
+  /**
+   * Get the authenticated user's in-app inbox
+   * @param {Object} user - Authenticated user
+   * @param {Object} query - Validated query parameters
+   * @returns {Promise<Object>} Paginated notifications and the unread count
+   */
+  getInbox: async (user, query = {}) => {
+    try {
+      const filter = inboxFilter(user);
+
+      if (query.category) {
+        filter.category = query.category;
+      }
+
+      if (query.unreadOnly) {
+        filter.status = 'delivered';
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { createdAt: -1 };
+
+      const [result, unreadCount] = await Promise.all([
+        PaginationHelper.paginate(Notification, filter, options),
+        NotificationService.getUnreadCount(user)
+      ]);
+
+      return { ...result, unreadCount };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get inbox for user ${user.userId}: ${error.message}`, 'NotificationService', error);
+      throw new AppError('Failed to retrieve notifications', 500, 'notification_retrieval_error');
+    }
+  },
+
+  /**
+   * Count unread in-app notifications for a user
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<number>} Unread count
+   */
+  getUnreadCount: async (user) => {
+    try {
+      return await Notification.countDocuments({ ...inboxFilter(user), status: 'delivered' });
+    } catch (error) {
+      logError(`Failed to count unread notifications for user ${user.userId}: ${error.message}`, 'NotificationService', error);
+      throw new AppError('Failed to retrieve notifications', 500, 'notification_retrieval_error');
+    }
+  },
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {Object} user - Authenticated user
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} Updated notification
+   */
+  markAsRead: async (user, notificationId) => {
+    try {
+      const notification = await Notification.findOne({ ...inboxFilter(user), notificationId });
+
+      if (!notification) {
+        throw new AppError('Notification not found', 404, 'notification_not_found');
+      }
+
+      if (notification.status !== 'read') {
+        await notification.markRead();
+      }
+
+      return notification;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to mark notification ${notificationId} as read: ${error.message}`, 'NotificationService', error);
+      throw new AppError('Failed to update notification', 500, 'notification_update_error');
+    }
+  },
+
+  /**
+   * Mark all of the user's unread notifications as read
+   * @param {Object} user - Authenticated user
+   * @param {Object} criteria - Optional filters
+   * @param {string} [criteria.category] - Only this category
+   * @returns {Promise<number>} Number of notifications marked read
+   */
+  markAllAsRead: async (user, criteria = {}) => {
+    try {
+      const filter = { ...inboxFilter(user), status: 'delivered' };
+
+      if (criteria.category) {
+        filter.category = criteria.category;
+      }
+
+      const result = await Notification.updateMany(filter, {
+        $set: { status: 'read', readAt: new Date() }
+      });
+
+      return result.modifiedCount;
+    } catch (error) {
+      logError(`Failed to mark notifications read for user ${user.userId}: ${error.message}`, 'NotificationService', error);
+      throw new AppError('Failed to update notifications', 500, 'notification_update_error');
+    }
+  },
+
+  /**
+   * Remove a notification from the user's inbox (soft delete)
+   * @param {Object} user - Authenticated user
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<boolean>} Success status
+   */
+  deleteNotification: async (user, notificationId) => {
+    try {
+      const filter = inboxFilter(user);
+      // Expired entries can still be cleaned up by their owner
+      delete filter.$or;
+
+      const notification = await Notification.findOneAndUpdate(
+        { ...filter, notificationId },
+        { $set: { isDeleted: true, deletedAt: new Date() } }
+      );
+
+      if (!notification) {
+        throw new AppError('Notification not found', 404, 'notification_not_found');
+      }
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to delete notification ${notificationId}: ${error.message}`, 'NotificationService', error);
+      throw new AppError('Failed to delete notification', 500, 'notification_deletion_error');
+    }
   }
 };
 
@@ -2,17 +2,72 @@
  * Payment Service
  * Handles all business logic related to payments
  */
-const { Payment, Shop, Subscription } = require('../models');
+const { Payment, Shop, Subscription, Debt, Customer } = require('../models');
 const EmailService = require('./emailService');
 const DiscountService = require('./discountService');
+const RiskScoringService = require('./riskScoringService');
 const { 
   AppError, 
   logInfo, 
   logError, 
   logSuccess,
-  idGenerator
+  idGenerator,
+  TransactionHelper
 } = require('../utils');
 
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Undo what a refunded repayment applied to the customer's ledger
+ * Repayments go back onto their debt and the customer's outstanding balance;
+ * prepayments come back out of the customer's credit.
+ * @param {Object} payment - Debt payment being refunded
+ * @param {number} amount - Amount refunded
+ * @param {mongoose.ClientSession} session - Transaction session
+ */
+const reverseRepayment = async (payment, amount, session) => {
+  const customer = await Customer.findOne({
+    customerId: payment.customerId,
+    shopId: payment.shopId
+  }).session(session);
+
+  if (!customer) {
+    throw new AppError('Customer not found', 404, 'customer_not_found');
+  }
+
+  if (payment.isPrepayment) {
+    if ((customer.creditBalance || 0) < amount) {
+      throw new AppError(
+        `Only ${customer.creditBalance || 0} of this prepayment is still held as credit`,
+        400,
+        'credit_already_used'
+      );
+    }
+
+    customer.creditBalance = roundAmount(customer.creditBalance - amount);
+    await customer.save({ session });
+    return;
+  }
+
+  const debt = await Debt.findOne({ debtId: payment.debtId, shopId: payment.shopId }).session(session);
+
+  if (!debt) {
+    throw new AppError('Debt not found', 404, 'debt_not_found');
+  }
+
+  // The debt pre-save hook re-derives isSettled, the status and installment allocations
+  debt.paidAmount = Math.max(0, roundAmount(debt.paidAmount - amount));
+  await debt.save({ session });
+
+  customer.outstandingBalance = roundAmount(customer.outstandingBalance + amount);
+  await customer.save({ session });
+};
+
 /**
  * PaymentService provides methods for managing payments
  */
@@ -238,29 +293,62 @@ const PaymentService = {
   
   /**
    * Refund a payment
+   * Partially refunded payments can be refunded again up to the original amount.
+   * Refunded repayments are taken back off the debt and customer in the same transaction.
    * @param {string} paymentId - Payment ID
    * @param {Object} refundData - Refund details
+   * @param {Object} options - Additional options
+   * @param {mongoose.ClientSession} [options.session] - Existing transaction session
    * @returns {Promise<Object>} Updated payment
    */
-  refundPayment: async (paymentId, refundData) => {
+  refundPayment: async (paymentId, refundData, options = {}) => {
     try {
-      const payment = await PaymentService.getPaymentById(paymentId);
-      
-      // Check if payment can be refunded
-      if (payment.status === 'refunded') {
-        throw new AppError('Payment is already refunded', 400, 'payment_already_refunded');
-      }
-      
-      if (payment.status !== 'confirmed') {
-        throw new AppError('Only confirmed payments can be refunded', 400, 'payment_not_confirmed');
-      }
-      
-      // Call the payment model method to record refund
-      const refundedPayment = await payment.recordRefund(refundData);
+      const refundedPayment = await TransactionHelper.runInTransaction(async (session) => {
+        const payment = await Payment.findOne({ paymentId, isDeleted: false }).session(session);
+        
+        if (!payment) {
+          throw new AppError('Payment not found', 404, 'payment_not_found');
+        }
+        
+        // Check if payment can be refunded
+        if (payment.status === 'refunded') {
+          throw new AppError('Payment is already refunded', 400, 'payment_already_refunded');
+        }
+        
+        if (!['confirmed', 'partially-refunded'].includes(payment.status)) {
+          throw new AppError('Only confirmed payments can be refunded', 400, 'payment_not_confirmed');
+        }
+        
+        const refundable = roundAmount(payment.amount - ((payment.refund && payment.refund.amount) || 0));
+        if (refundData.amount > refundable) {
+          throw new AppError(
+            `Refund exceeds the ${refundable} left to refund on this payment`,
+            400,
+            'refund_exceeds_payment'
+          );
+        }
+        
+        if (payment.paymentContext === 'debt') {
+          await reverseRepayment(payment, refundData.amount, session);
+        }
+        
+        // Call the payment model method to record refund
+        return payment.recordRefund(refundData);
+      }, { session: options.session });
       
       logSuccess(`Payment ${paymentId} refunded by ${refundData.processedBy}`, 'PaymentService');
+
+      // A refunded repayment puts the balance back on the customer's debts
+      if (refundedPayment.paymentContext === 'debt' && !options.session) {
+        await RiskScoringService.refreshCustomerRisk(refundedPayment.shopId, refundedPayment.customerId);
+      }
+
       return refundedPayment;
     } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
       logError(`Failed to refund payment: ${paymentId}`, 'PaymentService', error);
       
       // Re-throw AppError as is, wrap others
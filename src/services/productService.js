@@ -0,0 +1,449 @@
+/**
+ * Product Service
+ * Handles business logic for the shop product catalog
+ */
+const { Product } = require('../models');
+const SubscriptionService = require('./subscriptionService');
+const StockService = require('./stockService');
+const CategoryService = require('./categoryService');
+const {
+  AppError,
+  idGenerator,
+  PaginationHelper,
+  ValidationHelper,
+  TransactionHelper,
+  logInfo,
+  logError,
+  logSuccess
+} = require('../utils');
+
+/**
+ * Fields that can be changed through the product API
+ * Stock levels only change through stock movements so every change is on the ledger
+ */
+const UPDATABLE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'cost',
+  'unit',
+  'lowStockThreshold',
+  'categoryId',
+  'tags',
+  'sku',
+  'status'
+];
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize an optional SKU so blank values are stored as null
+ * @param {string|null} sku - SKU from the request
+ * @returns {string|null} SKU or null
+ */
+const normalizeSku = (sku) => (sku ? sku.trim() : null);
+
+/**
+ * Make sure no other live product in the shop uses this SKU
+ * @param {string} shopId - Shop ID
+ * @param {string|null} sku - SKU to check
+ * @param {string} [excludeProductId] - Product being updated
+ */
+const assertSkuAvailable = async (shopId, sku, excludeProductId) => {
+  if (!sku) return;
+
+  const filter = { shopId, sku, isDeleted: false };
+  if (excludeProductId) {
+    filter.productId = { $ne: excludeProductId };
+  }
+
+  if (await Product.exists(filter)) {
+    throw new AppError(`A product with SKU ${sku} already exists`, 409, 'duplicate_sku');
+  }
+};
+
+/**
+ * ProductService provides methods for managing a shop's products
+ */
+const ProductService = {
+  /**
+   * Check that a shop can add more products under its subscription plan
+   * @param {string} shopId - Shop ID
+   * @param {number} additional - Number of products about to be added
+   */
+  assertProductLimit: async (shopId, additional = 1) => {
+    let subscription;
+
+    try {
+      subscription = await SubscriptionService.getActiveSubscription(shopId);
+    } catch (error) {
+      if (error.type === 'no_active_subscription') {
+        throw new AppError('An active subscription is required to add products', 403, 'no_active_subscription');
+      }
+
+      throw error;
+    }
+
+    const maxProducts = subscription.plan.limits.maxProducts;
+    const productCount = await Product.countDocuments({ shopId, isDeleted: false });
+
+    if (productCount + additional > maxProducts) {
+      throw new AppError(
+        `Your plan allows up to ${maxProducts} products. Upgrade your plan or remove products to add more.`,
+        403,
+        'limit_exceeded'
+      );
+    }
+  },
+
+  /**
+   * Create a new product for a shop
+   * @param {string} shopId - Shop ID
+   * @param {Object} productData - Product details
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user creating the product
+   * @returns {Promise<Object>} Created product
+   */
+  createProduct: async (shopId, productData, options = {}) => {
+    try {
+      const sku = normalizeSku(productData.sku);
+
+      await ProductService.assertProductLimit(shopId);
+      await assertSkuAvailable(shopId, sku);
+
+      if (productData.categoryId) {
+        await CategoryService.assertCategoryExists(shopId, productData.categoryId);
+      }
+
+      const { stockQuantity: openingStock, ...details } = productData;
+
+      let lowStockProducts = [];
+
+      const product = await TransactionHelper.runInTransaction(async (session) => {
+        const productId = await idGenerator.generateProductId(Product);
+
+        const created = new Product({
+          ...details,
+          productId,
+          shopId,
+          sku,
+          price: roundAmount(productData.price),
+          cost: roundAmount(productData.cost),
+          stockQuantity: 0
+        });
+
+        await created.save({ session });
+
+        // Opening stock goes through the ledger like any other change
+        if (openingStock > 0) {
+          const stock = await StockService.recordMovements(shopId, [{
+            productId,
+            type: 'opening',
+            quantity: openingStock,
+            reason: 'Opening stock'
+          }], { actorId: options.actorId, session });
+          lowStockProducts = stock.lowStockProducts;
+
+          return stock.products[0];
+        }
+
+        return created;
+      });
+
+      await StockService.notifyLowStock(lowStockProducts);
+
+      logSuccess(`Product created: ${product.productId} for shop ${shopId} by ${options.actorId || 'system'}`, 'ProductService');
+      return product;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw error.keyPattern && error.keyPattern.sku
+          ? new AppError(`A product with SKU ${productData.sku} already exists`, 409, 'duplicate_sku')
+          : new AppError('Product ID already exists, please retry', 409, 'duplicate_product_id');
+      }
+
+      logError(`Failed to create product: ${error.message}`, 'ProductService', error);
+      throw new AppError('Failed to create product', 500, 'product_creation_error');
+    }
+  },
+
+  /**
+   * Get a product by ID within a shop
+   * @param {string} shopId - Shop ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} Product
+   */
+  getProductById: async (shopId, productId) => {
+    try {
+      const product = await Product.findOne({ productId, shopId, isDeleted: false });
+
+      if (!product) {
+        throw new AppError('Product not found', 404, 'product_not_found');
+      }
+
+      return product;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get product ${productId}: ${error.message}`, 'ProductService', error);
+      throw new AppError('Failed to retrieve product', 500, 'product_retrieval_error');
+    }
+  },
+
+  /**
+   * List products for a shop with filtering, search and pagination
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Validated query parameters
+   * @returns {Promise<Object>} Paginated products
+   */
+  getProducts: async (shopId, query = {}) => {
+    try {
+      const filter = { shopId, isDeleted: false };
+
+      if (query.status) {
+        filter.status = query.status;
+      }
+
+      if (query.categoryId) {
+        if (query.includeSubcategories) {
+          const { ids } = await CategoryService.getDescendants(shopId, query.categoryId);
+          filter.categoryId = { $in: [query.categoryId, ...ids] };
+        } else {
+          filter.categoryId = query.categoryId;
+        }
+      }
+
+      if (query.tag) {
+        filter.tags = query.tag;
+      }
+
+      if (query.lowStock === true) {
+        filter.$expr = { $lte: ['$stockQuantity', '$lowStockThreshold'] };
+      } else if (query.lowStock === false) {
+        filter.$expr = { $gt: ['$stockQuantity', '$lowStockThreshold'] };
+      }
+
+      if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+        filter.price = {};
+
+        if (query.minPrice !== undefined) {
+          filter.price.$gte = query.minPrice;
+        }
+
+        if (query.maxPrice !== undefined) {
+          filter.price.$lte = query.maxPrice;
+        }
+      }
+
+      // Search by name, SKU or tag
+      if (query.search) {
+        const search = ValidationHelper.escapeRegex(query.search);
+        filter.$or = [
+          { name: { $regex: search, $options: 'i' } },
+          { sku: { $regex: search, $options: 'i' } },
+          { tags: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { createdAt: -1 };
+
+      return await PaginationHelper.paginate(Product, filter, options);
+    } catch (error) {
+      logError(`Failed to list products for shop ${shopId}: ${error.message}`, 'ProductService', error);
+      throw new AppError('Failed to retrieve products', 500, 'product_retrieval_error');
+    }
+  },
+
+  /**
+   * Update a product
+   * @param {string} shopId - Shop ID
+   * @param {string} productId - Product ID
+   * @param {Object} updateData - Fields to update
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Updated product and the changed fields
+   */
+  updateProduct: async (shopId, productId, updateData, options = {}) => {
+    try {
+      const product = await ProductService.getProductById(shopId, productId);
+
+      if (updateData.sku !== undefined) {
+        updateData.sku = normalizeSku(updateData.sku);
+
+        if (updateData.sku !== product.sku) {
+          await assertSkuAvailable(shopId, updateData.sku, productId);
+        }
+      }
+
+      if (updateData.categoryId) {
+        await CategoryService.assertCategoryExists(shopId, updateData.categoryId);
+      }
+
+      const changedFields = [];
+
+      UPDATABLE_FIELDS.forEach(field => {
+        if (updateData[field] === undefined) return;
+
+        product[field] = ['price', 'cost'].includes(field)
+          ? roundAmount(updateData[field])
+          : updateData[field];
+
+        changedFields.push(field);
+      });
+
+      await product.save();
+
+      logSuccess(`Product updated: ${productId} by ${options.actorId || 'system'}`, 'ProductService');
+      return { product, changedFields };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError(`A product with SKU ${updateData.sku} already exists`, 409, 'duplicate_sku');
+      }
+
+      logError(`Failed to update product ${productId}: ${error.message}`, 'ProductService', error);
+      throw new AppError('Failed to update product', 500, 'product_update_error');
+    }
+  },
+
+  /**
+   * Update prices for many products at once
+   * @param {string} shopId - Shop ID
+   * @param {Object} data - Validated bulk update payload
+   * @param {Array} [data.updates] - Explicit { productId, price, cost } entries
+   * @param {Object} [data.adjustment] - { type, value, field, productIds, categoryId } applied to a selection
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} { updated, changes }
+   */
+  bulkUpdatePrices: async (shopId, data, options = {}) => {
+    try {
+      let changes = [];
+
+      if (data.updates) {
+        const productIds = data.updates.map(update => update.productId);
+        const products = await Product.find({ shopId, productId: { $in: productIds }, isDeleted: false });
+        const productsById = new Map(products.map(product => [product.productId, product]));
+
+        const missing = productIds.filter(productId => !productsById.has(productId));
+        if (missing.length) {
+          throw new AppError(`Products not found: ${missing.join(', ')}`, 404, 'product_not_found');
+        }
+
+        changes = data.updates.map(update => {
+          const product = productsById.get(update.productId);
+          const set = {};
+
+          if (update.price !== undefined) set.price = roundAmount(update.price);
+          if (update.cost !== undefined) set.cost = roundAmount(update.cost);
+
+          return {
+            productId: product.productId,
+            before: { price: product.price, cost: product.cost },
+            set
+          };
+        });
+      } else {
+        const { type, value, field, productIds, categoryId } = data.adjustment;
+        const filter = { shopId, isDeleted: false };
+
+        if (productIds) {
+          filter.productId = { $in: productIds };
+        }
+
+        if (categoryId) {
+          filter.categoryId = categoryId;
+        }
+
+        const products = await Product.find(filter);
+
+        if (!products.length) {
+          throw new AppError('No products matched the adjustment', 404, 'product_not_found');
+        }
+
+        changes = products.map(product => {
+          const current = product[field];
+          const adjusted = type === 'percentage'
+            ? current * (1 + value / 100)
+            : current + value;
+
+          return {
+            productId: product.productId,
+            before: { price: product.price, cost: product.cost },
+            set: { [field]: roundAmount(Math.max(0, adjusted)) }
+          };
+        });
+      }
+
+      if (changes.length) {
+        await Product.bulkWrite(changes.map(change => ({
+          updateOne: {
+            filter: { shopId, productId: change.productId },
+            update: { $set: change.set }
+          }
+        })));
+      }
+
+      logInfo(`Bulk price update: ${changes.length} products in shop ${shopId} by ${options.actorId || 'system'}`, 'ProductService');
+
+      return {
+        updated: changes.length,
+        changes: changes.map(change => ({
+          productId: change.productId,
+          before: change.before,
+          after: { ...change.before, ...change.set }
+        }))
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to bulk update prices for shop ${shopId}: ${error.message}`, 'ProductService', error);
+      throw new AppError('Failed to update product prices', 500, 'product_update_error');
+    }
+  },
+
+  /**
+   * Soft delete a product
+   * Past sales keep their own copy of the product details, so history is unaffected
+   * @param {string} shopId - Shop ID
+   * @param {string} productId - Product ID
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Deleted product
+   */
+  deleteProduct: async (shopId, productId, options = {}) => {
+    try {
+      const product = await ProductService.getProductById(shopId, productId);
+
+      product.isDeleted = true;
+      product.deletedAt = new Date();
+      product.status = 'deleted';
+      await product.save();
+
+      logInfo(`Product soft-deleted: ${productId} by ${options.actorId || 'system'}`, 'ProductService');
+      return product;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to delete product ${productId}: ${error.message}`, 'ProductService', error);
+      throw new AppError('Failed to delete product', 500, 'product_deletion_error');
+    }
+  }
+};
+
+module.exports = ProductService;
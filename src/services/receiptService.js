@@ -0,0 +1,648 @@
+/**
+ * Receipt Service
+ * Renders printable receipts for sales and debt repayments as thermal text, HTML or PDF
+ */
+const PDFDocument = require('pdfkit');
+const { Sale, Payment, Debt, Shop, ShopSetting } = require('../models');
+const DocumentNumberService = require('./documentNumberService');
+const {
+  AppError,
+  FormatHelper,
+  TransactionHelper,
+  logInfo,
+  logError
+} = require('../utils');
+
+/**
+ * Supported paper widths: characters per line on a thermal printer and page width in PDF points
+ */
+const PAPER_WIDTHS = {
+  '58mm': { columns: 32, points: 164 },
+  '80mm': { columns: 48, points: 227 }
+};
+
+/**
+ * PDF margin in points; thermal paper has little room to spare
+ */
+const PDF_MARGIN = 6;
+
+/**
+ * Courier glyphs are 0.6em wide, which sets the font size that fits the columns
+ */
+const COURIER_CHAR_WIDTH = 0.6;
+
+/**
+ * Reduce text to printable ASCII, since most thermal printers lack other code pages
+ * @param {*} value - Text to convert
+ * @returns {string} ASCII text
+ */
+const toAscii = (value) => String(value === undefined || value === null ? '' : value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7E]/g, '?');
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Break text into lines no longer than the width
+ * @param {string} text - Text to wrap
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Lines
+ */
+const wrap = (text, width) => {
+  const lines = [];
+  let line = '';
+
+  toAscii(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    while (word.length > width) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= width) {
+      line = `${line} ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * Center text within the width
+ * @param {string} text - Text to center
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Centered lines
+ */
+const center = (text, width) => wrap(text, width).map((line) => {
+  const padding = Math.floor((width - line.length) / 2);
+  return `${' '.repeat(padding)}${line}`;
+});
+
+/**
+ * Lay out a label and value on one line, value right-aligned
+ * @param {string} label - Left text
+ * @param {string} value - Right text
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Lines (the label wraps if the pair does not fit)
+ */
+const row = (label, value, width) => {
+  const right = toAscii(value);
+  const labelLines = wrap(label, Math.max(1, width - right.length - 1));
+  const last = labelLines.pop() || '';
+
+  return [
+    ...labelLines,
+    `${last}${' '.repeat(Math.max(1, width - last.length - right.length))}${right}`
+  ];
+};
+
+/**
+ * Resolve the paper width option
+ * @param {string} width - 58mm or 80mm
+ * @returns {Object} { columns, points }
+ */
+const getPaper = (width) => {
+  const paper = PAPER_WIDTHS[width || '80mm'];
+
+  if (!paper) {
+    throw new AppError(`Unsupported paper width: ${width}`, 400, 'invalid_paper_width');
+  }
+
+  return paper;
+};
+
+/**
+ * Header details from the shop profile, overridden by the invoice company details
+ * @param {Object} shop - Shop document
+ * @param {Object} settings - ShopSetting document
+ * @returns {Object} Header fields
+ */
+const buildHeader = (shop, settings) => {
+  const invoice = settings.invoice || {};
+  const company = invoice.companyDetails || {};
+
+  return {
+    name: company.companyName || shop.shopName,
+    address: company.companyAddress || shop.address,
+    phone: company.companyPhone || shop.phone,
+    email: company.companyEmail || shop.email,
+    taxId: company.taxIdentificationNumber,
+    logoUrl: shop.logoUrl,
+    logoPosition: invoice.logoPosition || 'left',
+    footerNotes: invoice.footerNotes,
+    termsAndConditions: invoice.termsAndConditions
+  };
+};
+
+/**
+ * Turn a sale into the neutral receipt layout shared by every format
+ * @param {Object} sale - Sale document
+ * @param {Object} debt - Linked debt for credit sales, if any
+ * @param {Object} display - ShopSetting.display
+ * @returns {Object} Receipt body
+ */
+const buildSaleBody = (sale, debt, display) => {
+  const money = (amount) => FormatHelper.formatCurrency(amount, display);
+
+  const lines = sale.items.map(item => ({
+    name: item.name,
+    detail: `${item.quantity}${item.unit ? ` ${item.unit}` : ''} x ${money(item.price)}`,
+    amount: money(item.price * item.quantity - (item.discount || 0)),
+    note: item.discount ? `Discount -${money(item.discount)}` : null
+  }));
+
+  const totals = [{ label: 'Subtotal', value: money(sale.subtotal) }];
+  if (sale.totalDiscount) {
+    const code = sale.discountInfo && sale.discountInfo.code;
+    totals.push({ label: code ? `Discount (${code})` : 'Discount', value: `-${money(sale.totalDiscount)}` });
+  }
+  if (sale.totalTax) {
+    totals.push({ label: 'Tax', value: money(sale.totalTax) });
+  }
+  totals.push({ label: 'TOTAL', value: money(sale.totalAmount), emphasis: true });
+
+  const returnInfo = sale.returnInfo || {};
+  if (returnInfo.totalRefundAmount) {
+    totals.push({ label: 'Returned', value: `-${money(returnInfo.totalRefundAmount)}` });
+  }
+
+  const payment = [];
+  if (sale.isCredit) {
+    payment.push({ label: 'Payment', value: 'On credit' });
+    if (debt) {
+      payment.push({ label: 'Due date', value: FormatHelper.formatDate(debt.dueDate, display) });
+    }
+  } else {
+    payment.push({ label: 'Payment', value: sale.paymentMethod });
+
+    const details = sale.paymentDetails || {};
+    if (details.amountTendered !== undefined && details.amountTendered !== null) {
+      payment.push({ label: 'Tendered', value: money(details.amountTendered) });
+      payment.push({ label: 'Change', value: money(details.changeGiven || 0) });
+    }
+    if (details.transactionId) {
+      payment.push({ label: 'Reference', value: details.transactionId });
+    }
+  }
+
+  return {
+    title: sale.isCredit ? 'INVOICE' : 'RECEIPT',
+    documentNumber: sale.isCredit ? sale.invoiceNumber : sale.receiptNumber,
+    reference: sale.saleId,
+    issuedAt: sale.createdAt,
+    customerName: sale.customerName,
+    servedBy: sale.soldByName,
+    lines,
+    totals,
+    payment
+  };
+};
+
+/**
+ * Turn the payments of one debt repayment into the neutral receipt layout
+ * @param {Array<Object>} payments - Payments sharing the receipt number
+ * @param {Map<string, Object>} debtsById - Debts the payments were applied to
+ * @param {Object} display - ShopSetting.display
+ * @returns {Object} Receipt body
+ */
+const buildPaymentBody = (payments, debtsById, display) => {
+  const money = (amount) => FormatHelper.formatCurrency(amount, display);
+  const first = payments[0];
+  const total = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+  const lines = payments.map((payment) => {
+    const debt = payment.debtId ? debtsById.get(payment.debtId) : null;
+
+    return {
+      name: payment.isPrepayment ? 'Account credit' : `Debt ${payment.debtId}`,
+      detail: debt && debt.shortNote ? debt.shortNote : null,
+      amount: money(payment.amount),
+      note: debt ? `Balance ${money(debt.remainingAmount)}` : null
+    };
+  });
+
+  const payment = [{ label: 'Payment', value: first.method }];
+  if (first.referenceNumber) {
+    payment.push({ label: 'Reference', value: first.referenceNumber });
+  }
+
+  return {
+    title: 'PAYMENT RECEIPT',
+    documentNumber: first.receiptNumber,
+    reference: first.allocationGroupId || first.paymentId,
+    issuedAt: first.paymentDate,
+    customerName: first.customerName,
+    servedBy: null,
+    lines,
+    totals: [{ label: 'TOTAL PAID', value: money(total), emphasis: true }],
+    payment
+  };
+};
+
+/**
+ * Render a receipt as fixed-width text for ESC/POS thermal printers
+ * @param {Object} header - Shop header
+ * @param {Object} body - Receipt body
+ * @param {Object} meta - { columns, display, isReprint }
+ * @returns {Array<string>} Printed lines
+ */
+const renderTextLines = (header, body, meta) => {
+  const { columns: width, display, isReprint } = meta;
+  const rule = '-'.repeat(width);
+  const out = [];
+
+  out.push(...center(header.name, width));
+  [header.address, header.phone, header.email].filter(Boolean).forEach(value => out.push(...center(value, width)));
+  if (header.taxId) out.push(...center(`Tax ID: ${header.taxId}`, width));
+  out.push(rule);
+
+  out.push(...center(body.title, width));
+  if (isReprint) out.push(...center('** REPRINT **', width));
+  if (body.documentNumber) out.push(...row('No.', body.documentNumber, width));
+  out.push(...row('Ref', body.reference, width));
+  out.push(...row(
+    FormatHelper.formatDate(body.issuedAt, display),
+    FormatHelper.formatTime(body.issuedAt, display),
+    width
+  ));
+  if (body.customerName) out.push(...row('Customer', body.customerName, width));
+  if (body.servedBy) out.push(...row('Served by', body.servedBy, width));
+  out.push(rule);
+
+  // Item details sit indented under the item name
+  body.lines.forEach((line) => {
+    out.push(...wrap(line.name, width));
+    out.push(...row(line.detail || '', line.amount, width - 2).map(text => `  ${text}`));
+    if (line.note) out.push(...wrap(line.note, width - 2).map(text => `  ${text}`));
+  });
+  out.push(rule);
+
+  body.totals.forEach(total => out.push(...row(total.label, total.value, width)));
+  out.push(rule);
+  body.payment.forEach(item => out.push(...row(item.label, item.value, width)));
+
+  if (header.footerNotes) {
+    out.push('');
+    out.push(...center(header.footerNotes, width));
+  }
+  if (header.termsAndConditions) {
+    out.push('');
+    out.push(...wrap(header.termsAndConditions, width));
+  }
+
+  return out;
+};
+
+/**
+ * Render a receipt as a standalone HTML page sized for the paper
+ * @param {Object} header - Shop header
+ * @param {Object} body - Receipt body
+ * @param {Object} meta - { width, display, isReprint }
+ * @returns {string} HTML document
+ */
+const renderHtml = (header, body, meta) => {
+  const { display, isReprint } = meta;
+  const rows = (items) => items.map(item => `
+      <tr${item.emphasis ? ' class="emphasis"' : ''}><td>${escapeHtml(item.label)}</td><td class="amount">${escapeHtml(item.value)}</td></tr>`).join('');
+
+  const lines = body.lines.map(line => `
+      <tr><td colspan="2">${escapeHtml(line.name)}</td></tr>
+      <tr><td class="detail">${escapeHtml(line.detail || '')}</td><td class="amount">${escapeHtml(line.amount)}</td></tr>${line.note ? `
+      <tr><td colspan="2" class="detail">${escapeHtml(line.note)}</td></tr>` : ''}`).join('');
+
+  const contact = [header.address, header.phone, header.email]
+    .filter(Boolean)
+    .map(value => `<div>${escapeHtml(value)}</div>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(body.title)} ${escapeHtml(body.documentNumber || body.reference)}</title>
+  <style>
+    @page { size: ${meta.width} auto; margin: 0; }
+    body { width: ${meta.width}; margin: 0; padding: 2mm; box-sizing: border-box; font-family: 'Courier New', monospace; font-size: 11px; }
+    .header { text-align: center; }
+    .logo { text-align: ${header.logoPosition}; }
+    .logo img { max-width: 60%; max-height: 60px; }
+    h1 { font-size: 13px; text-align: center; margin: 6px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    td { vertical-align: top; padding: 1px 0; }
+    .amount { text-align: right; white-space: nowrap; }
+    .detail { padding-left: 8px; }
+    .emphasis td { font-weight: bold; font-size: 12px; }
+    hr { border: none; border-top: 1px dashed #000; }
+    .footer { text-align: center; margin-top: 8px; }
+    .terms { margin-top: 6px; font-size: 9px; }
+  </style>
+</head>
+<body>
+  ${header.logoUrl ? `<div class="logo"><img src="${escapeHtml(header.logoUrl)}" alt=""></div>` : ''}
+  <div class="header">
+    <strong>${escapeHtml(header.name)}</strong>
+    ${contact}
+    ${header.taxId ? `<div>Tax ID: ${escapeHtml(header.taxId)}</div>` : ''}
+  </div>
+  <hr>
+  <h1>${escapeHtml(body.title)}${isReprint ? ' (REPRINT)' : ''}</h1>
+  <table>${rows([
+    body.documentNumber ? { label: 'No.', value: body.documentNumber } : null,
+    { label: 'Ref', value: body.reference },
+    { label: FormatHelper.formatDate(body.issuedAt, display), value: FormatHelper.formatTime(body.issuedAt, display) },
+    body.customerName ? { label: 'Customer', value: body.customerName } : null,
+    body.servedBy ? { label: 'Served by', value: body.servedBy } : null
+  ].filter(Boolean))}
+  </table>
+  <hr>
+  <table>${lines}
+  </table>
+  <hr>
+  <table>${rows(body.totals)}
+  </table>
+  <hr>
+  <table>${rows(body.payment)}
+  </table>
+  ${header.footerNotes ? `<div class="footer">${escapeHtml(header.footerNotes)}</div>` : ''}
+  ${header.termsAndConditions ? `<div class="terms">${escapeHtml(header.termsAndConditions)}</div>` : ''}
+</body>
+</html>
+`;
+};
+
+/**
+ * Render the thermal text layout onto a PDF page of the paper's width
+ * Remote logos are left out; fetching them would make printing depend on the network
+ * @param {Array<string>} lines - Lines from renderTextLines
+ * @param {Object} paper - { columns, points }
+ * @returns {Promise<Buffer>} PDF document
+ */
+const renderPdf = (lines, paper) => new Promise((resolve, reject) => {
+  const fontSize = (paper.points - PDF_MARGIN * 2) / (paper.columns * COURIER_CHAR_WIDTH);
+  const lineHeight = fontSize * 1.2;
+  const height = Math.ceil(lines.length * lineHeight + PDF_MARGIN * 2);
+
+  const doc = new PDFDocument({ size: [paper.points, height], margin: PDF_MARGIN });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Courier').fontSize(fontSize);
+  lines.forEach((line, index) => {
+    doc.text(line || ' ', PDF_MARGIN, PDF_MARGIN + index * lineHeight, { lineBreak: false });
+  });
+
+  doc.end();
+});
+
+/**
+ * Produce the output for the requested format
+ * @param {Object} header - Shop header
+ * @param {Object} body - Receipt body
+ * @param {Object} options - { format, width, display, isReprint }
+ * @returns {Promise<Object>} { content, contentType, filename }
+ */
+const render = async (header, body, options) => {
+  const paper = getPaper(options.width);
+  const width = options.width || '80mm';
+  const filename = (body.documentNumber || body.reference).replace(/[^\w-]/g, '_');
+  const meta = { columns: paper.columns, width, display: options.display, isReprint: options.isReprint };
+
+  switch (options.format || 'text') {
+    case 'text':
+      return {
+        content: `${renderTextLines(header, body, meta).join('\n')}\n`,
+        contentType: 'text/plain; charset=us-ascii',
+        filename: `${filename}.txt`
+      };
+    case 'html':
+      return {
+        content: renderHtml(header, body, meta),
+        contentType: 'text/html; charset=utf-8',
+        filename: `${filename}.html`
+      };
+    case 'pdf':
+      return {
+        content: await renderPdf(renderTextLines(header, body, meta), paper),
+        contentType: 'application/pdf',
+        filename: `${filename}.pdf`
+      };
+    default:
+      throw new AppError(`Unsupported receipt format: ${options.format}`, 400, 'invalid_receipt_format');
+  }
+};
+
+/**
+ * Load the shop profile and settings used on every receipt
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { shop, settings }
+ */
+const loadShop = async (shopId) => {
+  const [shop, settings] = await Promise.all([
+    Shop.findOne({ shopId }),
+    ShopSetting.getByShopId(shopId)
+  ]);
+
+  if (!shop) {
+    throw new AppError('Shop not found', 404, 'shop_not_found');
+  }
+
+  return { shop, settings };
+};
+
+/**
+ * ReceiptService provides methods for rendering sale and payment receipts
+ */
+const ReceiptService = {
+  /**
+   * Render the receipt (or invoice, for credit sales) of a sale
+   * Every render counts as a print; later prints are marked as reprints
+   * @param {string} shopId - Shop ID
+   * @param {string} saleId - Sale ID
+   * @param {Object} options - Rendering options
+   * @param {string} [options.format] - text, html or pdf (defaults to text)
+   * @param {string} [options.width] - 58mm or 80mm (defaults to 80mm)
+   * @returns {Promise<Object>} { content, contentType, filename }
+   */
+  renderSaleReceipt: async (shopId, saleId, options = {}) => {
+    try {
+      const sale = await Sale.findOne({ saleId, shopId, isDeleted: false });
+
+      if (!sale) {
+        throw new AppError('Sale not found', 404, 'sale_not_found');
+      }
+
+      // Sales recorded before numbering was introduced get their number on first print
+      const numberField = sale.isCredit ? 'invoiceNumber' : 'receiptNumber';
+      if (!sale[numberField]) {
+        try {
+          await TransactionHelper.runInTransaction(async (session) => {
+            const documentNumber = await DocumentNumberService.nextNumber(
+              shopId,
+              sale.isCredit ? 'invoice' : 'receipt',
+              { session, date: sale.createdAt }
+            );
+            // Only number the sale if a concurrent first print has not already; otherwise abort so
+            // the number taken here is rolled back rather than left as a gap
+            const result = await Sale.updateOne(
+              { _id: sale._id, [numberField]: null },
+              { $set: { [numberField]: documentNumber } },
+              { session }
+            );
+            if (result.matchedCount === 0) {
+              throw new AppError('Sale was numbered by another print', 409, 'document_already_numbered');
+            }
+            sale[numberField] = documentNumber;
+          });
+        } catch (error) {
+          if (error.type !== 'document_already_numbered') {
+            throw error;
+          }
+
+          const numbered = await Sale.findById(sale._id).select(numberField);
+          sale[numberField] = numbered[numberField];
+        }
+      }
+
+      const [{ shop, settings }, debt] = await Promise.all([
+        loadShop(shopId),
+        sale.debtId ? Debt.findOne({ debtId: sale.debtId, shopId }) : null
+      ]);
+
+      const output = await render(
+        buildHeader(shop, settings),
+        buildSaleBody(sale, debt, settings.display || {}),
+        { ...options, display: settings.display || {}, isReprint: sale.receiptPrintCount > 0 }
+      );
+
+      await Sale.updateOne(
+        { _id: sale._id },
+        { $inc: { receiptPrintCount: 1 }, $set: { lastReceiptPrintedAt: new Date() } }
+      );
+
+      logInfo(`Receipt for sale ${saleId} rendered as ${options.format || 'text'} (${options.width || '80mm'})`, 'ReceiptService');
+      return output;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to render receipt for sale ${saleId}: ${error.message}`, 'ReceiptService', error);
+      throw new AppError('Failed to render receipt', 500, 'receipt_render_error');
+    }
+  },
+
+  /**
+   * Render the receipt of a debt repayment
+   * A repayment split across several debts shares one receipt covering all its payments
+   * @param {string} shopId - Shop ID
+   * @param {string} paymentId - ID of any payment in the repayment
+   * @param {Object} options - Rendering options
+   * @param {string} [options.format] - text, html or pdf (defaults to text)
+   * @param {string} [options.width] - 58mm or 80mm (defaults to 80mm)
+   * @returns {Promise<Object>} { content, contentType, filename }
+   */
+  renderPaymentReceipt: async (shopId, paymentId, options = {}) => {
+    try {
+      const payment = await Payment.findOne({ paymentId, shopId, isDeleted: false });
+
+      if (!payment) {
+        throw new AppError('Payment not found', 404, 'payment_not_found');
+      }
+
+      if (payment.paymentContext !== 'debt') {
+        throw new AppError('Only debt repayments have payment receipts; print the sale receipt instead', 400, 'receipt_unavailable');
+      }
+
+      if (!['confirmed', 'partially-refunded', 'refunded'].includes(payment.status)) {
+        throw new AppError('Receipts are issued once the payment is confirmed', 400, 'receipt_unavailable');
+      }
+
+      const groupFilter = payment.allocationGroupId
+        ? { shopId, allocationGroupId: payment.allocationGroupId, isDeleted: false }
+        : { _id: payment._id };
+      const payments = await Payment.find(groupFilter).sort({ paymentId: 1 });
+
+      // Repayments recorded before numbering was introduced get their number on first print
+      if (!payment.receiptNumber) {
+        try {
+          await TransactionHelper.runInTransaction(async (session) => {
+            const receiptNumber = await DocumentNumberService.nextNumber(
+              shopId,
+              'receipt',
+              { session, date: payment.paymentDate }
+            );
+            // As for sales, a concurrent first print that numbered the repayment aborts this one
+            const result = await Payment.updateMany(
+              { _id: { $in: payments.map(p => p._id) }, receiptNumber: null },
+              { $set: { receiptNumber } },
+              { session }
+            );
+            if (result.matchedCount !== payments.length) {
+              throw new AppError('Repayment was numbered by another print', 409, 'document_already_numbered');
+            }
+            payments.forEach((p) => { p.receiptNumber = receiptNumber; });
+          });
+        } catch (error) {
+          if (error.type !== 'document_already_numbered') {
+            throw error;
+          }
+
+          const numbered = await Payment.findById(payment._id).select('receiptNumber');
+          payments.forEach((p) => { p.receiptNumber = numbered.receiptNumber; });
+        }
+      }
+
+      const debtIds = payments.map(p => p.debtId).filter(Boolean);
+      const [{ shop, settings }, debts] = await Promise.all([
+        loadShop(shopId),
+        Debt.find({ shopId, debtId: { $in: debtIds } })
+      ]);
+
+      const output = await render(
+        buildHeader(shop, settings),
+        buildPaymentBody(payments, new Map(debts.map(debt => [debt.debtId, debt])), settings.display || {}),
+        { ...options, display: settings.display || {}, isReprint: payment.receiptPrintCount > 0 }
+      );
+
+      await Payment.updateMany(
+        { _id: { $in: payments.map(p => p._id) } },
+        { $inc: { receiptPrintCount: 1 }, $set: { lastReceiptPrintedAt: new Date() } }
+      );
+
+      logInfo(`Receipt for payment ${paymentId} rendered as ${options.format || 'text'} (${options.width || '80mm'})`, 'ReceiptService');
+      return output;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to render receipt for payment ${paymentId}: ${error.message}`, 'ReceiptService', error);
+      throw new AppError('Failed to render receipt', 500, 'receipt_render_error');
+    }
+  }
+};
+
+module.exports = ReceiptService;
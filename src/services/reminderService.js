@@ -0,0 +1,329 @@
+/**
+ * Reminder Service
+ * Queues customer debt reminders according to ShopSetting.notifications
+ */
+const { Debt, Customer, Shop, ShopSetting, Notification } = require('../models');
+const {
+  AppError,
+  idGenerator,
+  FormatHelper,
+  ShopHelper,
+  logInfo,
+  logError,
+  logSuccess
+} = require('../utils');
+
+/**
+ * Escalation schedule used when a shop has not configured its own
+ */
+const DEFAULT_ESCALATION_SCHEDULE = [
+  { daysAfterDue: 1, reminderType: 'friendly', channels: ['sms'] },
+  { daysAfterDue: 7, reminderType: 'stern', channels: ['sms'] },
+  { daysAfterDue: 14, reminderType: 'urgent', channels: ['sms', 'email'] },
+  { daysAfterDue: 30, reminderType: 'final', channels: ['sms', 'email'] }
+];
+
+/**
+ * Minimum days between two reminders of the same stage
+ */
+const FREQUENCY_DAYS = {
+  daily: 1,
+  weekly: 7,
+  monthly: 30
+};
+
+/**
+ * Notification priority and title for each stage
+ */
+const STAGE_DETAILS = {
+  upcoming: { priority: 'low', title: 'Upcoming payment reminder' },
+  friendly: { priority: 'low', title: 'Payment reminder' },
+  stern: { priority: 'medium', title: 'Overdue payment notice' },
+  urgent: { priority: 'high', title: 'Urgent: overdue payment' },
+  final: { priority: 'urgent', title: 'Final notice: overdue payment' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Installment a debt's reminders are currently about
+ * @param {Object} debt - Debt document
+ * @returns {number|null} Number of the earliest open installment, or null without a plan
+ */
+const currentInstallmentNumber = (debt) => {
+  const [installment] = debt.openInstallments || [];
+  return installment ? installment.number : null;
+};
+
+/**
+ * ReminderService provides methods for scheduling customer debt reminders
+ */
+const ReminderService = {
+  /**
+   * Work out which reminder stage a debt is in
+   * @param {Object} debt - Debt document
+   * @param {Object} notificationSettings - ShopSetting.notifications
+   * @param {Date} now - Current time
+   * @returns {Object|null} { stage, channels, templateKey } or null if no reminder is due
+   */
+  resolveStage: (debt, notificationSettings, now = new Date()) => {
+    const dueDate = new Date(debt.dueDate);
+
+    if (dueDate > now) {
+      const daysUntilDue = Math.ceil((dueDate - now) / DAY_MS);
+
+      if (daysUntilDue <= notificationSettings.smsReminderDaysBeforeDue) {
+        return { stage: 'upcoming', channels: ['sms'], templateKey: 'reminder' };
+      }
+
+      return null;
+    }
+
+    const configured = notificationSettings.paymentReminders.escalationSchedule || [];
+    const schedule = (configured.length ? configured : DEFAULT_ESCALATION_SCHEDULE)
+      .slice()
+      .sort((a, b) => a.daysAfterDue - b.daysAfterDue);
+
+    const daysOverdue = Math.floor((now - dueDate) / DAY_MS);
+    const entry = schedule.filter(step => step.daysAfterDue <= daysOverdue).pop();
+
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      stage: entry.reminderType,
+      channels: entry.channels && entry.channels.length ? entry.channels : ['sms'],
+      templateKey: 'overdue'
+    };
+  },
+
+  /**
+   * Check whether a stage's reminder is due again
+   * The pre-due reminder goes out once; escalation stages repeat at the shop's frequency.
+   * On an installment plan each installment runs through the stages on its own.
+   * @param {Object} debt - Debt document
+   * @param {string} stage - Reminder stage
+   * @param {string} frequency - Shop reminder frequency
+   * @param {Date} now - Current time
+   * @returns {boolean} True if a reminder should be queued
+   */
+  isStageDue: (debt, stage, frequency, now = new Date()) => {
+    const installmentNumber = currentInstallmentNumber(debt);
+    const previous = (debt.remindersSent || []).filter(reminder => reminder.stage === stage &&
+      (reminder.installmentNumber || null) === installmentNumber);
+
+    if (!previous.length) {
+      return true;
+    }
+
+    if (stage === 'upcoming') {
+      return false;
+    }
+
+    const lastSentAt = Math.max(...previous.map(reminder => new Date(reminder.sentAt).getTime()));
+    const intervalDays = FREQUENCY_DAYS[frequency] || FREQUENCY_DAYS.weekly;
+
+    return now.getTime() - lastSentAt >= intervalDays * DAY_MS;
+  },
+
+  /**
+   * Resolve the channels a customer can be reached on
+   * Customers have no app installs, so push reminders are not deliverable to them
+   * @param {Object} customer - Customer document
+   * @param {Array<string>} channels - Requested channels
+   * @returns {Array<Object>} { channel, type, recipient }
+   */
+  resolveRecipients: (customer, channels) => {
+    const preferences = customer.contactPreferences || {};
+    const recipients = [];
+
+    if (channels.includes('sms') && preferences.allowSMS !== false && customer.phone) {
+      recipients.push({ channel: 'sms', type: 'SMS', recipient: customer.phone });
+    }
+
+    if (channels.includes('email') && preferences.allowEmail !== false && customer.email) {
+      recipients.push({ channel: 'email', type: 'Email', recipient: customer.email });
+    }
+
+    return recipients;
+  },
+
+  /**
+   * Queue the reminders for one debt and record them on the debt
+   * @param {Object} debt - Debt document
+   * @param {Object} customer - Customer document
+   * @param {Object} shop - Shop document
+   * @param {Object} settings - ShopSetting document
+   * @param {Object} stageInfo - Result of resolveStage
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Queued notifications
+   */
+  queueDebtReminder: async (debt, customer, shop, settings, stageInfo, now = new Date()) => {
+    const recipients = ReminderService.resolveRecipients(customer, stageInfo.channels);
+
+    if (!recipients.length) {
+      logInfo(`No reachable channel for customer ${customer.customerId} (debt ${debt.debtId})`, 'ReminderService');
+      return [];
+    }
+
+    const display = settings.display || {};
+    const installmentNumber = currentInstallmentNumber(debt);
+    // Installment reminders ask for what is due now rather than the whole balance
+    const amount = installmentNumber ? debt.installmentAmountDue : debt.remainingAmount;
+    const templateData = {
+      customerName: customer.fullName,
+      amount: FormatHelper.formatCurrency(amount, display),
+      dueDate: FormatHelper.formatDate(debt.dueDate, display),
+      shopName: shop.shopName,
+      daysOverdue: debt.daysOverdue,
+      debtId: debt.debtId
+    };
+    const message = FormatHelper.renderTemplate(settings.notifications.templates[stageInfo.templateKey], templateData);
+    const { priority, title } = STAGE_DETAILS[stageInfo.stage];
+
+    const notifications = [];
+
+    for (const { channel, type, recipient } of recipients) {
+      const notificationId = await idGenerator.generateNotificationId(Notification);
+
+      const notification = await Notification.create({
+        notificationId,
+        shopId: debt.shopId,
+        recipient,
+        recipientType: 'customer',
+        recipientName: customer.fullName,
+        type,
+        priority,
+        category: 'reminder',
+        title: `${title} - ${shop.shopName}`,
+        message,
+        templateId: stageInfo.templateKey,
+        templateData: { ...templateData, stage: stageInfo.stage },
+        status: 'pending',
+        relatedEntity: { type: 'debt', id: debt.debtId }
+      });
+
+      debt.remindersSent.push({
+        type: channel,
+        sentAt: now,
+        status: 'pending',
+        stage: stageInfo.stage,
+        notificationId,
+        installmentNumber
+      });
+
+      notifications.push(notification);
+    }
+
+    debt.lastReminderDate = now;
+    await debt.save();
+
+    return notifications;
+  },
+
+  /**
+   * Queue due reminders for one shop
+   * @param {Object} settings - ShopSetting document
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Summary for the shop
+   */
+  processShopReminders: async (settings, now = new Date()) => {
+    const summary = { debtsChecked: 0, remindersQueued: 0, skippedOutsideHours: false };
+    const notificationSettings = settings.notifications;
+
+    const shop = await Shop.findOne({ shopId: settings.shopId, isDeleted: false });
+    if (!shop) {
+      return summary;
+    }
+
+    const timezone = settings.display && settings.display.timezone;
+    if (notificationSettings.businessHoursOnly && !ShopHelper.isWithinOperatingHours(shop, timezone, now)) {
+      summary.skippedOutsideHours = true;
+      return summary;
+    }
+
+    const horizon = new Date(now.getTime() + notificationSettings.smsReminderDaysBeforeDue * DAY_MS);
+    const debts = await Debt.find({
+      shopId: settings.shopId,
+      isDeleted: false,
+      isSettled: false,
+      dueDate: { $lte: horizon }
+    });
+
+    if (!debts.length) {
+      return summary;
+    }
+
+    const customers = await Customer.find({
+      shopId: settings.shopId,
+      customerId: { $in: [...new Set(debts.map(debt => debt.customerId))] },
+      isDeleted: false
+    });
+    const customersById = new Map(customers.map(customer => [customer.customerId, customer]));
+
+    for (const debt of debts) {
+      summary.debtsChecked += 1;
+
+      const customer = customersById.get(debt.customerId);
+      if (!customer) continue;
+
+      const stageInfo = ReminderService.resolveStage(debt, notificationSettings, now);
+      if (!stageInfo) continue;
+
+      if (!ReminderService.isStageDue(debt, stageInfo.stage, notificationSettings.paymentReminders.frequency, now)) {
+        continue;
+      }
+
+      try {
+        const notifications = await ReminderService.queueDebtReminder(debt, customer, shop, settings, stageInfo, now);
+        summary.remindersQueued += notifications.length;
+      } catch (error) {
+        logError(`Failed to queue reminder for debt ${debt.debtId}: ${error.message}`, 'ReminderService', error);
+      }
+    }
+
+    return summary;
+  },
+
+  /**
+   * Queue due reminders for every shop with payment reminders enabled
+   * @param {Object} options - Options
+   * @param {Date} [options.now] - Override the current time
+   * @returns {Promise<Object>} Summary of the run
+   */
+  processReminders: async (options = {}) => {
+    const now = options.now || new Date();
+    const summary = { shopsProcessed: 0, shopsOutsideHours: 0, remindersQueued: 0, failures: 0 };
+
+    try {
+      const settingsList = await ShopSetting.find({ 'notifications.paymentReminders.enabled': true });
+
+      for (const settings of settingsList) {
+        try {
+          const shopSummary = await ReminderService.processShopReminders(settings, now);
+
+          summary.shopsProcessed += 1;
+          summary.remindersQueued += shopSummary.remindersQueued;
+          if (shopSummary.skippedOutsideHours) {
+            summary.shopsOutsideHours += 1;
+          }
+        } catch (error) {
+          summary.failures += 1;
+          logError(`Failed to process reminders for shop ${settings.shopId}: ${error.message}`, 'ReminderService', error);
+        }
+      }
+
+      logSuccess(
+        `Reminder run complete: ${summary.remindersQueued} reminders queued across ${summary.shopsProcessed} shops (${summary.shopsOutsideHours} outside business hours)`,
+        'ReminderService'
+      );
+      return summary;
+    } catch (error) {
+      logError(`Reminder run failed: ${error.message}`, 'ReminderService', error);
+      throw new AppError('Failed to process debt reminders', 500, 'reminder_processing_error');
+    }
+  }
+};
+
+module.exports = ReminderService;
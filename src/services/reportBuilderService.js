@@ -0,0 +1,775 @@
+/**
+ * Report Builder Service
+ * Turns a report's type and parameters into a dataset from the Debt, Sale and Payment
+ * collections and writes it out as a CSV, Excel or PDF file
+ */
+const ExcelJS = require('exceljs');
+const { Debt, Sale, Payment, LateFee, Customer, Shop, ShopSetting } = require('../models');
+const ReportPdfService = require('./reportPdfService');
+const DebtAgingService = require('./debtAgingService');
+const {
+  AppError,
+  FormatHelper,
+  logInfo,
+  logError
+} = require('../utils');
+
+/**
+ * File details for each report format this service can write
+ */
+const REPORT_FORMATS = {
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv'
+  },
+  excel: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  pdf: {
+    extension: 'pdf',
+    contentType: 'application/pdf'
+  }
+};
+
+/**
+ * Filters each report type accepts from parameters.filters, mapped to the document field
+ */
+const REPORT_FILTERS = {
+  debt: {
+    status: 'status',
+    riskLevel: 'riskLevel',
+    customerId: 'customerId',
+    isSettled: 'isSettled'
+  },
+  sales: {
+    status: 'status',
+    paymentMethod: 'paymentMethod',
+    isCredit: 'isCredit',
+    customerId: 'customerId',
+    soldBy: 'soldBy',
+    shiftId: 'shiftId',
+    channel: 'channel'
+  },
+  'pos-profit': {
+    paymentMethod: 'paymentMethod',
+    isCredit: 'isCredit',
+    soldBy: 'soldBy',
+    shiftId: 'shiftId',
+    channel: 'channel',
+    productId: 'items.productId'
+  }
+};
+
+/**
+ * Excel number format for money columns
+ */
+const MONEY_FORMAT = '#,##0.00';
+
+/**
+ * Round an amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Build the base query for a report: shop scope, soft delete and date range
+ * System reports (no shopId) span every shop
+ * @param {string|null} shopId - Shop ID, or null for all shops
+ * @param {Object} parameters - Report parameters { startDate, endDate, filters }
+ * @param {string} type - Report type, selects the allowed filters
+ * @param {string} dateField - Field the date range applies to
+ * @returns {Object} MongoDB filter
+ */
+const buildFilter = (shopId, parameters, type, dateField) => {
+  const filter = { isDeleted: false };
+
+  if (shopId) {
+    filter.shopId = shopId;
+  }
+
+  if (parameters.startDate || parameters.endDate) {
+    filter[dateField] = {};
+
+    if (parameters.startDate) {
+      filter[dateField].$gte = new Date(parameters.startDate);
+    }
+
+    if (parameters.endDate) {
+      filter[dateField].$lte = new Date(parameters.endDate);
+    }
+  }
+
+  // Only plain values are copied so filters cannot smuggle in query operators
+  const filters = parameters.filters || {};
+  Object.entries(REPORT_FILTERS[type]).forEach(([name, field]) => {
+    const value = filters[name];
+
+    if (Array.isArray(value)) {
+      const values = value.filter((entry) => ['string', 'number', 'boolean'].includes(typeof entry));
+      if (values.length > 0) {
+        filter[field] = { $in: values };
+      }
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      filter[field] = value;
+    }
+  });
+
+  return filter;
+};
+
+/**
+ * Net amount of each sale line before tax, after line discounts
+ * @param {Object} item - Sale item
+ * @returns {number} Line amount
+ */
+const lineNetAmount = (item) => item.price * item.quantity - (item.discount || 0);
+
+/**
+ * Dataset builders keyed by report type
+ * Each returns { columns, rows, summary, details? } where columns are { key, header, type, total? },
+ * type is one of text, money, number, date or percent, and total marks columns summed in a totals row
+ */
+const DATASET_BUILDERS = {
+  /**
+   * One row per debt created in the period, with repayments received in the period
+   */
+  debt: async (shopId, parameters) => {
+    const filter = buildFilter(shopId, parameters, 'debt', 'createdAt');
+    const debts = await Debt.find(filter).sort({ createdAt: 1 });
+
+    const paymentFilter = {
+      paymentContext: 'debt',
+      debtId: { $in: debts.map((debt) => debt.debtId) },
+      status: { $in: ['confirmed', 'partially-refunded'] },
+      isDeleted: false
+    };
+
+    if (parameters.startDate || parameters.endDate) {
+      paymentFilter.paymentDate = {};
+
+      if (parameters.startDate) {
+        paymentFilter.paymentDate.$gte = new Date(parameters.startDate);
+      }
+
+      if (parameters.endDate) {
+        paymentFilter.paymentDate.$lte = new Date(parameters.endDate);
+      }
+    }
+
+    const paymentTotals = await Payment.aggregate([
+      { $match: paymentFilter },
+      {
+        $group: {
+          _id: '$debtId',
+          amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$refund.amount', 0] }] } },
+          lastPaymentDate: { $max: '$paymentDate' }
+        }
+      }
+    ]);
+    const paymentsByDebt = new Map(paymentTotals.map((entry) => [entry._id, entry]));
+
+    const rows = debts.map((debt) => {
+      const payments = paymentsByDebt.get(debt.debtId) || {};
+
+      return {
+        debtId: debt.debtId,
+        customerId: debt.customerId,
+        customerName: debt.customerName,
+        customerPhone: debt.customerPhone || '',
+        createdAt: debt.createdAt,
+        dueDate: debt.dueDate,
+        debtAmount: roundAmount(debt.debtAmount),
+        lateFeeAmount: roundAmount(debt.lateFeeAmount),
+        paidAmount: roundAmount(debt.paidAmount),
+        remainingAmount: roundAmount(debt.remainingAmount),
+        paidInPeriod: roundAmount(payments.amount),
+        lastPaymentDate: payments.lastPaymentDate || null,
+        daysOverdue: debt.daysOverdue,
+        status: debt.status,
+        riskLevel: debt.riskLevel
+      };
+    });
+
+    const total = (key) => roundAmount(rows.reduce((sum, row) => sum + row[key], 0));
+
+    return {
+      columns: [
+        { key: 'debtId', header: 'Debt ID', type: 'text' },
+        { key: 'customerId', header: 'Customer ID', type: 'text' },
+        { key: 'customerName', header: 'Customer', type: 'text' },
+        { key: 'customerPhone', header: 'Phone', type: 'text' },
+        { key: 'createdAt', header: 'Created', type: 'date' },
+        { key: 'dueDate', header: 'Due Date', type: 'date' },
+        { key: 'debtAmount', header: 'Debt Amount', type: 'money', total: true },
+        { key: 'lateFeeAmount', header: 'Late Fees', type: 'money', total: true },
+        { key: 'paidAmount', header: 'Paid', type: 'money', total: true },
+        { key: 'remainingAmount', header: 'Outstanding', type: 'money', total: true },
+        { key: 'paidInPeriod', header: 'Paid In Period', type: 'money', total: true },
+        { key: 'lastPaymentDate', header: 'Last Payment', type: 'date' },
+        { key: 'daysOverdue', header: 'Days Overdue', type: 'number' },
+        { key: 'status', header: 'Status', type: 'text' },
+        { key: 'riskLevel', header: 'Risk Level', type: 'text' }
+      ],
+      rows,
+      summary: [
+        { label: 'Debts', value: rows.length, type: 'number' },
+        { label: 'Total debt', value: total('debtAmount'), type: 'money' },
+        { label: 'Total late fees', value: total('lateFeeAmount'), type: 'money' },
+        { label: 'Total paid', value: total('paidAmount'), type: 'money' },
+        { label: 'Total outstanding', value: total('remainingAmount'), type: 'money' },
+        { label: 'Collected in period', value: total('paidInPeriod'), type: 'money' },
+        { label: 'Overdue debts', value: rows.filter((row) => row.daysOverdue > 0).length, type: 'number' }
+      ]
+    };
+  },
+
+  /**
+   * One row per sale in the period, net of refunds
+   */
+  sales: async (shopId, parameters) => {
+    const filter = buildFilter(shopId, parameters, 'sales', 'createdAt');
+    const sales = await Sale.find(filter).sort({ createdAt: 1 }).lean();
+
+    const rows = sales.map((sale) => {
+      const refunded = roundAmount(sale.returnInfo && sale.returnInfo.totalRefundAmount);
+
+      return {
+        saleId: sale.saleId,
+        createdAt: sale.createdAt,
+        documentNumber: sale.isCredit ? sale.invoiceNumber || '' : sale.receiptNumber || '',
+        customerName: sale.customerName,
+        soldBy: sale.soldByName || sale.soldBy,
+        itemCount: sale.items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: roundAmount(sale.subtotal),
+        totalDiscount: roundAmount(sale.totalDiscount),
+        totalTax: roundAmount(sale.totalTax),
+        totalAmount: roundAmount(sale.totalAmount),
+        refunded,
+        netAmount: roundAmount(sale.totalAmount - refunded),
+        paymentMethod: sale.paymentMethod,
+        isCredit: sale.isCredit ? 'Yes' : 'No',
+        status: sale.status
+      };
+    });
+
+    const total = (key) => roundAmount(rows.reduce((sum, row) => sum + row[key], 0));
+
+    return {
+      columns: [
+        { key: 'saleId', header: 'Sale ID', type: 'text' },
+        { key: 'createdAt', header: 'Date', type: 'date' },
+        { key: 'documentNumber', header: 'Receipt / Invoice', type: 'text' },
+        { key: 'customerName', header: 'Customer', type: 'text' },
+        { key: 'soldBy', header: 'Cashier', type: 'text' },
+        { key: 'itemCount', header: 'Items', type: 'number', total: true },
+        { key: 'subtotal', header: 'Subtotal', type: 'money', total: true },
+        { key: 'totalDiscount', header: 'Discount', type: 'money', total: true },
+        { key: 'totalTax', header: 'Tax', type: 'money', total: true },
+        { key: 'totalAmount', header: 'Total', type: 'money', total: true },
+        { key: 'refunded', header: 'Refunded', type: 'money', total: true },
+        { key: 'netAmount', header: 'Net', type: 'money', total: true },
+        { key: 'paymentMethod', header: 'Payment Method', type: 'text' },
+        { key: 'isCredit', header: 'Credit', type: 'text' },
+        { key: 'status', header: 'Status', type: 'text' }
+      ],
+      rows,
+      summary: [
+        { label: 'Sales', value: rows.length, type: 'number' },
+        { label: 'Gross sales', value: total('totalAmount'), type: 'money' },
+        { label: 'Discounts', value: total('totalDiscount'), type: 'money' },
+        { label: 'Tax collected', value: total('totalTax'), type: 'money' },
+        { label: 'Refunds', value: total('refunded'), type: 'money' },
+        { label: 'Net sales', value: total('netAmount'), type: 'money' },
+        {
+          label: 'Credit sales',
+          value: roundAmount(rows.filter((row) => row.isCredit === 'Yes').reduce((sum, row) => sum + row.netAmount, 0)),
+          type: 'money'
+        }
+      ]
+    };
+  },
+
+  /**
+   * One row per product sold in the period: revenue before tax, cost and profit, net of returns
+   * Sale-level discounts are spread over the lines in proportion to their amount
+   */
+  'pos-profit': async (shopId, parameters) => {
+    const filter = buildFilter(shopId, parameters, 'pos-profit', 'createdAt');
+    filter.status = { $ne: 'cancelled' };
+    const sales = await Sale.find(filter).lean();
+    const productIds = [].concat((parameters.filters || {}).productId || []);
+
+    const products = new Map();
+    const productRow = (item) => {
+      const key = item.productId || item.name;
+
+      if (!products.has(key)) {
+        products.set(key, {
+          productId: item.productId || '',
+          name: item.name,
+          unitsSold: 0,
+          unitsReturned: 0,
+          revenue: 0,
+          returns: 0,
+          cost: 0
+        });
+      }
+
+      return products.get(key);
+    };
+
+    sales.forEach((sale) => {
+      const grossNet = sale.items.reduce((sum, item) => sum + lineNetAmount(item), 0);
+      const revenueRatio = grossNet > 0 ? (sale.totalAmount - (sale.totalTax || 0)) / grossNet : 0;
+      const unitRevenue = new Map();
+
+      sale.items.forEach((item) => {
+        if (productIds.length > 0 && !productIds.includes(item.productId)) return;
+
+        const revenue = lineNetAmount(item) * revenueRatio;
+        const row = productRow(item);
+        row.unitsSold += item.quantity;
+        row.revenue += revenue;
+        row.cost += item.cost * item.quantity;
+        unitRevenue.set(item.productId || item.name, { revenue: revenue / item.quantity, cost: item.cost });
+      });
+
+      const returnedItems = (sale.returnInfo && sale.returnInfo.returnedItems) || [];
+      returnedItems.forEach((returned) => {
+        const unit = unitRevenue.get(returned.productId || returned.name);
+        if (!unit) return;
+
+        const row = productRow(returned);
+        row.unitsReturned += returned.quantity;
+        row.returns += unit.revenue * returned.quantity;
+
+        // Restocked goods come back into inventory; damaged ones stay a cost of the sale
+        if (returned.condition !== 'damaged') {
+          row.cost -= unit.cost * returned.quantity;
+        }
+      });
+    });
+
+    const rows = Array.from(products.values())
+      .map((row) => {
+        const netRevenue = roundAmount(row.revenue - row.returns);
+        const cost = roundAmount(row.cost);
+        const profit = roundAmount(netRevenue - cost);
+
+        return {
+          productId: row.productId,
+          name: row.name,
+          unitsSold: row.unitsSold,
+          unitsReturned: row.unitsReturned,
+          revenue: roundAmount(row.revenue),
+          returns: roundAmount(row.returns),
+          netRevenue,
+          cost,
+          profit,
+          margin: netRevenue > 0 ? roundAmount((profit / netRevenue) * 100) : 0
+        };
+      })
+      .sort((a, b) => b.profit - a.profit);
+
+    const total = (key) => roundAmount(rows.reduce((sum, row) => sum + row[key], 0));
+    const totalRevenue = total('netRevenue');
+    const totalProfit = total('profit');
+
+    return {
+      columns: [
+        { key: 'productId', header: 'Product ID', type: 'text' },
+        { key: 'name', header: 'Product', type: 'text' },
+        { key: 'unitsSold', header: 'Units Sold', type: 'number', total: true },
+        { key: 'unitsReturned', header: 'Units Returned', type: 'number', total: true },
+        { key: 'revenue', header: 'Revenue', type: 'money', total: true },
+        { key: 'returns', header: 'Returns', type: 'money', total: true },
+        { key: 'netRevenue', header: 'Net Revenue', type: 'money', total: true },
+        { key: 'cost', header: 'Cost', type: 'money', total: true },
+        { key: 'profit', header: 'Profit', type: 'money', total: true },
+        { key: 'margin', header: 'Margin %', type: 'percent' }
+      ],
+      rows,
+      summary: [
+        { label: 'Sales', value: sales.length, type: 'number' },
+        { label: 'Products', value: rows.length, type: 'number' },
+        { label: 'Net revenue', value: totalRevenue, type: 'money' },
+        { label: 'Cost of goods', value: total('cost'), type: 'money' },
+        { label: 'Gross profit', value: totalProfit, type: 'money' },
+        { label: 'Margin %', value: totalRevenue > 0 ? roundAmount((totalProfit / totalRevenue) * 100) : 0, type: 'percent' }
+      ]
+    };
+  },
+
+  /**
+   * A customer's account ledger: debts and late fees charged, repayments received and
+   * credit notes for returned goods, with a running balance from the opening balance
+   * Credit sales are charged at their sale total so later returns show as credit notes
+   */
+  'customer-statement': async (shopId, parameters) => {
+    const customerId = (parameters.filters || {}).customerId;
+    if (!customerId || typeof customerId !== 'string') {
+      throw new AppError('Customer statements need a customerId filter', 400, 'customer_required');
+    }
+
+    const scope = shopId ? { shopId, customerId } : { customerId };
+    const customer = await Customer.findOne({ ...scope, isDeleted: false });
+    if (!customer) {
+      throw new AppError('Customer not found', 404, 'customer_not_found');
+    }
+
+    const endDate = parameters.endDate ? new Date(parameters.endDate) : null;
+    const upToEnd = (field) => (endDate ? { [field]: { $lte: endDate } } : {});
+
+    const [debts, payments, lateFees] = await Promise.all([
+      Debt.find({ ...scope, isDeleted: false, ...upToEnd('createdAt') }).lean(),
+      Payment.find({
+        ...scope,
+        paymentContext: 'debt',
+        status: { $in: ['confirmed', 'partially-refunded', 'refunded'] },
+        isDeleted: false,
+        ...upToEnd('paymentDate')
+      }).lean(),
+      LateFee.find({ ...scope, ...upToEnd('accruedAt') }).lean()
+    ]);
+
+    const sales = await Sale.find({ debtId: { $in: debts.map((debt) => debt.debtId) }, isDeleted: false }).lean();
+    const salesByDebt = new Map(sales.map((sale) => [sale.debtId, sale]));
+
+    const entries = [];
+    const addEntry = (date, reference, description, charge, credit) => {
+      if (!date || (endDate && new Date(date) > endDate)) return;
+      entries.push({ date: new Date(date), reference, description, charges: roundAmount(charge), payments: roundAmount(credit) });
+    };
+
+    debts.forEach((debt) => {
+      const sale = salesByDebt.get(debt.debtId);
+
+      if (!sale) {
+        addEntry(debt.createdAt, debt.debtId, 'Debt recorded', debt.debtAmount, 0);
+        return;
+      }
+
+      addEntry(sale.createdAt, sale.invoiceNumber || sale.saleId, `Credit sale ${sale.saleId}`, sale.totalAmount, 0);
+
+      // Each return is issued under its own credit note number
+      const creditNotes = new Map();
+      ((sale.returnInfo && sale.returnInfo.returnedItems) || []).forEach((item) => {
+        const key = item.creditNoteNumber || `${sale.saleId}-${new Date(item.returnedAt).getTime()}`;
+        const note = creditNotes.get(key) || { reference: item.creditNoteNumber || sale.saleId, date: item.returnedAt, amount: 0 };
+        note.amount += item.refundAmount || 0;
+        creditNotes.set(key, note);
+      });
+      creditNotes.forEach((note) => addEntry(note.date, note.reference, `Goods returned from ${sale.saleId}`, 0, note.amount));
+    });
+
+    lateFees.forEach((fee) => {
+      addEntry(fee.accruedAt, fee.debtId, `Late fee (${fee.period})`, fee.amount, 0);
+      if (fee.status === 'waived') {
+        addEntry(fee.waivedAt, fee.debtId, `Late fee waived (${fee.period})`, 0, fee.amount);
+      }
+    });
+
+    payments.forEach((payment) => {
+      const description = payment.isPrepayment ? `Advance payment (${payment.method})` : `Payment received (${payment.method})`;
+      addEntry(payment.paymentDate, payment.receiptNumber || payment.paymentId, description, 0, payment.amount);
+
+      if (payment.refund && payment.refund.amount > 0) {
+        addEntry(payment.refund.date, payment.receiptNumber || payment.paymentId, 'Payment refunded', payment.refund.amount, 0);
+      }
+    });
+
+    entries.sort((a, b) => a.date - b.date);
+
+    // Everything before the period rolls up into the opening balance
+    const startDate = parameters.startDate ? new Date(parameters.startDate) : null;
+    let balance = 0;
+    const rows = [];
+    entries.forEach((entry) => {
+      balance = roundAmount(balance + entry.charges - entry.payments);
+
+      if (!startDate || entry.date >= startDate) {
+        rows.push({ ...entry, balance });
+      }
+    });
+
+    const totalCharges = roundAmount(rows.reduce((sum, row) => sum + row.charges, 0));
+    const totalPayments = roundAmount(rows.reduce((sum, row) => sum + row.payments, 0));
+    const openingBalance = roundAmount(balance - totalCharges + totalPayments);
+
+    return {
+      columns: [
+        { key: 'date', header: 'Date', type: 'date' },
+        { key: 'reference', header: 'Reference', type: 'text' },
+        { key: 'description', header: 'Description', type: 'text' },
+        { key: 'charges', header: 'Charges', type: 'money', total: true },
+        { key: 'payments', header: 'Payments', type: 'money', total: true },
+        { key: 'balance', header: 'Balance', type: 'money' }
+      ],
+      rows,
+      details: [
+        { label: 'Customer', value: customer.fullName },
+        { label: 'Customer ID', value: customer.customerId },
+        { label: 'Phone', value: customer.phone }
+      ],
+      summary: [
+        { label: 'Opening balance', value: openingBalance, type: 'money' },
+        { label: 'Charges', value: totalCharges, type: 'money' },
+        { label: 'Payments and credits', value: totalPayments, type: 'money' },
+        // A negative closing balance is credit the customer holds with the shop
+        { label: 'Closing balance', value: balance, type: 'money' }
+      ]
+    };
+  },
+
+  /**
+   * Outstanding balances by risk level and customer category, split into aging buckets
+   * Always as of when the report is built; system reports add a row set per shop
+   */
+  'debt-aging': async (shopId) => {
+    const groups = await DebtAgingService.getAgingGroups(shopId);
+    const { AGING_BUCKETS } = DebtAgingService;
+
+    const rows = groups.map((group) => ({
+      shopId: group.shopId,
+      riskLevel: group.riskLevel,
+      category: group.category,
+      ...group.amounts,
+      total: group.total,
+      debts: group.debts
+    }));
+
+    const total = (key) => roundAmount(rows.reduce((sum, row) => sum + row[key], 0));
+    const totalOutstanding = total('total');
+    const overdue = roundAmount(totalOutstanding - total('current'));
+
+    return {
+      columns: [
+        ...(shopId ? [] : [{ key: 'shopId', header: 'Shop ID', type: 'text' }]),
+        { key: 'riskLevel', header: 'Risk Level', type: 'text' },
+        { key: 'category', header: 'Customer Category', type: 'text' },
+        ...AGING_BUCKETS.map((bucket) => ({ key: bucket.key, header: bucket.label, type: 'money', total: true })),
+        { key: 'total', header: 'Total Outstanding', type: 'money', total: true },
+        { key: 'debts', header: 'Debts', type: 'number', total: true }
+      ],
+      rows,
+      summary: [
+        { label: 'Total outstanding', value: totalOutstanding, type: 'money' },
+        { label: 'Overdue', value: overdue, type: 'money' },
+        { label: 'Over 90 days', value: total('90+'), type: 'money' },
+        { label: 'Overdue share %', value: totalOutstanding > 0 ? roundAmount((overdue / totalOutstanding) * 100) : 0, type: 'percent' },
+        { label: 'Open debts', value: total('debts'), type: 'number' }
+      ]
+    };
+  }
+};
+
+/**
+ * Format a cell value as text for CSV output
+ * Money stays a plain number so spreadsheets can still sum it
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @param {Object} display - ShopSetting.display
+ * @returns {string} Cell text
+ */
+const formatCell = (value, type, display) => {
+  if (value === undefined || value === null || value === '') return '';
+
+  switch (type) {
+    case 'date':
+      return FormatHelper.formatDate(value, display);
+    case 'money':
+      return Number(value).toFixed(2);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * Leading formula characters are neutralised so the file is safe to open in a spreadsheet
+ * @param {string} text - Field text
+ * @returns {string} CSV field
+ */
+const escapeCsv = (text) => {
+  let field = text;
+
+  if (/^[=+\-@\t\r]/.test(field) && Number.isNaN(Number(field))) {
+    field = `'${field}`;
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Write a dataset as CSV
+ * @param {Object} dataset - { columns, rows }
+ * @param {Object} meta - { display }
+ * @returns {Buffer} UTF-8 CSV with a byte order mark so Excel detects the encoding
+ */
+const writeCsv = (dataset, meta) => {
+  const lines = [
+    dataset.columns.map((column) => escapeCsv(column.header)).join(','),
+    ...dataset.rows.map((row) => dataset.columns
+      .map((column) => escapeCsv(formatCell(row[column.key], column.type, meta.display)))
+      .join(','))
+  ];
+
+  return Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+/**
+ * Write a dataset as an Excel workbook with a data sheet and a summary sheet
+ * @param {Object} dataset - { columns, rows, summary }
+ * @param {Object} meta - { title, shopName, display, parameters, generatedAt }
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+const writeExcel = async (dataset, meta) => {
+  const { display } = meta;
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'DeynCare';
+  workbook.created = meta.generatedAt;
+
+  const sheet = workbook.addWorksheet('Report', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = dataset.columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 2, column.type === 'text' ? 18 : 14),
+    style: column.type === 'money' ? { numFmt: MONEY_FORMAT } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  dataset.rows.forEach((row) => {
+    const values = {};
+    dataset.columns.forEach((column) => {
+      // Dates are written in the shop's timezone as text; Excel dates carry no timezone
+      values[column.key] = column.type === 'date'
+        ? formatCell(row[column.key], column.type, display)
+        : row[column.key];
+    });
+    sheet.addRow(values);
+  });
+
+  if (dataset.rows.length > 0) {
+    sheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: dataset.columns.length }
+    };
+  }
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ width: 24 }, { width: 30 }];
+
+  const { startDate, endDate } = meta.parameters;
+  const period = startDate || endDate
+    ? `${startDate ? FormatHelper.formatDate(startDate, display) : '...'} - ${endDate ? FormatHelper.formatDate(endDate, display) : '...'}`
+    : 'All time';
+
+  summary.addRow([meta.title]).font = { bold: true, size: 14 };
+  summary.addRow(['Shop', meta.shopName]);
+  summary.addRow(['Period', period]);
+  summary.addRow([
+    'Generated',
+    `${FormatHelper.formatDate(meta.generatedAt, display)} ${FormatHelper.formatTime(meta.generatedAt, display)}`
+  ]);
+  (dataset.details || []).forEach((detail) => summary.addRow([detail.label, detail.value]));
+  summary.addRow([]);
+
+  dataset.summary.forEach((entry) => {
+    const row = summary.addRow([entry.label, entry.value]);
+    if (entry.type === 'money') {
+      row.getCell(2).numFmt = MONEY_FORMAT;
+    }
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Writers keyed by report format
+ */
+const FORMAT_WRITERS = {
+  csv: writeCsv,
+  excel: writeExcel,
+  pdf: ReportPdfService.render
+};
+
+const ReportBuilderService = {
+  /**
+   * Check that a report type and format can be built
+   * @param {string} type - Report type
+   * @param {string} format - Report format
+   * @throws {AppError} When the type or format has no builder
+   */
+  assertSupported: (type, format) => {
+    if (!DATASET_BUILDERS[type]) {
+      throw new AppError(`Reports of type '${type}' cannot be generated yet`, 400, 'unsupported_report_type');
+    }
+
+    if (!FORMAT_WRITERS[format]) {
+      throw new AppError(`Reports cannot be generated as '${format}' yet`, 400, 'unsupported_report_format');
+    }
+  },
+
+  /**
+   * Query a report's data and write it in the requested format
+   * @param {Object} report - { title, type, format, shopId, parameters }; shopId 'system' spans all shops
+   * @returns {Promise<Object>} { buffer, extension, contentType, rowCount }
+   */
+  buildReport: async (report) => {
+    try {
+      ReportBuilderService.assertSupported(report.type, report.format);
+
+      const parameters = report.parameters || {};
+      const isSystem = !report.shopId || report.shopId === 'system';
+
+      let shop = null;
+      let settings = null;
+      if (!isSystem) {
+        [settings, shop] = await Promise.all([
+          ShopSetting.getByShopId(report.shopId),
+          Shop.findOne({ shopId: report.shopId })
+        ]);
+      }
+
+      const dataset = await DATASET_BUILDERS[report.type](isSystem ? null : report.shopId, parameters);
+      const buffer = await FORMAT_WRITERS[report.format](dataset, {
+        title: report.title,
+        shopName: isSystem ? 'All shops' : (shop && shop.shopName) || report.shopId,
+        shop,
+        settings,
+        display: (settings && settings.display) || {},
+        parameters,
+        generatedAt: new Date()
+      });
+
+      logInfo(`Built ${report.type} report (${report.format}, ${dataset.rows.length} rows) for ${isSystem ? 'all shops' : `shop ${report.shopId}`}`, 'ReportBuilderService');
+
+      return {
+        buffer,
+        ...REPORT_FORMATS[report.format],
+        rowCount: dataset.rows.length
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to build ${report.type} report`, 'ReportBuilderService', error);
+      throw new AppError('Failed to build report', 500, 'report_build_error');
+    }
+  },
+
+  /**
+   * Content type for a report format
+   * @param {string} format - Report format
+   * @returns {string} MIME type
+   */
+  getContentType: (format) => (REPORT_FORMATS[format] || {}).contentType || 'application/octet-stream'
+};
+
+module.exports = ReportBuilderService;
@@ -0,0 +1,453 @@
+/**
+ * Report PDF Service
+ * Renders report datasets (debt and sales summaries, customer statements) as branded A4 PDFs
+ * with the shop logo, company details, a paginated table with totals and page numbers
+ */
+const PDFDocument = require('pdfkit');
+const {
+  FormatHelper,
+  logWarning
+} = require('../utils');
+
+/**
+ * Page layout in PDF points
+ */
+const PAGE_MARGIN = 40;
+const FOOTER_HEIGHT = 24;
+const CELL_PADDING = 4;
+const FONT_SIZE = 8;
+
+/**
+ * Text columns are never squeezed below this width in points
+ */
+const MIN_TEXT_COLUMN_WIDTH = 40;
+
+/**
+ * Table colours
+ */
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  headerFill: '#e8ecef',
+  stripeFill: '#f7f8f9',
+  rule: '#b0b7bd'
+};
+
+/**
+ * Logos larger than this are skipped rather than embedded
+ */
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+const LOGO_TIMEOUT_MS = 5000;
+
+/**
+ * Fetch the shop logo so it can be embedded; PDFKit only embeds PNG and JPEG
+ * A missing or unreachable logo never fails the report
+ * @param {string} logoUrl - Shop.logoUrl
+ * @returns {Promise<Buffer|null>} Image data, or null when it cannot be used
+ */
+const loadLogo = async (logoUrl) => {
+  if (!logoUrl || !/^https?:\/\//i.test(logoUrl)) return null;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), LOGO_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(logoUrl, { signal: controller.signal });
+    const contentType = response.headers.get('content-type') || '';
+
+    if (!response.ok || !/image\/(png|jpe?g)/i.test(contentType)) {
+      logWarning(`Shop logo ${logoUrl} skipped (${response.status} ${contentType || 'no content type'})`, 'ReportPdfService');
+      return null;
+    }
+
+    const logo = Buffer.from(await response.arrayBuffer());
+    if (logo.length > MAX_LOGO_BYTES) {
+      logWarning(`Shop logo ${logoUrl} skipped (${logo.length} bytes)`, 'ReportPdfService');
+      return null;
+    }
+
+    return logo;
+  } catch (error) {
+    const reason = error.name === 'AbortError' ? `timed out after ${LOGO_TIMEOUT_MS}ms` : error.message;
+    logWarning(`Shop logo ${logoUrl} could not be loaded: ${reason}`, 'ReportPdfService');
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Letterhead details from the shop profile, overridden by the invoice company details
+ * @param {Object|null} shop - Shop document (null for system-wide reports)
+ * @param {Object|null} settings - ShopSetting document
+ * @returns {Object} Branding fields
+ */
+const buildBranding = (shop, settings) => {
+  if (!shop) {
+    return { name: 'DeynCare', lines: ['All shops'], logoPosition: 'left' };
+  }
+
+  const invoice = (settings && settings.invoice) || {};
+  const company = invoice.companyDetails || {};
+
+  return {
+    name: company.companyName || shop.shopName,
+    lines: [
+      company.companyAddress || shop.address,
+      [company.companyPhone || shop.phone, company.companyEmail || shop.email].filter(Boolean).join('  |  '),
+      company.taxIdentificationNumber ? `Tax ID: ${company.taxIdentificationNumber}` : null
+    ].filter(Boolean),
+    logoUrl: shop.logoUrl,
+    logoPosition: invoice.logoPosition || 'left',
+    footerNotes: invoice.footerNotes
+  };
+};
+
+/**
+ * Format a cell value for display in the PDF
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @param {Object} display - ShopSetting.display
+ * @returns {string} Cell text
+ */
+const formatCell = (value, type, display) => {
+  if (value === undefined || value === null || value === '') return '';
+
+  switch (type) {
+    case 'date':
+      return FormatHelper.formatDate(value, display);
+    case 'money':
+      return FormatHelper.formatCurrency(value, display);
+    case 'percent':
+      return `${Number(value).toFixed(2)}%`;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Describe the report period for the title block
+ * @param {Object} parameters - { startDate, endDate }
+ * @param {Object} display - ShopSetting.display
+ * @returns {string} Period text
+ */
+const describePeriod = (parameters, display) => {
+  const { startDate, endDate } = parameters || {};
+
+  if (startDate && endDate) {
+    return `${FormatHelper.formatDate(startDate, display)} - ${FormatHelper.formatDate(endDate, display)}`;
+  }
+  if (startDate) return `From ${FormatHelper.formatDate(startDate, display)}`;
+  if (endDate) return `Up to ${FormatHelper.formatDate(endDate, display)}`;
+
+  return 'All time';
+};
+
+/**
+ * Draw the letterhead: logo placed per the invoice settings, company name and contact lines
+ * @param {PDFDocument} doc - Document
+ * @param {Object} branding - Branding fields
+ * @param {Buffer|null} logo - Logo image
+ */
+const drawLetterhead = (doc, branding, logo) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const top = doc.y;
+  const logoBox = { width: 90, height: 50 };
+  let textX = left;
+  let textWidth = width;
+  let align = 'left';
+
+  if (logo) {
+    try {
+      if (branding.logoPosition === 'center') {
+        doc.image(logo, left + (width - logoBox.width) / 2, top, { fit: [logoBox.width, logoBox.height], align: 'center' });
+        doc.y = top + logoBox.height + 6;
+        align = 'center';
+      } else if (branding.logoPosition === 'right') {
+        doc.image(logo, left + width - logoBox.width, top, { fit: [logoBox.width, logoBox.height], align: 'right' });
+        textWidth = width - logoBox.width - 10;
+      } else {
+        doc.image(logo, left, top, { fit: [logoBox.width, logoBox.height] });
+        textX = left + logoBox.width + 10;
+        textWidth = width - logoBox.width - 10;
+      }
+    } catch (error) {
+      // A corrupt image is treated like a missing one
+      logWarning(`Shop logo could not be embedded: ${error.message}`, 'ReportPdfService');
+    }
+  } else if (branding.logoPosition === 'center') {
+    align = 'center';
+  }
+
+  const textTop = align === 'center' ? doc.y : top;
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text)
+    .text(branding.name, textX, textTop, { width: textWidth, align });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  branding.lines.forEach((line) => doc.text(line, textX, doc.y, { width: textWidth, align }));
+
+  const logoBottom = logo && align !== 'center' ? top + logoBox.height : 0;
+  doc.y = Math.max(doc.y, logoBottom) + 10;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor(COLORS.rule).lineWidth(0.75).stroke();
+  doc.y += 10;
+};
+
+/**
+ * Draw the report title, period and any detail lines (e.g. the customer on a statement)
+ * @param {PDFDocument} doc - Document
+ * @param {Object} dataset - Report dataset
+ * @param {Object} meta - Render options
+ */
+const drawTitle = (doc, dataset, meta) => {
+  const left = doc.page.margins.left;
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text).text(meta.title, left, doc.y);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`Period: ${describePeriod(meta.parameters, meta.display)}`);
+
+  (dataset.details || []).forEach((detail) => {
+    doc.font('Helvetica-Bold').fillColor(COLORS.text).text(`${detail.label}: `, { continued: true })
+      .font('Helvetica').text(String(detail.value === undefined || detail.value === null ? '' : detail.value));
+  });
+
+  doc.moveDown(0.8);
+};
+
+/**
+ * Size table columns to their content
+ * Numbers and dates keep their natural width so they never wrap; text columns share what is left
+ * @param {PDFDocument} doc - Document
+ * @param {Array} columns - Dataset columns
+ * @param {Array<Array<string>>} cells - Formatted body and totals cells
+ * @param {number} tableWidth - Available width
+ * @returns {Array<number>} Column widths
+ */
+const sizeColumns = (doc, columns, cells, tableWidth) => {
+  const natural = columns.map((column, index) => {
+    doc.font('Helvetica-Bold').fontSize(FONT_SIZE);
+    const headerWidth = Math.max(...column.header.split(/\s+/).map((word) => doc.widthOfString(word)));
+    const contentWidth = Math.max(0, ...cells.map((row) => doc.widthOfString(row[index] || '')));
+
+    return Math.max(headerWidth, contentWidth) + CELL_PADDING * 2 + 1;
+  });
+  const naturalTotal = natural.reduce((sum, width) => sum + width, 0);
+
+  // Everything fits: spread the spare room in proportion
+  if (naturalTotal <= tableWidth) {
+    return natural.map((width) => width + ((tableWidth - naturalTotal) * width) / naturalTotal);
+  }
+
+  const isText = (column) => column.type === 'text';
+  const fixedWidth = natural.reduce((sum, width, index) => sum + (isText(columns[index]) ? 0 : width), 0);
+  const textNatural = naturalTotal - fixedWidth;
+  const textSpace = tableWidth - fixedWidth;
+  const textColumns = columns.filter(isText).length;
+
+  if (textSpace >= textColumns * MIN_TEXT_COLUMN_WIDTH) {
+    return natural.map((width, index) => (isText(columns[index]) ? (textSpace * width) / textNatural : width));
+  }
+
+  // Too many columns to avoid wrapping: shrink every column in proportion
+  return natural.map((width) => (tableWidth * width) / naturalTotal);
+};
+
+/**
+ * Draw the data table, repeating the header row on every page, followed by a totals row
+ * @param {PDFDocument} doc - Document
+ * @param {Object} dataset - { columns, rows }
+ * @param {Object} display - ShopSetting.display
+ */
+const drawTable = (doc, dataset, display) => {
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT;
+
+  const body = dataset.rows.map((row) => dataset.columns.map((column) => formatCell(row[column.key], column.type, display)));
+  const totals = dataset.columns.some((column) => column.total)
+    ? dataset.columns.map((column, index) => {
+      if (column.total) {
+        const sum = dataset.rows.reduce((total, row) => total + (Number(row[column.key]) || 0), 0);
+        return formatCell(Math.round(sum * 100) / 100, column.type, display);
+      }
+      return index === 0 ? 'Total' : '';
+    })
+    : null;
+
+  const widths = sizeColumns(doc, dataset.columns, totals ? [...body, totals] : body, tableWidth);
+  const columns = dataset.columns.map((column, index) => ({
+    ...column,
+    width: widths[index],
+    align: ['money', 'number', 'percent'].includes(column.type) ? 'right' : 'left'
+  }));
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(FONT_SIZE);
+    return Math.max(...cells.map((cell, index) => doc.heightOfString(cell || ' ', {
+      width: columns[index].width - CELL_PADDING * 2
+    }))) + CELL_PADDING * 2;
+  };
+
+  const drawRow = (cells, options = {}) => {
+    const font = options.bold ? 'Helvetica-Bold' : 'Helvetica';
+    const height = rowHeight(cells, font);
+
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (!options.isHeader) drawHeader();
+    }
+
+    const top = doc.y;
+    if (options.fill) {
+      doc.rect(left, top, tableWidth, height).fill(options.fill);
+    }
+    if (options.ruleAbove) {
+      doc.moveTo(left, top).lineTo(left + tableWidth, top).strokeColor(COLORS.rule).lineWidth(0.75).stroke();
+    }
+
+    let x = left;
+    doc.font(font).fontSize(FONT_SIZE).fillColor(COLORS.text);
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + CELL_PADDING, top + CELL_PADDING, {
+        width: columns[index].width - CELL_PADDING * 2,
+        align: columns[index].align
+      });
+      x += columns[index].width;
+    });
+
+    doc.y = top + height;
+  };
+
+  const drawHeader = () => {
+    drawRow(columns.map((column) => column.header), { bold: true, fill: COLORS.headerFill, isHeader: true });
+  };
+
+  drawHeader();
+
+  if (dataset.rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(FONT_SIZE).fillColor(COLORS.muted)
+      .text('No records for this period.', left + CELL_PADDING, doc.y + CELL_PADDING);
+    doc.moveDown();
+    return;
+  }
+
+  body.forEach((cells, rowIndex) => {
+    drawRow(cells, { fill: rowIndex % 2 === 1 ? COLORS.stripeFill : null });
+  });
+
+  if (totals) {
+    drawRow(totals, { bold: true, ruleAbove: true });
+  }
+
+  doc.moveDown();
+};
+
+/**
+ * Draw the summary figures as a two-column block
+ * @param {PDFDocument} doc - Document
+ * @param {Array} summary - [{ label, value, type }]
+ * @param {Object} display - ShopSetting.display
+ */
+const drawSummary = (doc, summary, display) => {
+  if (!summary || summary.length === 0) return;
+
+  const left = doc.page.margins.left;
+  const labelWidth = 150;
+  const valueWidth = 110;
+  const lineHeight = 14;
+
+  if (doc.y + lineHeight * (summary.length + 1) > doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT) {
+    doc.addPage();
+  }
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text('Summary', left, doc.y);
+  doc.moveDown(0.3);
+
+  summary.forEach((entry) => {
+    const top = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(entry.label, left, top, { width: labelWidth });
+    doc.font('Helvetica-Bold').fillColor(COLORS.text)
+      .text(formatCell(entry.value, entry.type, display), left + labelWidth, top, { width: valueWidth, align: 'right' });
+    doc.y = top + lineHeight;
+  });
+};
+
+/**
+ * Stamp every page with the generation time and "Page x of y"
+ * @param {PDFDocument} doc - Document with buffered pages
+ * @param {Object} meta - Render options
+ */
+const drawPageNumbers = (doc, meta) => {
+  const generated = `Generated ${FormatHelper.formatDate(meta.generatedAt, meta.display)} ${FormatHelper.formatTime(meta.generatedAt, meta.display)}`;
+  const { start, count } = doc.bufferedPageRange();
+
+  for (let index = start; index < start + count; index += 1) {
+    doc.switchToPage(index);
+
+    // Writing inside the bottom margin would otherwise trigger a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const y = doc.page.height - bottom - 12;
+
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted);
+    doc.text(generated, left, y, { width, align: 'left', lineBreak: false });
+    doc.text(`Page ${index - start + 1} of ${count}`, left, y, { width, align: 'right', lineBreak: false });
+
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+const ReportPdfService = {
+  /**
+   * Render a report dataset as a PDF
+   * Wide tables are laid out in landscape so every column stays readable
+   * @param {Object} dataset - { columns, rows, summary, details? }
+   * @param {Object} meta - { title, shop, settings, display, parameters, generatedAt }
+   * @returns {Promise<Buffer>} PDF file contents
+   */
+  render: async (dataset, meta) => {
+    const branding = buildBranding(meta.shop, meta.settings);
+    const logo = await loadLogo(branding.logoUrl);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        layout: dataset.columns.length > 8 ? 'landscape' : 'portrait',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: {
+          Title: meta.title,
+          Author: branding.name,
+          Creator: 'DeynCare'
+        }
+      });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        drawLetterhead(doc, branding, logo);
+        drawTitle(doc, dataset, meta);
+        drawTable(doc, dataset, meta.display);
+        drawSummary(doc, dataset.summary, meta.display);
+
+        if (branding.footerNotes) {
+          doc.moveDown();
+          doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+            .text(branding.footerNotes, doc.page.margins.left, doc.y);
+        }
+
+        drawPageNumbers(doc, meta);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+};
+
+module.exports = ReportPdfService;
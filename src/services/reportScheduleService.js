@@ -0,0 +1,447 @@
+const { ReportSchedule, Shop, ShopSetting } = require('../models');
+const { generateReportScheduleId } = require('../utils/generators/idGenerator');
+const ReportService = require('./reportService');
+const ReportBuilderService = require('./reportBuilderService');
+
+const {
+  AppError,
+  CronHelper,
+  FormatHelper,
+  PaginationHelper,
+  logSuccess,
+  logError,
+  logInfo
+} = require('../utils');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Default report period for each frequency; cron schedules cover the previous day
+const DEFAULT_PERIODS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  cron: 'day'
+};
+
+// Fields a schedule owner may change after creation
+const UPDATABLE_FIELDS = [
+  'title', 'description', 'reportType', 'format', 'parameters', 'frequency', 'cronExpression',
+  'dayOfWeek', 'dayOfMonth', 'hour', 'minute', 'timezone', 'recipients', 'subject', 'message', 'isActive'
+];
+
+/**
+ * Check whether a schedule should run in the minute containing `now`
+ * @param {Object} schedule - ReportSchedule document
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the schedule is due
+ */
+const isDue = (schedule, now) => {
+  const parts = FormatHelper.getLocalParts(now, schedule.timezone);
+
+  if (schedule.frequency === 'cron') {
+    return CronHelper.matches(schedule.cronExpression, parts);
+  }
+
+  if (parts.hour !== schedule.hour || parts.minute !== (schedule.minute || 0)) {
+    return false;
+  }
+
+  if (schedule.frequency === 'weekly') {
+    return WEEKDAYS.indexOf(parts.weekday) === schedule.dayOfWeek;
+  }
+
+  if (schedule.frequency === 'monthly') {
+    // Day 0 of the next month is the last day of this one
+    const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+    return parts.day === Math.min(schedule.dayOfMonth, daysInMonth);
+  }
+
+  return true;
+};
+
+/**
+ * Work out the dates a run reports on, in the schedule's timezone
+ * Periods end when the run's local day starts, so a run never reports on a partial day
+ * @param {Object} schedule - ReportSchedule document
+ * @param {Date} now - Time of the run
+ * @returns {Object} { startDate, endDate }
+ */
+const getReportPeriod = (schedule, now) => {
+  const { timezone } = schedule;
+  const { year, month, day } = FormatHelper.getLocalParts(now, timezone);
+  const period = (schedule.parameters && schedule.parameters.period) || DEFAULT_PERIODS[schedule.frequency];
+
+  let startDate;
+  let endBefore = FormatHelper.getZonedDayStart(year, month, day, timezone);
+
+  if (period === 'month') {
+    // The previous calendar month
+    startDate = FormatHelper.getZonedDayStart(year, month - 1, 1, timezone);
+    endBefore = FormatHelper.getZonedDayStart(year, month, 1, timezone);
+  } else if (period === 'week') {
+    startDate = FormatHelper.getZonedDayStart(year, month, day - 7, timezone);
+  } else {
+    startDate = FormatHelper.getZonedDayStart(year, month, day - 1, timezone);
+  }
+
+  return { startDate, endDate: new Date(endBefore.getTime() - 1) };
+};
+
+/**
+ * Load a schedule the actor may manage
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} actor - { actorRole, shopId }
+ * @returns {Promise<Object>} ReportSchedule document
+ */
+const findSchedule = async (scheduleId, actor = {}) => {
+  const schedule = await ReportSchedule.findOne({ scheduleId, isDeleted: false });
+
+  if (!schedule) {
+    throw new AppError('Report schedule not found', 404, 'report_schedule_not_found');
+  }
+
+  if (actor.actorRole !== 'superAdmin' && schedule.shopId !== actor.shopId) {
+    throw new AppError('You do not have permission to access this report schedule', 403, 'forbidden');
+  }
+
+  return schedule;
+};
+
+/**
+ * Service for scheduled report generation and delivery
+ */
+const ReportScheduleService = {
+  /**
+   * Create a report delivery schedule
+   * Admins schedule for their own shop; system-wide schedules are SuperAdmin only
+   * @param {Object} data - Validated schedule data
+   * @param {Object} actor - { actorId, actorRole, shopId }
+   * @returns {Promise<Object>} Created schedule
+   */
+  createSchedule: async (data, actor = {}) => {
+    try {
+      const isSuperAdmin = actor.actorRole === 'superAdmin';
+
+      if (data.isSystemWide && !isSuperAdmin) {
+        throw new AppError('Only SuperAdmin can schedule system-wide reports', 403, 'forbidden');
+      }
+
+      let shopId = isSuperAdmin ? data.shopId : actor.shopId;
+      let timezone = data.timezone;
+
+      if (data.isSystemWide) {
+        shopId = 'system';
+      } else {
+        if (!shopId) {
+          throw new AppError('Shop ID is required unless creating a system-wide report', 400, 'missing_shop_id');
+        }
+
+        const shop = await Shop.findOne({ shopId, isDeleted: false });
+        if (!shop) {
+          throw new AppError('Shop not found', 404, 'shop_not_found');
+        }
+
+        // Run in the shop's own timezone unless told otherwise
+        if (!timezone) {
+          const settings = await ShopSetting.getByShopId(shopId);
+          timezone = settings.display && settings.display.timezone;
+        }
+      }
+
+      ReportBuilderService.assertSupported(data.reportType, data.format);
+
+      const scheduleId = await generateReportScheduleId(ReportSchedule);
+      const parameters = data.parameters || {};
+
+      const schedule = new ReportSchedule({
+        ...data,
+        scheduleId,
+        shopId,
+        isSystemWide: Boolean(data.isSystemWide),
+        timezone: timezone || 'UTC',
+        parameters: {
+          period: parameters.period || DEFAULT_PERIODS[data.frequency],
+          filters: parameters.filters || {}
+        },
+        createdBy: actor.actorId
+      });
+
+      await schedule.save();
+
+      logSuccess(`Report schedule ${scheduleId} created for ${shopId}`, 'ReportScheduleService');
+      return schedule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError('Failed to create report schedule', 'ReportScheduleService', error);
+      throw new AppError('Failed to schedule report delivery', 500, 'schedule_error');
+    }
+  },
+
+  /**
+   * List report schedules
+   * @param {Object} query - { shopId, reportType, isActive, page, limit }
+   * @param {Object} actor - { actorRole, shopId }
+   * @returns {Promise<Object>} Paginated schedules
+   */
+  getSchedules: async (query = {}, actor = {}) => {
+    try {
+      const filter = { isDeleted: false };
+
+      if (actor.actorRole !== 'superAdmin') {
+        filter.shopId = actor.shopId;
+      } else if (query.shopId) {
+        filter.shopId = query.shopId;
+      }
+
+      if (query.reportType) {
+        filter.reportType = query.reportType;
+      }
+
+      if (query.isActive !== undefined) {
+        filter.isActive = query.isActive;
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { createdAt: -1 };
+
+      return await PaginationHelper.paginate(ReportSchedule, filter, options);
+    } catch (error) {
+      logError('Failed to list report schedules', 'ReportScheduleService', error);
+      throw new AppError('Failed to retrieve report schedules', 500, 'report_schedule_fetch_error');
+    }
+  },
+
+  /**
+   * Get a report schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} actor - { actorRole, shopId }
+   * @returns {Promise<Object>} Schedule
+   */
+  getScheduleById: async (scheduleId, actor = {}) => {
+    try {
+      return await findSchedule(scheduleId, actor);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to retrieve report schedule ${scheduleId}`, 'ReportScheduleService', error);
+      throw new AppError('Failed to retrieve report schedule', 500, 'report_schedule_fetch_error');
+    }
+  },
+
+  /**
+   * Update a report schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} updates - Validated changes
+   * @param {Object} actor - { actorId, actorRole, shopId }
+   * @returns {Promise<Object>} Updated schedule
+   */
+  updateSchedule: async (scheduleId, updates, actor = {}) => {
+    try {
+      const schedule = await findSchedule(scheduleId, actor);
+
+      UPDATABLE_FIELDS.forEach((field) => {
+        if (updates[field] === undefined) return;
+
+        if (field === 'parameters') {
+          const current = schedule.parameters || {};
+          schedule.parameters = {
+            period: updates.parameters.period || current.period,
+            filters: updates.parameters.filters || current.filters || {}
+          };
+        } else {
+          schedule[field] = updates[field];
+        }
+      });
+
+      // The merged schedule must still describe a complete run
+      if (schedule.frequency === 'cron' && !schedule.cronExpression) {
+        throw new AppError('A cron schedule needs a cron expression', 400, 'invalid_schedule');
+      }
+      if (schedule.frequency === 'weekly' && schedule.dayOfWeek === undefined) {
+        throw new AppError('Day of week is required for weekly frequency', 400, 'invalid_schedule');
+      }
+      if (schedule.frequency === 'monthly' && schedule.dayOfMonth === undefined) {
+        throw new AppError('Day of month is required for monthly frequency', 400, 'invalid_schedule');
+      }
+      if (schedule.reportType === 'customer-statement' && !(schedule.parameters.filters || {}).customerId) {
+        throw new AppError('A customer statement needs filters.customerId', 400, 'customer_required');
+      }
+
+      ReportBuilderService.assertSupported(schedule.reportType, schedule.format);
+
+      schedule.updatedBy = actor.actorId;
+      await schedule.save();
+
+      logSuccess(`Report schedule ${scheduleId} updated`, 'ReportScheduleService');
+      return schedule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to update report schedule ${scheduleId}`, 'ReportScheduleService', error);
+      throw new AppError('Failed to update report schedule', 500, 'report_schedule_update_error');
+    }
+  },
+
+  /**
+   * Delete a report schedule (soft delete)
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} actor - { actorId, actorRole, shopId }
+   * @returns {Promise<Object>} Deleted schedule
+   */
+  deleteSchedule: async (scheduleId, actor = {}) => {
+    try {
+      const schedule = await findSchedule(scheduleId, actor);
+
+      schedule.isDeleted = true;
+      schedule.isActive = false;
+      schedule.deletedAt = new Date();
+      schedule.updatedBy = actor.actorId;
+      await schedule.save();
+
+      logSuccess(`Report schedule ${scheduleId} deleted`, 'ReportScheduleService');
+      return schedule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to delete report schedule ${scheduleId}`, 'ReportScheduleService', error);
+      throw new AppError('Failed to delete report schedule', 500, 'report_schedule_delete_error');
+    }
+  },
+
+  /**
+   * Generate a schedule's report and email it to the recipients, recording the outcome
+   * Failures are recorded on the schedule rather than thrown
+   * @param {Object} schedule - ReportSchedule document
+   * @param {Date} now - Time of the run
+   * @returns {Promise<Object>} The schedule's lastRun
+   */
+  runSchedule: async (schedule, now = new Date()) => {
+    const lastRun = { status: 'running', startedAt: now };
+
+    try {
+      const { startDate, endDate } = getReportPeriod(schedule, now);
+      const filters = (schedule.parameters && schedule.parameters.filters) || {};
+      const reportData = {
+        title: schedule.title,
+        type: schedule.reportType,
+        format: schedule.format,
+        description: schedule.description || `Scheduled delivery ${schedule.scheduleId}`,
+        createdBy: schedule.createdBy
+      };
+
+      const report = schedule.isSystemWide
+        ? await ReportService.generateSystemReport({ ...reportData, startDate, endDate, filters })
+        : await ReportService.generateReport({
+          ...reportData,
+          shopId: schedule.shopId,
+          parameters: { startDate, endDate, filters }
+        });
+
+      lastRun.reportId = report.reportId;
+
+      await ReportService.emailReport(report.reportId, {
+        recipients: schedule.recipients,
+        subject: schedule.subject,
+        message: schedule.message
+      }, { role: 'superAdmin' });
+
+      lastRun.status = 'success';
+      logSuccess(`Scheduled report ${schedule.scheduleId} delivered as ${report.reportId}`, 'ReportScheduleService');
+    } catch (error) {
+      lastRun.status = 'failed';
+      lastRun.error = error.message;
+      logError(`Scheduled report ${schedule.scheduleId} failed: ${error.message}`, 'ReportScheduleService', error);
+    }
+
+    lastRun.finishedAt = new Date();
+
+    await ReportSchedule.updateOne(
+      { scheduleId: schedule.scheduleId },
+      {
+        $set: { lastRun },
+        $inc: { runCount: 1, failureCount: lastRun.status === 'failed' ? 1 : 0 }
+      }
+    );
+
+    return lastRun;
+  },
+
+  /**
+   * Run a schedule immediately, outside its timetable
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} actor - { actorRole, shopId }
+   * @returns {Promise<Object>} The run's outcome
+   */
+  runScheduleNow: async (scheduleId, actor = {}) => {
+    try {
+      const schedule = await findSchedule(scheduleId, actor);
+
+      return await ReportScheduleService.runSchedule(schedule, new Date());
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to run report schedule ${scheduleId}`, 'ReportScheduleService', error);
+      throw new AppError('Failed to run report schedule', 500, 'report_schedule_run_error');
+    }
+  },
+
+  /**
+   * Run every active schedule that is due in the current minute
+   * Each schedule claims the minute first, so overlapping runs never deliver twice
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { due, delivered, failed }
+   */
+  processDueSchedules: async (now = new Date()) => {
+    const summary = { due: 0, delivered: 0, failed: 0 };
+
+    try {
+      const schedules = await ReportSchedule.find({ isActive: true, isDeleted: false });
+      const slot = now.toISOString().slice(0, 16);
+
+      for (const schedule of schedules) {
+        if (!isDue(schedule, now)) continue;
+
+        const claimed = await ReportSchedule.findOneAndUpdate(
+          { _id: schedule._id, lastRunSlot: { $ne: slot } },
+          { $set: { lastRunSlot: slot, lastRun: { status: 'running', startedAt: now } } },
+          { new: true }
+        );
+        if (!claimed) continue;
+
+        summary.due += 1;
+        const lastRun = await ReportScheduleService.runSchedule(claimed, now);
+
+        if (lastRun.status === 'success') {
+          summary.delivered += 1;
+        } else {
+          summary.failed += 1;
+        }
+      }
+
+      if (summary.due > 0) {
+        logInfo(
+          `Scheduled reports: ${summary.delivered} delivered, ${summary.failed} failed`,
+          'ReportScheduleService'
+        );
+      }
+
+      return summary;
+    } catch (error) {
+      logError(`Scheduled report run failed: ${error.message}`, 'ReportScheduleService', error);
+      throw new AppError('Failed to process scheduled reports', 500, 'report_schedule_processing_error');
+    }
+  }
+};
+
+module.exports = ReportScheduleService;
@@ -1,9 +1,9 @@
 const { Report } = require('../models');
-const { generateId } = require('../utils/generators/idGenerator');
+const { generateReportId } = require('../utils/generators/idGenerator');
 const EmailService = require('./emailService');
 const ShopService = require('./shopService');
-const fs = require('fs').promises;
-const path = require('path');
+const ReportBuilderService = require('./reportBuilderService');
+const FileUploadService = require('./fileUploadService');
 
 // Import utility modules
 const { 
@@ -22,6 +22,25 @@ const {
   logInfo
 } = require('../utils');
 
+/**
+ * Build a report's file and store it, returning the stored File record
+ * @param {string} reportId - ID the report will be saved under
+ * @param {Object} report - { shopId, title, type, format, parameters, createdBy }
+ * @returns {Promise<Object>} File record
+ */
+const produceReportFile = async (reportId, report) => {
+  const built = await ReportBuilderService.buildReport(report);
+
+  return FileUploadService.saveReportFile(built.buffer, {
+    shopId: report.shopId,
+    reportId,
+    title: report.title,
+    extension: built.extension,
+    contentType: built.contentType,
+    uploadedBy: report.createdBy
+  });
+};
+
 /**
  * Service for report-related operations
  */
@@ -41,8 +60,7 @@ const ReportService = {
         format, 
         description = '',
         parameters = {},
-        createdBy,
-        url = '' // In a real implementation, this would be generated
+        createdBy
       } = reportData;
 
       // Validate required fields
@@ -50,13 +68,14 @@ const ReportService = {
         throw new AppError('Missing required fields', 400, 'missing_fields');
       }
 
+      // Fail fast on types and formats that have no builder yet
+      ReportBuilderService.assertSupported(type, format);
+
       // Generate a report ID
-      const reportId = generateId('rep');
+      const reportId = await generateReportId(Report);
       
-      // In a real implementation, you would generate the actual report file here
-      // and store it in a file service (e.g., S3, Google Cloud Storage)
-      // For now, we'll just create a placeholder URL
-      const generatedUrl = url || `https://storage.example.com/reports/${reportId}.${format}`;
+      // Build the report from the shop's data and store the file
+      const file = await produceReportFile(reportId, { shopId, title, type, format, parameters, createdBy });
 
       // Create the report in the database
       const report = new Report({
@@ -65,7 +84,8 @@ const ReportService = {
         title,
         type,
         format,
-        url: generatedUrl,
+        url: file.url,
+        fileId: file.fileId,
         description,
         parameters,
         createdBy
@@ -121,6 +141,41 @@ const ReportService = {
     }
   },
 
+  /**
+   * Get a report's generated file for download or delivery
+   * @param {string} reportId - ID of the report
+   * @param {Object} options - Authorization options { shopId, role }
+   * @returns {Promise<Object>} { content, contentType, filename }
+   */
+  getReportFile: async (reportId, options = {}) => {
+    try {
+      const report = await ReportService.getReportById(reportId, options);
+
+      // Reports created before files were generated only have a placeholder URL
+      if (!report.fileId) {
+        throw new AppError('This report has no generated file; generate it again', 404, 'report_file_not_found');
+      }
+
+      const { file, content } = await FileUploadService.readFile(report.fileId);
+
+      // Name the download after the report title, e.g. "Monthly Debts-REP004.xlsx"
+      const safeTitle = report.title.replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, ' ') || 'report';
+
+      return {
+        content,
+        contentType: (file.metadata && file.metadata.mimeType) || ReportBuilderService.getContentType(report.format),
+        filename: `${safeTitle}-${report.reportId}.${file.extension}`
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Error retrieving file for report ${reportId}`, 'ReportService', error);
+      throw new AppError('Could not retrieve report file', 500, 'file_retrieval_error');
+    }
+  },
+
   /**
    * Get reports by shop ID
    * @param {string} shopId - Shop ID to list reports for
@@ -346,7 +401,7 @@ const ReportService = {
 
   /**
    * Generate a system-wide report (SuperAdmin only)
-   * This is a placeholder for the actual implementation
+   * Builds the report across all shops
    * @param {Object} parameters - Report parameters
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Generated report
@@ -368,28 +423,39 @@ const ReportService = {
         throw new AppError('Missing required fields', 400, 'missing_fields');
       }
 
+      // Fail fast on types and formats that have no builder yet
+      ReportBuilderService.assertSupported(type, format);
+
       // Generate a report ID
-      const reportId = generateId('rep');
-      
-      // In a real implementation, you would generate the actual system-wide report
-      // by aggregating data across all shops
-      // For now, we'll just create a placeholder
-      const generatedUrl = `https://storage.example.com/system-reports/${reportId}.${format}`;
+      const reportId = await generateReportId(Report);
+
+      const reportParameters = {
+        startDate: startDate ? new Date(startDate) : undefined,
+        endDate: endDate ? new Date(endDate) : undefined,
+        filters: parameters.filters || {}
+      };
+
+      // Build the report across all shops and store the file
+      const file = await produceReportFile(reportId, {
+        shopId: 'system', // Special identifier for system-wide reports
+        title,
+        type,
+        format,
+        parameters: reportParameters,
+        createdBy
+      });
 
       // Create the report in the database
       const report = new Report({
         reportId,
-        shopId: 'system', // Special identifier for system-wide reports
+        shopId: 'system',
         title,
         type,
         format,
-        url: generatedUrl,
+        url: file.url,
+        fileId: file.fileId,
         description,
-        parameters: {
-          startDate: startDate ? new Date(startDate) : undefined,
-          endDate: endDate ? new Date(endDate) : undefined,
-          filters: parameters.filters || {}
-        },
+        parameters: reportParameters,
         createdBy
       });
 
@@ -440,67 +506,26 @@ const ReportService = {
       if (report.shopId !== 'system') {
         try {
           const shop = await ShopService.getShopById(report.shopId);
-          shopName = shop ? shop.name : '';
+          shopName = shop ? shop.shopName : '';
         } catch (error) {
           logWarning(`Could not get shop name for shop ${report.shopId}`, 'ReportService');
         }
       }
       
-      // Prepare data for email template
-      const templateData = {
+      // Get the generated report file
+      const reportFile = await ReportService.getReportFile(reportId, options);
+      
+      // Send email with the report attached
+      await EmailService.report.sendReportDeliveryEmail({
+        email: emailData.recipients,
+        subject: emailData.subject || `${report.title} - DeynCare Report`,
         reportTitle: report.title,
         reportType: report.type,
         reportFormat: report.format,
         generatedAt: new Date(report.generatedAt).toLocaleString(),
-        shopName: shopName,
-        message: emailData.message || '',
-        dashboardUrl: process.env.FRONTEND_URL + '/dashboard/reports',
-        currentYear: new Date().getFullYear()
-      };
-      
-      // Get file content from the report URL
-      // In a real implementation, this would retrieve the file from a storage service
-      // For now, we'll use a placeholder approach
-      let fileContent;
-      try {
-        // If the file is stored locally (for development)
-        if (report.url.startsWith('file://')) {
-          const filePath = report.url.replace('file://', '');
-          fileContent = await fs.readFile(filePath);
-        } else {
-          // In production, this would fetch from S3, Google Cloud Storage, etc.
-          // Mocked for now
-          fileContent = Buffer.from('Mocked report content for ' + report.title);
-          logWarning('Using mocked report content. Implement actual file retrieval in production.', 'ReportService');
-        }
-      } catch (error) {
-        logError(`Error retrieving report file: ${error.message}`, 'ReportService');
-        throw new AppError('Could not retrieve report file', 500, 'file_retrieval_error');
-      }
-      
-      // Determine file mime type based on format
-      const mimeTypes = {
-        pdf: 'application/pdf',
-        csv: 'text/csv',
-        excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-      };
-      
-      const mimeType = mimeTypes[report.format] || 'application/octet-stream';
-      
-      // Send email with attachment
-      await EmailService.report.sendReportDeliveryEmail({
-        to: emailData.recipients,
-        subject: emailData.subject || `${report.title} - DeynCare Report`,
-        template: 'Report/report-delivery',
-        data: templateData,
-        attachments: [
-          {
-            filename: `${report.title}.${report.format}`,
-            content: fileContent,
-            contentType: mimeType
-          }
-        ]
-      });
+        shopName,
+        message: emailData.message || ''
+      }, reportFile);
       
       // Log email sent
       logSuccess(`Report ${reportId} emailed to ${emailData.recipients.join(', ')}`, 'ReportService');
@@ -514,50 +539,6 @@ const ReportService = {
       logError(`Error emailing report ${reportId}`, 'ReportService', error);
       throw new AppError('Failed to email report', 500, 'report_email_error');
     }
-  },
-  
-  /**
-   * Schedule periodic report generation and delivery
-   * This is a placeholder for the actual implementation
-   * SuperAdmin only
-   * @param {Object} scheduledReport - Scheduled report configuration
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Created schedule configuration
-   */
-  scheduleReportDelivery: async (scheduledReport, options = {}) => {
-    try {
-      // Validate that only superAdmin can schedule system-wide reports
-      if (scheduledReport.isSystemWide && options.role !== 'superAdmin') {
-        throw new AppError('Only SuperAdmin can schedule system-wide reports', 403, 'forbidden');
-      }
-      
-      // If user is not superAdmin, restrict to their shop
-      if (options.role !== 'superAdmin') {
-        scheduledReport.shopId = options.shopId;
-      }
-      
-      // In a real implementation, this would create a schedule in a job queue
-      // such as Bull, Agenda, or node-schedule
-      // For now, we'll just log the intent
-      logInfo(`Scheduled report delivery created: ${JSON.stringify(scheduledReport)}`, 'ReportService');
-      
-      return {
-        success: true,
-        message: 'Report delivery scheduled successfully',
-        schedule: {
-          ...scheduledReport,
-          id: generateId('sch'),
-          createdAt: new Date()
-        }
-      };
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
-      }
-      
-      logError('Error scheduling report delivery', 'ReportService', error);
-      throw new AppError('Failed to schedule report delivery', 500, 'schedule_error');
-    }
   }
 };
 
@@ -0,0 +1,423 @@
+/**
+ * Risk Scoring Service
+ * Scores customers 0-100 from their own debt, repayment and purchase records
+ */
+const { Customer, Debt, Payment, Sale, Shop, ShopSetting, Subscription } = require('../models');
+const { AppError, logInfo, logError, logSuccess } = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window used to measure how often a customer buys
+const ACTIVITY_WINDOW_DAYS = 90;
+
+// Overdue days at which an open debt counts as fully delinquent
+const MAX_OVERDUE_DAYS = 90;
+
+// Tenure after which a customer adds no age risk
+const ESTABLISHED_CUSTOMER_DAYS = 365;
+
+/**
+ * Round a score to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Risk factors keyed by their ShopSetting.risk.considerationFactors switch
+ * Each factor scores 0 (no risk) to 100 (highest risk) from the customer context and explains why;
+ * the customer's score is the weighted average of the factors the shop has switched on.
+ * To add a factor, add an entry here and a matching switch to the shop settings.
+ */
+const RISK_FACTORS = {
+  paymentHistory: {
+    label: 'Payment history',
+    weight: 40,
+    evaluate: ({ debts, lastPaymentByDebt, now }) => {
+      // Only debts that have reached their due date (or been settled) say anything about punctuality
+      const matured = debts.filter((debt) => debt.isSettled || new Date(debt.dueDate) < now);
+
+      if (matured.length === 0) {
+        return { points: 40, detail: 'No repayment history yet' };
+      }
+
+      let late = 0;
+      let longestOverdue = 0;
+
+      matured.forEach((debt) => {
+        const dueDate = new Date(debt.dueDate);
+
+        if (debt.isSettled) {
+          const settledAt = lastPaymentByDebt.get(debt.debtId) || new Date(debt.updatedAt);
+          if (settledAt > dueDate) late += 1;
+          return;
+        }
+
+        late += 1;
+        longestOverdue = Math.max(longestOverdue, Math.floor((now - dueDate) / DAY_MS));
+      });
+
+      const lateShare = late / matured.length;
+      const severity = Math.min(1, longestOverdue / MAX_OVERDUE_DAYS);
+
+      return {
+        points: 70 * lateShare + 30 * severity,
+        detail: `${late} of ${matured.length} due debts repaid late or still overdue`
+          + (longestOverdue > 0 ? `; longest overdue ${longestOverdue} days` : '')
+      };
+    }
+  },
+
+  totalDebtAmount: {
+    label: 'Debt amount',
+    weight: 25,
+    evaluate: ({ customer, outstanding, totalBorrowed }) => {
+      if (customer.creditLimit > 0) {
+        const usage = outstanding / customer.creditLimit;
+
+        return {
+          points: Math.min(100, usage * 100),
+          detail: `Owes ${Math.round(usage * 100)}% of the ${customer.creditLimit} credit limit`
+        };
+      }
+
+      if (totalBorrowed <= 0) {
+        return { points: 0, detail: 'No debt taken' };
+      }
+
+      const unpaidShare = Math.min(1, outstanding / totalBorrowed);
+
+      return {
+        points: unpaidShare * 100,
+        detail: `${Math.round(unpaidShare * 100)}% of all credit taken is unpaid`
+      };
+    }
+  },
+
+  purchaseFrequency: {
+    label: 'Purchase frequency',
+    weight: 20,
+    evaluate: ({ recentPurchases }) => {
+      let points = 80;
+      if (recentPurchases >= 6) {
+        points = 0;
+      } else if (recentPurchases >= 3) {
+        points = 25;
+      } else if (recentPurchases >= 1) {
+        points = 50;
+      }
+
+      return {
+        points,
+        detail: `${recentPurchases} purchase${recentPurchases === 1 ? '' : 's'} in the last ${ACTIVITY_WINDOW_DAYS} days`
+      };
+    }
+  },
+
+  customerAge: {
+    label: 'Customer age',
+    weight: 15,
+    evaluate: ({ customer, now }) => {
+      const days = Math.max(0, Math.floor((now - new Date(customer.createdAt)) / DAY_MS));
+
+      return {
+        points: Math.max(0, 100 * (1 - days / ESTABLISHED_CUSTOMER_DAYS)),
+        detail: `Customer for ${days} day${days === 1 ? '' : 's'}`
+      };
+    }
+  }
+};
+
+/**
+ * Map a score onto the shop's risk levels
+ * @param {number} score - Risk score (0-100)
+ * @param {Object} risk - ShopSetting.risk
+ * @returns {string} 'High Risk', 'Medium Risk' or 'Low Risk'
+ */
+const getRiskLevel = (score, risk = {}) => {
+  const { highRiskThreshold = 70, mediumRiskThreshold = 40 } = risk;
+
+  if (score >= highRiskThreshold) return 'High Risk';
+  if (score >= mediumRiskThreshold) return 'Medium Risk';
+  return 'Low Risk';
+};
+
+/**
+ * Gather the records every factor scores from
+ * @param {Object} customer - Customer document
+ * @param {Date} now - Assessment time
+ * @returns {Promise<Object>} Factor context
+ */
+const buildContext = async (customer, now) => {
+  const { shopId, customerId } = customer;
+  const activitySince = new Date(now.getTime() - ACTIVITY_WINDOW_DAYS * DAY_MS);
+
+  const [debts, lastPayments, recentSales] = await Promise.all([
+    Debt.find({ shopId, customerId, isDeleted: false }),
+    Payment.aggregate([
+      {
+        $match: {
+          shopId,
+          customerId,
+          paymentContext: 'debt',
+          status: { $in: ['confirmed', 'partially-refunded'] },
+          isDeleted: false
+        }
+      },
+      { $group: { _id: '$debtId', lastPaymentDate: { $max: '$paymentDate' } } }
+    ]),
+    Sale.find(
+      { shopId, customerId, isDeleted: false, status: { $ne: 'cancelled' }, createdAt: { $gte: activitySince } },
+      { debtId: 1 }
+    ).lean()
+  ]);
+
+  // Credit sales also open a debt; count each purchase once
+  const creditSaleDebts = new Set(recentSales.filter((sale) => sale.debtId).map((sale) => sale.debtId));
+  const recentDebts = debts.filter((debt) => new Date(debt.createdAt) >= activitySince && !creditSaleDebts.has(debt.debtId));
+
+  return {
+    customer,
+    debts,
+    now,
+    lastPaymentByDebt: new Map(lastPayments.map((entry) => [entry._id, new Date(entry.lastPaymentDate)])),
+    outstanding: debts.reduce((sum, debt) => sum + (debt.isSettled ? 0 : debt.remainingAmount), 0),
+    totalBorrowed: debts.reduce((sum, debt) => sum + debt.debtAmount + (debt.lateFeeAmount || 0), 0),
+    recentPurchases: recentSales.length + recentDebts.length
+  };
+};
+
+/**
+ * Score a customer against the shop's enabled factors
+ * @param {Object} context - Factor context from buildContext
+ * @param {Object} risk - ShopSetting.risk
+ * @returns {Object} { score, level, factors }
+ */
+const scoreContext = (context, risk = {}) => {
+  const switches = risk.considerationFactors || {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  const factors = Object.entries(RISK_FACTORS).map(([factor, definition]) => {
+    const enabled = switches[factor] !== false;
+    const { points, detail } = definition.evaluate(context);
+
+    if (enabled) {
+      weighted += definition.weight * points;
+      totalWeight += definition.weight;
+    }
+
+    return {
+      factor,
+      label: definition.label,
+      enabled,
+      weight: definition.weight,
+      points: roundScore(points),
+      contribution: 0,
+      detail
+    };
+  });
+
+  // Contributions add up to the score, so the explanation always matches it
+  factors.forEach((entry) => {
+    if (entry.enabled && totalWeight > 0) {
+      entry.contribution = roundScore((entry.weight * entry.points) / totalWeight);
+    }
+  });
+
+  const score = totalWeight > 0 ? Math.round(weighted / totalWeight) : 0;
+
+  return { score, level: getRiskLevel(score, risk), factors };
+};
+
+/**
+ * Work out the status a debt falls back to once it is no longer high risk
+ * Mirrors the debt pre-save hook, which updateOne does not run
+ * @param {Object} debt - Unsettled debt document
+ * @param {Date} now - Assessment time
+ * @returns {string} Debt status
+ */
+const getPlainStatus = (debt, now) => {
+  if (debt.dueDate && debt.dueDate < now) return 'overdue';
+  return debt.paidAmount > 0 ? 'partially-paid' : 'active';
+};
+
+/**
+ * Write a customer's score onto the customer and their open debts
+ * Open high-risk debts get the high-risk status; it is lifted again when the level drops.
+ * Only the risk fields are written, so balances changed since the customer and debts
+ * were read are left alone.
+ * @param {Object} customer - Customer document
+ * @param {Array} debts - The customer's debts
+ * @param {Object} assessment - { score, level, factors }
+ * @param {Date} now - Assessment time
+ */
+const applyAssessment = async (customer, debts, assessment, now) => {
+  await Customer.updateOne(
+    { _id: customer._id },
+    {
+      $set: {
+        riskScore: assessment.score,
+        riskAssessment: {
+          level: assessment.level,
+          factors: assessment.factors,
+          assessedAt: now
+        }
+      }
+    }
+  );
+
+  for (const debt of debts) {
+    if (debt.isSettled) continue;
+
+    const wasHighRisk = debt.status === 'high-risk';
+    const isHighRisk = assessment.level === 'High Risk';
+    const changed = debt.riskScore !== assessment.score || debt.riskLevel !== assessment.level;
+
+    if (!changed && wasHighRisk === isHighRisk) continue;
+
+    const update = { riskScore: assessment.score, riskLevel: assessment.level };
+
+    // Collection status outranks risk
+    if (debt.status !== 'in-collection') {
+      if (isHighRisk) {
+        update.status = 'high-risk';
+      } else if (wasHighRisk) {
+        update.status = getPlainStatus(debt, now);
+      }
+    }
+
+    // Skipped when a repayment or collection change got there first; the next rescore catches up
+    await Debt.updateOne(
+      { _id: debt._id, isSettled: false, status: debt.status },
+      { $set: update }
+    );
+  }
+};
+
+/**
+ * RiskScoringService provides deterministic, explainable customer risk scores
+ */
+const RiskScoringService = {
+  getRiskLevel,
+
+  /**
+   * Check whether the shop's plan includes risk scoring
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<boolean>} Whether scores should be computed
+   */
+  isScoringEnabled: async (shopId) => {
+    const subscriptions = await Subscription.findActiveSubscriptions(shopId);
+    const subscription = subscriptions[0];
+
+    return Boolean(subscription && subscription.plan.features.smartRiskScore !== false);
+  },
+
+  /**
+   * Score a customer without saving anything
+   * @param {Object} customer - Customer document
+   * @param {Object} risk - ShopSetting.risk
+   * @param {Date} now - Assessment time
+   * @returns {Promise<Object>} { score, level, factors, context }
+   */
+  scoreCustomer: async (customer, risk, now = new Date()) => {
+    const context = await buildContext(customer, now);
+    return { ...scoreContext(context, risk), context };
+  },
+
+  /**
+   * Recompute a customer's score and write it to the customer and their open debts
+   * @param {string} shopId - Shop ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} { customerId, score, level, factors, assessedAt }
+   */
+  assessCustomer: async (shopId, customerId) => {
+    try {
+      const customer = await Customer.findOne({ shopId, customerId, isDeleted: false });
+
+      if (!customer) {
+        throw new AppError('Customer not found', 404, 'customer_not_found');
+      }
+
+      if (!(await RiskScoringService.isScoringEnabled(shopId))) {
+        throw new AppError('Risk scoring is not included in this shop\'s plan', 403, 'feature_not_available');
+      }
+
+      const settings = await ShopSetting.getByShopId(shopId);
+      const now = new Date();
+      const { context, ...assessment } = await RiskScoringService.scoreCustomer(customer, settings.risk, now);
+
+      await applyAssessment(customer, context.debts, assessment, now);
+
+      return { customerId, ...assessment, assessedAt: now };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to assess risk for customer ${customerId}: ${error.message}`, 'RiskScoringService', error);
+      throw new AppError('Failed to assess customer risk', 500, 'risk_assessment_error');
+    }
+  },
+
+  /**
+   * Recompute a customer's score after a debt or payment event
+   * Non-blocking: failures are logged and never interrupt the debt workflow
+   * @param {string} shopId - Shop ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object|null>} Assessment, or null when skipped or failed
+   */
+  refreshCustomerRisk: async (shopId, customerId) => {
+    try {
+      if (!customerId) return null;
+
+      return await RiskScoringService.assessCustomer(shopId, customerId);
+    } catch (error) {
+      if (error.type !== 'feature_not_available' && error.type !== 'customer_not_found') {
+        logError(`Risk refresh failed for customer ${customerId}: ${error.message}`, 'RiskScoringService', error);
+      }
+      return null;
+    }
+  },
+
+  /**
+   * Rescore every customer with a debt in every active shop whose plan includes scoring
+   * Catches the scores up on things that change with time alone, like overdue days and tenure
+   * @returns {Promise<Object>} { shops, customers, failures }
+   */
+  processAllCustomers: async () => {
+    const summary = { shops: 0, customers: 0, failures: 0 };
+
+    try {
+      const shops = await Shop.find({ isDeleted: false, status: 'active' }, { shopId: 1 }).lean();
+
+      for (const { shopId } of shops) {
+        if (!(await RiskScoringService.isScoringEnabled(shopId))) continue;
+
+        const customerIds = await Debt.distinct('customerId', { shopId, isDeleted: false });
+        summary.shops += 1;
+
+        for (const customerId of customerIds) {
+          try {
+            await RiskScoringService.assessCustomer(shopId, customerId);
+            summary.customers += 1;
+          } catch (error) {
+            summary.failures += 1;
+            logError(`Failed to rescore customer ${customerId}: ${error.message}`, 'RiskScoringService', error);
+          }
+        }
+      }
+
+      logSuccess(
+        `Risk scoring complete: ${summary.customers} customers across ${summary.shops} shops, ${summary.failures} failures`,
+        'RiskScoringService'
+      );
+      return summary;
+    } catch (error) {
+      logError(`Risk scoring run failed: ${error.message}`, 'RiskScoringService', error);
+      throw new AppError('Failed to process risk scores', 500, 'risk_processing_error');
+    }
+  }
+};
+
+module.exports = RiskScoringService;
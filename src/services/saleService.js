@@ -0,0 +1,528 @@
+/**
+ * Sale Service
+ * Handles business logic for ringing up point-of-sale transactions
+ */
+const { Sale, Product, Customer, Payment, DiscountCode } = require('../models');
+const StockService = require('./stockService');
+const DebtService = require('./debtService');
+const PaymentService = require('./paymentService');
+const DiscountService = require('./discountService');
+const DocumentNumberService = require('./documentNumberService');
+const ShiftService = require('./shiftService');
+const RiskScoringService = require('./riskScoringService');
+const CreditDecisionService = require('./creditDecisionService');
+const NotificationService = require('./notificationService');
+const {
+  AppError,
+  idGenerator,
+  TransactionHelper,
+  logError,
+  logSuccess
+} = require('../utils');
+
+/**
+ * Payment method recorded on credit sales, which are settled later through the debt ledger
+ */
+const CREDIT_PAYMENT_METHOD = 'Credit';
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price the requested items against the catalog
+ * The catalog price is authoritative; a price sent by the till must match it
+ * @param {Array<Object>} requestedItems - Items from the checkout request
+ * @param {Map<string, Object>} productsById - Products keyed by product ID
+ * @returns {Object} Sale items and their subtotal, line discounts, tax and cost
+ */
+const priceItems = (requestedItems, productsById) => {
+  let subtotal = 0;
+  let lineDiscounts = 0;
+  let totalTax = 0;
+  let totalCost = 0;
+
+  const items = requestedItems.map((item) => {
+    const product = productsById.get(item.productId);
+
+    if (!product) {
+      throw new AppError(`Product not found: ${item.productId}`, 404, 'product_not_found');
+    }
+
+    if (product.status !== 'active' && product.status !== 'outOfStock') {
+      throw new AppError(`${product.name} is not available for sale`, 400, 'product_unavailable');
+    }
+
+    if (item.price !== undefined && roundAmount(item.price) !== roundAmount(product.price)) {
+      throw new AppError(
+        `Price of ${product.name} has changed to ${product.price}, please refresh the till`,
+        409,
+        'price_changed'
+      );
+    }
+
+    const lineTotal = roundAmount(product.price * item.quantity);
+    const discount = roundAmount(item.discount || 0);
+
+    if (discount > lineTotal) {
+      throw new AppError(`Discount on ${product.name} exceeds the line total`, 400, 'invalid_discount');
+    }
+
+    const taxRate = item.taxRate || 0;
+
+    subtotal += lineTotal;
+    lineDiscounts += discount;
+    totalTax += ((lineTotal - discount) * taxRate) / 100;
+    totalCost += product.cost * item.quantity;
+
+    return {
+      productId: product.productId,
+      name: product.name,
+      price: product.price,
+      cost: product.cost,
+      quantity: item.quantity,
+      unit: product.unit,
+      discount,
+      taxRate,
+      originalPrice: product.price
+    };
+  });
+
+  return {
+    items,
+    subtotal: roundAmount(subtotal),
+    lineDiscounts: roundAmount(lineDiscounts),
+    totalTax: roundAmount(totalTax),
+    totalCost: roundAmount(totalCost)
+  };
+};
+
+/**
+ * SaleService provides methods for recording and reading sales
+ */
+const SaleService = {
+  /**
+   * Ring up a sale
+   * The sale, its stock movements, the discount usage and either the POS payment or
+   * the customer's debt are written in one transaction, so a failure leaves nothing behind
+   * @param {string} shopId - Shop ID
+   * @param {Object} saleData - Validated checkout request
+   * @param {Array<Object>} saleData.items - Items sold ({ productId, quantity, price?, discount?, taxRate? })
+   * @param {string} [saleData.customerId] - Customer ID (required for credit sales)
+   * @param {boolean} [saleData.isCredit] - Sell on credit instead of taking payment
+   * @param {string} [saleData.paymentMethod] - Payment method for paid sales
+   * @param {string} [saleData.discountCode] - POS discount code
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user ringing up the sale
+   * @param {string} [options.actorName] - Name shown on the sale
+   * @param {string} [options.ipAddress] - IP address of the till
+   * @param {boolean} [options.creditApproved] - Skip the credit gate for owner-approved credit requests
+   * @returns {Promise<Object>} { sale, payment, debt, movements }
+   */
+  createSale: async (shopId, saleData, options = {}) => {
+    try {
+      if (saleData.isCredit && !saleData.customerId) {
+        throw new AppError('A customer is required for credit sales', 400, 'customer_required');
+      }
+
+      let riskScore = 0;
+      let lowStockProducts = [];
+
+      const result = await TransactionHelper.runInTransaction(async (session) => {
+        const productIds = [...new Set(saleData.items.map(item => item.productId))];
+        if (productIds.length !== saleData.items.length) {
+          throw new AppError('Each product can only appear once in a sale', 400, 'duplicate_sale_item');
+        }
+
+        const products = await Product.find({
+          shopId,
+          productId: { $in: productIds },
+          isDeleted: false
+        }).session(session);
+        const productsById = new Map(products.map(product => [product.productId, product]));
+
+        const { items, subtotal, lineDiscounts, totalTax, totalCost } = priceItems(saleData.items, productsById);
+
+        let customer = null;
+        if (saleData.customerId) {
+          customer = await Customer.findOne({
+            customerId: saleData.customerId,
+            shopId,
+            isDeleted: false
+          }).session(session);
+
+          if (!customer) {
+            throw new AppError('Customer not found', 404, 'customer_not_found');
+          }
+        }
+
+        // Order-level discount codes apply to the amount left after line discounts
+        let discount = null;
+        if (saleData.discountCode) {
+          discount = await DiscountService.validateAndCalculateDiscount(
+            saleData.discountCode,
+            roundAmount(subtotal - lineDiscounts),
+            'pos',
+            options.actorId,
+            shopId
+          );
+
+          // Count the use inside the transaction, guarding the limit against concurrent checkouts
+          const used = await DiscountCode.findOneAndUpdate(
+            {
+              discountId: discount.discountId,
+              $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+              ]
+            },
+            { $inc: { usageCount: 1 } },
+            { new: true, session }
+          );
+
+          if (!used) {
+            throw new AppError('Discount code usage limit has been reached', 400, 'invalid_discount');
+          }
+        }
+
+        const codeDiscount = discount ? roundAmount(discount.discountAmount) : 0;
+        const totalDiscount = roundAmount(lineDiscounts + codeDiscount);
+        const totalAmount = roundAmount(subtotal - totalDiscount + totalTax);
+        const totalProfit = roundAmount(totalAmount - totalTax - totalCost);
+
+        const paymentMethod = saleData.isCredit ? CREDIT_PAYMENT_METHOD : saleData.paymentMethod;
+        const paymentDetails = { ...(saleData.paymentDetails || {}) };
+
+        if (!saleData.isCredit && paymentDetails.amountTendered !== undefined) {
+          if (paymentDetails.amountTendered < totalAmount) {
+            throw new AppError(
+              `Amount tendered is less than the sale total of ${totalAmount}`,
+              400,
+              'insufficient_tender'
+            );
+          }
+          paymentDetails.changeGiven = roundAmount(paymentDetails.amountTendered - totalAmount);
+        }
+
+        const saleId = await idGenerator.generateSaleId(Sale);
+        const shift = await ShiftService.getOpenShift(shopId, options.actorId, { session });
+
+        // Numbers are issued in the transaction so an aborted sale does not leave a gap
+        const documentNumber = await DocumentNumberService.nextNumber(
+          shopId,
+          saleData.isCredit ? 'invoice' : 'receipt',
+          { session }
+        );
+
+        const stock = await StockService.recordMovements(shopId, items.map(item => ({
+          productId: item.productId,
+          type: 'sale',
+          quantity: -item.quantity,
+          reference: { type: 'sale', id: saleId }
+        })), { actorId: options.actorId, session });
+        const { movements } = stock;
+        lowStockProducts = stock.lowStockProducts;
+
+        let debt = null;
+        let payment = null;
+
+        if (saleData.isCredit) {
+          debt = await DebtService.createDebt(shopId, {
+            customerId: customer.customerId,
+            debtAmount: totalAmount,
+            dueDate: saleData.dueDate,
+            shortNote: saleData.note || `Credit sale ${saleId}`
+          }, { actorId: options.actorId, creditApproved: options.creditApproved, session });
+          riskScore = customer.riskScore || 0;
+        } else {
+          const paymentId = await idGenerator.generatePaymentId(Payment);
+          const now = new Date();
+
+          payment = new Payment({
+            paymentId,
+            shopId,
+            customerId: customer ? customer.customerId : undefined,
+            customerName: customer ? customer.fullName : saleData.customerName,
+            paymentContext: 'pos',
+            posOrderId: saleId,
+            amount: totalAmount,
+            originalAmount: roundAmount(subtotal + totalTax),
+            discountAmount: totalDiscount,
+            discountId: discount ? discount.discountId : undefined,
+            paymentDate: now,
+            method: paymentMethod,
+            referenceNumber: paymentDetails.transactionId,
+            receiptNumber: documentNumber,
+            status: 'confirmed',
+            isConfirmed: true,
+            confirmedAt: now,
+            confirmedBy: options.actorId,
+            recordedBy: options.actorId || 'system',
+            shiftId: shift ? shift.shiftId : undefined,
+            recordedFromIp: options.ipAddress
+          });
+
+          await payment.save({ session });
+        }
+
+        // createDebt saves the customer document, so purchase stats are applied as an update
+        if (customer) {
+          await Customer.updateOne(
+            { _id: customer._id },
+            {
+              $set: { lastPurchaseDate: new Date() },
+              $inc: { totalPurchaseAmount: totalAmount }
+            },
+            { session }
+          );
+        }
+
+        const sale = new Sale({
+          saleId,
+          shopId,
+          customerId: customer ? customer.customerId : undefined,
+          customerName: customer ? customer.fullName : saleData.customerName,
+          customerPhone: customer ? customer.phone : saleData.customerPhone,
+          soldBy: options.actorId,
+          soldByName: options.actorName,
+          shiftId: shift ? shift.shiftId : undefined,
+          items,
+          subtotal,
+          totalDiscount,
+          totalTax,
+          totalAmount,
+          totalCost,
+          totalProfit,
+          paymentMethod,
+          paymentDetails,
+          isCredit: Boolean(saleData.isCredit),
+          debtId: debt ? debt.debtId : undefined,
+          receiptNumber: saleData.isCredit ? undefined : documentNumber,
+          invoiceNumber: saleData.isCredit ? documentNumber : undefined,
+          note: saleData.note,
+          channel: saleData.channel,
+          tags: saleData.tags,
+          discountInfo: discount
+            ? {
+              code: discount.code,
+              type: discount.type,
+              value: discount.value,
+              reason: discount.description
+            }
+            : undefined
+        });
+
+        await sale.save({ session });
+
+        return { sale, payment, debt, movements };
+      });
+
+      logSuccess(
+        `Sale ${result.sale.saleId} of ${result.sale.totalAmount} recorded for shop ${shopId} (${result.sale.isCredit ? `credit, debt ${result.debt.debtId}` : result.sale.paymentMethod}) by ${options.actorId || 'system'}`,
+        'SaleService'
+      );
+
+      // The credit sale's debt was created inside the sale transaction, so rescore and alert once it is committed
+      if (result.debt) {
+        const assessment = await RiskScoringService.refreshCustomerRisk(shopId, result.debt.customerId);
+        if (assessment) riskScore = assessment.score;
+
+        await NotificationService.notifyHighRiskDebt(result.debt, riskScore);
+      }
+
+      await StockService.notifyLowStock(lowStockProducts);
+
+      return result;
+    } catch (error) {
+      // Credit the gate stopped rolls the whole sale back; keep the checkout for the owner to decide on
+      if (CreditDecisionService.isDecisionError(error)) {
+        await CreditDecisionService.recordRequest(shopId, { requestType: 'credit-sale', payload: saleData }, error, options);
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError('Sale ID already exists, please retry', 409, 'duplicate_sale_id');
+      }
+
+      logError(`Failed to record sale for shop ${shopId}: ${error.message}`, 'SaleService', error);
+      throw new AppError('Failed to record sale', 500, 'sale_creation_error');
+    }
+  },
+
+  /**
+   * Return items from a sale
+   * Returned items go back into stock (or the damaged bucket), and the refund is paid
+   * back on the sale's payment or, for credit sales, taken off the linked debt
+   * @param {string} shopId - Shop ID
+   * @param {string} saleId - Sale ID
+   * @param {Object} returnData - Validated return request
+   * @param {Array<Object>} returnData.items - Items returned ({ productId, quantity, condition })
+   * @param {string} [returnData.reason] - Reason for the return
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user processing the return
+   * @returns {Promise<Object>} { sale, creditNoteNumber, refundAmount, payment, debt, debtReduction, creditIssued, movements }
+   */
+  returnSale: async (shopId, saleId, returnData, options = {}) => {
+    try {
+      let lowStockProducts = [];
+
+      const result = await TransactionHelper.runInTransaction(async (session) => {
+        const sale = await Sale.findOne({ saleId, shopId, isDeleted: false }).session(session);
+
+        if (!sale) {
+          throw new AppError('Sale not found', 404, 'sale_not_found');
+        }
+
+        if (!['completed', 'partially-returned'].includes(sale.status)) {
+          throw new AppError(`Sale is ${sale.status} and cannot be returned`, 400, 'sale_not_returnable');
+        }
+
+        // Checked here as well as in processReturn so the till gets a clear error
+        for (const item of returnData.items) {
+          const soldItem = sale.items.find(i => i.productId === item.productId);
+
+          if (!soldItem) {
+            throw new AppError(`Product ${item.productId} is not part of this sale`, 400, 'invalid_return_item');
+          }
+
+          const alreadyReturned = sale.returnInfo.returnedItems
+            .filter(i => i.productId === item.productId)
+            .reduce((sum, i) => sum + i.quantity, 0);
+
+          if (item.quantity > soldItem.quantity - alreadyReturned) {
+            throw new AppError(
+              `Only ${soldItem.quantity - alreadyReturned} of ${soldItem.name} can still be returned`,
+              400,
+              'return_quantity_exceeded'
+            );
+          }
+        }
+
+        const previousRefund = sale.returnInfo.totalRefundAmount || 0;
+        const creditNoteNumber = await DocumentNumberService.nextNumber(shopId, 'credit-note', { session });
+
+        await sale.processReturn({
+          returnedBy: options.actorId,
+          returnReason: returnData.reason,
+          returnedItems: returnData.items,
+          creditNoteNumber
+        });
+
+        const refundAmount = roundAmount(sale.returnInfo.totalRefundAmount - previousRefund);
+
+        const stock = await StockService.recordMovements(shopId, returnData.items.map(item => ({
+          productId: item.productId,
+          type: 'return',
+          quantity: item.condition === 'damaged' ? 0 : item.quantity,
+          damagedQuantity: item.condition === 'damaged' ? item.quantity : 0,
+          reason: returnData.reason,
+          reference: { type: 'sale', id: saleId }
+        })), { actorId: options.actorId, session });
+        const { movements } = stock;
+        lowStockProducts = stock.lowStockProducts;
+
+        let payment = null;
+        let debt = null;
+        let debtReduction = 0;
+        let creditIssued = 0;
+
+        if (refundAmount > 0 && sale.isCredit) {
+          ({ debt, debtReduction, creditIssued } = await DebtService.reduceDebtForReturn(
+            shopId,
+            sale.debtId,
+            refundAmount,
+            { actorId: options.actorId, session }
+          ));
+        } else if (refundAmount > 0) {
+          const salePayment = await Payment.findOne({
+            shopId,
+            paymentContext: 'pos',
+            posOrderId: saleId,
+            isDeleted: false
+          }).session(session);
+
+          if (!salePayment) {
+            throw new AppError('No payment found for this sale', 404, 'payment_not_found');
+          }
+
+          payment = await PaymentService.refundPayment(salePayment.paymentId, {
+            amount: refundAmount,
+            reason: returnData.reason || `Return on sale ${saleId}`,
+            processedBy: options.actorId
+          }, { session });
+
+          // Cash handed back comes out of whichever drawer is open now
+          if (salePayment.method === 'Cash') {
+            await ShiftService.recordRefund(shopId, options.actorId, refundAmount, {
+              type: 'sale',
+              id: saleId
+            }, { session });
+          }
+        }
+
+        if (sale.customerId && refundAmount > 0) {
+          await Customer.updateOne(
+            { customerId: sale.customerId, shopId },
+            { $inc: { totalPurchaseAmount: -refundAmount } },
+            { session }
+          );
+        }
+
+        return { sale, creditNoteNumber, refundAmount, payment, debt, debtReduction, creditIssued, movements };
+      });
+
+      logSuccess(
+        `Return of ${result.refundAmount} processed on sale ${saleId} (${result.sale.status}) by ${options.actorId || 'system'}`,
+        'SaleService'
+      );
+
+      if (result.debt) {
+        await RiskScoringService.refreshCustomerRisk(shopId, result.debt.customerId);
+      }
+
+      await StockService.notifyLowStock(lowStockProducts);
+
+      return result;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to process return on sale ${saleId}: ${error.message}`, 'SaleService', error);
+      throw new AppError('Failed to process return', 500, 'sale_return_error');
+    }
+  },
+
+  /**
+   * Get a sale by ID within a shop
+   * @param {string} shopId - Shop ID
+   * @param {string} saleId - Sale ID
+   * @returns {Promise<Object>} Sale
+   */
+  getSaleById: async (shopId, saleId) => {
+    try {
+      const sale = await Sale.findOne({ saleId, shopId, isDeleted: false });
+
+      if (!sale) {
+        throw new AppError('Sale not found', 404, 'sale_not_found');
+      }
+
+      return sale;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get sale ${saleId}: ${error.message}`, 'SaleService', error);
+      throw new AppError('Failed to retrieve sale', 500, 'sale_fetch_error');
+    }
+  }
+};
+
+module.exports = SaleService;
@@ -6,6 +6,14 @@ const cron = require('node-cron');
 const SubscriptionService = require('./subscriptionService');
 const EmailService = require('./emailService');
 const ShopService = require('./shopService');
+const NotificationService = require('./notificationService');
+const LateFeeService = require('./lateFeeService');
+const ReminderService = require('./reminderService');
+const NotificationQueueService = require('./notificationQueueService');
+const ReportScheduleService = require('./reportScheduleService');
+const FinancialSnapshotService = require('./financialSnapshotService');
+const RiskScoringService = require('./riskScoringService');
+const CollectionService = require('./collectionService');
 const { logInfo, logSuccess, logError } = require('../utils');
 
 /**
@@ -30,6 +38,27 @@ const SchedulerService = {
     // Set up subscription deactivation job - runs daily at 11 AM
     SchedulerService.setupSubscriptionDeactivationJob();
     
+    // Set up overdue debt and late fee job - runs daily at 1 AM
+    SchedulerService.setupLateFeeJob();
+    
+    // Set up customer debt reminder job - runs hourly so business-hours shops are reached when open
+    SchedulerService.setupDebtReminderJob();
+    
+    // Set up notification delivery job - runs every minute to drain the queue
+    SchedulerService.setupNotificationQueueJob();
+    
+    // Set up scheduled report delivery job - runs every minute, each schedule decides if it is due
+    SchedulerService.setupReportDeliveryJob();
+    
+    // Set up financial snapshot job - runs daily at 2 AM
+    SchedulerService.setupFinancialSnapshotJob();
+    
+    // Set up customer risk scoring job - runs daily at 3 AM, after late fees have accrued
+    SchedulerService.setupRiskScoringJob();
+    
+    // Set up collections job - runs daily at 6 AM so broken promises and follow-ups are waiting at opening
+    SchedulerService.setupCollectionJob();
+    
     logSuccess('All scheduled tasks initialized', 'SchedulerService');
   },
   
@@ -135,6 +164,9 @@ const SchedulerService = {
               autoRenew: subscription.renewalSettings.autoRenew
             });
             
+            // Surface the reminder in the shop admins' in-app inbox as well
+            await NotificationService.notifySubscriptionExpiring(subscription, daysLeft);
+            
             // Mark reminder as sent to prevent duplicate emails
             subscription.renewalSettings.reminderSent = true;
             await subscription.save();
@@ -286,6 +318,128 @@ const SchedulerService = {
     });
     
     logSuccess('Subscription deactivation job scheduled', 'SchedulerService');
+  },
+  
+  /**
+   * Set up CRON job that flags overdue debts and accrues late fees
+   * Runs daily at 1 AM
+   */
+  setupLateFeeJob: () => {
+    cron.schedule('0 1 * * *', async () => {
+      try {
+        logInfo('Running late fee job', 'SchedulerService');
+        
+        await LateFeeService.processLateFees();
+      } catch (error) {
+        logError('Late fee job failed', 'SchedulerService', error);
+      }
+    });
+    
+    logSuccess('Late fee job scheduled', 'SchedulerService');
+  },
+  
+  /**
+   * Set up CRON job that queues customer debt reminders
+   * Runs at the top of every hour
+   */
+  setupDebtReminderJob: () => {
+    cron.schedule('0 * * * *', async () => {
+      try {
+        logInfo('Running debt reminder job', 'SchedulerService');
+        
+        await ReminderService.processReminders();
+      } catch (error) {
+        logError('Debt reminder job failed', 'SchedulerService', error);
+      }
+    });
+    
+    logSuccess('Debt reminder job scheduled', 'SchedulerService');
+  },
+  
+  /**
+   * Set up CRON job that delivers queued notifications and retries failures
+   * Runs every minute
+   */
+  setupNotificationQueueJob: () => {
+    cron.schedule('* * * * *', async () => {
+      try {
+        await NotificationQueueService.processQueue();
+      } catch (error) {
+        logError('Notification queue job failed', 'SchedulerService', error);
+      }
+    });
+    
+    logSuccess('Notification queue job scheduled', 'SchedulerService');
+  },
+  
+  /**
+   * Set up CRON job that generates and emails scheduled reports
+   * Runs every minute; schedules are matched in their own timezone
+   */
+  setupReportDeliveryJob: () => {
+    cron.schedule('* * * * *', async () => {
+      try {
+        await ReportScheduleService.processDueSchedules(new Date());
+      } catch (error) {
+        logError('Report delivery job failed', 'SchedulerService', error);
+      }
+    });
+    
+    logSuccess('Report delivery job scheduled', 'SchedulerService');
+  },
+  
+  /**
+   * Set up CRON job that snapshots each shop's last complete day and month
+   * Runs daily at 2 AM; each shop's days are read in its own timezone
+   */
+  setupFinancialSnapshotJob: () => {
+    cron.schedule('0 2 * * *', async () => {
+      try {
+        logInfo('Running financial snapshot job', 'SchedulerService');
+        
+        await FinancialSnapshotService.processSnapshots(new Date());
+      } catch (error) {
+        logError('Financial snapshot job failed', 'SchedulerService', error);
+      }
+    });
+    
+    logSuccess('Financial snapshot job scheduled', 'SchedulerService');
+  },
+  
+  /**
+   * Set up CRON job for rescoring customer risk
+   * Runs daily at 3 AM
+   */
+  setupRiskScoringJob: () => {
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        logInfo('Running customer risk scoring job', 'SchedulerService');
+        
+        await RiskScoringService.processAllCustomers();
+      } catch (error) {
+        logError('Customer risk scoring job failed', 'SchedulerService', error);
+      }
+    });
+    
+    logSuccess('Customer risk scoring job scheduled', 'SchedulerService');
+  },
+  
+  /**
+   * Set up CRON job for working open collection cases
+   * Runs daily at 6 AM
+   */
+  setupCollectionJob: () => {
+    cron.schedule('0 6 * * *', async () => {
+      try {
+        logInfo('Running collections job', 'SchedulerService');
+        
+        await CollectionService.processCollections();
+      } catch (error) {
+        logError('Collections job failed', 'SchedulerService', error);
+      }
+    });
+    
+    logSuccess('Collections job scheduled', 'SchedulerService');
   }
 };
 
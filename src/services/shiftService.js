@@ -0,0 +1,478 @@
+/**
+ * Shift Service
+ * Handles cash drawer shifts: opening float, pay-ins and pay-outs, and cash-up
+ */
+const { Shift, Payment, Sale } = require('../models');
+const {
+  AppError,
+  idGenerator,
+  PaginationHelper,
+  logInfo,
+  logError,
+  logSuccess,
+  TransactionHelper
+} = require('../utils');
+
+/**
+ * Payment method whose takings end up in the drawer
+ */
+const CASH_METHOD = 'Cash';
+
+/**
+ * Payment statuses that count as takings; refunds are handled as drawer movements
+ */
+const COUNTED_PAYMENT_STATUSES = ['confirmed', 'partially-refunded', 'refunded'];
+
+/**
+ * Round a currency amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Sum the shift's drawer movements of one type
+ * @param {Object} shift - Shift document
+ * @param {string} type - pay-in, pay-out or refund
+ * @returns {number} Total amount
+ */
+const sumMovements = (shift, type) => roundAmount(
+  shift.cashMovements
+    .filter(movement => movement.type === type)
+    .reduce((sum, movement) => sum + movement.amount, 0)
+);
+
+/**
+ * Make sure the user may act on the shift
+ * Employees only handle their own till; admins can handle any shift in their shop
+ * @param {Object} shift - Shift document
+ * @param {Object} actor - { actorId, actorRole }
+ */
+const assertCanManage = (shift, actor) => {
+  if (actor.actorRole === 'employee' && shift.openedBy !== actor.actorId) {
+    throw new AppError('You can only manage your own shift', 403, 'shift_access_denied');
+  }
+};
+
+/**
+ * ShiftService provides methods for running and reconciling cash drawer shifts
+ */
+const ShiftService = {
+  /**
+   * Get the user's open shift in a shop, if any
+   * @param {string} shopId - Shop ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Additional options
+   * @param {mongoose.ClientSession} [options.session] - Existing transaction session
+   * @returns {Promise<Object|null>} Open shift
+   */
+  getOpenShift: async (shopId, userId, options = {}) => {
+    try {
+      return await Shift.findOne({ shopId, openedBy: userId, status: 'open' }).session(options.session || null);
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      logError(`Failed to get open shift for ${userId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to retrieve shift', 500, 'shift_retrieval_error');
+    }
+  },
+
+  /**
+   * Open a shift with the cash float placed in the drawer
+   * @param {string} shopId - Shop ID
+   * @param {Object} shiftData - { openingFloat, note }
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the cashier
+   * @param {string} [options.actorName] - Name of the cashier
+   * @returns {Promise<Object>} Opened shift
+   */
+  openShift: async (shopId, shiftData, options = {}) => {
+    try {
+      const existing = await ShiftService.getOpenShift(shopId, options.actorId);
+
+      if (existing) {
+        throw new AppError(`Shift ${existing.shiftId} is still open; close it first`, 409, 'shift_already_open');
+      }
+
+      const shiftId = await idGenerator.generateShiftId(Shift);
+
+      const shift = new Shift({
+        shiftId,
+        shopId,
+        openedBy: options.actorId,
+        openedByName: options.actorName,
+        openingFloat: roundAmount(shiftData.openingFloat),
+        openingNote: shiftData.note
+      });
+
+      await shift.save();
+
+      logSuccess(`Shift ${shiftId} opened with float ${shift.openingFloat} by ${options.actorId}`, 'ShiftService');
+      return shift;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError('A shift is already open for this user', 409, 'shift_already_open');
+      }
+
+      logError(`Failed to open shift for shop ${shopId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to open shift', 500, 'shift_open_error');
+    }
+  },
+
+  /**
+   * Get a shift by ID within a shop
+   * @param {string} shopId - Shop ID
+   * @param {string} shiftId - Shift ID
+   * @param {Object} [actor] - { actorId, actorRole } to restrict employees to their own shifts
+   * @returns {Promise<Object>} Shift
+   */
+  getShiftById: async (shopId, shiftId, actor = null) => {
+    try {
+      const shift = await Shift.findOne({ shiftId, shopId });
+
+      if (!shift) {
+        throw new AppError('Shift not found', 404, 'shift_not_found');
+      }
+
+      if (actor) {
+        assertCanManage(shift, actor);
+      }
+
+      return shift;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get shift ${shiftId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to retrieve shift', 500, 'shift_retrieval_error');
+    }
+  },
+
+  /**
+   * Work out the shift's takings and the cash that should be in the drawer
+   * @param {Object} shift - Shift document
+   * @returns {Promise<Object>} Summary with payment totals per method and expected cash
+   */
+  summarizeShift: async (shift) => {
+    try {
+      const [paymentTotals, salesTotals] = await Promise.all([
+        Payment.aggregate([
+          {
+            $match: {
+              shopId: shift.shopId,
+              shiftId: shift.shiftId,
+              status: { $in: COUNTED_PAYMENT_STATUSES },
+              isDeleted: false
+            }
+          },
+          { $group: { _id: '$method', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+          { $sort: { _id: 1 } }
+        ]),
+        Sale.aggregate([
+          { $match: { shopId: shift.shopId, shiftId: shift.shiftId, isDeleted: false } },
+          {
+            $group: {
+              _id: '$isCredit',
+              count: { $sum: 1 },
+              amount: { $sum: '$totalAmount' }
+            }
+          }
+        ])
+      ]);
+
+      const totals = paymentTotals.map(total => ({
+        method: total._id,
+        count: total.count,
+        amount: roundAmount(total.amount)
+      }));
+      const methodAmount = (method) => {
+        const total = totals.find(t => t.method === method);
+        return total ? total.amount : 0;
+      };
+
+      const paidSales = salesTotals.find(total => total._id === false) || { count: 0, amount: 0 };
+      const creditSales = salesTotals.find(total => total._id === true) || { count: 0, amount: 0 };
+
+      const cashTakings = methodAmount(CASH_METHOD);
+      const payIns = sumMovements(shift, 'pay-in');
+      const payOuts = sumMovements(shift, 'pay-out');
+      const refunds = sumMovements(shift, 'refund');
+
+      return {
+        openingFloat: shift.openingFloat,
+        paymentTotals: totals,
+        cashTakings,
+        evcPlusTakings: methodAmount('EVC Plus'),
+        payIns,
+        payOuts,
+        refunds,
+        expectedCash: roundAmount(shift.openingFloat + cashTakings + payIns - payOuts - refunds),
+        sales: {
+          count: paidSales.count + creditSales.count,
+          paidAmount: roundAmount(paidSales.amount),
+          creditCount: creditSales.count,
+          creditAmount: roundAmount(creditSales.amount)
+        }
+      };
+    } catch (error) {
+      logError(`Failed to summarize shift ${shift.shiftId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to summarize shift', 500, 'shift_summary_error');
+    }
+  },
+
+  /**
+   * Record cash put into or taken out of the drawer
+   * @param {string} shopId - Shop ID
+   * @param {string} shiftId - Shift ID
+   * @param {Object} movementData - { type: pay-in|pay-out, amount, reason }
+   * @param {Object} actor - { actorId, actorRole }
+   * @returns {Promise<Object>} { shift, summary }
+   */
+  recordCashMovement: async (shopId, shiftId, movementData, actor) => {
+    try {
+      const shift = await ShiftService.getShiftById(shopId, shiftId, actor);
+
+      if (shift.status !== 'open') {
+        throw new AppError('Cash can only be moved on an open shift', 400, 'shift_closed');
+      }
+
+      const amount = roundAmount(movementData.amount);
+
+      if (movementData.type === 'pay-out') {
+        const { expectedCash } = await ShiftService.summarizeShift(shift);
+
+        if (amount > expectedCash) {
+          throw new AppError(`Pay-out exceeds the ${expectedCash} expected in the drawer`, 400, 'insufficient_cash');
+        }
+      }
+
+      shift.cashMovements.push({
+        type: movementData.type,
+        amount,
+        reason: movementData.reason,
+        recordedBy: actor.actorId
+      });
+      await shift.save();
+
+      logInfo(`Shift ${shiftId}: ${movementData.type} of ${amount} by ${actor.actorId}`, 'ShiftService');
+      return { shift, summary: await ShiftService.summarizeShift(shift) };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to record cash movement on shift ${shiftId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to record cash movement', 500, 'shift_update_error');
+    }
+  },
+
+  /**
+   * Take a cash refund out of the cashier's open shift, if they have one
+   * Called from sale returns so refunds of earlier shifts' sales come out of today's drawer
+   * @param {string} shopId - Shop ID
+   * @param {string} userId - Cashier processing the refund
+   * @param {number} amount - Cash refunded
+   * @param {Object} reference - { type, id } of the return
+   * @param {Object} options - Additional options
+   * @param {mongoose.ClientSession} [options.session] - Existing transaction session
+   * @returns {Promise<Object|null>} Updated shift, or null when no shift is open
+   */
+  recordRefund: async (shopId, userId, amount, reference, options = {}) => {
+    try {
+      return await Shift.findOneAndUpdate(
+        { shopId, openedBy: userId, status: 'open' },
+        {
+          $push: {
+            cashMovements: {
+              type: 'refund',
+              amount: roundAmount(amount),
+              reason: `Refund on ${reference.type} ${reference.id}`,
+              reference,
+              recordedBy: userId,
+              recordedAt: new Date()
+            }
+          }
+        },
+        { new: true, session: options.session }
+      );
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to record refund on shift for ${userId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to record refund on shift', 500, 'shift_update_error');
+    }
+  },
+
+  /**
+   * Close a shift with the cash counted in the drawer
+   * Payment totals and the expected cash are frozen on the shift for later reports
+   * @param {string} shopId - Shop ID
+   * @param {string} shiftId - Shift ID
+   * @param {Object} closeData - { countedCash, note }
+   * @param {Object} actor - { actorId, actorRole }
+   * @returns {Promise<Object>} { shift, summary }
+   */
+  closeShift: async (shopId, shiftId, closeData, actor) => {
+    try {
+      const shift = await ShiftService.getShiftById(shopId, shiftId, actor);
+
+      if (shift.status !== 'open') {
+        throw new AppError('Shift is already closed', 400, 'shift_closed');
+      }
+
+      const summary = await ShiftService.summarizeShift(shift);
+      const countedCash = roundAmount(closeData.countedCash);
+
+      shift.status = 'closed';
+      shift.paymentTotals = summary.paymentTotals;
+      shift.expectedCash = summary.expectedCash;
+      shift.countedCash = countedCash;
+      shift.variance = roundAmount(countedCash - summary.expectedCash);
+      shift.closedBy = actor.actorId;
+      shift.closedAt = new Date();
+      shift.closingNote = closeData.note;
+      await shift.save();
+
+      logSuccess(
+        `Shift ${shiftId} closed by ${actor.actorId}: expected ${shift.expectedCash}, counted ${countedCash}, variance ${shift.variance}`,
+        'ShiftService'
+      );
+      return { shift, summary };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to close shift ${shiftId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to close shift', 500, 'shift_close_error');
+    }
+  },
+
+  /**
+   * List shifts with filtering and pagination
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Validated query parameters
+   * @param {Object} actor - { actorId, actorRole }; employees only see their own shifts
+   * @returns {Promise<Object>} Paginated shifts
+   */
+  getShifts: async (shopId, query = {}, actor = {}) => {
+    try {
+      const filter = { shopId };
+
+      if (actor.actorRole === 'employee') {
+        filter.openedBy = actor.actorId;
+      } else if (query.openedBy) {
+        filter.openedBy = query.openedBy;
+      }
+
+      if (query.status) {
+        filter.status = query.status;
+      }
+
+      if (query.startDate || query.endDate) {
+        filter.openedAt = {};
+
+        if (query.startDate) {
+          filter.openedAt.$gte = new Date(query.startDate);
+        }
+
+        if (query.endDate) {
+          filter.openedAt.$lte = new Date(query.endDate);
+        }
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { openedAt: -1 };
+
+      return await PaginationHelper.paginate(Shift, filter, options);
+    } catch (error) {
+      logError(`Failed to list shifts for shop ${shopId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to retrieve shifts', 500, 'shift_retrieval_error');
+    }
+  },
+
+  /**
+   * Summarize cash variances of closed shifts per cashier
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - { startDate, endDate, openedBy }
+   * @returns {Promise<Object>} { cashiers, totals }
+   */
+  getVarianceReport: async (shopId, query = {}) => {
+    try {
+      const match = { shopId, status: 'closed' };
+
+      if (query.openedBy) {
+        match.openedBy = query.openedBy;
+      }
+
+      if (query.startDate || query.endDate) {
+        match.closedAt = {};
+
+        if (query.startDate) {
+          match.closedAt.$gte = new Date(query.startDate);
+        }
+
+        if (query.endDate) {
+          match.closedAt.$lte = new Date(query.endDate);
+        }
+      }
+
+      const rows = await Shift.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$openedBy',
+            name: { $last: '$openedByName' },
+            shifts: { $sum: 1 },
+            expectedCash: { $sum: '$expectedCash' },
+            countedCash: { $sum: '$countedCash' },
+            variance: { $sum: '$variance' },
+            shortShifts: { $sum: { $cond: [{ $lt: ['$variance', 0] }, 1, 0] } },
+            overShifts: { $sum: { $cond: [{ $gt: ['$variance', 0] }, 1, 0] } },
+            largestShortage: { $min: '$variance' }
+          }
+        },
+        { $sort: { variance: 1 } }
+      ]);
+
+      const cashiers = rows.map(row => ({
+        userId: row._id,
+        name: row.name,
+        shifts: row.shifts,
+        expectedCash: roundAmount(row.expectedCash),
+        countedCash: roundAmount(row.countedCash),
+        variance: roundAmount(row.variance),
+        shortShifts: row.shortShifts,
+        overShifts: row.overShifts,
+        largestShortage: roundAmount(Math.min(0, row.largestShortage))
+      }));
+
+      const totals = cashiers.reduce((sum, cashier) => ({
+        shifts: sum.shifts + cashier.shifts,
+        expectedCash: roundAmount(sum.expectedCash + cashier.expectedCash),
+        countedCash: roundAmount(sum.countedCash + cashier.countedCash),
+        variance: roundAmount(sum.variance + cashier.variance)
+      }), { shifts: 0, expectedCash: 0, countedCash: 0, variance: 0 });
+
+      return { cashiers, totals };
+    } catch (error) {
+      logError(`Failed to build variance report for shop ${shopId}: ${error.message}`, 'ShiftService', error);
+      throw new AppError('Failed to build variance report', 500, 'shift_report_error');
+    }
+  }
+};
+
+module.exports = ShiftService;
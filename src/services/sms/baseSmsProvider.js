@@ -0,0 +1,85 @@
+const AppError = require('../../utils/core/AppError');
+
+/**
+ * GSM-7 characters that fit in a single-byte SMS segment
+ */
+const GSM_7_CHARS = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà^{}\\[~]|€';
+
+/**
+ * Base SMS provider that all drivers extend
+ * Drivers implement deliver(); segment counting and cost estimation are shared
+ */
+class BaseSmsProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {number} config.costPerSegment - Cost charged per SMS segment
+   */
+  constructor(config = {}) {
+    this.name = 'base';
+    this.costPerSegment = Number(config.costPerSegment) || 0;
+  }
+
+  /**
+   * Count the SMS segments a message will use
+   * GSM-7 messages fit 160 characters (153 when split); anything else is sent as
+   * UCS-2 at 70 characters (67 when split)
+   * @param {string} message - Message text
+   * @returns {number} Number of segments
+   */
+  countSegments(message = '') {
+    const isGsm = [...message].every(char => GSM_7_CHARS.includes(char));
+    const single = isGsm ? 160 : 70;
+    const multi = isGsm ? 153 : 67;
+
+    if (message.length <= single) {
+      return 1;
+    }
+
+    return Math.ceil(message.length / multi);
+  }
+
+  /**
+   * Estimate what a message will cost to send
+   * @param {string} message - Message text
+   * @returns {number} Estimated cost
+   */
+  estimateCost(message) {
+    return Math.round(this.countSegments(message) * this.costPerSegment * 10000) / 10000;
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} sms - SMS details
+   * @param {string} sms.to - Recipient phone number
+   * @param {string} sms.message - Message text
+   * @param {string} sms.senderId - Sender ID shown to the recipient
+   * @returns {Promise<Object>} { messageId, cost, segments, provider }
+   */
+  async send(sms) {
+    if (!sms.to || !sms.message) {
+      throw new AppError('SMS recipient and message are required', 400, 'invalid_sms');
+    }
+
+    const segments = this.countSegments(sms.message);
+    const result = await this.deliver({ ...sms, segments });
+
+    return {
+      messageId: result.messageId,
+      cost: result.cost !== undefined ? result.cost : this.estimateCost(sms.message),
+      segments,
+      provider: this.name
+    };
+  }
+
+  /**
+   * Deliver the message through the driver's transport
+   * @param {Object} sms - SMS details including segment count
+   * @returns {Promise<Object>} { messageId, cost? }
+   */
+  async deliver(sms) {
+    throw new AppError(`SMS provider "${this.name}" does not implement deliver()`, 500, 'sms_provider_error');
+  }
+}
+
+module.exports = BaseSmsProvider;
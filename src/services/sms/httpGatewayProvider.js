@@ -0,0 +1,84 @@
+const BaseSmsProvider = require('./baseSmsProvider');
+const { logInfo, logError } = require('../../utils/logger');
+const AppError = require('../../utils/core/AppError');
+
+/**
+ * SMS driver for carriers exposing a JSON HTTP gateway
+ * Sends { to, message, sender } with a bearer API key and reads back the message ID
+ * (and cost, when the gateway reports it)
+ */
+class HttpGatewayProvider extends BaseSmsProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.url - Gateway endpoint
+   * @param {string} config.apiKey - Gateway API key
+   * @param {number} config.timeoutMs - Request timeout in milliseconds
+   * @param {number} config.costPerSegment - Cost charged per SMS segment
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'http';
+    this.url = config.url;
+    this.apiKey = config.apiKey;
+    this.timeoutMs = Number(config.timeoutMs) || 10000;
+  }
+
+  /**
+   * Deliver the message through the HTTP gateway
+   * @param {Object} sms - SMS details
+   * @returns {Promise<Object>} { messageId, cost? }
+   */
+  async deliver(sms) {
+    if (!this.url || !this.apiKey) {
+      throw new AppError('SMS gateway is not configured', 500, 'service_unavailable');
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      logInfo(`Sending SMS to ${sms.to} via gateway (${sms.segments} segment(s))`, 'HttpGatewayProvider');
+
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          to: sms.to,
+          message: sms.message,
+          sender: sms.senderId
+        }),
+        signal: controller.signal
+      });
+
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new AppError(
+          `SMS gateway rejected the message: ${body.message || response.statusText}`,
+          502,
+          'sms_error'
+        );
+      }
+
+      return {
+        messageId: body.messageId || body.id || null,
+        cost: body.cost !== undefined ? Number(body.cost) : undefined
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      const reason = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+      logError(`SMS gateway request failed: ${reason}`, 'HttpGatewayProvider', error);
+      throw new AppError(`SMS gateway request failed: ${reason}`, 502, 'sms_error');
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = HttpGatewayProvider;
@@ -0,0 +1,164 @@
+/**
+ * SMS Services Index - Main entry point for SMS delivery
+ *
+ * Drivers are selected with SMS_PROVIDER:
+ * - http: JSON HTTP gateway (SMS_GATEWAY_URL, SMS_API_KEY)
+ * - file: append messages to a local outbox file (SMS_FILE_PATH)
+ * - console: log messages only
+ */
+const { ShopSetting } = require('../../models');
+const { logInfo, logError } = require('../../utils/logger');
+const AppError = require('../../utils/core/AppError');
+const BaseSmsProvider = require('./baseSmsProvider');
+const HttpGatewayProvider = require('./httpGatewayProvider');
+const LocalSmsProvider = require('./localSmsProvider');
+
+const DEFAULT_SENDER_ID = 'DeynCare';
+
+let activeProvider = null;
+
+/**
+ * Build the provider configured through the environment
+ * @returns {BaseSmsProvider} SMS provider
+ */
+const createProviderFromEnv = () => {
+  const driver = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+  const costPerSegment = process.env.SMS_COST_PER_SEGMENT;
+
+  switch (driver) {
+    case 'http':
+      return new HttpGatewayProvider({
+        url: process.env.SMS_GATEWAY_URL,
+        apiKey: process.env.SMS_API_KEY,
+        timeoutMs: process.env.SMS_GATEWAY_TIMEOUT_MS,
+        costPerSegment
+      });
+    case 'file':
+    case 'console':
+      return new LocalSmsProvider({
+        mode: driver,
+        filePath: process.env.SMS_FILE_PATH,
+        costPerSegment
+      });
+    default:
+      throw new AppError(`Unknown SMS provider: ${driver}`, 500, 'sms_provider_error');
+  }
+};
+
+/**
+ * SmsService provides a unified interface for sending SMS messages
+ */
+const SmsService = {
+  /**
+   * Get the active SMS provider, creating it from the environment on first use
+   * @returns {BaseSmsProvider} SMS provider
+   */
+  getProvider: () => {
+    if (!activeProvider) {
+      activeProvider = createProviderFromEnv();
+      logInfo(`SMS provider initialized: ${activeProvider.name}`, 'SmsService');
+    }
+
+    return activeProvider;
+  },
+
+  /**
+   * Replace the active provider (e.g. with a local driver in tests)
+   * @param {BaseSmsProvider|null} provider - Provider to use, or null to reload from the environment
+   */
+  useProvider: (provider) => {
+    if (provider && !(provider instanceof BaseSmsProvider)) {
+      throw new AppError('SMS provider must extend BaseSmsProvider', 500, 'sms_provider_error');
+    }
+
+    activeProvider = provider;
+  },
+
+  /**
+   * Resolve the sender ID for a shop
+   * Falls back to SMS_SENDER_ID and then the platform default
+   * @param {string} [shopId] - Shop ID
+   * @returns {Promise<string>} Sender ID
+   */
+  resolveSenderId: async (shopId) => {
+    if (shopId) {
+      const settings = await ShopSetting.findOne({ shopId }, { 'notifications.smsSenderId': 1 });
+      const shopSenderId = settings && settings.notifications && settings.notifications.smsSenderId;
+
+      if (shopSenderId) {
+        return shopSenderId;
+      }
+    }
+
+    return process.env.SMS_SENDER_ID || DEFAULT_SENDER_ID;
+  },
+
+  /**
+   * Send an SMS
+   * @param {Object} options - SMS options
+   * @param {string} options.to - Recipient phone number
+   * @param {string} options.message - Message text
+   * @param {string} [options.shopId] - Shop sending the message (for its sender ID)
+   * @param {string} [options.senderId] - Explicit sender ID
+   * @returns {Promise<Object>} { messageId, cost, segments, provider }
+   */
+  send: async (options) => {
+    const senderId = options.senderId || await SmsService.resolveSenderId(options.shopId);
+
+    try {
+      return await SmsService.getProvider().send({
+        to: options.to,
+        message: options.message,
+        senderId
+      });
+    } catch (error) {
+      logError(`Failed to send SMS to ${options.to}: ${error.message}`, 'SmsService', error);
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError('Failed to send SMS', 500, 'sms_error');
+    }
+  },
+
+  /**
+   * Deliver an SMS notification and record the provider details and cost on it
+   * @param {Object} notification - Notification document of type SMS
+   * @returns {Promise<Object>} Provider result
+   */
+  sendNotification: async (notification) => {
+    const result = await SmsService.send({
+      to: notification.recipient,
+      message: notification.message,
+      shopId: notification.shopId
+    });
+
+    notification.provider = {
+      name: result.provider,
+      messageId: result.messageId,
+      cost: result.cost
+    };
+    notification.status = 'sent';
+    notification.failureReason = undefined;
+    await notification.save();
+
+    return result;
+  },
+
+  /**
+   * Send a one-time verification code
+   * @param {string} phone - Recipient phone number
+   * @param {string} code - Verification code
+   * @param {number} expiresInMinutes - Code lifetime
+   * @returns {Promise<Object>} Provider result
+   */
+  sendVerificationCode: async (phone, code, expiresInMinutes = 10) => {
+    return SmsService.send({
+      to: phone,
+      message: `Your DeynCare verification code is ${code}. It expires in ${expiresInMinutes} minutes.`
+    });
+  }
+};
+
+module.exports = SmsService;
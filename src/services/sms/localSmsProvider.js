@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseSmsProvider = require('./baseSmsProvider');
+const { logInfo } = require('../../utils/logger');
+
+/**
+ * SMS driver for development and tests
+ * "file" mode appends each message as a JSON line to an outbox file;
+ * "console" mode only logs it. Nothing reaches a carrier.
+ */
+class LocalSmsProvider extends BaseSmsProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.mode - 'file' or 'console'
+   * @param {string} config.filePath - Outbox file used in file mode
+   * @param {number} config.costPerSegment - Cost charged per SMS segment
+   */
+  constructor(config = {}) {
+    super(config);
+    this.mode = config.mode === 'console' ? 'console' : 'file';
+    this.name = this.mode;
+    this.filePath = path.resolve(config.filePath || 'logs/sms-outbox.log');
+  }
+
+  /**
+   * Record the message locally
+   * @param {Object} sms - SMS details
+   * @returns {Promise<Object>} { messageId }
+   */
+  async deliver(sms) {
+    const messageId = `local_${crypto.randomBytes(8).toString('hex')}`;
+
+    logInfo(`[SMS ${this.mode}] ${sms.senderId || '-'} -> ${sms.to}: ${sms.message}`, 'LocalSmsProvider');
+
+    if (this.mode === 'file') {
+      const entry = {
+        messageId,
+        to: sms.to,
+        sender: sms.senderId,
+        message: sms.message,
+        segments: sms.segments,
+        sentAt: new Date().toISOString()
+      };
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    }
+
+    return { messageId };
+  }
+}
+
+module.exports = LocalSmsProvider;
@@ -0,0 +1,11 @@
+/**
+ * SMS Service - Main entry point
+ *
+ * This module re-exports the modular SMS service components
+ * from the sms/ directory, mirroring how emailService.js exposes email/.
+ */
+
+// Import the modular SMS service
+const SmsService = require('./sms');
+
+module.exports = SmsService;
@@ -0,0 +1,373 @@
+/**
+ * Stock Service
+ * Records every change to product stock as a movement in the stock ledger
+ */
+const { Product, StockMovement, ShopSetting } = require('../models');
+const NotificationService = require('./notificationService');
+const {
+  AppError,
+  idGenerator,
+  PaginationHelper,
+  TransactionHelper,
+  logInfo,
+  logError
+} = require('../utils');
+
+/**
+ * Movement types entered by hand, as opposed to those produced by sales and returns
+ */
+const MANUAL_MOVEMENT_TYPES = ['adjustment', 'receipt', 'damage', 'write-off'];
+
+/**
+ * Manual movements that correct or remove stock and so must be explained
+ */
+const CORRECTION_TYPES = ['adjustment', 'damage', 'write-off'];
+
+/**
+ * Work out the status a product should have for its new stock level
+ * @param {Object} product - Product after the stock change
+ * @returns {string} Product status
+ */
+const statusForStock = (product) => {
+  if (product.status === 'active' && product.stockQuantity <= 0) return 'outOfStock';
+  if (product.status === 'outOfStock' && product.stockQuantity > 0) return 'active';
+  return product.status;
+};
+
+/**
+ * Translate a manual movement request into signed stock changes
+ * @param {Object} data - Validated movement request
+ * @returns {Object} { quantity, damagedQuantity, countedQuantity }
+ */
+const resolveManualDeltas = (data) => {
+  switch (data.type) {
+    case 'receipt':
+      return { quantity: data.quantity, damagedQuantity: 0 };
+    case 'damage':
+      // Damaged goods leave sellable stock but stay on the books until written off
+      return { quantity: -data.quantity, damagedQuantity: data.quantity };
+    case 'write-off':
+      return data.from === 'sellable'
+        ? { quantity: -data.quantity, damagedQuantity: 0 }
+        : { quantity: 0, damagedQuantity: -data.quantity };
+    case 'adjustment':
+      return data.countedQuantity !== undefined
+        ? { countedQuantity: data.countedQuantity, damagedQuantity: 0 }
+        : { quantity: data.quantity, damagedQuantity: 0 };
+    default:
+      throw new AppError(`Unsupported movement type: ${data.type}`, 400, 'invalid_movement_type');
+  }
+};
+
+/**
+ * StockService provides methods for moving stock and reading the stock ledger
+ */
+const StockService = {
+  /**
+   * Apply stock changes to products and record them in the ledger
+   * Products without any history get an opening movement for their existing stock first,
+   * so the ledger always adds up to the stored quantities
+   * @param {string} shopId - Shop ID
+   * @param {Array<Object>} entries - Changes to apply
+   * @param {string} entries[].productId - Product ID
+   * @param {string} entries[].type - Movement type
+   * @param {number} [entries[].quantity] - Signed change to sellable stock
+   * @param {number} [entries[].damagedQuantity] - Signed change to damaged stock
+   * @param {number} [entries[].countedQuantity] - Counted stock; the change is derived from it
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user moving stock
+   * @param {mongoose.ClientSession} [options.session] - Session to join; the caller alerts on
+   *   lowStockProducts once its transaction commits
+   * @returns {Promise<Object>} { movements, products, lowStockProducts }
+   */
+  recordMovements: async (shopId, entries, options = {}) => {
+    try {
+      const result = await TransactionHelper.runInTransaction(async (session) => {
+        const docs = [];
+        const productsById = new Map();
+        const openedProducts = new Set();
+
+        for (const entry of entries) {
+          const product = await Product.findOne({
+            productId: entry.productId,
+            shopId,
+            isDeleted: false
+          }).session(session);
+
+          if (!product) {
+            throw new AppError(`Product not found: ${entry.productId}`, 404, 'product_not_found');
+          }
+
+          // Stock that existed before the ledger was introduced becomes the opening balance
+          if (!openedProducts.has(product.productId)) {
+            openedProducts.add(product.productId);
+
+            const hasHistory = await StockMovement.exists({ shopId, productId: product.productId }).session(session);
+            if (!hasHistory && (product.stockQuantity || product.damagedQuantity)) {
+              docs.push({
+                shopId,
+                productId: product.productId,
+                productName: product.name,
+                type: 'opening',
+                quantity: product.stockQuantity,
+                damagedQuantity: product.damagedQuantity || 0,
+                balanceAfter: product.stockQuantity,
+                damagedBalanceAfter: product.damagedQuantity || 0,
+                reason: 'Opening balance',
+                performedBy: 'system'
+              });
+            }
+          }
+
+          const quantity = entry.countedQuantity !== undefined
+            ? entry.countedQuantity - product.stockQuantity
+            : entry.quantity || 0;
+          const damagedQuantity = entry.damagedQuantity || 0;
+
+          if (quantity === 0 && damagedQuantity === 0) {
+            throw new AppError(`No stock change for ${product.name}`, 400, 'no_stock_change');
+          }
+
+          // Guard the decrement in the update itself so concurrent sales cannot oversell
+          const filter = { _id: product._id };
+          if (quantity < 0) {
+            filter.stockQuantity = { $gte: -quantity };
+          }
+          if (damagedQuantity < 0) {
+            filter.damagedQuantity = { $gte: -damagedQuantity };
+          }
+
+          const updated = await Product.findOneAndUpdate(
+            filter,
+            { $inc: { stockQuantity: quantity, damagedQuantity } },
+            { new: true, session }
+          );
+
+          if (!updated) {
+            const available = quantity < 0 ? product.stockQuantity : product.damagedQuantity || 0;
+            throw new AppError(
+              `Insufficient stock for ${product.name}: ${available} available`,
+              400,
+              'insufficient_stock'
+            );
+          }
+
+          const status = statusForStock(updated);
+          if (status !== updated.status) {
+            updated.status = status;
+            await Product.updateOne({ _id: updated._id }, { $set: { status } }, { session });
+          }
+
+          productsById.set(updated.productId, updated);
+
+          docs.push({
+            shopId,
+            productId: updated.productId,
+            productName: updated.name,
+            type: entry.type,
+            quantity,
+            damagedQuantity,
+            balanceAfter: updated.stockQuantity,
+            damagedBalanceAfter: updated.damagedQuantity,
+            unitCost: entry.unitCost,
+            supplier: entry.supplier,
+            reason: entry.reason,
+            note: entry.note,
+            reference: entry.reference,
+            performedBy: options.actorId || 'system'
+          });
+        }
+
+        const movementIds = await idGenerator.generateStockMovementIds(StockMovement, docs.length);
+        docs.forEach((doc, index) => {
+          doc.movementId = movementIds[index];
+        });
+
+        const movements = await StockMovement.insertMany(docs, { session });
+
+        const products = [...productsById.values()];
+        return { movements, products, lowStockProducts: products.filter(product => product.isLowStock()) };
+      }, { session: options.session });
+
+      if (!options.session) {
+        await StockService.notifyLowStock(result.lowStockProducts);
+      }
+
+      return result;
+    } catch (error) {
+      if (options.session && TransactionHelper.isTransientError(error)) {
+        throw error;
+      }
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      if (error.code === 11000) {
+        throw new AppError('Stock movement ID already exists, please retry', 409, 'duplicate_movement_id');
+      }
+
+      logError(`Failed to record stock movements for shop ${shopId}: ${error.message}`, 'StockService', error);
+      throw new AppError('Failed to record stock movement', 500, 'stock_movement_error');
+    }
+  },
+
+  /**
+   * Alert the shop about products a committed stock change left running low
+   * @param {Array<Object>} products - lowStockProducts returned by recordMovements
+   * @returns {Promise<void>}
+   */
+  notifyLowStock: async (products) => {
+    for (const product of products) {
+      await NotificationService.notifyLowStock(product);
+    }
+  },
+
+  /**
+   * Record a manual movement (adjustment, supplier receipt, damage or write-off)
+   * @param {string} shopId - Shop ID
+   * @param {string} productId - Product ID
+   * @param {Object} data - Validated movement request
+   * @param {Object} options - Additional options
+   * @param {string} options.actorId - ID of the user moving stock
+   * @returns {Promise<Object>} { movement, product }
+   */
+  recordManualMovement: async (shopId, productId, data, options = {}) => {
+    try {
+      if (!MANUAL_MOVEMENT_TYPES.includes(data.type)) {
+        throw new AppError(`Unsupported movement type: ${data.type}`, 400, 'invalid_movement_type');
+      }
+
+      if (CORRECTION_TYPES.includes(data.type) && !data.note) {
+        const settings = await ShopSetting.getByShopId(shopId);
+
+        if (settings.security && settings.security.requireNoteForAdjustments) {
+          throw new AppError('A note is required for stock adjustments', 400, 'note_required');
+        }
+      }
+
+      const { movements, products } = await StockService.recordMovements(shopId, [{
+        productId,
+        type: data.type,
+        ...resolveManualDeltas(data),
+        unitCost: data.unitCost,
+        supplier: data.supplier,
+        reason: data.reason,
+        note: data.note,
+        reference: data.reference
+      }], options);
+
+      const movement = movements[movements.length - 1];
+
+      logInfo(`Stock ${data.type} recorded for ${productId}: ${movement.quantity} (balance ${movement.balanceAfter}) by ${options.actorId || 'system'}`, 'StockService');
+      return { movement, product: products[0] };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to record stock movement for ${productId}: ${error.message}`, 'StockService', error);
+      throw new AppError('Failed to record stock movement', 500, 'stock_movement_error');
+    }
+  },
+
+  /**
+   * List stock movements with filtering and pagination
+   * @param {string} shopId - Shop ID
+   * @param {Object} query - Validated query parameters
+   * @returns {Promise<Object>} Paginated movements
+   */
+  getMovements: async (shopId, query = {}) => {
+    try {
+      const filter = { shopId };
+
+      if (query.productId) {
+        filter.productId = query.productId;
+      }
+
+      if (query.type) {
+        filter.type = query.type;
+      }
+
+      if (query.startDate || query.endDate) {
+        filter.performedAt = {};
+
+        if (query.startDate) {
+          filter.performedAt.$gte = new Date(query.startDate);
+        }
+
+        if (query.endDate) {
+          filter.performedAt.$lte = new Date(query.endDate);
+        }
+      }
+
+      const options = PaginationHelper.getPaginationOptions(query);
+      options.sort = options.sort || { performedAt: -1, _id: -1 };
+
+      return await PaginationHelper.paginate(StockMovement, filter, options);
+    } catch (error) {
+      logError(`Failed to list stock movements for shop ${shopId}: ${error.message}`, 'StockService', error);
+      throw new AppError('Failed to retrieve stock movements', 500, 'stock_movement_retrieval_error');
+    }
+  },
+
+  /**
+   * Compare a product's stored stock with the stock derived from its movements
+   * @param {string} shopId - Shop ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} Stored and derived quantities with any discrepancy
+   */
+  getStockSummary: async (shopId, productId) => {
+    try {
+      const product = await Product.findOne({ productId, shopId, isDeleted: false });
+
+      if (!product) {
+        throw new AppError('Product not found', 404, 'product_not_found');
+      }
+
+      const [totals] = await StockMovement.aggregate([
+        { $match: { shopId, productId } },
+        {
+          $group: {
+            _id: null,
+            stockQuantity: { $sum: '$quantity' },
+            damagedQuantity: { $sum: '$damagedQuantity' },
+            movementCount: { $sum: 1 },
+            lastMovementAt: { $max: '$performedAt' }
+          }
+        }
+      ]);
+
+      const derived = {
+        stockQuantity: totals ? totals.stockQuantity : 0,
+        damagedQuantity: totals ? totals.damagedQuantity : 0
+      };
+
+      const discrepancy = {
+        stockQuantity: product.stockQuantity - derived.stockQuantity,
+        damagedQuantity: (product.damagedQuantity || 0) - derived.damagedQuantity
+      };
+
+      return {
+        productId,
+        name: product.name,
+        stockQuantity: product.stockQuantity,
+        damagedQuantity: product.damagedQuantity || 0,
+        derived,
+        discrepancy,
+        inSync: discrepancy.stockQuantity === 0 && discrepancy.damagedQuantity === 0,
+        movementCount: totals ? totals.movementCount : 0,
+        lastMovementAt: totals ? totals.lastMovementAt : null
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      logError(`Failed to get stock summary for ${productId}: ${error.message}`, 'StockService', error);
+      throw new AppError('Failed to retrieve stock summary', 500, 'stock_movement_retrieval_error');
+    }
+  }
+};
+
+module.exports = StockService;
@@ -49,10 +49,25 @@ module.exports = {
   },
   
   generatePaymentId: async (Payment) => {
-    const lastPayment = await Payment.findOne({}, { paymentId: 1 }).sort({ createdAt: -1 });
+    // Split repayments insert payments that share a createdAt, so break ties on _id
+    const lastPayment = await Payment.findOne({}, { paymentId: 1 }).sort({ createdAt: -1, _id: -1 });
     const lastId = lastPayment ? parseInt(lastPayment.paymentId.replace('PAY', '')) : 0;
     return generateId('PAY', lastId);
   },
+
+  /**
+   * Reserve a run of sequential payment IDs
+   * Needed when several payments are created inside one transaction, where the
+   * uncommitted inserts are not visible to generatePaymentId
+   * @param {Object} Payment - Payment model
+   * @param {number} count - Number of IDs to generate
+   * @returns {Promise<Array<string>>} Payment IDs
+   */
+  generatePaymentIds: async (Payment, count) => {
+    const lastPayment = await Payment.findOne({}, { paymentId: 1 }).sort({ createdAt: -1, _id: -1 });
+    const lastId = lastPayment ? parseInt(lastPayment.paymentId.replace('PAY', '')) : 0;
+    return Array.from({ length: count }, (_, index) => generateId('PAY', lastId + index));
+  },
   
   generateSaleId: async (Sale) => {
     const lastSale = await Sale.findOne({}, { saleId: 1 }).sort({ createdAt: -1 });
@@ -66,6 +81,12 @@ module.exports = {
     return generateId('PRD', lastId);
   },
   
+  generateCategoryId: async (Category) => {
+    const lastCategory = await Category.findOne({}, { categoryId: 1 }).sort({ createdAt: -1 });
+    const lastId = lastCategory ? parseInt(lastCategory.categoryId.replace('CAT', '')) : 0;
+    return generateId('CAT', lastId);
+  },
+  
   generateNotificationId: async (Notification) => {
     const lastNotification = await Notification.findOne({}, { notificationId: 1 }).sort({ createdAt: -1 });
     const lastId = lastNotification ? parseInt(lastNotification.notificationId.replace('NTF', '')) : 0;
@@ -85,7 +106,8 @@ module.exports = {
   },
   
   generateFinancialSnapshotId: async (FinancialSnapshot) => {
-    const lastSnapshot = await FinancialSnapshot.findOne({}, { snapshotId: 1 }).sort({ generatedAt: -1 });
+    // Regenerating a snapshot refreshes generatedAt, so order by insertion instead
+    const lastSnapshot = await FinancialSnapshot.findOne({}, { snapshotId: 1 }).sort({ _id: -1 });
     const lastId = lastSnapshot ? parseInt(lastSnapshot.snapshotId.replace('FS', '')) : 0;
     return generateId('FS', lastId);
   },
@@ -94,5 +116,43 @@ module.exports = {
     const lastReport = await Report.findOne({}, { reportId: 1 }).sort({ generatedAt: -1 });
     const lastId = lastReport ? parseInt(lastReport.reportId.replace('REP', '')) : 0;
     return generateId('REP', lastId);
+  },
+  
+  generateLateFeeId: async (LateFee) => {
+    const lastFee = await LateFee.findOne({}, { feeId: 1 }).sort({ createdAt: -1 });
+    const lastId = lastFee ? parseInt(lastFee.feeId.replace('LFEE', '')) : 0;
+    return generateId('LFEE', lastId);
+  },
+
+  generateShiftId: async (Shift) => {
+    const lastShift = await Shift.findOne({}, { shiftId: 1 }).sort({ createdAt: -1 });
+    const lastId = lastShift ? parseInt(lastShift.shiftId.replace('SHIFT', '')) : 0;
+    return generateId('SHIFT', lastId);
+  },
+
+  generateReportScheduleId: async (ReportSchedule) => {
+    const lastSchedule = await ReportSchedule.findOne({}, { scheduleId: 1 }).sort({ createdAt: -1 });
+    const lastId = lastSchedule ? parseInt(lastSchedule.scheduleId.replace('RSCH', '')) : 0;
+    return generateId('RSCH', lastId);
+  },
+
+  generateCreditRequestId: async (CreditRequest) => {
+    const lastRequest = await CreditRequest.findOne({}, { requestId: 1 }).sort({ createdAt: -1 });
+    const lastId = lastRequest ? parseInt(lastRequest.requestId.replace('CRQ', '')) : 0;
+    return generateId('CRQ', lastId);
+  },
+
+  /**
+   * Reserve a run of sequential stock movement IDs
+   * A sale or return moves stock for several products inside one transaction
+   * @param {Object} StockMovement - StockMovement model
+   * @param {number} count - Number of IDs to generate
+   * @returns {Promise<Array<string>>} Movement IDs
+   */
+  generateStockMovementIds: async (StockMovement, count) => {
+    // Movements inserted together share a createdAt, so break ties on _id
+    const lastMovement = await StockMovement.findOne({}, { movementId: 1 }).sort({ createdAt: -1, _id: -1 });
+    const lastId = lastMovement ? parseInt(lastMovement.movementId.replace('SMOV', '')) : 0;
+    return Array.from({ length: count }, (_, index) => generateId('SMOV', lastId + index));
   }
 };
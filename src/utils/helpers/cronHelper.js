@@ -0,0 +1,128 @@
+/**
+ * Helper for the numeric five-field cron expressions report schedules use
+ * Validation and matching share one parser, so any expression that is accepted can be evaluated
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Allowed range of each field, in expression order
+ */
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // Sunday is both 0 and 7
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const NUMBER = /^\d+$/;
+
+/**
+ * Parse one cron field (e.g. "*", "1-5", "0,30", "0-59/15")
+ * @param {string} field - Cron field
+ * @param {number} min - Lowest value of the field
+ * @param {number} max - Highest value of the field
+ * @returns {Array<Object>|null} Parts of { low, high, step }, or null if the field is invalid
+ */
+const parseField = (field, min, max) => {
+  const parts = [];
+
+  for (const part of field.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || (stepText !== undefined && !NUMBER.test(stepText))) return null;
+
+    const step = stepText !== undefined ? parseInt(stepText, 10) : 1;
+    if (step < 1) return null;
+
+    let low = min;
+    let high = max;
+
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2 || !bounds.every(bound => NUMBER.test(bound))) return null;
+
+      low = parseInt(bounds[0], 10);
+      // "5/15" runs from 5 to the end of the range, as in cron
+      high = bounds.length === 2 ? parseInt(bounds[1], 10) : (stepText !== undefined ? max : low);
+    }
+
+    if (low < min || high > max || low > high) return null;
+
+    parts.push({ low, high, step });
+  }
+
+  return parts;
+};
+
+/**
+ * Check a value against a parsed field
+ * @param {Array<Object>} parts - Result of parseField
+ * @param {number} value - Current value of the field
+ * @returns {boolean} Whether the value matches
+ */
+const fieldMatches = (parts, value) => parts.some(({ low, high, step }) => (
+  value >= low && value <= high && (value - low) % step === 0
+));
+
+const CronHelper = {
+  /**
+   * Parse a numeric five-field cron expression
+   * @param {string} expression - "minute hour day-of-month month day-of-week"
+   * @returns {Object|null} Parsed fields keyed by name, or null if the expression is invalid
+   */
+  parse(expression) {
+    if (typeof expression !== 'string') return null;
+
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== FIELD_RANGES.length) return null;
+
+    const parsed = {};
+    for (const [index, { name, min, max }] of FIELD_RANGES.entries()) {
+      const parts = parseField(fields[index], min, max);
+      if (!parts) return null;
+
+      parsed[name] = { parts, restricted: fields[index] !== '*' };
+    }
+
+    return parsed;
+  },
+
+  /**
+   * Check whether an expression can be scheduled
+   * @param {string} expression - Cron expression
+   * @returns {boolean} Whether the expression is a valid numeric five-field expression
+   */
+  isValid(expression) {
+    return CronHelper.parse(expression) !== null;
+  },
+
+  /**
+   * Check whether an expression fires in the minute described by local calendar parts
+   * Day of month and day of week match either way when both are restricted, as in cron.
+   * Invalid expressions never fire.
+   * @param {string} expression - Cron expression
+   * @param {Object} parts - FormatHelper.getLocalParts result
+   * @returns {boolean} Whether the expression fires at that minute
+   */
+  matches(expression, parts) {
+    const parsed = CronHelper.parse(expression);
+    if (!parsed) return false;
+
+    const weekday = WEEKDAYS.indexOf(parts.weekday);
+    const dayOfMonthMatches = fieldMatches(parsed.dayOfMonth.parts, parts.day);
+    const dayOfWeekMatches = fieldMatches(parsed.dayOfWeek.parts, weekday)
+      || (weekday === 0 && fieldMatches(parsed.dayOfWeek.parts, 7));
+    const dayMatches = parsed.dayOfMonth.restricted && parsed.dayOfWeek.restricted
+      ? dayOfMonthMatches || dayOfWeekMatches
+      : dayOfMonthMatches && dayOfWeekMatches;
+
+    return fieldMatches(parsed.minute.parts, parts.minute)
+      && fieldMatches(parsed.hour.parts, parts.hour)
+      && fieldMatches(parsed.month.parts, parts.month)
+      && dayMatches;
+  }
+};
+
+module.exports = CronHelper;
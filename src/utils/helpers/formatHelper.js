@@ -0,0 +1,147 @@
+/**
+ * Helper for formatting amounts, dates and message templates
+ * according to a shop's display settings
+ */
+const FormatHelper = {
+  /**
+   * Format a currency amount using the shop's display settings
+   * @param {number} amount - Amount to format
+   * @param {Object} display - ShopSetting.display
+   * @returns {string} Formatted amount (e.g. "$1,250.00")
+   */
+  formatCurrency(amount, display = {}) {
+    const {
+      customCurrency = 'USD',
+      currencySymbolPosition = 'before',
+      thousandsSeparator = ',',
+      decimalSeparator = '.',
+      decimalPlaces = 2
+    } = display;
+
+    const value = Number(amount || 0);
+    const [whole, fraction] = Math.abs(value).toFixed(decimalPlaces).split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousandsSeparator);
+    const number = fraction ? `${grouped}${decimalSeparator}${fraction}` : grouped;
+    const symbol = customCurrency === 'USD' ? '$' : customCurrency;
+    const sign = value < 0 ? '-' : '';
+
+    return currencySymbolPosition === 'after'
+      ? `${sign}${number} ${symbol}`
+      : `${sign}${symbol}${number}`;
+  },
+
+  /**
+   * Format a date using the shop's display settings
+   * @param {Date|string} date - Date to format
+   * @param {Object} display - ShopSetting.display
+   * @returns {string} Formatted date
+   */
+  formatDate(date, display = {}) {
+    if (!date) return '';
+
+    const parts = FormatHelper.getLocalParts(new Date(date), display.timezone);
+    const day = String(parts.day).padStart(2, '0');
+    const month = String(parts.month).padStart(2, '0');
+
+    switch (display.dateFormat) {
+      case 'DD/MM/YYYY':
+        return `${day}/${month}/${parts.year}`;
+      case 'YYYY-MM-DD':
+        return `${parts.year}-${month}-${day}`;
+      default:
+        return `${month}/${day}/${parts.year}`;
+    }
+  },
+
+  /**
+   * Format the time of day using the shop's display settings
+   * @param {Date|string} date - Date to format
+   * @param {Object} display - ShopSetting.display
+   * @returns {string} Formatted time (e.g. "2:05 PM" or "14:05")
+   */
+  formatTime(date, display = {}) {
+    if (!date) return '';
+
+    const { hour, minute } = FormatHelper.getLocalParts(new Date(date), display.timezone);
+    const minutes = String(minute).padStart(2, '0');
+
+    if (display.timeFormat === '24h') {
+      return `${String(hour).padStart(2, '0')}:${minutes}`;
+    }
+
+    return `${hour % 12 || 12}:${minutes} ${hour < 12 ? 'AM' : 'PM'}`;
+  },
+
+  /**
+   * Break a date into calendar parts in a given timezone
+   * @param {Date} date - Date to convert
+   * @param {string} timezone - IANA timezone (defaults to UTC)
+   * @returns {Object} { year, month, day, hour, minute, weekday }
+   */
+  getLocalParts(date, timezone = 'UTC') {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'long',
+      hourCycle: 'h23'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      hour: parseInt(parts.hour, 10),
+      minute: parseInt(parts.minute, 10),
+      weekday: parts.weekday.toLowerCase()
+    };
+  },
+
+  /**
+   * Find the instant a calendar day starts in a given timezone
+   * Out-of-range months and days roll over like Date.UTC (e.g. day 0 is the previous month's last day)
+   * @param {number} year - Local year
+   * @param {number} month - Local month (1-12)
+   * @param {number} day - Local day of the month
+   * @param {string} timezone - IANA timezone (defaults to UTC)
+   * @returns {Date} Local midnight as a Date
+   */
+  getZonedDayStart(year, month, day, timezone = 'UTC') {
+    const target = Date.UTC(year, month - 1, day);
+    let instant = target;
+
+    // Shift by the zone's offset; a second pass settles days where the offset changes
+    for (let pass = 0; pass < 2; pass += 1) {
+      const parts = FormatHelper.getLocalParts(new Date(instant), timezone);
+      const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+      instant += target - local;
+    }
+
+    return new Date(instant);
+  },
+
+  /**
+   * Replace {{variable}} placeholders in a template
+   * Unknown placeholders are left untouched so missing data is visible
+   * @param {string} template - Template text
+   * @param {Object} data - Values keyed by placeholder name
+   * @returns {string} Rendered text
+   */
+  renderTemplate(template, data = {}) {
+    if (!template) return '';
+
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+      return data[key] !== undefined && data[key] !== null ? String(data[key]) : match;
+    });
+  }
+};
+
+module.exports = FormatHelper;
@@ -114,6 +114,126 @@ const LogHelper = {
     });
   },
 
+  /**
+   * Create a customer-related log entry
+   * @param {string} action - The customer action (create, update, delete, etc.)
+   * @param {string} customerId - Target customer ID
+   * @param {Object} actor - Actor performing the action
+   * @param {Object} details - Additional details
+   * @returns {Promise<Object|null>} Created log or null if creation failed
+   */
+  async createCustomerLog(action, customerId, actor, details = {}) {
+    return this.safeLog({
+      action,
+      actorId: actor.actorId || actor._id || 'system',
+      targetId: customerId,
+      role: actor.actorRole || actor.role || 'system',
+      module: 'customer',
+      shopId: actor.shopId || null,
+      details
+    });
+  },
+
+  /**
+   * Create a debt-related log entry
+   * @param {string} action - The debt action (create, repayment, delete, etc.)
+   * @param {string} debtId - Target debt ID
+   * @param {Object} actor - Actor performing the action
+   * @param {Object} details - Additional details
+   * @returns {Promise<Object|null>} Created log or null if creation failed
+   */
+  async createDebtLog(action, debtId, actor, details = {}) {
+    return this.safeLog({
+      action,
+      actorId: actor.actorId || actor._id || 'system',
+      targetId: debtId,
+      role: actor.actorRole || actor.role || 'system',
+      module: 'debt',
+      shopId: actor.shopId || null,
+      details
+    });
+  },
+
+  /**
+   * Create a product-related log entry
+   * @param {string} action - The product action (create, update, price change, etc.)
+   * @param {string} productId - Target product ID
+   * @param {Object} actor - Actor performing the action
+   * @param {Object} details - Additional details
+   * @returns {Promise<Object|null>} Created log or null if creation failed
+   */
+  async createProductLog(action, productId, actor, details = {}) {
+    return this.safeLog({
+      action,
+      actorId: actor.actorId || actor._id || 'system',
+      targetId: productId,
+      role: actor.actorRole || actor.role || 'system',
+      module: 'product',
+      shopId: actor.shopId || null,
+      details
+    });
+  },
+
+  /**
+   * Create a sale-related log entry
+   * @param {string} action - The sale action (create, return, etc.)
+   * @param {string} saleId - Target sale ID
+   * @param {Object} actor - Actor performing the action
+   * @param {Object} details - Additional details
+   * @returns {Promise<Object|null>} Created log or null if creation failed
+   */
+  async createSaleLog(action, saleId, actor, details = {}) {
+    return this.safeLog({
+      action,
+      actorId: actor.actorId || actor._id || 'system',
+      targetId: saleId,
+      role: actor.actorRole || actor.role || 'system',
+      module: 'sale',
+      shopId: actor.shopId || null,
+      details
+    });
+  },
+
+  /**
+   * Create a cash drawer shift log entry
+   * @param {string} action - The shift action (open, pay-in, close, etc.)
+   * @param {string} shiftId - Target shift ID
+   * @param {Object} actor - Actor performing the action
+   * @param {Object} details - Additional details
+   * @returns {Promise<Object|null>} Created log or null if creation failed
+   */
+  async createShiftLog(action, shiftId, actor, details = {}) {
+    return this.safeLog({
+      action,
+      actorId: actor.actorId || actor._id || 'system',
+      targetId: shiftId,
+      role: actor.actorRole || actor.role || 'system',
+      module: 'shift',
+      shopId: actor.shopId || null,
+      details
+    });
+  },
+
+  /**
+   * Create a notification-related log entry
+   * @param {string} action - The notification action (requeue, etc.)
+   * @param {string} targetId - Target notification ID or batch description
+   * @param {Object} actor - Actor performing the action
+   * @param {Object} details - Additional details
+   * @returns {Promise<Object|null>} Created log or null if creation failed
+   */
+  async createNotificationLog(action, targetId, actor, details = {}) {
+    return this.safeLog({
+      action,
+      actorId: actor.actorId || actor._id || 'system',
+      targetId,
+      role: actor.actorRole || actor.role || 'system',
+      module: 'notification',
+      shopId: actor.shopId || null,
+      details
+    });
+  },
+
   /**
    * Log a subscription-related event
    * @param {string} action - The subscription action
@@ -45,6 +45,19 @@ const ResponseHelper = {
     return res.status(statusCode).json(response);
   },
 
+  /**
+   * Send a rendered document (receipt, report file) instead of JSON
+   * @param {Object} res - Express response object
+   * @param {Object} document - { content, contentType, filename }
+   * @param {string} disposition - inline to display, attachment to download (default: inline)
+   */
+  document: (res, document, disposition = 'inline') => {
+    res.set('Content-Type', document.contentType);
+    res.set('Content-Disposition', `${disposition}; filename="${document.filename}"`);
+
+    return res.status(200).send(document.content);
+  },
+
   /**
    * Send a validation error response
    * @param {Object} res - Express response object
@@ -1,6 +1,7 @@
 const { Shop } = require('../../models');
 const { AppError } = require('../index');
 const { logError } = require('../logger.js');
+const FormatHelper = require('./formatHelper');
 
 /**
  * Helper for common shop operations and entity retrieval
@@ -236,6 +237,33 @@ const ShopHelper = {
     }
 
     return sanitized;
+  },
+
+  /**
+   * Check whether a shop is open at a given moment
+   * Shops without configured hours for the day are treated as open
+   * @param {Object} shop - Shop object from database
+   * @param {string} timezone - IANA timezone of the shop
+   * @param {Date} date - Moment to check (default: now)
+   * @returns {boolean} True if within operating hours
+   */
+  isWithinOperatingHours(shop, timezone, date = new Date()) {
+    const { weekday, hour, minute } = FormatHelper.getLocalParts(date, timezone);
+    const hours = shop && shop.businessDetails && shop.businessDetails.operatingHours
+      ? shop.businessDetails.operatingHours[weekday]
+      : null;
+
+    if (!hours || !hours.open || !hours.close) {
+      return true;
+    }
+
+    const toMinutes = (time) => {
+      const [h, m = '0'] = time.split(':');
+      return parseInt(h, 10) * 60 + parseInt(m, 10);
+    };
+
+    const now = hour * 60 + minute;
+    return now >= toMinutes(hours.open) && now < toMinutes(hours.close);
   }
 };
 
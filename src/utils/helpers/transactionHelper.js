@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Helper for running multi-document writes inside a MongoDB transaction
+ */
+const TransactionHelper = {
+  /**
+   * Run a unit of work inside a transaction
+   * Joins the caller's session when one is provided, so services can be composed
+   * into a larger transaction without committing early. A transaction this helper
+   * starts is run again when it aborts on a transient error such as a write conflict,
+   * so the work function must not depend on state it changed in an earlier attempt.
+   * @param {Function} work - Async function receiving the session
+   * @param {Object} options - Options
+   * @param {mongoose.ClientSession} [options.session] - Existing session to join
+   * @returns {Promise<*>} Result of the work function
+   */
+  async runInTransaction(work, options = {}) {
+    if (options.session) {
+      return work(options.session);
+    }
+
+    let result;
+
+    // Mongoose retries on TransientTransactionError and resets saved documents between attempts
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+
+    return result;
+  },
+
+  /**
+   * Check whether an error aborted a transaction that can be run again
+   * Services joined to a caller's session rethrow these as they are, so the
+   * session owner sees them and retries
+   * @param {Error} error - Error thrown inside a transaction
+   * @returns {boolean} Whether the transaction can be retried
+   */
+  isTransientError(error) {
+    return Boolean(error) && (
+      error.code === 112 ||
+      (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'))
+    );
+  }
+};
+
+module.exports = TransactionHelper;
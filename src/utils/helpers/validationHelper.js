@@ -104,6 +104,16 @@ const ValidationHelper = {
     return phone.replace(/\D/g, '');
   },
   
+  /**
+   * Escape user input for safe use inside a regular expression
+   * @param {string} value - Raw search text
+   * @returns {string} - Escaped text
+   */
+  escapeRegex: (value) => {
+    if (!value) return '';
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  },
+
   /**
    * Validate URL format
    * @param {string} url - URL to validate
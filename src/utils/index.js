@@ -26,6 +26,9 @@ const SubscriptionHelper = require('./helpers/subscriptionHelper');
 const PaginationHelper = require('./helpers/paginationHelper');
 const ValidationHelper = require('./helpers/validationHelper');
 const SettingsHelper = require('./helpers/settingsHelper');
+const TransactionHelper = require('./helpers/transactionHelper');
+const FormatHelper = require('./helpers/formatHelper');
+const CronHelper = require('./helpers/cronHelper');
 
 // Export logging utilities
 const logger = require('./logger.js');
@@ -72,6 +75,9 @@ module.exports.SubscriptionHelper = SubscriptionHelper;
 module.exports.PaginationHelper = PaginationHelper;
 module.exports.ValidationHelper = ValidationHelper;
 module.exports.SettingsHelper = SettingsHelper;
+module.exports.TransactionHelper = TransactionHelper;
+module.exports.FormatHelper = FormatHelper;
+module.exports.CronHelper = CronHelper;
 
 /**
  * Logging Utilities
@@ -116,6 +122,9 @@ module.exports = {
   PaginationHelper,
   ValidationHelper,
   SettingsHelper,
+  TransactionHelper,
+  FormatHelper,
+  CronHelper,
   
   // Logging
   logger,
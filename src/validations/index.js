@@ -11,6 +11,14 @@ const subscriptionSchemas = require('./schemas/subscriptionSchemas');
 const paymentSchemas = require('./schemas/paymentSchemas');
 const discountSchemas = require('./schemas/discountSchemas');
 const reportSchemas = require('./schemas/reportSchemas');
+const customerSchemas = require('./schemas/customerSchemas');
+const debtSchemas = require('./schemas/debtSchemas');
+const notificationSchemas = require('./schemas/notificationSchemas');
+const productSchemas = require('./schemas/productSchemas');
+const categorySchemas = require('./schemas/categorySchemas');
+const saleSchemas = require('./schemas/saleSchemas');
+const shiftSchemas = require('./schemas/shiftSchemas');
+const dashboardSchemas = require('./schemas/dashboardSchemas');
 
 module.exports = {
   // Schemas
@@ -20,5 +28,13 @@ module.exports = {
   subscriptionSchemas,
   paymentSchemas,
   discountSchemas,
-  reportSchemas
+  reportSchemas,
+  customerSchemas,
+  debtSchemas,
+  notificationSchemas,
+  productSchemas,
+  categorySchemas,
+  saleSchemas,
+  shiftSchemas,
+  dashboardSchemas
 };
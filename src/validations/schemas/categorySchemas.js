@@ -0,0 +1,100 @@
+const Joi = require('joi');
+
+/**
+ * Shared field rules for category payloads
+ */
+const categoryFields = {
+  name: Joi.string().trim().min(1).max(100)
+    .messages({
+      'string.max': 'Category name cannot exceed 100 characters',
+      'any.required': 'Category name is required'
+    }),
+  description: Joi.string().trim().max(500).allow(''),
+  parentId: Joi.string().trim().allow(null, ''),
+  sortOrder: Joi.number().integer().min(0)
+    .messages({
+      'number.min': 'Sort order cannot be negative'
+    }),
+  icon: Joi.string().trim().max(50).allow(null, '')
+    .messages({
+      'string.max': 'Icon cannot exceed 50 characters'
+    })
+};
+
+/**
+ * Product category validation schemas
+ */
+const categorySchemas = {
+  /**
+   * Schema for creating a category
+   */
+  createCategory: Joi.object({
+    shopId: Joi.string().optional(),
+    name: categoryFields.name.required(),
+    description: categoryFields.description.optional(),
+    parentId: categoryFields.parentId.optional(),
+    sortOrder: categoryFields.sortOrder.optional(),
+    icon: categoryFields.icon.optional()
+  }),
+
+  /**
+   * Schema for updating a category
+   * Setting parentId to null moves the category to the top level
+   */
+  updateCategory: Joi.object({
+    shopId: Joi.string().optional(),
+    name: categoryFields.name.optional(),
+    description: categoryFields.description.optional(),
+    parentId: categoryFields.parentId.optional(),
+    sortOrder: categoryFields.sortOrder.optional(),
+    icon: categoryFields.icon.optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  /**
+   * Schema for setting the display order of several categories
+   */
+  reorderCategories: Joi.object({
+    shopId: Joi.string().optional(),
+    items: Joi.array().items(
+      Joi.object({
+        categoryId: Joi.string().trim().required(),
+        sortOrder: categoryFields.sortOrder.required()
+      })
+    ).min(1).max(500).required()
+      .messages({
+        'array.max': 'Cannot reorder more than 500 categories at once',
+        'any.required': 'Items are required'
+      })
+  }),
+
+  /**
+   * Schema for query parameters when listing categories
+   */
+  listCategoriesQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    tree: Joi.boolean().optional(),
+    parentId: Joi.string().trim().allow('').optional(),
+    search: Joi.string().trim().max(100).optional()
+      .messages({
+        'string.max': 'Search query cannot exceed 100 characters'
+      })
+  }),
+
+  /**
+   * Schema for deleting a category
+   * Products move to reassignTo, or become uncategorized when it is omitted
+   */
+  deleteCategory: Joi.object({
+    shopId: Joi.string().optional(),
+    reassignTo: Joi.string().trim().allow(null, '').optional(),
+    reason: Joi.string().min(5).max(200).optional()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters'
+      })
+  })
+};
+
+module.exports = categorySchemas;
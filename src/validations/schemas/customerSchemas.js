@@ -0,0 +1,138 @@
+const Joi = require('joi');
+const patterns = require('../validationPatterns');
+
+/**
+ * Shared sub-schemas for customer payloads
+ */
+const detailedAddressSchema = Joi.object({
+  street: Joi.string().trim().max(200).allow(''),
+  city: Joi.string().trim().max(100).allow(''),
+  state: Joi.string().trim().max(100).allow(''),
+  zipCode: Joi.string().trim().max(20).allow(''),
+  country: Joi.string().trim().max(100).allow(''),
+  coordinates: Joi.object({
+    latitude: Joi.number().min(-90).max(90),
+    longitude: Joi.number().min(-180).max(180)
+  })
+});
+
+const contactPreferencesSchema = Joi.object({
+  allowSMS: Joi.boolean(),
+  allowEmail: Joi.boolean(),
+  allowPhoneCall: Joi.boolean()
+});
+
+/**
+ * Customer management validation schemas
+ */
+const customerSchemas = {
+  /**
+   * Schema for creating a customer
+   */
+  createCustomer: Joi.object({
+    shopId: Joi.string().optional(),
+    fullName: patterns.string.fullName.required(),
+    phone: patterns.string.phone.required(),
+    email: patterns.string.email.optional().allow(null, ''),
+    alternativePhone: patterns.string.phone.optional().allow(null, ''),
+    type: Joi.string().valid(...patterns.enums.customerType).optional()
+      .messages({
+        'any.only': 'Customer type must be one of: new, returning'
+      }),
+    category: Joi.string().valid(...patterns.enums.customerCategory).optional()
+      .messages({
+        'any.only': 'Category must be one of: regular, vip, wholesale, corporate, other'
+      }),
+    address: Joi.string().trim().max(200).allow('').optional(),
+    detailedAddress: detailedAddressSchema.optional(),
+    creditLimit: Joi.number().min(0).optional()
+      .messages({
+        'number.min': 'Credit limit cannot be negative'
+      }),
+    paymentTerms: Joi.number().integer().min(0).max(365).optional()
+      .messages({
+        'number.min': 'Payment terms cannot be negative',
+        'number.max': 'Payment terms cannot exceed 365 days'
+      }),
+    notes: Joi.string().trim().max(1000).allow('').optional(),
+    contactPreferences: contactPreferencesSchema.optional()
+  }),
+
+  /**
+   * Schema for updating a customer
+   */
+  updateCustomer: Joi.object({
+    shopId: Joi.string().optional(),
+    fullName: patterns.string.fullName.optional(),
+    phone: patterns.string.phone.optional(),
+    email: patterns.string.email.optional().allow(null, ''),
+    alternativePhone: patterns.string.phone.optional().allow(null, ''),
+    type: Joi.string().valid(...patterns.enums.customerType).optional()
+      .messages({
+        'any.only': 'Customer type must be one of: new, returning'
+      }),
+    category: Joi.string().valid(...patterns.enums.customerCategory).optional()
+      .messages({
+        'any.only': 'Category must be one of: regular, vip, wholesale, corporate, other'
+      }),
+    address: Joi.string().trim().max(200).allow('').optional(),
+    detailedAddress: detailedAddressSchema.optional(),
+    creditLimit: Joi.number().min(0).optional()
+      .messages({
+        'number.min': 'Credit limit cannot be negative'
+      }),
+    paymentTerms: Joi.number().integer().min(0).max(365).optional()
+      .messages({
+        'number.min': 'Payment terms cannot be negative',
+        'number.max': 'Payment terms cannot exceed 365 days'
+      }),
+    notes: Joi.string().trim().max(1000).allow('').optional(),
+    contactPreferences: contactPreferencesSchema.optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  /**
+   * Schema for query parameters when listing customers
+   */
+  listCustomersQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    search: Joi.string().trim().max(100).optional()
+      .messages({
+        'string.max': 'Search query cannot exceed 100 characters'
+      }),
+    category: Joi.string().valid(...patterns.enums.customerCategory).optional(),
+    type: Joi.string().valid(...patterns.enums.customerType).optional(),
+    riskLevel: Joi.string().valid('low', 'medium', 'high').optional()
+      .messages({
+        'any.only': 'Risk level must be one of: low, medium, high'
+      }),
+    hasBalance: Joi.boolean().optional(),
+    minBalance: Joi.number().min(0).optional(),
+    maxBalance: Joi.number().min(Joi.ref('minBalance')).optional()
+      .messages({
+        'number.min': 'Maximum balance must be greater than minimum balance'
+      }),
+    sortBy: Joi.string().valid('createdAt', 'fullName', 'outstandingBalance', 'riskScore', 'lastPurchaseDate').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
+  /**
+   * Schema for deleting a customer
+   */
+  deleteCustomer: Joi.object({
+    shopId: Joi.string().optional(),
+    reason: Joi.string().min(5).max(200).optional()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters'
+      })
+  })
+};
+
+module.exports = customerSchemas;
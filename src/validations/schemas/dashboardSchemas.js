@@ -0,0 +1,44 @@
+const Joi = require('joi');
+
+const DAILY_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTHLY_DATE = /^\d{4}-\d{2}$/;
+
+/**
+ * Snapshot date for the requested type: YYYY-MM-DD for daily, YYYY-MM for monthly
+ */
+const snapshotDate = Joi.when('type', {
+  is: 'monthly',
+  then: Joi.string().pattern(MONTHLY_DATE)
+    .messages({ 'string.pattern.base': 'Monthly snapshot dates must be in YYYY-MM format' }),
+  otherwise: Joi.string().pattern(DAILY_DATE)
+    .messages({ 'string.pattern.base': 'Daily snapshot dates must be in YYYY-MM-DD format' })
+});
+
+/**
+ * Dashboard validation schemas
+ */
+const dashboardSchemas = {
+  /**
+   * Schema for financial snapshot chart data
+   */
+  snapshotsQuery: Joi.object({
+    type: Joi.string().valid('daily', 'monthly').default('daily')
+      .messages({
+        'any.only': 'Snapshot type must be one of: daily, monthly'
+      }),
+    startDate: snapshotDate,
+    endDate: snapshotDate,
+    // SuperAdmins get platform totals when no shop is given
+    shopId: Joi.string().trim().optional()
+  }),
+
+  /**
+   * Schema for the debt aging analysis
+   */
+  agingQuery: Joi.object({
+    // SuperAdmins get the whole platform when no shop is given
+    shopId: Joi.string().trim().optional()
+  })
+};
+
+module.exports = dashboardSchemas;
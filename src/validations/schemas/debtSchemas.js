@@ -0,0 +1,397 @@
+const Joi = require('joi');
+const patterns = require('../validationPatterns');
+
+/**
+ * Installment schedule: a regular schedule (count, frequency and first due date, with
+ * optional per-installment amounts) or a custom list of amounts and due dates
+ */
+const installmentScheduleFields = {
+  count: Joi.number().integer().min(2).max(60)
+    .messages({
+      'number.min': 'A plan needs at least 2 installments',
+      'number.max': 'A plan cannot have more than 60 installments'
+    }),
+  frequency: Joi.string().valid(...patterns.enums.installmentFrequency)
+    .messages({
+      'any.only': `Frequency must be one of: ${patterns.enums.installmentFrequency.join(', ')}`
+    }),
+  firstDueDate: Joi.date().iso().min('now')
+    .messages({
+      'date.min': 'First due date must be in the future'
+    }),
+  amounts: Joi.array().items(Joi.number().positive().precision(2)).length(Joi.ref('count'))
+    .messages({
+      'array.length': 'Provide one amount per installment'
+    }),
+  installments: Joi.array().min(2).max(60).items(Joi.object({
+    amount: Joi.number().positive().precision(2).required()
+      .messages({
+        'any.required': 'Installment amount is required'
+      }),
+    dueDate: Joi.date().iso().min('now').required()
+      .messages({
+        'date.min': 'Installment due dates must be in the future',
+        'any.required': 'Installment due date is required'
+      })
+  }))
+};
+
+/**
+ * Require exactly one of the two schedule forms
+ * @param {Object} schema - Joi object schema with installmentScheduleFields
+ * @returns {Object} Joi object schema
+ */
+const requireOneSchedule = (schema) => schema
+  .xor('installments', 'count')
+  .with('count', ['frequency', 'firstDueDate'])
+  .without('installments', ['frequency', 'firstDueDate', 'amounts'])
+  .messages({
+    'object.missing': 'Provide either count, frequency and firstDueDate, or a list of installments',
+    'object.xor': 'Provide either count, frequency and firstDueDate, or a list of installments, not both',
+    'object.with': 'count, frequency and firstDueDate are required together',
+    'object.without': 'A custom list of installments cannot be combined with frequency, firstDueDate or amounts'
+  });
+
+/**
+ * Debt ledger validation schemas
+ */
+const debtSchemas = {
+  /**
+   * Schema for recording a new debt against a customer
+   */
+  createDebt: Joi.object({
+    shopId: Joi.string().optional(),
+    customerId: Joi.string().trim().required()
+      .messages({
+        'any.required': 'Customer ID is required'
+      }),
+    debtAmount: Joi.number().positive().precision(2).required()
+      .messages({
+        'number.positive': 'Debt amount must be greater than zero',
+        'any.required': 'Debt amount is required'
+      }),
+    dueDate: Joi.date().iso().greater('now').optional()
+      .messages({
+        'date.greater': 'Due date must be in the future'
+      }),
+    shortNote: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  /**
+   * Schema for updating debt details
+   * Amounts are changed through repayments, never edited directly
+   */
+  updateDebt: Joi.object({
+    shopId: Joi.string().optional(),
+    dueDate: Joi.date().iso().optional(),
+    shortNote: Joi.string().trim().max(500).allow('').optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  /**
+   * Schema for recording a repayment against a debt
+   */
+  recordRepayment: Joi.object({
+    shopId: Joi.string().optional(),
+    amount: Joi.number().positive().precision(2).required()
+      .messages({
+        'number.positive': 'Payment amount must be greater than zero',
+        'any.required': 'Payment amount is required'
+      }),
+    method: Joi.string().valid(...patterns.enums.recordedPaymentMethod).required()
+      .messages({
+        'any.only': `Payment method must be one of: ${patterns.enums.recordedPaymentMethod.join(', ')}`,
+        'any.required': 'Payment method is required'
+      }),
+    paymentDate: Joi.date().iso().max('now').optional()
+      .messages({
+        'date.max': 'Payment date cannot be in the future'
+      }),
+    referenceNumber: Joi.string().trim().max(100).allow('').optional(),
+    notes: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  /**
+   * Schema for a customer repayment allocated across open debts
+   */
+  applyRepayment: Joi.object({
+    shopId: Joi.string().optional(),
+    customerId: Joi.string().trim().optional(),
+    debtId: Joi.string().trim().optional(),
+    amount: Joi.number().positive().precision(2).required()
+      .messages({
+        'number.positive': 'Payment amount must be greater than zero',
+        'any.required': 'Payment amount is required'
+      }),
+    method: Joi.string().valid(...patterns.enums.recordedPaymentMethod).required()
+      .messages({
+        'any.only': `Payment method must be one of: ${patterns.enums.recordedPaymentMethod.join(', ')}`,
+        'any.required': 'Payment method is required'
+      }),
+    paymentDate: Joi.date().iso().max('now').optional()
+      .messages({
+        'date.max': 'Payment date cannot be in the future'
+      }),
+    referenceNumber: Joi.string().trim().max(100).allow('').optional(),
+    notes: Joi.string().trim().max(500).allow('').optional()
+  }).or('customerId', 'debtId').messages({
+    'object.missing': 'Either customerId or debtId is required'
+  }),
+
+  /**
+   * Schema for rejecting a pending repayment
+   */
+  rejectRepayment: Joi.object({
+    shopId: Joi.string().optional(),
+    reason: Joi.string().trim().min(5).max(200).required()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters',
+        'any.required': 'Rejection reason is required'
+      })
+  }),
+
+  /**
+   * Schema for approving a held or automatically declined credit request
+   */
+  approveCreditRequest: Joi.object({
+    shopId: Joi.string().optional(),
+    note: Joi.string().trim().min(5).max(200).optional()
+      .messages({
+        'string.min': 'Note must be at least 5 characters long',
+        'string.max': 'Note cannot exceed 200 characters'
+      })
+  }),
+
+  /**
+   * Schema for declining a pending credit request
+   */
+  declineCreditRequest: Joi.object({
+    shopId: Joi.string().optional(),
+    reason: Joi.string().trim().min(5).max(200).required()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters',
+        'any.required': 'Decline reason is required'
+      })
+  }),
+
+  /**
+   * Schema for query parameters when listing credit requests
+   */
+  listCreditRequestsQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    status: Joi.string().valid(...patterns.enums.creditRequestStatus).optional()
+      .messages({
+        'any.only': `Status must be one of: ${patterns.enums.creditRequestStatus.join(', ')}`
+      }),
+    customerId: Joi.string().trim().optional(),
+    requestType: Joi.string().valid('debt', 'credit-sale').optional()
+  }),
+
+  /**
+   * Schema for sending a debt to collections or reassigning its case
+   */
+  assignCollection: Joi.object({
+    shopId: Joi.string().optional(),
+    assignedTo: Joi.string().trim().optional(),
+    nextFollowUpAt: Joi.date().iso().min('now').optional()
+      .messages({
+        'date.min': 'Follow-up must be in the future'
+      }),
+    note: Joi.string().trim().max(500).optional()
+      .messages({
+        'string.max': 'Note cannot exceed 500 characters'
+      })
+  }),
+
+  /**
+   * Schema for logging a contact attempt on a collection case
+   */
+  logCollectionContact: Joi.object({
+    shopId: Joi.string().optional(),
+    channel: Joi.string().valid(...patterns.enums.collectionContactChannel).required()
+      .messages({
+        'any.only': `Channel must be one of: ${patterns.enums.collectionContactChannel.join(', ')}`,
+        'any.required': 'Contact channel is required'
+      }),
+    outcome: Joi.string().valid(...patterns.enums.collectionContactOutcome).required()
+      .messages({
+        'any.only': `Outcome must be one of: ${patterns.enums.collectionContactOutcome.join(', ')}`,
+        'any.required': 'Contact outcome is required'
+      }),
+    note: Joi.string().trim().max(500).optional()
+      .messages({
+        'string.max': 'Note cannot exceed 500 characters'
+      }),
+    contactedAt: Joi.date().iso().max('now').optional()
+      .messages({
+        'date.max': 'Contact time cannot be in the future'
+      }),
+    nextFollowUpAt: Joi.date().iso().min('now').optional()
+      .messages({
+        'date.min': 'Follow-up must be in the future'
+      })
+  }),
+
+  /**
+   * Schema for recording a promise to pay
+   */
+  recordPaymentPromise: Joi.object({
+    shopId: Joi.string().optional(),
+    amount: Joi.number().positive().precision(2).required()
+      .messages({
+        'number.positive': 'Promised amount must be greater than zero',
+        'any.required': 'Promised amount is required'
+      }),
+    promisedDate: Joi.date().iso().min('now').required()
+      .messages({
+        'date.min': 'Promised date must be in the future',
+        'any.required': 'Promised date is required'
+      }),
+    note: Joi.string().trim().max(500).optional()
+      .messages({
+        'string.max': 'Note cannot exceed 500 characters'
+      })
+  }),
+
+  /**
+   * Schema for scheduling a collection follow-up
+   */
+  scheduleFollowUp: Joi.object({
+    shopId: Joi.string().optional(),
+    followUpAt: Joi.date().iso().min('now').required()
+      .messages({
+        'date.min': 'Follow-up must be in the future',
+        'any.required': 'Follow-up date is required'
+      }),
+    note: Joi.string().trim().max(500).optional()
+      .messages({
+        'string.max': 'Note cannot exceed 500 characters'
+      })
+  }),
+
+  /**
+   * Schema for closing a collection case
+   */
+  resolveCollection: Joi.object({
+    shopId: Joi.string().optional(),
+    resolution: Joi.string().valid(...patterns.enums.collectionResolution).required()
+      .messages({
+        'any.only': `Resolution must be one of: ${patterns.enums.collectionResolution.join(', ')}`,
+        'any.required': 'Resolution is required'
+      }),
+    note: Joi.string().trim().min(5).max(500).required()
+      .messages({
+        'string.min': 'Note must be at least 5 characters long',
+        'string.max': 'Note cannot exceed 500 characters',
+        'any.required': 'Resolution note is required'
+      })
+  }),
+
+  /**
+   * Schema for query parameters when listing collections
+   */
+  listCollectionsQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    collectionStatus: Joi.string().valid(...patterns.enums.collectionStatus).optional()
+      .messages({
+        'any.only': `Collection status must be one of: ${patterns.enums.collectionStatus.join(', ')}`
+      }),
+    assignedTo: Joi.string().trim().optional(),
+    customerId: Joi.string().trim().optional(),
+    followUpDue: Joi.boolean().optional(),
+    sortBy: Joi.string().valid('dueDate', 'debtAmount', 'customerName', 'collectionCase.nextFollowUpAt', 'collectionCase.openedAt').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
+  /**
+   * Schema for splitting a debt into installments
+   */
+  createInstallmentPlan: requireOneSchedule(Joi.object({
+    shopId: Joi.string().optional(),
+    ...installmentScheduleFields
+  })),
+
+  /**
+   * Schema for rescheduling the open installments of a plan
+   */
+  rescheduleInstallmentPlan: requireOneSchedule(Joi.object({
+    shopId: Joi.string().optional(),
+    ...installmentScheduleFields,
+    reason: Joi.string().trim().min(5).max(200).required()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters',
+        'any.required': 'Reschedule reason is required'
+      })
+  })),
+
+  /**
+   * Schema for waiving a late fee
+   */
+  waiveLateFee: Joi.object({
+    shopId: Joi.string().optional(),
+    reason: Joi.string().trim().min(5).max(200).required()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters',
+        'any.required': 'Waiver reason is required'
+      })
+  }),
+
+  /**
+   * Schema for query parameters when listing debts
+   */
+  listDebtsQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    search: Joi.string().trim().max(100).optional()
+      .messages({
+        'string.max': 'Search query cannot exceed 100 characters'
+      }),
+    customerId: Joi.string().trim().optional(),
+    status: Joi.string().valid(...patterns.enums.debtStatus).optional()
+      .messages({
+        'any.only': `Status must be one of: ${patterns.enums.debtStatus.join(', ')}`
+      }),
+    isSettled: Joi.boolean().optional(),
+    overdue: Joi.boolean().optional(),
+    dueFrom: Joi.date().iso().optional(),
+    dueTo: Joi.date().iso().min(Joi.ref('dueFrom')).optional()
+      .messages({
+        'date.min': 'End date must be after start date'
+      }),
+    sortBy: Joi.string().valid('createdAt', 'dueDate', 'debtAmount', 'paidAmount', 'customerName').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
+  /**
+   * Schema for deleting a debt
+   */
+  deleteDebt: Joi.object({
+    shopId: Joi.string().optional(),
+    reason: Joi.string().min(5).max(200).optional()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters'
+      })
+  })
+};
+
+module.exports = debtSchemas;
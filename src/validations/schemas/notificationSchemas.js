@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const patterns = require('../validationPatterns');
+
+/**
+ * Notification validation schemas
+ */
+const notificationSchemas = {
+  /**
+   * Schema for listing the authenticated user's inbox
+   */
+  inboxQuery: Joi.object({
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    category: Joi.string().valid(...patterns.enums.notificationCategory).optional()
+      .messages({
+        'any.only': `Category must be one of: ${patterns.enums.notificationCategory.join(', ')}`
+      }),
+    unreadOnly: Joi.boolean().optional(),
+    sortBy: Joi.string().valid('createdAt', 'readAt').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
+  /**
+   * Schema for marking every inbox notification as read
+   */
+  markAllRead: Joi.object({
+    category: Joi.string().valid(...patterns.enums.notificationCategory).optional()
+      .messages({
+        'any.only': `Category must be one of: ${patterns.enums.notificationCategory.join(', ')}`
+      })
+  }),
+
+  /**
+   * Schema for listing failed notifications
+   */
+  listFailedQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    type: Joi.string().valid(...patterns.enums.notificationType).optional()
+      .messages({
+        'any.only': `Type must be one of: ${patterns.enums.notificationType.join(', ')}`
+      }),
+    category: Joi.string().valid(...patterns.enums.notificationCategory).optional()
+      .messages({
+        'any.only': `Category must be one of: ${patterns.enums.notificationCategory.join(', ')}`
+      }),
+    sortBy: Joi.string().valid('createdAt', 'updatedAt').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
+  /**
+   * Schema for re-queuing failed notifications in bulk
+   * Without notificationIds every failed notification in scope is re-queued
+   */
+  requeueFailed: Joi.object({
+    shopId: Joi.string().optional(),
+    notificationIds: Joi.array().items(Joi.string().trim()).min(1).max(500).optional()
+      .messages({
+        'array.max': 'Cannot re-queue more than 500 notifications at once'
+      }),
+    type: Joi.string().valid(...patterns.enums.notificationType).optional()
+      .messages({
+        'any.only': `Type must be one of: ${patterns.enums.notificationType.join(', ')}`
+      })
+  })
+};
+
+module.exports = notificationSchemas;
@@ -0,0 +1,239 @@
+const Joi = require('joi');
+const patterns = require('../validationPatterns');
+
+/**
+ * Shared field rules for product payloads
+ */
+const productFields = {
+  name: Joi.string().trim().min(1).max(150)
+    .messages({
+      'string.max': 'Product name cannot exceed 150 characters',
+      'any.required': 'Product name is required'
+    }),
+  description: Joi.string().trim().max(1000).allow(''),
+  price: Joi.number().min(0).precision(2)
+    .messages({
+      'number.min': 'Price cannot be negative',
+      'any.required': 'Price is required'
+    }),
+  cost: Joi.number().min(0).precision(2)
+    .messages({
+      'number.min': 'Cost cannot be negative',
+      'any.required': 'Cost is required'
+    }),
+  unit: Joi.string().trim().max(30).allow(''),
+  stockQuantity: Joi.number().min(0)
+    .messages({
+      'number.min': 'Stock quantity cannot be negative'
+    }),
+  lowStockThreshold: Joi.number().min(0)
+    .messages({
+      'number.min': 'Low stock threshold cannot be negative'
+    }),
+  categoryId: Joi.string().trim().allow(null),
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20)
+    .messages({
+      'array.max': 'A product cannot have more than 20 tags'
+    }),
+  sku: Joi.string().trim().max(64).allow(null, '')
+    .messages({
+      'string.max': 'SKU cannot exceed 64 characters'
+    }),
+  status: Joi.string().valid(...patterns.enums.productStatus)
+    .messages({
+      'any.only': `Status must be one of: ${patterns.enums.productStatus.join(', ')}`
+    })
+};
+
+/**
+ * Product catalog validation schemas
+ */
+const productSchemas = {
+  /**
+   * Schema for creating a product
+   */
+  createProduct: Joi.object({
+    shopId: Joi.string().optional(),
+    name: productFields.name.required(),
+    description: productFields.description.optional(),
+    price: productFields.price.required(),
+    cost: productFields.cost.required(),
+    unit: productFields.unit.optional(),
+    stockQuantity: productFields.stockQuantity.optional(),
+    lowStockThreshold: productFields.lowStockThreshold.optional(),
+    categoryId: productFields.categoryId.optional(),
+    tags: productFields.tags.optional(),
+    sku: productFields.sku.optional(),
+    status: productFields.status.optional()
+  }),
+
+  /**
+   * Schema for updating a product
+   */
+  updateProduct: Joi.object({
+    shopId: Joi.string().optional(),
+    name: productFields.name.optional(),
+    description: productFields.description.optional(),
+    price: productFields.price.optional(),
+    cost: productFields.cost.optional(),
+    unit: productFields.unit.optional(),
+    stockQuantity: Joi.forbidden()
+      .messages({
+        'any.unknown': 'Stock quantity can only be changed through stock movements'
+      }),
+    lowStockThreshold: productFields.lowStockThreshold.optional(),
+    categoryId: productFields.categoryId.optional(),
+    tags: productFields.tags.optional(),
+    sku: productFields.sku.optional(),
+    status: productFields.status.optional()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  }),
+
+  /**
+   * Schema for bulk price updates
+   * Either explicit prices per product, or a percentage/fixed adjustment applied to a selection
+   */
+  bulkUpdatePrices: Joi.object({
+    shopId: Joi.string().optional(),
+    updates: Joi.array().items(
+      Joi.object({
+        productId: Joi.string().trim().required(),
+        price: productFields.price.optional(),
+        cost: productFields.cost.optional()
+      }).or('price', 'cost').messages({
+        'object.missing': 'Each update must include a price or cost'
+      })
+    ).min(1).max(500)
+      .messages({
+        'array.max': 'Cannot update more than 500 products at once'
+      }),
+    adjustment: Joi.object({
+      type: Joi.string().valid('percentage', 'fixed').required(),
+      value: Joi.number().invalid(0).required()
+        .messages({
+          'any.invalid': 'Adjustment value cannot be zero'
+        }),
+      field: Joi.string().valid('price', 'cost').default('price'),
+      productIds: Joi.array().items(Joi.string().trim()).min(1).max(500).optional(),
+      categoryId: Joi.string().trim().optional()
+    })
+  }).xor('updates', 'adjustment').messages({
+    'object.xor': 'Provide either updates or adjustment, not both',
+    'object.missing': 'Either updates or adjustment is required'
+  }),
+
+  /**
+   * Schema for query parameters when listing products
+   */
+  listProductsQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    search: Joi.string().trim().max(100).optional()
+      .messages({
+        'string.max': 'Search query cannot exceed 100 characters'
+      }),
+    status: productFields.status.optional(),
+    categoryId: Joi.string().trim().optional(),
+    includeSubcategories: Joi.boolean().optional(),
+    tag: Joi.string().trim().optional(),
+    lowStock: Joi.boolean().optional(),
+    minPrice: Joi.number().min(0).optional(),
+    maxPrice: Joi.number().min(Joi.ref('minPrice')).optional()
+      .messages({
+        'number.min': 'Maximum price must be greater than minimum price'
+      }),
+    sortBy: Joi.string().valid('createdAt', 'name', 'price', 'stockQuantity', 'sku').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
+  /**
+   * Schema for recording a manual stock movement
+   * Adjustments take a signed quantity or the counted quantity; other types take a positive quantity
+   */
+  recordStockMovement: Joi.object({
+    shopId: Joi.string().optional(),
+    type: Joi.string().valid(...patterns.enums.manualStockMovementType).required()
+      .messages({
+        'any.only': `Movement type must be one of: ${patterns.enums.manualStockMovementType.join(', ')}`,
+        'any.required': 'Movement type is required'
+      }),
+    quantity: Joi.when('type', {
+      is: 'adjustment',
+      then: Joi.number().invalid(0),
+      otherwise: Joi.number().positive().required()
+    }).messages({
+      'any.invalid': 'Adjustment quantity cannot be zero',
+      'number.positive': 'Quantity must be greater than zero',
+      'any.required': 'Quantity is required'
+    }),
+    countedQuantity: Joi.when('type', {
+      is: 'adjustment',
+      then: Joi.number().min(0),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'number.min': 'Counted quantity cannot be negative',
+      'any.unknown': 'Counted quantity is only used for adjustments'
+    }),
+    from: Joi.when('type', {
+      is: 'write-off',
+      then: Joi.string().valid('damaged', 'sellable').default('damaged'),
+      otherwise: Joi.forbidden()
+    }),
+    unitCost: Joi.number().min(0).precision(2).optional(),
+    supplier: Joi.string().trim().max(150).optional(),
+    reason: Joi.string().trim().max(200).optional(),
+    note: Joi.string().trim().max(500).allow('').optional(),
+    reference: Joi.object({
+      type: Joi.string().trim().max(50).required(),
+      id: Joi.string().trim().max(100).required()
+    }).optional()
+  }).when(Joi.object({ type: Joi.valid('adjustment') }).unknown(), {
+    then: Joi.object().xor('quantity', 'countedQuantity').messages({
+      'object.xor': 'Provide either quantity or countedQuantity, not both',
+      'object.missing': 'Either quantity or countedQuantity is required'
+    })
+  }),
+
+  /**
+   * Schema for query parameters when listing stock movements
+   */
+  listStockMovementsQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    productId: Joi.string().trim().optional(),
+    type: Joi.string().valid(...patterns.enums.stockMovementType).optional()
+      .messages({
+        'any.only': `Movement type must be one of: ${patterns.enums.stockMovementType.join(', ')}`
+      }),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+      .messages({
+        'date.min': 'End date must be after start date'
+      }),
+    sortBy: Joi.string().valid('performedAt', 'quantity').optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').optional()
+  }),
+
+  /**
+   * Schema for deleting a product
+   */
+  deleteProduct: Joi.object({
+    shopId: Joi.string().optional(),
+    reason: Joi.string().min(5).max(200).optional()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 200 characters'
+      })
+  })
+};
+
+module.exports = productSchemas;
@@ -1,6 +1,104 @@
 const Joi = require('joi');
+const CronHelper = require('../../utils/helpers/cronHelper');
 const patterns = require('../validationPatterns');
 
+/**
+ * Fields shared by report schedule creation and updates
+ */
+const scheduleFields = {
+  reportType: Joi.string().valid(...patterns.enums.reportType)
+    .messages({
+      'any.only': `Report type must be one of: ${patterns.enums.reportType.join(', ')}`,
+      'any.required': 'Report type is required'
+    }),
+  format: Joi.string().valid('pdf', 'csv', 'excel')
+    .messages({
+      'any.only': 'Report format must be one of: pdf, csv, excel',
+      'any.required': 'Report format is required'
+    }),
+  title: Joi.string().min(3).max(100)
+    .messages({
+      'string.min': 'Title must be at least 3 characters long',
+      'string.max': 'Title cannot exceed 100 characters',
+      'any.required': 'Title is required'
+    }),
+  description: Joi.string().max(500).allow('').optional()
+    .messages({
+      'string.max': 'Description cannot exceed 500 characters'
+    }),
+  frequency: Joi.string().valid(...patterns.enums.reportScheduleFrequency)
+    .messages({
+      'any.only': `Frequency must be one of: ${patterns.enums.reportScheduleFrequency.join(', ')}`,
+      'any.required': 'Frequency is required'
+    }),
+  // Five numeric fields: minute hour day-of-month month day-of-week. Checked with the parser
+  // the scheduler matches with, so names and six-field expressions are rejected
+  cronExpression: Joi.string().trim()
+    .custom((value, helpers) => (CronHelper.isValid(value) ? value : helpers.error('string.pattern.base')))
+    .messages({
+      'string.pattern.base': 'Cron expression must have five numeric fields (minute hour day-of-month month day-of-week)',
+      'any.required': 'Cron expression is required for cron frequency',
+      'any.unknown': 'Cron expression is only used with cron frequency'
+    }),
+  dayOfWeek: Joi.number().integer().min(0).max(6)
+    .messages({
+      'number.min': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+      'number.max': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
+      'any.required': 'Day of week is required for weekly frequency'
+    }),
+  dayOfMonth: Joi.number().integer().min(1).max(31)
+    .messages({
+      'number.min': 'Day of month must be between 1 and 31',
+      'number.max': 'Day of month must be between 1 and 31',
+      'any.required': 'Day of month is required for monthly frequency'
+    }),
+  hour: Joi.number().integer().min(0).max(23)
+    .messages({
+      'number.min': 'Hour must be between 0 and 23',
+      'number.max': 'Hour must be between 0 and 23',
+      'any.required': 'Hour is required',
+      'any.unknown': 'Hour is not used with cron frequency'
+    }),
+  minute: Joi.number().integer().min(0).max(59)
+    .messages({
+      'number.min': 'Minute must be between 0 and 59',
+      'number.max': 'Minute must be between 0 and 59',
+      'any.unknown': 'Minute is not used with cron frequency'
+    }),
+  timezone: Joi.string().trim()
+    .custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+      } catch (error) {
+        return helpers.error('any.invalid');
+      }
+    })
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA timezone (e.g. Africa/Mogadishu)'
+    }),
+  recipients: Joi.array().items(
+    Joi.string().email().required()
+  ).min(1)
+    .messages({
+      'array.min': 'At least one recipient is required',
+      'any.required': 'Recipients are required',
+      'string.email': 'Invalid email address'
+    }),
+  subject: Joi.string().max(100).optional()
+    .messages({
+      'string.max': 'Subject cannot exceed 100 characters'
+    }),
+  message: Joi.string().max(1000).optional()
+    .messages({
+      'string.max': 'Message cannot exceed 1000 characters'
+    }),
+  period: Joi.string().valid('day', 'week', 'month').optional()
+    .messages({
+      'any.only': 'Period must be one of: day, week, month'
+    })
+};
+
 /**
  * Report validation schemas
  */
@@ -16,9 +114,9 @@ const reportSchemas = {
         'string.max': 'Title cannot exceed 100 characters',
         'any.required': 'Title is required'
       }),
-    type: Joi.string().valid('debt', 'sales', 'ml-risk', 'pos-profit').required()
+    type: Joi.string().valid(...patterns.enums.reportType).required()
       .messages({
-        'any.only': 'Report type must be one of: debt, sales, ml-risk, pos-profit',
+        'any.only': `Report type must be one of: ${patterns.enums.reportType.join(', ')}`,
         'any.required': 'Report type is required'
       }),
     format: Joi.string().valid('pdf', 'csv', 'excel').required()
@@ -49,8 +147,16 @@ const reportSchemas = {
           'date.format': 'End date must be in ISO format',
           'date.min': 'End date must be after start date'
         }),
-      filters: Joi.object().optional()
-    }).optional()
+      // Customer statements are always for one customer
+      filters: Joi.object({
+        customerId: Joi.string().trim()
+          .when(Joi.ref('/type'), { is: 'customer-statement', then: Joi.required() })
+          .messages({
+            'any.required': 'A customer statement needs filters.customerId'
+          })
+      }).unknown(true)
+        .when(Joi.ref('/type'), { is: 'customer-statement', then: Joi.required() })
+    }).when('type', { is: 'customer-statement', then: Joi.required(), otherwise: Joi.optional() })
   }),
 
   /**
@@ -64,9 +170,9 @@ const reportSchemas = {
         'string.max': 'Title cannot exceed 100 characters',
         'any.required': 'Title is required'
       }),
-    type: Joi.string().valid('debt', 'sales', 'ml-risk', 'pos-profit').required()
+    type: Joi.string().valid(...patterns.enums.reportType).required()
       .messages({
-        'any.only': 'Report type must be one of: debt, sales, ml-risk, pos-profit',
+        'any.only': `Report type must be one of: ${patterns.enums.reportType.join(', ')}`,
         'any.required': 'Report type is required'
       }),
     format: Joi.string().valid('pdf', 'csv', 'excel').required()
@@ -89,7 +195,15 @@ const reportSchemas = {
         'date.format': 'End date must be in ISO format',
         'date.min': 'End date must be after start date'
       }),
-    filters: Joi.object().optional()
+    // Customer statements are always for one customer
+    filters: Joi.object({
+      customerId: Joi.string().trim()
+        .when('...type', { is: 'customer-statement', then: Joi.required() })
+        .messages({
+          'any.required': 'A customer statement needs filters.customerId'
+        })
+    }).unknown(true)
+      .when('type', { is: 'customer-statement', then: Joi.required(), otherwise: Joi.optional() })
   }),
 
   /**
@@ -109,9 +223,9 @@ const reportSchemas = {
         'number.min': 'Limit must be at least 1',
         'number.max': 'Limit cannot exceed 100'
       }),
-    type: Joi.string().valid('debt', 'sales', 'ml-risk', 'pos-profit').optional()
+    type: Joi.string().valid(...patterns.enums.reportType).optional()
       .messages({
-        'any.only': 'Report type must be one of: debt, sales, ml-risk, pos-profit'
+        'any.only': `Report type must be one of: ${patterns.enums.reportType.join(', ')}`
       }),
     format: Joi.string().valid('pdf', 'csv', 'excel').optional()
       .messages({
@@ -160,81 +274,79 @@ const reportSchemas = {
   /**
    * Schema for scheduling periodic report delivery
    */
-  scheduleReportDelivery: Joi.object({
-    reportType: Joi.string().valid('debt', 'sales', 'ml-risk', 'pos-profit').required()
-      .messages({
-        'any.only': 'Report type must be one of: debt, sales, ml-risk, pos-profit',
-        'any.required': 'Report type is required'
-      }),
-    format: Joi.string().valid('pdf', 'csv', 'excel').required()
-      .messages({
-        'any.only': 'Report format must be one of: pdf, csv, excel',
-        'any.required': 'Report format is required'
-      }),
-    title: Joi.string().min(3).max(100).required()
-      .messages({
-        'string.min': 'Title must be at least 3 characters long',
-        'string.max': 'Title cannot exceed 100 characters',
-        'any.required': 'Title is required'
-      }),
-    description: Joi.string().max(500).allow('').optional()
+  createReportSchedule: Joi.object({
+    ...scheduleFields,
+    reportType: scheduleFields.reportType.required(),
+    format: scheduleFields.format.required(),
+    title: scheduleFields.title.required(),
+    // Admins always schedule for their own shop
+    shopId: Joi.string().trim().optional(),
+    isSystemWide: Joi.boolean().default(false),
+    frequency: scheduleFields.frequency.required(),
+    cronExpression: scheduleFields.cronExpression
+      .when('frequency', { is: 'cron', then: Joi.required(), otherwise: Joi.forbidden() }),
+    dayOfWeek: scheduleFields.dayOfWeek
+      .when('frequency', { is: 'weekly', then: Joi.required() }),
+    dayOfMonth: scheduleFields.dayOfMonth
+      .when('frequency', { is: 'monthly', then: Joi.required() }),
+    hour: scheduleFields.hour
+      .when('frequency', { is: 'cron', then: Joi.forbidden(), otherwise: Joi.required() }),
+    minute: scheduleFields.minute
+      .when('frequency', { is: 'cron', then: Joi.forbidden(), otherwise: Joi.optional() }),
+    recipients: scheduleFields.recipients.required(),
+    parameters: Joi.object({
+      period: scheduleFields.period,
+      // Customer statements are always for one customer
+      filters: Joi.object({
+        customerId: Joi.string().trim()
+          .when(Joi.ref('/reportType'), { is: 'customer-statement', then: Joi.required() })
+          .messages({
+            'any.required': 'A customer statement needs filters.customerId'
+          })
+      }).unknown(true)
+        .when(Joi.ref('/reportType'), { is: 'customer-statement', then: Joi.required() })
+    }).when('reportType', { is: 'customer-statement', then: Joi.required(), otherwise: Joi.optional() })
+  }),
+
+  /**
+   * Schema for updating a report delivery schedule
+   * Frequency-specific fields are checked against the merged schedule by the service
+   */
+  updateReportSchedule: Joi.object({
+    ...scheduleFields,
+    parameters: Joi.object({
+      period: scheduleFields.period,
+      filters: Joi.object().unknown(true).optional()
+    }).optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1)
+    .messages({
+      'object.min': 'At least one field must be provided'
+    }),
+
+  /**
+   * Schema for listing report delivery schedules
+   */
+  listReportSchedulesQuery: Joi.object({
+    page: Joi.number().integer().min(1).optional()
       .messages({
-        'string.max': 'Description cannot exceed 500 characters'
+        'number.base': 'Page must be a number',
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
       }),
-    shopId: Joi.string().when('isSystemWide', {
-      is: Joi.boolean().valid(true),
-      then: Joi.optional(),
-      otherwise: Joi.string().when('$role', {
-        is: 'superAdmin',
-        then: Joi.string().required(),
-        otherwise: Joi.forbidden()
-      })
-    }).messages({
-      'any.required': 'Shop ID is required unless creating a system-wide report'
-    }),
-    isSystemWide: Joi.boolean().default(false),
-    frequency: Joi.string().valid('daily', 'weekly', 'monthly').required()
+    limit: Joi.number().integer().min(1).max(100).optional()
       .messages({
-        'any.only': 'Frequency must be one of: daily, weekly, monthly',
-        'any.required': 'Frequency is required'
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100'
       }),
-    dayOfWeek: Joi.when('frequency', {
-      is: 'weekly',
-      then: Joi.number().integer().min(0).max(6).required()
-        .messages({
-          'number.min': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
-          'number.max': 'Day of week must be between 0 (Sunday) and 6 (Saturday)',
-          'any.required': 'Day of week is required for weekly frequency'
-        }),
-      otherwise: Joi.optional()
-    }),
-    dayOfMonth: Joi.when('frequency', {
-      is: 'monthly',
-      then: Joi.number().integer().min(1).max(31).required()
-        .messages({
-          'number.min': 'Day of month must be between 1 and 31',
-          'number.max': 'Day of month must be between 1 and 31',
-          'any.required': 'Day of month is required for monthly frequency'
-        }),
-      otherwise: Joi.optional()
-    }),
-    hour: Joi.number().integer().min(0).max(23).required()
+    shopId: Joi.string().optional(),
+    reportType: Joi.string().valid(...patterns.enums.reportType).optional()
       .messages({
-        'number.min': 'Hour must be between 0 and 23',
-        'number.max': 'Hour must be between 0 and 23',
-        'any.required': 'Hour is required'
+        'any.only': `Report type must be one of: ${patterns.enums.reportType.join(', ')}`
       }),
-    recipients: Joi.array().items(
-      Joi.string().email().required()
-    ).min(1).required()
-    .messages({
-      'array.min': 'At least one recipient is required',
-      'any.required': 'Recipients are required',
-      'string.email': 'Invalid email address'
-    }),
-    parameters: Joi.object({
-      filters: Joi.object().optional()
-    }).optional()
+    isActive: Joi.boolean().optional()
   })
 };
 
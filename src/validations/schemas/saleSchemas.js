@@ -0,0 +1,121 @@
+const Joi = require('joi');
+const patterns = require('../validationPatterns');
+
+/**
+ * Point-of-sale validation schemas
+ */
+const saleSchemas = {
+  /**
+   * Schema for ringing up a sale
+   * Paid sales need a payment method; credit sales need a customer and become a debt
+   */
+  createSale: Joi.object({
+    shopId: Joi.string().optional(),
+    items: Joi.array().items(
+      Joi.object({
+        productId: Joi.string().trim().required(),
+        quantity: Joi.number().positive().required()
+          .messages({
+            'number.positive': 'Quantity must be greater than zero',
+            'any.required': 'Quantity is required'
+          }),
+        price: Joi.number().min(0).precision(2).optional(),
+        discount: Joi.number().min(0).precision(2).optional()
+          .messages({
+            'number.min': 'Discount cannot be negative'
+          }),
+        taxRate: Joi.number().min(0).max(100).optional()
+          .messages({
+            'number.max': 'Tax rate cannot exceed 100%'
+          })
+      })
+    ).min(1).max(200).required()
+      .messages({
+        'array.min': 'A sale must contain at least one item',
+        'array.max': 'A sale cannot contain more than 200 items',
+        'any.required': 'Items are required'
+      }),
+    customerId: Joi.string().trim().optional(),
+    customerName: Joi.string().trim().max(100).optional(),
+    customerPhone: patterns.string.phone.optional(),
+    isCredit: Joi.boolean().default(false),
+    dueDate: Joi.date().iso().min('now').optional()
+      .messages({
+        'date.min': 'Due date cannot be in the past'
+      }),
+    paymentMethod: Joi.string().valid(...patterns.enums.recordedPaymentMethod)
+      .when('isCredit', {
+        is: true,
+        then: Joi.forbidden(),
+        otherwise: Joi.required()
+      })
+      .messages({
+        'any.only': `Payment method must be one of: ${patterns.enums.recordedPaymentMethod.join(', ')}`,
+        'any.required': 'Payment method is required',
+        'any.unknown': 'Credit sales are settled through the debt ledger and take no payment method'
+      }),
+    paymentDetails: Joi.object({
+      amountTendered: Joi.number().min(0).precision(2).optional(),
+      transactionId: Joi.string().trim().max(50).optional(),
+      mobileNumber: Joi.string().trim().max(20).optional(),
+      cardType: Joi.string().trim().max(30).optional(),
+      last4Digits: Joi.string().pattern(/^\d{4}$/).optional()
+        .messages({
+          'string.pattern.base': 'Last 4 digits must be exactly 4 numbers'
+        })
+    }).optional(),
+    discountCode: Joi.string().trim().max(30).optional(),
+    note: Joi.string().trim().max(500).allow('').optional(),
+    channel: Joi.string().valid('pos', 'online', 'phone', 'other').optional(),
+    tags: Joi.array().items(Joi.string().trim().max(50)).max(20).optional()
+  }),
+
+  /**
+   * Schema for returning items from a sale
+   * Restocked items go back on sale; damaged items go to the product's damaged stock
+   */
+  returnSale: Joi.object({
+    shopId: Joi.string().optional(),
+    items: Joi.array().items(
+      Joi.object({
+        productId: Joi.string().trim().required(),
+        quantity: Joi.number().positive().required()
+          .messages({
+            'number.positive': 'Quantity must be greater than zero',
+            'any.required': 'Quantity is required'
+          }),
+        condition: Joi.string().valid(...patterns.enums.returnCondition).default('restock')
+          .messages({
+            'any.only': `Condition must be one of: ${patterns.enums.returnCondition.join(', ')}`
+          })
+      })
+    ).min(1).unique('productId').required()
+      .messages({
+        'array.min': 'At least one item must be returned',
+        'array.unique': 'Each product can only appear once in a return',
+        'any.required': 'Items are required'
+      }),
+    reason: Joi.string().trim().min(3).max(200).optional()
+      .messages({
+        'string.min': 'Reason must be at least 3 characters long',
+        'string.max': 'Reason cannot exceed 200 characters'
+      })
+  }),
+
+  /**
+   * Schema for query parameters when rendering a sale or payment receipt
+   */
+  receiptQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    format: Joi.string().valid(...patterns.enums.receiptFormat).default('text')
+      .messages({
+        'any.only': `Format must be one of: ${patterns.enums.receiptFormat.join(', ')}`
+      }),
+    width: Joi.string().valid(...patterns.enums.receiptWidth).default('80mm')
+      .messages({
+        'any.only': `Paper width must be one of: ${patterns.enums.receiptWidth.join(', ')}`
+      })
+  })
+};
+
+module.exports = saleSchemas;
@@ -0,0 +1,90 @@
+const Joi = require('joi');
+const patterns = require('../validationPatterns');
+
+/**
+ * Cash drawer shift validation schemas
+ */
+const shiftSchemas = {
+  /**
+   * Schema for opening a shift
+   */
+  openShift: Joi.object({
+    shopId: Joi.string().optional(),
+    openingFloat: Joi.number().min(0).precision(2).required()
+      .messages({
+        'number.min': 'Opening float cannot be negative',
+        'any.required': 'Opening float is required'
+      }),
+    note: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  /**
+   * Schema for a pay-in or pay-out during a shift
+   */
+  recordCashMovement: Joi.object({
+    shopId: Joi.string().optional(),
+    type: Joi.string().valid(...patterns.enums.shiftCashMovementType).required()
+      .messages({
+        'any.only': `Type must be one of: ${patterns.enums.shiftCashMovementType.join(', ')}`,
+        'any.required': 'Type is required'
+      }),
+    amount: Joi.number().positive().precision(2).required()
+      .messages({
+        'number.positive': 'Amount must be greater than zero',
+        'any.required': 'Amount is required'
+      }),
+    reason: Joi.string().trim().min(3).max(200).required()
+      .messages({
+        'string.min': 'Reason must be at least 3 characters long',
+        'string.max': 'Reason cannot exceed 200 characters',
+        'any.required': 'Reason is required'
+      })
+  }),
+
+  /**
+   * Schema for closing a shift with the counted cash
+   */
+  closeShift: Joi.object({
+    shopId: Joi.string().optional(),
+    countedCash: Joi.number().min(0).precision(2).required()
+      .messages({
+        'number.min': 'Counted cash cannot be negative',
+        'any.required': 'Counted cash is required'
+      }),
+    note: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  /**
+   * Schema for query parameters when listing shifts
+   */
+  listShiftsQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+      .messages({
+        'number.max': 'Limit cannot exceed 100'
+      }),
+    status: Joi.string().valid('open', 'closed').optional(),
+    openedBy: Joi.string().trim().optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+      .messages({
+        'date.min': 'End date must be after start date'
+      })
+  }),
+
+  /**
+   * Schema for query parameters of the variance report
+   */
+  varianceReportQuery: Joi.object({
+    shopId: Joi.string().optional(),
+    openedBy: Joi.string().trim().optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+      .messages({
+        'date.min': 'End date must be after start date'
+      })
+  })
+};
+
+module.exports = shiftSchemas;
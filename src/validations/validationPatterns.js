@@ -73,7 +73,28 @@ const validationPatterns = {
   enums: {
     planType: ['trial', 'monthly', 'yearly'],
     paymentMethod: ['offline', 'online', 'evc', 'bank'],
-    userRole: ['superAdmin', 'admin', 'employee']
+    userRole: ['superAdmin', 'admin', 'employee'],
+    customerType: ['new', 'returning'],
+    customerCategory: ['regular', 'vip', 'wholesale', 'corporate', 'other'],
+    recordedPaymentMethod: ['Cash', 'EVC Plus', 'Bank Transfer', 'Mobile Money', 'Check', 'Card', 'Other'],
+    debtStatus: ['active', 'overdue', 'high-risk', 'paid', 'partially-paid', 'in-collection', 'written-off'],
+    notificationType: ['SMS', 'Push', 'Email', 'InApp'],
+    notificationCategory: ['transactional', 'promotional', 'reminder', 'alert', 'system'],
+    productStatus: ['active', 'outOfStock', 'discontinued'],
+    stockMovementType: ['opening', 'sale', 'return', 'adjustment', 'receipt', 'damage', 'write-off'],
+    manualStockMovementType: ['adjustment', 'receipt', 'damage', 'write-off'],
+    returnCondition: ['restock', 'damaged'],
+    receiptFormat: ['text', 'html', 'pdf'],
+    receiptWidth: ['58mm', '80mm'],
+    shiftCashMovementType: ['pay-in', 'pay-out'],
+    reportType: ['debt', 'sales', 'ml-risk', 'pos-profit', 'customer-statement', 'debt-aging'],
+    reportScheduleFrequency: ['daily', 'weekly', 'monthly', 'cron'],
+    creditRequestStatus: ['pending', 'approved', 'declined'],
+    collectionStatus: ['pending', 'in-process', 'resolved'],
+    collectionContactChannel: ['call', 'sms', 'whatsapp', 'email', 'visit', 'other'],
+    collectionContactOutcome: ['reached', 'no-answer', 'promised-to-pay', 'refused', 'wrong-number', 'other'],
+    collectionResolution: ['settlement', 'write-off'],
+    installmentFrequency: ['weekly', 'biweekly', 'monthly']
   }
 };
 
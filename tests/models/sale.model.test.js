@@ -0,0 +1,132 @@
+const Sale = require('../../src/models/sale.model');
+
+/**
+ * Build an unsaved sale whose save resolves without a database
+ */
+const buildSale = (overrides = {}) => {
+  const sale = new Sale({
+    saleId: 'SALE001',
+    shopId: 'SHOP001',
+    soldBy: 'USR001',
+    items: [
+      { productId: 'PROD001', name: 'Rice 5kg', price: 10, cost: 7, quantity: 2 },
+      { productId: 'PROD002', name: 'Cooking oil', price: 5, cost: 3, quantity: 1 }
+    ],
+    subtotal: 25,
+    totalAmount: 25,
+    totalCost: 17,
+    totalProfit: 8,
+    paymentMethod: 'cash',
+    ...overrides
+  });
+
+  jest.spyOn(sale, 'save').mockImplementation(async () => sale);
+  return sale;
+};
+
+describe('Sale#processReturn', () => {
+  it('refunds the returned lines and marks the sale partially returned', async () => {
+    const sale = buildSale();
+
+    await sale.processReturn({
+      returnedBy: 'USR002',
+      returnReason: 'Torn bag',
+      returnedItems: [{ productId: 'PROD001', quantity: 1 }],
+      creditNoteNumber: 'CN-000001'
+    });
+
+    expect(sale.status).toBe('partially-returned');
+    expect(sale.returnInfo.totalRefundAmount).toBe(10);
+    expect(sale.returnInfo.returnReason).toBe('Torn bag');
+    expect(sale.returnInfo.returnedItems).toHaveLength(1);
+    expect(sale.returnInfo.returnedItems[0]).toMatchObject({
+      productId: 'PROD001',
+      quantity: 1,
+      refundAmount: 10,
+      condition: 'restock',
+      creditNoteNumber: 'CN-000001'
+    });
+    expect(sale.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('refunds the share actually paid after order-level discounts', async () => {
+    // A discount code took 10% off the whole order
+    const sale = buildSale({ totalAmount: 22.5, totalDiscount: 2.5 });
+
+    await sale.processReturn({ returnedItems: [{ productId: 'PROD002', quantity: 1, condition: 'damaged' }] });
+
+    expect(sale.returnInfo.totalRefundAmount).toBe(4.5);
+    expect(sale.returnInfo.returnedItems[0].condition).toBe('damaged');
+  });
+
+  it('includes line tax in the refund', async () => {
+    const sale = buildSale({
+      items: [{ productId: 'PROD001', name: 'Rice 5kg', price: 10, cost: 7, quantity: 2, taxRate: 5 }],
+      subtotal: 20,
+      totalTax: 1,
+      totalAmount: 21
+    });
+
+    await sale.processReturn({ returnedItems: [{ productId: 'PROD001', quantity: 1 }] });
+
+    expect(sale.returnInfo.totalRefundAmount).toBe(10.5);
+  });
+
+  it('checks each return against what earlier returns left', async () => {
+    const sale = buildSale();
+
+    await sale.processReturn({ returnedItems: [{ productId: 'PROD001', quantity: 2 }] });
+
+    expect(() => sale.processReturn({ returnedItems: [{ productId: 'PROD001', quantity: 1 }] }))
+      .toThrow('Cannot return more than the 0 remaining of Rice 5kg');
+    expect(sale.returnInfo.totalRefundAmount).toBe(20);
+  });
+
+  it('marks the sale returned once every item is back', async () => {
+    const sale = buildSale();
+
+    await sale.processReturn({ returnedItems: [{ productId: 'PROD001', quantity: 1 }] });
+    await sale.processReturn({
+      returnedItems: [
+        { productId: 'PROD001', quantity: 1 },
+        { productId: 'PROD002', quantity: 1 }
+      ]
+    });
+
+    expect(sale.status).toBe('returned');
+    expect(sale.returnInfo.returnedItems).toHaveLength(3);
+    expect(sale.returnInfo.totalRefundAmount).toBe(25);
+  });
+
+  it('settles rounding on the final return so refunds add up to the sale total', async () => {
+    const sale = buildSale({
+      items: [{ productId: 'PROD001', name: 'Rice 5kg', price: 10, cost: 7, quantity: 3 }],
+      subtotal: 30,
+      totalDiscount: 10,
+      totalAmount: 20
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await sale.processReturn({ returnedItems: [{ productId: 'PROD001', quantity: 1 }] });
+    }
+
+    const refunds = sale.returnInfo.returnedItems.map(item => item.refundAmount);
+    expect(refunds).toEqual([6.67, 6.67, 6.66]);
+    expect(sale.returnInfo.totalRefundAmount).toBe(20);
+    expect(sale.status).toBe('returned');
+  });
+
+  it('rejects items that were not sold', () => {
+    const sale = buildSale();
+
+    expect(() => sale.processReturn({ returnedItems: [{ productId: 'PROD999', quantity: 1 }] }))
+      .toThrow('Item PROD999 not found in original sale');
+    expect(sale.save).not.toHaveBeenCalled();
+  });
+
+  it('requires at least one item', () => {
+    const sale = buildSale();
+
+    expect(() => sale.processReturn({ returnedItems: [] })).toThrow('Must provide items to return');
+  });
+});
@@ -0,0 +1,187 @@
+const { Debt, Customer, Payment, ShopSetting } = require('../../src/models');
+const { AppError, idGenerator, TransactionHelper } = require('../../src/utils');
+const DebtService = require('../../src/services/debtService');
+const DocumentNumberService = require('../../src/services/documentNumberService');
+const ShiftService = require('../../src/services/shiftService');
+const RiskScoringService = require('../../src/services/riskScoringService');
+
+const SHOP_ID = 'SHOP001';
+const CUSTOMER_ID = 'CUST001';
+
+const DEFAULT_RULES = {
+  autoApplyPaymentsToOldest: true,
+  allowPartialPayments: true,
+  allowPrepayment: true,
+  requireApprovalAboveAmount: 0
+};
+
+const buildDebt = (debtId, debtAmount, paidAmount = 0) => new Debt({
+  debtId,
+  shopId: SHOP_ID,
+  customerId: CUSTOMER_ID,
+  debtAmount,
+  paidAmount,
+  dueDate: new Date('2030-01-01')
+});
+
+const buildCustomer = (outstandingBalance) => new Customer({
+  customerId: CUSTOMER_ID,
+  shopId: SHOP_ID,
+  fullName: 'Amina Yusuf',
+  outstandingBalance
+});
+
+/**
+ * Stand in for the database: queries return the given documents and saves resolve
+ */
+const mockLedger = ({ debts, customer, rules = {} }) => {
+  const session = {};
+
+  jest.spyOn(ShopSetting, 'getByShopId').mockResolvedValue({ businessRules: { ...DEFAULT_RULES, ...rules } });
+  jest.spyOn(TransactionHelper, 'runInTransaction').mockImplementation((work, options = {}) => work(options.session || session));
+  jest.spyOn(Debt, 'find').mockReturnValue({ sort: () => ({ session: async () => debts }) });
+  jest.spyOn(Debt, 'findOne').mockImplementation(filter => ({
+    session: async () => debts.find(debt => debt.debtId === filter.debtId) || null
+  }));
+  jest.spyOn(Customer, 'findOne').mockReturnValue({ session: async () => customer });
+  jest.spyOn(idGenerator, 'generatePaymentIds').mockImplementation(async (_, count) => (
+    Array.from({ length: count }, (__, index) => `PAY${String(index + 1).padStart(3, '0')}`)
+  ));
+  jest.spyOn(DocumentNumberService, 'nextNumber').mockResolvedValue('RCT-000001');
+  jest.spyOn(ShiftService, 'getOpenShift').mockResolvedValue(null);
+  jest.spyOn(RiskScoringService, 'refreshCustomerRisk').mockResolvedValue(null);
+
+  for (const Model of [Debt, Customer, Payment]) {
+    jest.spyOn(Model.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+  }
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DebtService.applyRepayment', () => {
+  it('splits a lump sum across open debts oldest first', async () => {
+    const debts = [buildDebt('DEBT001', 100, 40), buildDebt('DEBT002', 80)];
+    const customer = buildCustomer(140);
+    mockLedger({ debts, customer });
+
+    const result = await DebtService.applyRepayment(SHOP_ID, {
+      customerId: CUSTOMER_ID,
+      amount: 90,
+      method: 'cash'
+    }, { actorId: 'USR001' });
+
+    expect(result.status).toBe('applied');
+    expect(result.creditAmount).toBe(0);
+    expect(result.payments.map(payment => [payment.debtId, payment.amount])).toEqual([
+      ['DEBT001', 60],
+      ['DEBT002', 30]
+    ]);
+    expect(result.payments.every(payment => payment.allocationGroupId === 'PAY001')).toBe(true);
+    expect(result.payments.every(payment => payment.receiptNumber === 'RCT-000001')).toBe(true);
+
+    expect(debts[0].paidAmount).toBe(100);
+    expect(debts[0].remainingAmount).toBe(0);
+    expect(debts[1].paidAmount).toBe(30);
+    expect(debts[1].remainingAmount).toBe(50);
+    expect(customer.outstandingBalance).toBe(50);
+    expect(RiskScoringService.refreshCustomerRisk).toHaveBeenCalledWith(SHOP_ID, CUSTOMER_ID);
+  });
+
+  it('allocates against late fees as part of what is owed', async () => {
+    const debt = buildDebt('DEBT001', 100);
+    debt.lateFeeAmount = 5;
+    mockLedger({ debts: [debt], customer: buildCustomer(105) });
+
+    const result = await DebtService.applyRepayment(SHOP_ID, { customerId: CUSTOMER_ID, amount: 105, method: 'cash' });
+
+    expect(result.payments).toHaveLength(1);
+    expect(result.payments[0].debtAmount).toBe(105);
+    expect(debt.remainingAmount).toBe(0);
+  });
+
+  it('keeps an overpayment as customer credit when prepayments are allowed', async () => {
+    const debts = [buildDebt('DEBT001', 50)];
+    const customer = buildCustomer(50);
+    mockLedger({ debts, customer });
+
+    const result = await DebtService.applyRepayment(SHOP_ID, { customerId: CUSTOMER_ID, amount: 70, method: 'cash' });
+
+    expect(result.creditAmount).toBe(20);
+    expect(result.payments).toHaveLength(2);
+    expect(result.payments[1]).toMatchObject({ isPrepayment: true, amount: 20 });
+    expect(result.payments[1].debtId).toBeUndefined();
+    expect(customer.creditBalance).toBe(20);
+    expect(customer.outstandingBalance).toBe(0);
+  });
+
+  it('rejects an overpayment when prepayments are not allowed', async () => {
+    mockLedger({
+      debts: [buildDebt('DEBT001', 50)],
+      customer: buildCustomer(50),
+      rules: { allowPrepayment: false }
+    });
+
+    await expect(DebtService.applyRepayment(SHOP_ID, { customerId: CUSTOMER_ID, amount: 70, method: 'cash' }))
+      .rejects.toMatchObject({ statusCode: 400, type: 'prepayment_not_allowed' });
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a partial payment when the shop requires debts to be paid in full', async () => {
+    mockLedger({
+      debts: [buildDebt('DEBT001', 50), buildDebt('DEBT002', 50)],
+      customer: buildCustomer(100),
+      rules: { allowPartialPayments: false }
+    });
+
+    const error = await DebtService.applyRepayment(SHOP_ID, { customerId: CUSTOMER_ID, amount: 75, method: 'cash' })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.type).toBe('partial_payment_not_allowed');
+    expect(error.message).toContain('DEBT002');
+  });
+
+  it('applies a payment for a specific debt to that debt only', async () => {
+    const debts = [buildDebt('DEBT001', 100), buildDebt('DEBT002', 80)];
+    const customer = buildCustomer(180);
+    mockLedger({ debts, customer });
+
+    const result = await DebtService.applyRepayment(SHOP_ID, { debtId: 'DEBT002', amount: 30, method: 'cash' });
+
+    expect(result.payments.map(payment => payment.debtId)).toEqual(['DEBT002']);
+    expect(debts[0].paidAmount).toBe(0);
+    expect(debts[1].paidAmount).toBe(30);
+    expect(customer.outstandingBalance).toBe(150);
+  });
+
+  it('requires a debt when the shop does not auto-apply to the oldest', async () => {
+    mockLedger({
+      debts: [buildDebt('DEBT001', 100)],
+      customer: buildCustomer(100),
+      rules: { autoApplyPaymentsToOldest: false }
+    });
+
+    await expect(DebtService.applyRepayment(SHOP_ID, { customerId: CUSTOMER_ID, amount: 10, method: 'cash' }))
+      .rejects.toMatchObject({ type: 'debt_id_required' });
+  });
+
+  it('holds repayments above the approval threshold without touching the ledger', async () => {
+    const debts = [buildDebt('DEBT001', 500)];
+    const customer = buildCustomer(500);
+    mockLedger({ debts, customer, rules: { requireApprovalAboveAmount: 200 } });
+
+    const result = await DebtService.applyRepayment(SHOP_ID, { customerId: CUSTOMER_ID, amount: 300, method: 'cash' });
+
+    expect(result.status).toBe('pending_approval');
+    expect(result.payments[0]).toMatchObject({ status: 'pending', requiresApproval: true, amount: 300 });
+    expect(result.payments[0].receiptNumber).toBeUndefined();
+    expect(DocumentNumberService.nextNumber).not.toHaveBeenCalled();
+    expect(debts[0].paidAmount).toBe(0);
+    expect(customer.outstandingBalance).toBe(500);
+    expect(RiskScoringService.refreshCustomerRisk).not.toHaveBeenCalled();
+  });
+});
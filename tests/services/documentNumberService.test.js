@@ -0,0 +1,115 @@
+const { DocumentCounter, ShopSetting } = require('../../src/models');
+const { AppError, TransactionHelper } = require('../../src/utils');
+const DocumentNumberService = require('../../src/services/documentNumberService');
+
+/**
+ * Stand in for the counter collection, starting each series after the given sequence
+ */
+const mockCounters = (settings = {}, lastSequence = 41) => {
+  const counters = [];
+
+  jest.spyOn(ShopSetting, 'getByShopId').mockResolvedValue(settings);
+  jest.spyOn(DocumentCounter, 'findOneAndUpdate').mockImplementation(async (filter) => {
+    const counter = { ...filter, sequence: lastSequence + 1, save: jest.fn().mockResolvedValue(null) };
+    counters.push(counter);
+    return counter;
+  });
+
+  return counters;
+};
+
+const writeConflict = () => {
+  const error = new Error('WriteConflict error: this operation conflicted with another operation');
+  error.code = 112;
+  error.hasErrorLabel = label => label === 'TransientTransactionError';
+  return error;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DocumentNumberService.nextNumber', () => {
+  const session = { id: 'outer-transaction' };
+
+  it('issues the next number in the shop series with the configured prefix', async () => {
+    const counters = mockCounters({ invoice: { receiptPrefix: 'SHOP-R-' } });
+
+    const number = await DocumentNumberService.nextNumber('SHOP001', 'receipt', { session });
+
+    expect(number).toBe('SHOP-R-000042');
+    expect(DocumentCounter.findOneAndUpdate).toHaveBeenCalledWith(
+      { shopId: 'SHOP001', documentType: 'receipt', period: 0 },
+      { $inc: { sequence: 1 } },
+      expect.objectContaining({ upsert: true, session })
+    );
+    expect(counters[0].lastIssuedNumber).toBe('SHOP-R-000042');
+    expect(counters[0].save).toHaveBeenCalledWith({ session });
+  });
+
+  it('falls back to the default prefix for each document type', async () => {
+    mockCounters({}, 0);
+
+    await expect(DocumentNumberService.nextNumber('SHOP001', 'receipt', { session })).resolves.toBe('RCT-000001');
+    await expect(DocumentNumberService.nextNumber('SHOP001', 'invoice', { session })).resolves.toBe('INV-000001');
+    await expect(DocumentNumberService.nextNumber('SHOP001', 'credit-note', { session })).resolves.toBe('CN-000001');
+  });
+
+  it('keeps an empty prefix when the shop configured one', async () => {
+    mockCounters({ invoice: { invoicePrefix: '' } });
+
+    await expect(DocumentNumberService.nextNumber('SHOP001', 'invoice', { session })).resolves.toBe('000042');
+  });
+
+  it('starts a new series each year in the shop timezone when numbering resets yearly', async () => {
+    mockCounters({ invoice: { resetNumberingYearly: true }, display: { timezone: 'Africa/Mogadishu' } }, 6);
+
+    // Still 2024 in UTC, already 2025 in Mogadishu
+    const number = await DocumentNumberService.nextNumber('SHOP001', 'invoice', {
+      session,
+      date: new Date('2024-12-31T22:30:00Z')
+    });
+
+    expect(number).toBe('INV-2025-000007');
+    expect(DocumentCounter.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      shopId: 'SHOP001',
+      documentType: 'invoice',
+      period: 2025
+    });
+  });
+
+  it('rejects unsupported document types', async () => {
+    mockCounters();
+
+    await expect(DocumentNumberService.nextNumber('SHOP001', 'quote', { session }))
+      .rejects.toMatchObject({ statusCode: 400, type: 'invalid_document_type' });
+    expect(DocumentCounter.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('leaves write conflicts in a caller transaction for the caller to retry', async () => {
+    mockCounters();
+    const conflict = writeConflict();
+    DocumentCounter.findOneAndUpdate.mockRejectedValue(conflict);
+
+    await expect(DocumentNumberService.nextNumber('SHOP001', 'receipt', { session })).rejects.toBe(conflict);
+  });
+
+  it('reports a conflict that outlasts its own transaction retries as a 409', async () => {
+    mockCounters();
+    DocumentCounter.findOneAndUpdate.mockRejectedValue(writeConflict());
+    jest.spyOn(TransactionHelper, 'runInTransaction').mockImplementation(work => work({}));
+
+    const error = await DocumentNumberService.nextNumber('SHOP001', 'receipt').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ statusCode: 409, type: 'document_number_conflict' });
+  });
+
+  it('reports a duplicate counter upsert as a 409', async () => {
+    mockCounters();
+    DocumentCounter.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(DocumentNumberService.nextNumber('SHOP001', 'receipt', { session }))
+      .rejects.toMatchObject({ statusCode: 409, type: 'document_number_conflict' });
+  });
+});
@@ -0,0 +1,96 @@
+const { Debt } = require('../../src/models');
+const InstallmentService = require('../../src/services/installmentService');
+const RiskScoringService = require('../../src/services/riskScoringService');
+
+const buildDebt = (overrides = {}) => new Debt({
+  debtId: 'DEBT001',
+  shopId: 'SHOP001',
+  customerId: 'CUST001',
+  debtAmount: 300,
+  paidAmount: 0,
+  dueDate: new Date('2025-01-31T00:00:00Z'),
+  ...overrides
+});
+
+/**
+ * Stand in for the database with the given debt
+ */
+const mockStore = (debt) => {
+  jest.spyOn(Debt, 'findOne').mockResolvedValue(debt);
+  jest.spyOn(Debt.prototype, 'save').mockImplementation(async function save() {
+    return this;
+  });
+  jest.spyOn(RiskScoringService, 'refreshCustomerRisk').mockResolvedValue(null);
+};
+
+const dueDates = debt => debt.installmentPlan.installments.map(installment => installment.dueDate.toISOString());
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('InstallmentService.createInstallmentPlan', () => {
+  it('splits what is left evenly, with the rounding on the last installment', async () => {
+    const debt = buildDebt({ debtAmount: 100 });
+    mockStore(debt);
+
+    await InstallmentService.createInstallmentPlan('SHOP001', 'DEBT001', {
+      count: 3,
+      frequency: 'weekly',
+      firstDueDate: '2025-03-01T00:00:00Z'
+    });
+
+    expect(debt.installmentPlan.installments.map(installment => installment.amount)).toEqual([33.33, 33.33, 33.34]);
+    expect(dueDates(debt)).toEqual([
+      '2025-03-01T00:00:00.000Z',
+      '2025-03-08T00:00:00.000Z',
+      '2025-03-15T00:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the monthly due day, falling back to the last day of shorter months', async () => {
+    const debt = buildDebt();
+    mockStore(debt);
+
+    await InstallmentService.createInstallmentPlan('SHOP001', 'DEBT001', {
+      count: 3,
+      frequency: 'monthly',
+      firstDueDate: '2025-01-31T00:00:00Z'
+    });
+
+    expect(dueDates(debt)).toEqual([
+      '2025-01-31T00:00:00.000Z',
+      '2025-02-28T00:00:00.000Z',
+      '2025-03-31T00:00:00.000Z'
+    ]);
+  });
+
+  it('runs monthly schedules across the year end', async () => {
+    const debt = buildDebt();
+    mockStore(debt);
+
+    await InstallmentService.createInstallmentPlan('SHOP001', 'DEBT001', {
+      count: 3,
+      frequency: 'monthly',
+      firstDueDate: '2024-12-15T00:00:00Z'
+    });
+
+    expect(dueDates(debt)).toEqual([
+      '2024-12-15T00:00:00.000Z',
+      '2025-01-15T00:00:00.000Z',
+      '2025-02-15T00:00:00.000Z'
+    ]);
+  });
+
+  it('rejects custom installments that do not cover what is left', async () => {
+    mockStore(buildDebt());
+
+    await expect(InstallmentService.createInstallmentPlan('SHOP001', 'DEBT001', {
+      installments: [
+        { amount: 100, dueDate: '2025-02-01' },
+        { amount: 100, dueDate: '2025-03-01' }
+      ]
+    })).rejects.toMatchObject({ statusCode: 400, type: 'installment_total_mismatch' });
+    expect(Debt.prototype.save).not.toHaveBeenCalled();
+  });
+});
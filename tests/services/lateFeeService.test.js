@@ -0,0 +1,193 @@
+const { Debt, Customer, LateFee } = require('../../src/models');
+const { idGenerator, LogHelper, TransactionHelper } = require('../../src/utils');
+const LateFeeService = require('../../src/services/lateFeeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERCENTAGE_RULES = { enabled: true, type: 'percentage', value: 2, gracePeriodDays: 5 };
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+const buildDebt = (overrides = {}) => new Debt({
+  debtId: 'DEBT001',
+  shopId: 'SHOP001',
+  customerId: 'CUST001',
+  debtAmount: 200,
+  paidAmount: 0,
+  dueDate: daysAgo(50),
+  ...overrides
+});
+
+/**
+ * Stand in for the database, with the given fees already on the debt
+ */
+const mockStore = (debt, existingFees = []) => {
+  let nextFee = 1;
+
+  jest.spyOn(LateFee, 'find').mockResolvedValue(existingFees);
+  jest.spyOn(LateFee, 'create').mockImplementation(async ([data]) => [data]);
+  jest.spyOn(idGenerator, 'generateLateFeeId').mockImplementation(async () => `LF${String(nextFee++).padStart(3, '0')}`);
+  jest.spyOn(TransactionHelper, 'runInTransaction').mockImplementation(work => work({}));
+  jest.spyOn(Debt, 'findOne').mockReturnValue({ session: async () => debt });
+  jest.spyOn(Debt.prototype, 'save').mockImplementation(async function save() {
+    return this;
+  });
+  jest.spyOn(Customer, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  jest.spyOn(LogHelper, 'createDebtLog').mockResolvedValue(null);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LateFeeService.calculateFee', () => {
+  it('charges a percentage of the overdue amount', () => {
+    expect(LateFeeService.calculateFee(250, { type: 'percentage', value: 3 }, 0)).toBe(7.5);
+  });
+
+  it('charges a fixed amount regardless of the balance', () => {
+    expect(LateFeeService.calculateFee(250, { type: 'fixed', value: 4 }, 0)).toBe(4);
+  });
+
+  it('stops at the maximum fee for the debt', () => {
+    const rules = { type: 'fixed', value: 4, maxFee: 10 };
+
+    expect(LateFeeService.calculateFee(250, rules, 8)).toBe(2);
+    expect(LateFeeService.calculateFee(250, rules, 10)).toBe(0);
+    expect(LateFeeService.calculateFee(250, rules, 12)).toBe(0);
+  });
+});
+
+describe('LateFeeService.accrueFeesForDebt', () => {
+  it('accrues one fee per overdue period after the grace period, catching up missed runs', async () => {
+    const debt = buildDebt();
+    mockStore(debt);
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    // 50 days overdue with 5 days grace is into the second 30-day period
+    expect(fees.map(fee => [fee.period, fee.amount])).toEqual([[0, 4], [1, 4]]);
+    expect(fees[0]).toMatchObject({ feeId: 'LF001', basisAmount: 200, installmentNumber: null, feeType: 'percentage' });
+    expect(debt.lateFeeAmount).toBe(8);
+    expect(Customer.updateOne).toHaveBeenCalledTimes(2);
+    expect(Customer.updateOne).toHaveBeenCalledWith(
+      { customerId: 'CUST001', shopId: 'SHOP001' },
+      { $inc: { outstandingBalance: 4 } },
+      { session: {} }
+    );
+    expect(LogHelper.createDebtLog).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips periods that were already charged', async () => {
+    const debt = buildDebt({ lateFeeAmount: 4 });
+    mockStore(debt, [{ debtId: 'DEBT001', period: 0, amount: 4, status: 'accrued' }]);
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    expect(fees.map(fee => fee.period)).toEqual([1]);
+    expect(debt.lateFeeAmount).toBe(8);
+  });
+
+  it('charges on what is left of the principal', async () => {
+    const debt = buildDebt({ paidAmount: 150, dueDate: daysAgo(10) });
+    mockStore(debt);
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    expect(fees).toHaveLength(1);
+    expect(fees[0]).toMatchObject({ basisAmount: 50, amount: 1 });
+  });
+
+  it('does not charge within the grace period', async () => {
+    const debt = buildDebt({ dueDate: daysAgo(3) });
+    mockStore(debt);
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    expect(fees).toEqual([]);
+    expect(LateFee.find).not.toHaveBeenCalled();
+  });
+
+  it('stops accruing once the fee cap is reached, counting fees already accrued', async () => {
+    const debt = buildDebt({ dueDate: daysAgo(100), lateFeeAmount: 4 });
+    mockStore(debt, [{ debtId: 'DEBT001', period: 0, amount: 4, status: 'accrued' }]);
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, { ...PERCENTAGE_RULES, maxFee: 10 });
+
+    expect(fees.map(fee => fee.amount)).toEqual([4, 2]);
+    expect(debt.lateFeeAmount).toBe(10);
+  });
+
+  it('leaves waived fees out of the cap without charging their period again', async () => {
+    const debt = buildDebt();
+    mockStore(debt, [{ debtId: 'DEBT001', period: 0, amount: 4, status: 'waived' }]);
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, { ...PERCENTAGE_RULES, maxFee: 4 });
+
+    expect(fees.map(fee => [fee.period, fee.amount])).toEqual([[1, 4]]);
+  });
+
+  it('charges each overdue installment of a plan on what is unpaid of it', async () => {
+    const debt = buildDebt({
+      dueDate: daysAgo(20),
+      installmentPlan: {
+        frequency: 'monthly',
+        openingPaidAmount: 0,
+        installments: [
+          { number: 1, amount: 100, paidAmount: 25, dueDate: daysAgo(20), status: 'overdue' },
+          { number: 2, amount: 100, paidAmount: 0, dueDate: new Date(Date.now() + 20 * DAY_MS), status: 'pending' }
+        ]
+      }
+    });
+    mockStore(debt);
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    expect(fees).toHaveLength(1);
+    expect(fees[0]).toMatchObject({ installmentNumber: 1, period: 0, basisAmount: 75, amount: 1.5 });
+    expect(debt.lateFeeAmount).toBe(1.5);
+  });
+
+  it('adds each fee to the debt once when its transaction is retried', async () => {
+    const debt = buildDebt({ dueDate: daysAgo(10) });
+    mockStore(debt);
+    // Each attempt reads the debt as committed, since an aborted attempt rolls back
+    Debt.findOne.mockImplementation(() => ({ session: async () => buildDebt({ dueDate: daysAgo(10) }) }));
+    TransactionHelper.runInTransaction.mockImplementation(async (work) => {
+      // The first attempt aborts on a write conflict after saving the debt
+      await work({});
+      return work({});
+    });
+
+    await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    const saved = Debt.prototype.save.mock.contexts;
+    expect(saved).toHaveLength(2);
+    expect(saved[1].lateFeeAmount).toBe(4);
+  });
+
+  it('keeps a repayment committed after the run loaded the debt', async () => {
+    const debt = buildDebt({ dueDate: daysAgo(10) });
+    const current = buildDebt({ dueDate: daysAgo(10), paidAmount: 50 });
+    mockStore(debt);
+    Debt.findOne.mockReturnValue({ session: async () => current });
+
+    await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    expect(Debt.prototype.save.mock.contexts).toEqual([current]);
+    expect(current.paidAmount).toBe(50);
+    expect(current.lateFeeAmount).toBe(4);
+  });
+
+  it('stops accruing once a repayment has settled the debt', async () => {
+    const debt = buildDebt();
+    mockStore(debt);
+    Debt.findOne.mockReturnValue({ session: async () => buildDebt({ paidAmount: 200, isSettled: true }) });
+
+    const fees = await LateFeeService.accrueFeesForDebt(debt, PERCENTAGE_RULES);
+
+    expect(fees).toEqual([]);
+    expect(LateFee.create).not.toHaveBeenCalled();
+    expect(TransactionHelper.runInTransaction).toHaveBeenCalledTimes(1);
+  });
+});
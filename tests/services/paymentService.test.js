@@ -0,0 +1,125 @@
+const { Payment, Debt, Customer } = require('../../src/models');
+const { TransactionHelper } = require('../../src/utils');
+const PaymentService = require('../../src/services/paymentService');
+const RiskScoringService = require('../../src/services/riskScoringService');
+
+const SHOP_ID = 'SHOP001';
+const CUSTOMER_ID = 'CUST001';
+
+const buildPayment = (overrides = {}) => new Payment({
+  paymentId: 'PAY001',
+  shopId: SHOP_ID,
+  customerId: CUSTOMER_ID,
+  customerName: 'Amina Yusuf',
+  paymentContext: 'debt',
+  debtId: 'DEBT001',
+  amount: 60,
+  method: 'cash',
+  status: 'confirmed',
+  paymentDate: new Date('2025-03-01'),
+  ...overrides
+});
+
+const buildDebt = (debtAmount, paidAmount) => new Debt({
+  debtId: 'DEBT001',
+  shopId: SHOP_ID,
+  customerId: CUSTOMER_ID,
+  debtAmount,
+  paidAmount,
+  dueDate: new Date('2030-01-01')
+});
+
+const buildCustomer = (overrides = {}) => new Customer({
+  customerId: CUSTOMER_ID,
+  shopId: SHOP_ID,
+  fullName: 'Amina Yusuf',
+  ...overrides
+});
+
+/**
+ * Stand in for the database: queries return the given documents and saves resolve
+ */
+const mockLedger = ({ payment, debt = null, customer }) => {
+  jest.spyOn(TransactionHelper, 'runInTransaction').mockImplementation((work, options = {}) => work(options.session || {}));
+  jest.spyOn(Payment, 'findOne').mockReturnValue({ session: async () => payment });
+  jest.spyOn(Debt, 'findOne').mockReturnValue({ session: async () => debt });
+  jest.spyOn(Customer, 'findOne').mockReturnValue({ session: async () => customer });
+  jest.spyOn(RiskScoringService, 'refreshCustomerRisk').mockResolvedValue(null);
+
+  for (const Model of [Payment, Debt, Customer]) {
+    jest.spyOn(Model.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+  }
+};
+
+const writeConflict = () => {
+  const error = new Error('WriteConflict error: this operation conflicted with another operation');
+  error.code = 112;
+  error.hasErrorLabel = label => label === 'TransientTransactionError';
+  return error;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaymentService.refundPayment', () => {
+  it('puts a refunded repayment back on the debt and the customer balance', async () => {
+    const payment = buildPayment();
+    const debt = buildDebt(100, 100);
+    const customer = buildCustomer({ outstandingBalance: 0 });
+    mockLedger({ payment, debt, customer });
+
+    const refunded = await PaymentService.refundPayment('PAY001', { amount: 60, processedBy: 'USR001' });
+
+    expect(refunded.status).toBe('refunded');
+    expect(debt.paidAmount).toBe(40);
+    expect(Debt.prototype.save).toHaveBeenCalledWith({ session: {} });
+    expect(customer.outstandingBalance).toBe(60);
+    expect(RiskScoringService.refreshCustomerRisk).toHaveBeenCalledWith(SHOP_ID, CUSTOMER_ID);
+  });
+
+  it('takes a refunded prepayment back out of the customer credit', async () => {
+    const payment = buildPayment({ debtId: undefined, isPrepayment: true, amount: 20 });
+    const customer = buildCustomer({ outstandingBalance: 0, creditBalance: 20 });
+    mockLedger({ payment, customer });
+
+    await PaymentService.refundPayment('PAY001', { amount: 15, processedBy: 'USR001' });
+
+    expect(payment.status).toBe('partially-refunded');
+    expect(customer.creditBalance).toBe(5);
+    expect(customer.outstandingBalance).toBe(0);
+    expect(Debt.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects refunding a prepayment whose credit was already spent', async () => {
+    const payment = buildPayment({ debtId: undefined, isPrepayment: true, amount: 20 });
+    mockLedger({ payment, customer: buildCustomer({ creditBalance: 5 }) });
+
+    await expect(PaymentService.refundPayment('PAY001', { amount: 20, processedBy: 'USR001' }))
+      .rejects.toMatchObject({ statusCode: 400, type: 'credit_already_used' });
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('leaves the rescore to a caller that owns the transaction', async () => {
+    mockLedger({
+      payment: buildPayment(),
+      debt: buildDebt(100, 60),
+      customer: buildCustomer({ outstandingBalance: 40 })
+    });
+
+    await PaymentService.refundPayment('PAY001', { amount: 60, processedBy: 'USR001' }, { session: {} });
+
+    expect(RiskScoringService.refreshCustomerRisk).not.toHaveBeenCalled();
+  });
+
+  it('leaves write conflicts in a caller transaction for the caller to retry', async () => {
+    mockLedger({ payment: buildPayment(), debt: buildDebt(100, 60), customer: buildCustomer() });
+    const conflict = writeConflict();
+    Debt.prototype.save.mockRejectedValue(conflict);
+
+    await expect(PaymentService.refundPayment('PAY001', { amount: 60, processedBy: 'USR001' }, { session: {} }))
+      .rejects.toBe(conflict);
+  });
+});
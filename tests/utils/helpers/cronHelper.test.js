@@ -0,0 +1,94 @@
+const CronHelper = require('../../../src/utils/helpers/cronHelper');
+
+/**
+ * Local calendar parts as FormatHelper.getLocalParts returns them
+ */
+const at = (overrides = {}) => ({
+  year: 2025,
+  month: 3,
+  day: 10,
+  hour: 8,
+  minute: 0,
+  weekday: 'monday',
+  ...overrides
+});
+
+describe('CronHelper.isValid', () => {
+  it.each([
+    '* * * * *',
+    '0 8 * * 1-5',
+    '*/15 * * * *',
+    '0,30 9-17 * * *',
+    '5/10 * * * *',
+    '0 0 1 1 7'
+  ])('accepts %s', (expression) => {
+    expect(CronHelper.isValid(expression)).toBe(true);
+  });
+
+  it.each([
+    ['named days', '0 8 * * MON'],
+    ['named months', '0 8 1 JAN *'],
+    ['six fields', '0 0 8 * * *'],
+    ['four fields', '0 8 * *'],
+    ['out of range minutes', '60 * * * *'],
+    ['day of month 0', '0 0 0 * *'],
+    ['reversed ranges', '0 17-9 * * *'],
+    ['zero steps', '*/0 * * * *'],
+    ['doubled steps', '*/5/2 * * * *'],
+    ['question marks', '0 8 ? * 1'],
+    ['empty list items', '0,,30 * * * *']
+  ])('rejects %s', (_, expression) => {
+    expect(CronHelper.isValid(expression)).toBe(false);
+  });
+
+  it('rejects values that are not strings', () => {
+    expect(CronHelper.isValid(undefined)).toBe(false);
+    expect(CronHelper.isValid(null)).toBe(false);
+  });
+});
+
+describe('CronHelper.matches', () => {
+  it('matches the minute and hour', () => {
+    expect(CronHelper.matches('0 8 * * *', at())).toBe(true);
+    expect(CronHelper.matches('0 8 * * *', at({ minute: 1 }))).toBe(false);
+    expect(CronHelper.matches('0 8 * * *', at({ hour: 9 }))).toBe(false);
+  });
+
+  it('matches steps from the start of a range', () => {
+    expect(CronHelper.matches('*/15 * * * *', at({ minute: 45 }))).toBe(true);
+    expect(CronHelper.matches('*/15 * * * *', at({ minute: 50 }))).toBe(false);
+    expect(CronHelper.matches('5/10 * * * *', at({ minute: 25 }))).toBe(true);
+    expect(CronHelper.matches('5/10 * * * *', at({ minute: 20 }))).toBe(false);
+  });
+
+  it('matches lists and ranges', () => {
+    expect(CronHelper.matches('0 9-17 * * *', at({ hour: 17 }))).toBe(true);
+    expect(CronHelper.matches('0 9-17 * * *', at({ hour: 18 }))).toBe(false);
+    expect(CronHelper.matches('0,30 8 * * *', at({ minute: 30 }))).toBe(true);
+  });
+
+  it('treats both 0 and 7 as Sunday', () => {
+    const sunday = at({ day: 9, weekday: 'sunday' });
+
+    expect(CronHelper.matches('0 8 * * 0', sunday)).toBe(true);
+    expect(CronHelper.matches('0 8 * * 7', sunday)).toBe(true);
+    expect(CronHelper.matches('0 8 * * 1-5', sunday)).toBe(false);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 1st of the month or any Monday
+    expect(CronHelper.matches('0 8 1 * 1', at())).toBe(true);
+    expect(CronHelper.matches('0 8 1 * 1', at({ day: 1, weekday: 'saturday' }))).toBe(true);
+    expect(CronHelper.matches('0 8 1 * 1', at({ day: 11, weekday: 'tuesday' }))).toBe(false);
+  });
+
+  it('requires the day of month when the day of week is unrestricted', () => {
+    expect(CronHelper.matches('0 8 10 * *', at())).toBe(true);
+    expect(CronHelper.matches('0 8 11 * *', at())).toBe(false);
+  });
+
+  it('never fires for expressions it cannot evaluate', () => {
+    expect(CronHelper.matches('0 8 * * MON', at())).toBe(false);
+    expect(CronHelper.matches('0 0 8 * * *', at())).toBe(false);
+  });
+});